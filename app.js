@@ -2,28 +2,140 @@
  * Apparel Sheets Management API
  *
  * A Node.js Express API for managing apparel designs with Google Sheets integration
- * and AWS S3 image storage. Provides endpoints for design management, fabric cost
- * tracking, and usage analytics.
+ * and AWS S3 (or local disk) image storage. Provides endpoints for design
+ * management, fabric cost tracking, and usage analytics.
  *
  * @version 1.1.0
  * @author Your Team
  * @license MIT
  */
 
+const crypto = require("crypto");
+const path = require("path");
 const express = require("express");
 const cors = require("cors");
 const multer = require("multer");
-const { google } = require("googleapis");
+const Logger = require("./logger");
+const { createStorage } = require("./storage");
+const ApparelSheetsManager = require("./sheets");
+const { SheetsCache, CACHE_INVALIDATE_SCHEMA } = require("./sheetsCache");
+const { executeTransaction, DatabaseError } = require("./database");
+const designsRepository = require("./repositories/designs");
 const {
-  S3Client,
-  PutObjectCommand,
-  DeleteObjectCommand,
-  GetObjectCommand,
-} = require("@aws-sdk/client-s3");
-const { getSignedUrl } = require("@aws-sdk/s3-request-presigner");
-const fs = require("fs");
-const path = require("path");
-const { addToDB, getFromDB, updateInDB } = require("./database");
+  estimateCost,
+  designRecordToCostInput,
+  parseLength,
+} = require("./costing");
+const {
+  parseDesignListQuery,
+  buildPage,
+  DESIGN_LIST_SCHEMA,
+} = require("./designQuery");
+const {
+  recordToDesign,
+  normalizeDesignFields,
+  rowNumberFromRange,
+} = require("./designColumns");
+const { syncDesigns, SYNC_SCHEMA } = require("./designSync");
+const { exportDesigns, DESIGN_EXPORT_SCHEMA } = require("./designExport");
+const {
+  IMPORT_FILE_EXTENSIONS,
+  IMAGE_ARCHIVE_EXTENSION,
+  readImportFile,
+  readImageArchive,
+  importDesigns,
+} = require("./designImport");
+const {
+  DESIGN_TRANSITIONS,
+  INITIAL_STATUS,
+  approvedForStatus,
+  transitionDesign,
+  getTransitions,
+} = require("./designWorkflow");
+const { getDesignHistory } = require("./designAudit");
+const {
+  getDesignIdPattern,
+  validateDesignIdPattern,
+  allocateDesignId,
+  isDesignIdTaken,
+} = require("./designIds");
+const {
+  createDesign,
+  updateDesign,
+  deleteDesign,
+  restoreDesign,
+  purgeDesign,
+} = require("./designSaga");
+const { SagaError } = require("./saga");
+const { idempotent } = require("./idempotency");
+const { scheduleImageGc } = require("./imageGc");
+const {
+  IMAGE_CONTENT_TYPES,
+  MAX_IMAGE_SIZE,
+  UPLOAD_PRESIGN_SCHEMA,
+  UPLOAD_CONFIRM_SCHEMA,
+  presignUpload,
+  confirmUpload,
+  findAttachableUpload,
+  extensionMatches,
+} = require("./imageUploads");
+const {
+  isValidDate,
+  discardUploads,
+  fieldError,
+  sendValidationErrors,
+  partialSchema,
+  validate,
+} = require("./validation");
+const {
+  DESIGN_PARAMS_SCHEMA,
+  CREATE_DESIGN_SCHEMA,
+  UPDATE_DESIGN_SCHEMA,
+  COST_ESTIMATE_SCHEMA,
+  DESIGN_COST_QUERY_SCHEMA,
+  DESIGN_IMPORT_SCHEMA,
+  DESIGN_DELETE_QUERY_SCHEMA,
+  transitionSchemas,
+} = require("./designSchemas");
+const { runMigrations } = require("./migrate");
+const {
+  SPEC_PATH,
+  DOCS_PATH,
+  buildOpenApiSpec,
+  listOperations,
+  registerDocsRoutes,
+} = require("./openapi");
+const {
+  FABRIC_SCHEMA,
+  FABRIC_PARAMS_SCHEMA,
+  FABRIC_LIST_QUERY_SCHEMA,
+  FABRIC_COSTS_QUERY_SCHEMA,
+  FABRIC_IMPORT_SCHEMA,
+  listFabrics,
+  getFabric,
+  getFabricCostMap,
+  getPriceHistory,
+  createFabric,
+  updateFabric,
+  deleteFabric,
+  importFabricsFromSheet,
+} = require("./fabrics");
+const {
+  USAGE_SCHEMA,
+  USAGE_LIST_QUERY_SCHEMA,
+  USAGE_PARAMS_SCHEMA,
+  USAGE_LOOKUP_SCHEMA,
+  USAGE_IMPORT_SCHEMA,
+  lookupUsage,
+  summarizeUsage,
+  listUsage,
+  getUsage,
+  findUsage,
+  createUsage,
+  updateUsage,
+  deleteUsage,
+  importUsageFromSheet,
+} = require("./usage");
 
 require("dotenv").config();
 
@@ -34,135 +146,90 @@ require("dotenv").config();
 const app = express();
 const PORT = process.env.PORT || 3000;
 const CONFIG = {
-  FILE_SIZE_LIMIT: 10 * 1024 * 1024, // 10MB
-  ALLOWED_IMAGE_TYPES: [
-    "image/jpeg",
-    "image/png",
-    "image/gif",
-    "image/webp",
-    "image/bmp",
-    "image/tiff",
-    "image/svg+xml",
-  ],
+  FILE_SIZE_LIMIT: MAX_IMAGE_SIZE, // 10MB, as for direct uploads
+  IMPORT_FILE_SIZE_LIMIT: 50 * 1024 * 1024, // 50MB, for the images archive
+  ALLOWED_IMAGE_TYPES: IMAGE_CONTENT_TYPES,
   DEFAULT_SIGNED_URL_EXPIRY: 3600, // 1 hour
   UPLOADS_DIR: "uploads/",
   S3_FOLDER_PREFIX: "worldvastradesigns",
 };
 
-const DESIGN_SHEET_HEADERS = [
-  "Design_Id",
-  "Date_Added",
-  "Client",
-  "Fabric",
-  "Comments",
-  "referenceImageUrl",
-  "referenceImages3Key",
-  "fabricLength",
-  "liningFabric",
-  "liningLength",
-  "Embroidery",
-  "FinalDress",
-  "Approved",
-];
-
-class Logger {
-  /**
-   * Log informational messages
-   * @param {string} message - Log message
-   * @param {Object} data - Additional data to log
-   */
-  static info(message, data = {}) {
-    const logEntry = {
-      level: "INFO",
-      timestamp: new Date().toISOString(),
-      message,
-      ...data,
-    };
-    //console.log(JSON.stringify(logEntry, null, 2));
-  }
-
-  /**
-   * Log error messages with stack traces
-   * @param {string} message - Error message
-   * @param {Error} error - Error object
-   * @param {Object} data - Additional context data
-   */
-  static error(message, error = null, data = {}) {
-    const logEntry = {
-      level: "ERROR",
-      timestamp: new Date().toISOString(),
-      message,
-      error: error
-        ? {
-            message: error.message,
-            stack: error.stack,
-            name: error.name,
-          }
-        : null,
-      ...data,
-    };
-    console.error(JSON.stringify(logEntry, null, 2));
-  }
-}
-
 // =============================================================================
-// VALIDATION UTILITIES
+// REQUEST UTILITIES
 // =============================================================================
 
 /**
- * Validation utility class for request data
- */
-class Validator {
-  /**
-   * Validate required fields in request body
-   * @param {Object} data - Data to validate
-   * @param {Array} requiredFields - Array of required field names
-   * @throws {Error} If validation fails
-   */
-  static validateRequiredFields(data, requiredFields) {
-    const missingFields = requiredFields.filter(
-      (field) =>
-        !data[field] ||
-        (typeof data[field] === "string" && data[field].trim() === "")
-    );
+ * Identify who is making a request
+ * @param {Object} req - Express request
+ * @returns {string|null} X-Actor header, else the body's actor field
+ */
+const getActor = (req) => {
+  const actor = req.get("X-Actor") || (req.body && req.body.actor);
+  return typeof actor === "string" && actor.trim() ? actor.trim() : null;
+};
 
-    if (missingFields.length > 0) {
-      throw new Error(`Missing required fields: ${missingFields.join(", ")}`);
-    }
-  }
+/**
+ * Who and which request made a change, for the design audit log
+ * @param {Object} req - Express request
+ * @returns {Object} { actor, requestId }
+ */
+const auditContext = (req) => ({ actor: getActor(req), requestId: req.id });
 
-  /**
-   * Validate file upload
-   * @param {Object} file - Multer file object
-   * @throws {Error} If file validation fails
-   */
-  static validateFile(file) {
-    if (!file) {
-      throw new Error("No file uploaded");
-    }
+/**
+ * Extra error response fields for a failed design write saga
+ * @param {Error} error - Caught error
+ * @returns {Object} { failedStep, compensations, consistent } or {}
+ */
+const sagaFailureDetails = (error) =>
+  error instanceof SagaError
+    ? {
+        failedStep: error.step,
+        compensations: error.compensations,
+        consistent: error.consistent,
+      }
+    : {};
 
-    if (!file.mimetype.startsWith("image/")) {
-      throw new Error("Only image files are allowed");
-    }
+// Postgres codes for a write another request got in the way of:
+// unique_violation, foreign_key_violation and restrict_violation
+const CONFLICT_ERROR_CODES = ["23505", "23503", "23001"];
 
-    if (file.size > CONFIG.FILE_SIZE_LIMIT) {
-      throw new Error(
-        `File too large. Maximum size is ${
-          CONFIG.FILE_SIZE_LIMIT / (1024 * 1024)
-        }MB`
-      );
-    }
-  }
+/**
+ * Status for a failed catalog write: 409 when another request got there first
+ * and the write hit a unique or foreign key constraint, 500 otherwise
+ * @param {Error} error - Caught error
+ * @returns {number} HTTP status
+ */
+const writeErrorStatus = (error) =>
+  error instanceof DatabaseError && CONFLICT_ERROR_CODES.includes(error.code)
+    ? 409
+    : 500;
 
-  /**
-   * Sanitize string for use in filenames
-   * @param {string} str - String to sanitize
-   * @returns {string} Sanitized string
-   */
-  static sanitizeFilename(str) {
-    return str.replace(/[^a-zA-Z0-9]/g, "_");
+/**
+ * Set validators for a single-record response so clients can make
+ * conditional requests. Express adds the ETag and answers a matching
+ * If-None-Match or If-Modified-Since with 304 Not Modified.
+ * @param {Object} res - Express response
+ * @param {Date|string|null} lastModified - When the record last changed
+ */
+const setCacheHeaders = (res, lastModified) => {
+  res.set("Cache-Control", "no-cache");
+  if (lastModified) {
+    res.set("Last-Modified", new Date(lastModified).toUTCString());
   }
-}
+};
+
+/**
+ * Error for an upload rejected by a multer file filter
+ * @param {string} message - Message shown next to the input
+ * @param {string} field - Form field of the file
+ * @returns {Error} Error answered with a 422 field error
+ */
+const fileTypeError = (message, field) => {
+  const error = new Error(message);
+  error.code = "FILE_TYPE";
+  error.field = field;
+  return error;
+};
 
 // =============================================================================
 // MIDDLEWARE CONFIGURATION
@@ -170,17 +237,44 @@ class Validator {
 
 // Configure multer for file uploads
 const upload = multer({
-  dest: "uploads/",
+  dest: CONFIG.UPLOADS_DIR,
   fileFilter: (req, file, cb) => {
     // Only allow image files
     if (file.mimetype.startsWith("image/")) {
       cb(null, true);
     } else {
-      cb(new Error("Only image files are allowed"), false);
+      cb(fileTypeError("Only image files are allowed", file.fieldname), false);
+    }
+  },
+  limits: {
+    fileSize: CONFIG.FILE_SIZE_LIMIT,
+  },
+});
+
+// Design import: a spreadsheet plus an optional ZIP of reference images,
+// checked by extension since browsers disagree on their MIME types
+const IMPORT_UPLOAD_FIELDS = {
+  file: IMPORT_FILE_EXTENSIONS,
+  images: [IMAGE_ARCHIVE_EXTENSION],
+};
+const importUpload = multer({
+  dest: CONFIG.UPLOADS_DIR,
+  fileFilter: (req, file, cb) => {
+    const allowed = IMPORT_UPLOAD_FIELDS[file.fieldname] || [];
+    if (allowed.includes(path.extname(file.originalname).toLowerCase())) {
+      cb(null, true);
+    } else {
+      cb(
+        fileTypeError(
+          `${file.fieldname} must be a ${allowed.join(" or ")} file`,
+          file.fieldname
+        ),
+        false
+      );
     }
   },
   limits: {
-    fileSize: 10 * 1024 * 1024, // 10MB limit
+    fileSize: CONFIG.IMPORT_FILE_SIZE_LIMIT,
   },
 });
 
@@ -188,6 +282,13 @@ const upload = multer({
 app.use(express.json());
 app.use(cors());
 
+// Tag each request with an id, keeping the caller's X-Request-Id if sent
+app.use((req, res, next) => {
+  req.id = req.get("X-Request-Id") || crypto.randomUUID();
+  res.set("X-Request-Id", req.id);
+  next();
+});
+
 // Request logging middleware
 app.use((req, res, next) => {
   const startTime = Date.now();
@@ -195,6 +296,7 @@ app.use((req, res, next) => {
   res.on("finish", () => {
     const duration = Date.now() - startTime;
     Logger.info("Request completed", {
+      requestId: req.id,
       method: req.method,
       url: req.url,
       statusCode: res.statusCode,
@@ -207,714 +309,1625 @@ app.use((req, res, next) => {
   next();
 });
 
+// Initialize image storage and the sheets manager, whose reads are cached
+const storage = createStorage({ keyPrefix: CONFIG.S3_FOLDER_PREFIX });
+const sheetsCache = new SheetsCache();
+const sheetsManager = new ApparelSheetsManager(
+  process.env.SPREADSHEET_ID,
+  process.env.GOOGLE_SERVICE_ACCOUNT_KEY,
+  storage,
+  sheetsCache
+);
+
+// Local storage serves and accepts its files through signed URLs on this
+// server
+if (storage.registerRoutes) {
+  storage.registerRoutes(app);
+}
+
+// OpenAPI document and Swagger UI; the spec also lists the routes for the
+// 404 handler and the startup banner
+const openApiSpec = buildOpenApiSpec();
+registerDocsRoutes(app, openApiSpec);
+
+// =============================================================================
+// API ROUTES
+// =============================================================================
+
 /**
- * ApparelSheetsManager
- *
- * Main class for managing apparel design data with Google Sheets and AWS S3 integration.
- * Uses Google Service Account for all sheet operations (both read and write).
- */
-class ApparelSheetsManager {
-  /**
-   * Initialize the ApparelSheetsManager
-   *
-   * @param {string} spreadsheetId - Google Sheets spreadsheet ID
-   * @param {string|Object} serviceAccountCredentials - Service account credentials
-   */
-  constructor(spreadsheetId, serviceAccountCredentials) {
-    this.spreadsheetId = spreadsheetId;
-    this.serviceAccountCredentials = serviceAccountCredentials;
-    this.auth = null;
-    this.sheets = null;
-
-    // Initialize S3 client
-    this.s3Client = new S3Client({
-      region: process.env.AWS_REGION || "us-east-1",
-      credentials: {
-        accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-        secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+ * Health check endpoint
+ * Tests connections to Google Sheets and provides system status
+ */
+app.get("/health", async (req, res) => {
+  try {
+    // Test Google Sheets connection
+    const sheetsStatus = await sheetsManager.testConnection();
+
+    // Test fabric catalog access
+    let fabricTypesCount = 0;
+    try {
+      const fabricCosts = await getFabricCostMap();
+      fabricTypesCount = Object.keys(fabricCosts).length;
+    } catch (error) {
+      Logger.error("Health check: Failed to get fabric costs", error);
+    }
+
+    res.json({
+      status: "OK",
+      timestamp: new Date().toISOString(),
+      services: {
+        googleSheets: sheetsStatus,
+        storage: storage.describe(),
       },
+      fabricTypesCount,
+    });
+  } catch (error) {
+    Logger.error("Health check failed", error);
+    res.status(500).json({
+      status: "Error",
+      error: "Could not connect to services",
+      message: error.message,
+      timestamp: new Date().toISOString(),
     });
-
-    this.bucketName = process.env.AWS_S3_BUCKET_NAME;
-    this.s3BaseUrl = `https://${this.bucketName}.s3.${
-      process.env.AWS_REGION || "us-east-1"
-    }.amazonaws.com`;
   }
+});
 
-  /**
-   * Initialize Google Sheets authentication using service account
-   * Required for both read and write operations to Google Sheets
-   *
-   * @throws {Error} If service account credentials are invalid or missing
-   */
-  async initializeAuth() {
-    if (this.auth && this.sheets) {
-      return;
-    }
+/**
+ * Show what the Sheets read cache holds
+ */
+app.get("/api/cache", (req, res) => {
+  res.set("Cache-Control", "no-store");
+  res.json({
+    success: true,
+    data: sheetsCache.stats(),
+  });
+});
 
-    if (!this.serviceAccountCredentials) {
-      const error = new Error(
-        "Service account credentials are required for Sheets operations"
-      );
-      Logger.error("Missing service account credentials", error);
-      throw error;
-    }
+/**
+ * Drop cached Sheets reads, e.g. after editing the spreadsheet by hand
+ * Body: { sheets } - sheet names to drop; everything when omitted
+ */
+app.post(
+  "/api/cache/invalidate",
+  validate({ body: CACHE_INVALIDATE_SCHEMA }),
+  (req, res) => {
+    const sheets = req.body.sheets || [];
+    const invalidated = sheetsCache.invalidate(sheets);
+
+    res.json({
+      success: true,
+      message: `Invalidated ${invalidated.length} cached ranges`,
+      data: { sheets, invalidated },
+      count: invalidated.length,
+    });
+  }
+);
 
+/**
+ * Add new design with image upload to storage
+ * The reference image is either uploaded as designImage or, for a direct
+ * upload, named by imageKey. designId is optional; without it the server
+ * allocates one from DESIGN_ID_PATTERN. An Idempotency-Key header makes
+ * retries safe.
+ */
+app.post(
+  "/api/designs",
+  upload.single("designImage"),
+  validate({ body: CREATE_DESIGN_SCHEMA }),
+  idempotent(),
+  async (req, res) => {
     try {
-      const credentials =
-        typeof this.serviceAccountCredentials === "string"
-          ? JSON.parse(this.serviceAccountCredentials)
-          : this.serviceAccountCredentials;
+      const { clientCode, fabric, designerComments, dressType, imageKey } =
+        req.body;
+
+      if (!req.file && !imageKey) {
+        return sendValidationErrors(res, [
+          fieldError("designImage", "designImage or imageKey is required", {
+            location: "file",
+            code: "required",
+          }),
+        ]);
+      }
+      if (req.file && imageKey) {
+        return sendValidationErrors(res, [
+          fieldError(
+            "imageKey",
+            "Send either a designImage file or imageKey, not both"
+          ),
+        ]);
+      }
 
-      const googleAuth = new google.auth.GoogleAuth({
-        credentials,
-        scopes: ["https://www.googleapis.com/auth/spreadsheets"],
-      });
+      let image = null;
+      if (imageKey) {
+        const found = await findAttachableUpload(storage, imageKey);
+        if (!found.upload) {
+          return res
+            .status(found.status)
+            .json({ success: false, error: found.error });
+        }
+        image = found.upload;
+      }
 
-      const authClient = await googleAuth.getClient();
-      this.auth = authClient;
-      this.sheets = google.sheets({ version: "v4", auth: this.auth });
-    } catch (error) {
-      Logger.error("Failed to initialize Google Sheets API", error);
-      throw new Error(
-        `Failed to initialize Google Sheets API: ${error.message}`
+      // Use the caller's design ID if free, otherwise allocate one
+      let designId = req.body.designId;
+      if (designId) {
+        if (await isDesignIdTaken(designId)) {
+          return res.status(409).json({
+            success: false,
+            error: `Design ID ${designId} is already taken`,
+          });
+        }
+      } else {
+        designId = await allocateDesignId({ client: clientCode });
+      }
+
+      // Upload the image, append to the sheet and insert into the database,
+      // undoing the earlier steps if a later one fails
+      const { upload: s3Data, sheetResult } = await createDesign(
+        { storage, sheetsManager },
+        {
+          design: {
+            designId,
+            dateAdded: new Date().toISOString().split("T")[0],
+            client: clientCode,
+            dressType,
+            fabric,
+            comments: designerComments || "",
+            approved: approvedForStatus(INITIAL_STATUS),
+            status: INITIAL_STATUS,
+          },
+          file: req.file || null,
+          image,
+          context: auditContext(req),
+        }
       );
+
+      res.json({
+        success: true,
+        message: "Design added successfully",
+        data: {
+          designId,
+          clientCode,
+          fabric,
+          imageUrl: s3Data.url,
+          s3Key: s3Data.key,
+          dressType: dressType,
+          designerComments: designerComments || "",
+          s3Info: {
+            bucket: s3Data.bucket,
+            key: s3Data.key,
+            etag: s3Data.etag,
+            contentType: s3Data.contentType,
+          },
+          sheetUpdates: sheetResult,
+        },
+      });
+    } catch (error) {
+      Logger.error("Failed to add design", error, { body: req.body });
+      res.status(500).json({
+        success: false,
+        error: error.message,
+        ...sagaFailureDetails(error),
+      });
+    } finally {
+      // Storage removes the file it uploads; this covers the early returns
+      discardUploads(req);
     }
   }
+);
 
-  /**
-   * Upload image to AWS S3 with comprehensive metadata and error handling
-   *
-   * @param {string} filePath - Local file path of the image to upload
-   * @param {string} fileName - Original filename
-   * @param {string} clientName - Client name for organization
-   * @returns {Promise<Object>} S3 upload result with URL and metadata
-   * @throws {Error} If upload fails or S3 configuration is invalid
-   */
-  async uploadImageToS3(filePath, fileName, clientName) {
-    if (!this.bucketName) {
-      throw new Error("AWS_S3_BUCKET_NAME is required");
-    }
+/**
+ * Update a design with optional image upload to storage
+ * The sheet row written is the one the design's record links to; range only
+ * confirms it, and a range naming another row gets 409. A new final image is
+ * either uploaded as finalImage or, for a direct upload, named by
+ * finalImageKey. An Idempotency-Key header makes retries safe.
+ */
+app.put(
+  "/api/designs",
+  upload.single("finalImage"),
+  validate({ body: UPDATE_DESIGN_SCHEMA }),
+  idempotent(),
+  async (req, res) => {
+    try {
+      const { range, updatedData, finalImageKey } = req.body;
+      const parsedBody = normalizeDesignFields(updatedData);
+      const rowNumber = rowNumberFromRange(range);
+
+      if (req.file && finalImageKey) {
+        return sendValidationErrors(res, [
+          fieldError(
+            "finalImageKey",
+            "Send either a finalImage file or finalImageKey, not both"
+          ),
+        ]);
+      }
 
-    const fileExtension = path.extname(fileName);
-    const timestamp = Date.now();
-    const s3Key = `worldvastradesigns/${clientName.replace(
-      /[^a-zA-Z0-9]/g,
-      "_"
-    )}_${timestamp}${fileExtension}`;
+      if (!rowNumber) {
+        return sendValidationErrors(res, [
+          fieldError("range", "range must point at a sheet row of 1 or more", {
+            code: "range",
+          }),
+        ]);
+      }
 
-    try {
-      // Read file
-      const fileContent = fs.readFileSync(filePath);
-
-      // Determine content type
-      const contentType = this.getContentType(fileExtension);
-
-      // Upload to S3
-      const uploadCommand = new PutObjectCommand({
-        Bucket: this.bucketName,
-        Key: s3Key,
-        Body: fileContent,
-        ContentType: contentType,
-        Metadata: {
-          "client-name": clientName,
-          "original-filename": fileName,
-          "upload-timestamp": timestamp.toString(),
-        },
-      });
+      const current = await designsRepository.findById(parsedBody.designId);
+
+      if (!current) {
+        return res.status(404).json({
+          success: false,
+          error: `Design ${parsedBody.designId} not found`,
+        });
+      }
+
+      const linkedRow = rowNumberFromRange(current.rowid);
+      if (rowNumber !== linkedRow) {
+        return res.status(409).json({
+          success: false,
+          error: linkedRow
+            ? `Design ${current.design_id} is at sheet row ${linkedRow}, not ${rowNumber}`
+            : `Design ${current.design_id} has no sheet row; run the design sync first`,
+        });
+      }
 
-      const result = await this.s3Client.send(uploadCommand);
+      // Status only changes through the transition routes; approved follows it
+      if (
+        parsedBody.status !== undefined &&
+        parsedBody.status !== current.status
+      ) {
+        return res.status(409).json({
+          success: false,
+          error: `Status cannot be changed here; use the transition routes (${Object.keys(
+            DESIGN_TRANSITIONS
+          ).join(", ")})`,
+        });
+      }
+      parsedBody.status = current.status;
+      parsedBody.approved = approvedForStatus(current.status);
+
+      let image = null;
+      if (finalImageKey) {
+        const found = await findAttachableUpload(storage, finalImageKey);
+        if (!found.upload) {
+          return res
+            .status(found.status)
+            .json({ success: false, error: found.error });
+        }
+        image = found.upload;
+      }
 
-      // Clean up local file
-      fs.unlinkSync(filePath);
+      // Upload, sheet row and database record are undone together on failure
+      const { sheetResult: response } = await updateDesign(
+        { storage, sheetsManager },
+        {
+          design: parsedBody,
+          current,
+          file: req.file || null,
+          image,
+          context: auditContext(req),
+        }
+      );
 
-      return {
-        key: s3Key,
-        url: `${this.s3BaseUrl}/${s3Key}`,
-        etag: result.ETag,
-        bucket: this.bucketName,
-        contentType: contentType,
-      };
+      res.json({
+        success: true,
+        message: `Sheet updated at range ${range}`,
+        updatedCells: response.updatedCells,
+        updatedRange: response.updatedRange,
+      });
     } catch (error) {
-      Logger.error("S3 upload failed", error, {
-        filePath,
-        fileName,
-        clientName,
+      Logger.error("Failed to update design", error, { body: req.body });
+      res.status(500).json({
+        success: false,
+        error: error.message,
+        ...sagaFailureDetails(error),
       });
-      if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
-      throw new Error(`Failed to upload image to S3: ${error.message}`);
+    } finally {
+      // Storage removes the file it uploads; this covers the early returns
+      discardUploads(req);
     }
   }
+);
 
-  /**
-   * Generate signed URL for temporary access to S3 object
-   * @param {string} s3Key - S3 object key
-   * @param {number} expiresIn - URL expiration time in seconds
-   * @returns {Promise<string>} Signed URL
-   */
-  async generateSignedUrl(s3Key, expiresIn = 3600) {
+/**
+ * List designs with filters, sorting and pagination
+ */
+app.get(
+  "/api/designs",
+  validate({ query: DESIGN_LIST_SCHEMA }),
+  async (req, res) => {
     try {
-      const command = new GetObjectCommand({
-        Bucket: this.bucketName,
-        Key: s3Key,
-      });
+      const { errors, conditions, options, page } = parseDesignListQuery(
+        req.query
+      );
 
-      const signedUrl = await getSignedUrl(this.s3Client, command, {
-        expiresIn,
+      if (errors.length > 0) {
+        return sendValidationErrors(res, errors);
+      }
+
+      const [rows, total] = await Promise.all([
+        designsRepository.findMany(conditions, options),
+        designsRepository.count(conditions),
+      ]);
+      const { designs, pagination } = buildPage(page, rows, total);
+
+      res.json({
+        success: true,
+        data: designs,
+        count: designs.length,
+        pagination,
       });
-      return signedUrl;
     } catch (error) {
-      Logger.error("Failed to generate signed URL", error, { s3Key });
-      throw new Error(`Failed to generate signed URL: ${error.message}`);
+      Logger.error("Failed to list designs", error, { query: req.query });
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
     }
   }
+);
 
-  /**
-   * Delete image from S3
-   * @param {string} s3Key - S3 object key to delete
-   * @returns {Promise<Object>} Deletion result
-   */
-  async deleteImageFromS3(s3Key) {
+/**
+ * Start a direct upload of a design image
+ * Returns a presigned PUT URL for the given type and size; once the file is
+ * sent, confirm it and pass its key to POST or PUT /api/designs.
+ */
+app.post(
+  "/api/uploads/presign",
+  validate({ body: UPLOAD_PRESIGN_SCHEMA }),
+  async (req, res) => {
     try {
-      const deleteCommand = new DeleteObjectCommand({
-        Bucket: this.bucketName,
-        Key: s3Key,
-      });
+      const { fileName, contentType } = req.body;
 
-      await this.s3Client.send(deleteCommand);
-      return { success: true, message: `Deleted ${s3Key} from S3` };
-    } catch (error) {
-      Logger.error("Failed to delete image from S3", error, { s3Key });
-      throw new Error(`Failed to delete image from S3: ${error.message}`);
-    }
-  }
-
-  /**
-   * Get content type based on file extension
-   * @param {string} extension - File extension
-   * @returns {string} MIME type
-   */
-  getContentType(extension) {
-    const mimeTypes = {
-      ".jpg": "image/jpeg",
-      ".jpeg": "image/jpeg",
-      ".png": "image/png",
-      ".gif": "image/gif",
-      ".webp": "image/webp",
-      ".bmp": "image/bmp",
-      ".tiff": "image/tiff",
-      ".svg": "image/svg+xml",
-    };
-    return mimeTypes[extension.toLowerCase()] || "application/octet-stream";
-  }
-
-  /**
-   * Add new design to Google Sheets
-   * @param {Object} designData - Design data to add
-   * @returns {Promise<Object>} Sheet update result
-   */
-  async addDesign(designData) {
-    await this.initializeAuth();
+      if (!extensionMatches(storage, fileName, contentType)) {
+        return sendValidationErrors(res, [
+          fieldError(
+            "fileName",
+            `fileName must have an extension for ${contentType}`
+          ),
+        ]);
+      }
 
-    try {
-      const range = "Designs!A:N";
-      const values = [
-        [
-          designData.designId, // Design ID - generate this dynamically
-          new Date().toISOString().split("T")[0], // Date
-          designData.clientName,
-          designData.dressType,
-          designData.fabric,
-          designData.designerComments,
-          designData.imageUrl,
-          designData.s3Key || "",
-          "",
-          "",
-          "",
-          "",
-          "",
-          false,
-        ],
-      ];
-
-      const response = await this.sheets.spreadsheets.values.append({
-        spreadsheetId: this.spreadsheetId,
-        range: range,
-        valueInputOption: "RAW",
-        resource: {
-          values: values,
-        },
-      });
+      const ticket = await presignUpload(storage, req.body);
 
-      return {
-        updatedRows: response.data.updates.updatedRows,
-        updatedRange: response.data.updates.updatedRange,
-      };
+      res.json({
+        success: true,
+        message: `Upload ${ticket.key} ready`,
+        data: ticket,
+      });
     } catch (error) {
-      Logger.error("Failed to add design to sheet", error, designData);
-      throw new Error(`Failed to add design to sheet: ${error.message}`);
+      Logger.error("Failed to presign upload", error, { body: req.body });
+      res.status(writeErrorStatus(error)).json({
+        success: false,
+        error: error.message,
+      });
     }
   }
+);
 
-  /**
-   * Get all designs from Google Sheets using Service Account
-   * @param {number} limit - Maximum number of designs to return
-   * @param {boolean} includeSignedUrls - Whether to generate signed URLs
-   * @returns {Promise<Array>} Array of design objects
-   */
-  async getDesigns(limit = null, includeSignedUrls = false) {
-    await this.initializeAuth();
-
+/**
+ * Confirm a direct upload: check the object arrived with the type and size
+ * it was signed for
+ */
+app.post(
+  "/api/uploads/confirm",
+  validate({ body: UPLOAD_CONFIRM_SCHEMA }),
+  async (req, res) => {
     try {
-      const range = "Designs!A:G";
-      const response = await this.sheets.spreadsheets.values.get({
-        spreadsheetId: this.spreadsheetId,
-        range: range,
-      });
-
-      const rows = response.data.values;
-      if (!rows || rows.length === 0) {
-        return [];
-      }
-
-      const headers = [
-        "date",
-        "clientName",
-        "fabric",
-        "imageUrl",
-        "s3Key",
-        "designerComments",
-        "status",
-      ];
-      const dataRows = rows.slice(1); // Skip header row
-
-      let designs = dataRows.map((row, index) => {
-        const design = { id: index + 1 };
-        headers.forEach((header, i) => {
-          design[header] = row[i] || "";
-        });
-        return design;
-      });
-
-      // Generate signed URLs if requested
-      if (includeSignedUrls) {
-        for (let design of designs) {
-          if (design.s3Key) {
-            try {
-              design.signedUrl = await this.generateSignedUrl(design.s3Key);
-            } catch (error) {
-              Logger.error("Failed to generate signed URL", error, {
-                designId: design.id,
-                s3Key: design.s3Key,
-              });
-              design.signedUrl = null;
-            }
-          }
-        }
-      }
+      const outcome = await confirmUpload(storage, req.body.key);
 
-      // Apply limit if specified
-      if (limit && limit > 0) {
-        designs = designs.slice(0, limit);
+      if (!outcome.upload) {
+        return res
+          .status(outcome.status)
+          .json({ success: false, error: outcome.error });
       }
 
-      return designs;
+      res.json({
+        success: true,
+        message: `Upload ${outcome.upload.key} confirmed`,
+        data: outcome.upload,
+      });
     } catch (error) {
-      Logger.error("Error getting designs from sheet", error);
-      throw new Error(`Error getting designs: ${error.message}`);
+      Logger.error("Failed to confirm upload", error, { body: req.body });
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
     }
   }
+);
 
-  /**
-   * Get all fabric costs from Google Sheets using Service Account
-   * @returns {Promise<Object>} Fabric costs data
-   */
-  async getFabricCosts() {
-    await this.initializeAuth();
-
+/**
+ * Create designs in bulk from a CSV or XLSX file, with an optional ZIP of
+ * reference images matched by filename. Reports each row as created, skipped
+ * or errored; dryRun checks the rows without writing anything.
+ */
+app.post(
+  "/api/designs/import",
+  importUpload.fields([
+    { name: "file", maxCount: 1 },
+    { name: "images", maxCount: 1 },
+  ]),
+  validate({
+    body: DESIGN_IMPORT_SCHEMA,
+    file: { name: "file", required: true },
+  }),
+  idempotent(),
+  async (req, res) => {
     try {
-      const range = "Fabric!A:D";
-      const response = await this.sheets.spreadsheets.values.get({
-        spreadsheetId: this.spreadsheetId,
-        range: range,
-      });
-
-      const rows = response.data.values;
-      if (!rows || rows.length === 0) {
-        return {};
+      const { dryRun } = req.body;
+      const [file] = req.files.file;
+      const [archive] = req.files.images || [];
+
+      const sheet = await readImportFile(file.path, file.originalname);
+      const archiveResult = archive
+        ? await readImageArchive(archive.path)
+        : { errors: [], images: null };
+
+      const errors = [...sheet.errors, ...archiveResult.errors];
+      if (errors.length > 0) {
+        return sendValidationErrors(res, errors);
       }
 
-      const headers = rows[0];
-      const dataRows = rows.slice(1);
-      const fabricCosts = {};
-
-      dataRows.forEach((row) => {
-        const fabricType = row[0];
-        if (fabricType) {
-          fabricCosts[fabricType] = {
-            costPerMeter: parseFloat(row[1]) || 0,
-            supplier: row[2] || "",
-            description: row[3] || "",
-          };
+      const report = await importDesigns(
+        { storage, sheetsManager },
+        {
+          rows: sheet.rows,
+          images: archiveResult.images,
+          dryRun,
+          uploadsDir: CONFIG.UPLOADS_DIR,
+          context: auditContext(req),
+          req,
         }
-      });
+      );
 
-      return fabricCosts;
+      const { summary } = report;
+      res.json({
+        success: true,
+        message: dryRun
+          ? `Dry run: ${summary.valid} of ${summary.total} rows would be created`
+          : `Created ${summary.created} of ${summary.total} designs`,
+        data: { ...report, ignoredColumns: sheet.ignoredColumns },
+      });
     } catch (error) {
-      Logger.error("Error getting fabric costs from sheet", error);
-      throw new Error(`Error getting fabric costs: ${error.message}`);
+      Logger.error("Failed to import designs", error, { body: req.body });
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    } finally {
+      // The spreadsheet and archive are only read; extracted images are
+      // removed by storage as they are uploaded
+      discardUploads(req);
     }
   }
+);
 
-  /**
-   * Get fabric usage data from Google Sheets using Service Account
-   * @returns {Promise<Object>} Fabric usage data
-   */
-  async getFabricUsage() {
-    await this.initializeAuth();
-
+/**
+ * Export designs matching the listing filters as a CSV or XLSX download
+ * (registered before /api/designs/:designId so "export" is not read as an ID)
+ */
+app.get(
+  "/api/designs/export",
+  validate({ query: DESIGN_EXPORT_SCHEMA }),
+  async (req, res) => {
     try {
-      const range = "Usage!A:B";
-      const response = await this.sheets.spreadsheets.values.get({
-        spreadsheetId: this.spreadsheetId,
-        range: range,
-      });
+      const { errors, conditions, options } = parseDesignListQuery(req.query);
 
-      const rows = response.data.values;
-      if (!rows || rows.length === 0) {
-        return {};
+      if (errors.length > 0) {
+        return sendValidationErrors(res, errors);
       }
 
-      const dataRows = rows.slice(1); // Skip header row
-      const dressMetreUsage = {};
-
-      dataRows.forEach((row) => {
-        const dressType = row[0];
-        if (dressType) {
-          dressMetreUsage[dressType] = {
-            metres: parseFloat(row[1]) || 0,
-          };
-        }
+      const { format, columns, asOf } = req.query;
+      const count = await exportDesigns(res, {
+        conditions,
+        orderBy: options.orderBy,
+        format,
+        columns,
+        asOf,
       });
 
-      return dressMetreUsage;
+      Logger.info("Designs exported", { format, count });
     } catch (error) {
-      Logger.error("Error getting fabric usage from sheet", error);
-      throw new Error(`Error getting fabric usage: ${error.message}`);
+      Logger.error("Failed to export designs", error, { query: req.query });
+      // Once streaming has started the status line is gone; cut the download
+      // short so the client sees an incomplete file rather than a valid one
+      if (res.headersSent) {
+        return res.destroy(error);
+      }
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
     }
   }
+);
 
-  /**
-   * Test connection to Google Sheets
-   * @returns {Promise<Object>} Connection test result
-   */
-  async testConnection() {
+/**
+ * Get a single design by design ID
+ */
+app.get(
+  "/api/designs/:designId",
+  validate({ params: DESIGN_PARAMS_SCHEMA }),
+  async (req, res) => {
     try {
-      await this.initializeAuth();
-
-      // Try to get spreadsheet metadata
-      const response = await this.sheets.spreadsheets.get({
-        spreadsheetId: this.spreadsheetId,
+      const designId = req.params.designId;
+      const design = await designsRepository.findById(designId);
+      const designs = design ? [design] : [];
+      if (design) {
+        setCacheHeaders(res, design.updated_at);
+      }
+      res.json({
+        success: true,
+        message: "Design fetched successfully",
+        data: designs,
       });
-
-      return {
-        connected: true,
-        spreadsheetTitle: response.data.properties.title,
-        sheetCount: response.data.sheets.length,
-        lastModified: response.data.properties.timeZone,
-      };
     } catch (error) {
-      Logger.error("Google Sheets connection test failed", error);
-      return {
-        connected: false,
+      Logger.error("Failed to get designs", error);
+      res.status(500).json({
+        success: false,
         error: error.message,
-      };
+      });
     }
   }
-}
-
-// Initialize the sheets manager
-const sheetsManager = new ApparelSheetsManager(
-  process.env.SPREADSHEET_ID,
-  process.env.GOOGLE_SERVICE_ACCOUNT_KEY
 );
 
-// =============================================================================
-// API ROUTES
-// =============================================================================
-
 /**
- * Health check endpoint
- * Tests connections to Google Sheets and provides system status
+ * Delete a design. By default it is soft-deleted: hidden from listings and
+ * struck through in the sheet until restored. ?hard=true purges the record,
+ * clears its sheet row and deletes its images from storage.
  */
-app.get("/health", async (req, res) => {
-  try {
-    // Test Google Sheets connection
-    const sheetsStatus = await sheetsManager.testConnection();
-
-    // Test fabric costs access
-    let fabricTypesCount = 0;
+app.delete(
+  "/api/designs/:designId",
+  validate({ params: DESIGN_PARAMS_SCHEMA, query: DESIGN_DELETE_QUERY_SCHEMA }),
+  idempotent(),
+  async (req, res) => {
     try {
-      const fabricCosts = await sheetsManager.getFabricCosts();
-      fabricTypesCount = Object.keys(fabricCosts).length;
-    } catch (error) {
-      Logger.error("Health check: Failed to get fabric costs", error);
-    }
+      const { designId } = req.params;
+      const { hard } = req.query;
 
-    res.json({
-      status: "OK",
-      timestamp: new Date().toISOString(),
-      services: {
-        googleSheets: sheetsStatus,
-        s3: {
-          configured: !!(
-            process.env.AWS_S3_BUCKET_NAME &&
-            process.env.AWS_ACCESS_KEY_ID &&
-            process.env.AWS_SECRET_ACCESS_KEY
-          ),
-          bucket: process.env.AWS_S3_BUCKET_NAME,
-          region: process.env.AWS_REGION || "us-east-1",
-        },
-      },
-      fabricTypesCount,
-    });
-  } catch (error) {
-    Logger.error("Health check failed", error);
-    res.status(500).json({
-      status: "Error",
-      error: "Could not connect to services",
-      message: error.message,
-      timestamp: new Date().toISOString(),
-    });
+      const current = await designsRepository.findById(designId, {
+        includeDeleted: true,
+      });
+
+      if (!current) {
+        return res.status(404).json({
+          success: false,
+          error: `Design ${designId} not found`,
+        });
+      }
+
+      if (hard) {
+        const result = await purgeDesign(
+          { storage, sheetsManager },
+          { current, context: auditContext(req) }
+        );
+
+        return res.json({
+          success: true,
+          message: `Design ${designId} purged`,
+          data: {
+            designId,
+            rowNumber: result.rowNumber,
+            images: result.images,
+          },
+        });
+      }
+
+      if (current.deleted_at !== null) {
+        return res.status(409).json({
+          success: false,
+          error: `Design ${designId} is already deleted`,
+        });
+      }
+
+      const { record } = await deleteDesign(
+        { sheetsManager },
+        { current, context: auditContext(req) }
+      );
+
+      res.json({
+        success: true,
+        message: `Design ${designId} deleted; restore it with POST /api/designs/${designId}/restore`,
+        data: record,
+      });
+    } catch (error) {
+      Logger.error("Failed to delete design", error, {
+        params: req.params,
+        query: req.query,
+      });
+      res.status(500).json({
+        success: false,
+        error: error.message,
+        ...sagaFailureDetails(error),
+      });
+    }
   }
-});
+);
 
 /**
- * Add new design with image upload to S3
+ * Restore a soft-deleted design
  */
-app.post("/api/designs", upload.single("designImage"), async (req, res) => {
-  try {
-    const { designId, clientCode, fabric, designerComments, dressType } =
-      req.body;
-
-    // Validate required fields
-    Validator.validateRequiredFields(req.body, [
-      "designId",
-      "clientCode",
-      "fabric",
-    ]);
+app.post(
+  "/api/designs/:designId/restore",
+  validate({ params: DESIGN_PARAMS_SCHEMA }),
+  idempotent(),
+  async (req, res) => {
+    try {
+      const { designId } = req.params;
+      const current = await designsRepository.findById(designId, {
+        includeDeleted: true,
+      });
+
+      if (!current) {
+        return res.status(404).json({
+          success: false,
+          error: `Design ${designId} not found`,
+        });
+      }
+
+      if (current.deleted_at === null) {
+        return res.status(409).json({
+          success: false,
+          error: `Design ${designId} is not deleted`,
+        });
+      }
 
-    if (!req.file) {
-      return res.status(400).json({
+      const { record } = await restoreDesign(
+        { sheetsManager },
+        { current, context: auditContext(req) }
+      );
+
+      res.json({
+        success: true,
+        message: `Design ${designId} restored`,
+        data: record,
+      });
+    } catch (error) {
+      Logger.error("Failed to restore design", error, { params: req.params });
+      res.status(500).json({
         success: false,
-        error: "Design image is required",
+        error: error.message,
+        ...sagaFailureDetails(error),
       });
     }
+  }
+);
 
-    // Validate uploaded file
-    Validator.validateFile(req.file);
-
-    // Upload image to S3
-    const s3Data = await sheetsManager.uploadImageToS3(
-      req.file.path,
-      req.file.originalname,
-      clientCode
-    );
+/**
+ * Apply a workflow transition to a design
+ * Body: { reason } - required to reject, checked by transitionSchemas. The
+ * actor comes from the X-Actor header or an actor field in the body.
+ * @param {string} action - Transition name from DESIGN_TRANSITIONS
+ * @returns {Function} Express route handler
+ */
+const handleTransition = (action) => async (req, res) => {
+  try {
+    const { designId } = req.params;
+    const actor = getActor(req);
+    const reason = req.body.reason || null;
+
+    if (!actor) {
+      return sendValidationErrors(res, [
+        fieldError(
+          "actor",
+          "actor is required (X-Actor header or actor field)",
+          { code: "required" }
+        ),
+      ]);
+    }
 
-    // Add design data to Google Sheets
-    const designData = {
-      designId,
-      clientCode,
-      fabric,
-      imageUrl: s3Data.url,
-      s3Key: s3Data.key,
-      dressType: dressType,
-      designerComments: designerComments || "",
-    };
-
-    const sheetResult = await sheetsManager.addDesign(designData);
-    const newDesign = await addToDB("sampling_designs", {
-      design_id: designData.designId,
-      date_added: new Date().toISOString().split("T")[0],
-      dress_type: designData.dressType,
-      client: designData.clientCode,
-      fabric: designData.fabric,
-      comments: designData.designerComments,
-      reference_image: designData.imageUrl,
-      rowid: sheetResult.updatedRange,
-      approved: "False",
+    // Checked against the locked row, so a transition that loses a race
+    // with another answers 409 rather than failing
+    const result = await transitionDesign(sheetsManager, designId, action, {
+      actor,
+      reason,
+      requestId: req.id,
     });
+
+    if (result.status) {
+      return res.status(result.status).json({
+        success: false,
+        error: result.error,
+      });
+    }
+
     res.json({
       success: true,
-      message: "Design added successfully",
-      data: {
-        ...designData,
-        s3Info: {
-          bucket: s3Data.bucket,
-          key: s3Data.key,
-          etag: s3Data.etag,
-          contentType: s3Data.contentType,
-        },
-        sheetUpdates: sheetResult,
-      },
+      message: `Design ${designId} moved from ${result.transition.from_status} to ${result.transition.to_status}`,
+      data: result,
     });
   } catch (error) {
-    Logger.error("Failed to add design", error, { body: req.body });
+    Logger.error("Failed to transition design", error, {
+      action,
+      params: req.params,
+      body: req.body,
+    });
     res.status(500).json({
       success: false,
       error: error.message,
     });
   }
-});
+};
 
 /**
- * Update a design with optional image upload to S3
+ * Move a draft design into sampling
  */
-app.put("/api/designs", upload.single("finalImage"), async (req, res) => {
-  try {
-    const { range, updatedData } = req.body;
-    Validator.validateRequiredFields(req.body, ["range", "updatedData"]);
-    const parsedBody = JSON.parse(updatedData);
-    if (req.file) {
-      const s3Data = await sheetsManager.uploadImageToS3(
-        req.file.path,
-        req.file.originalname,
-        parsedBody.client
-      );
-      parsedBody.finalDressUrl = s3Data.url;
-    }
-
-    // Define the correct order of columns to match the Google Sheet
-    const orderedColumns = [
-      "designId",
-      "dateAdded",
-      "client",
-      "dressType",
-      "fabric",
-      "comments",
-      "referenceImageUrl",
-      "referenceImages3Key",
-      "fabricLength",
-      "liningfabric",
-      "liningLength",
-      "embroidery",
-      "finalDressUrl",
-      "approved",
-    ];
-
-    // Convert object to array based on column order
-    const rowData = orderedColumns.map((col) => parsedBody[col] || "");
-    await sheetsManager.initializeAuth();
-
-    const response = await sheetsManager.sheets.spreadsheets.values.update({
-      spreadsheetId: sheetsManager.spreadsheetId,
-      range: range, // e.g., "Designs!A25:H25"
-      valueInputOption: "RAW",
-      resource: {
-        values: [rowData],
-      },
-    });
-    const updatedDesign = await updateInDB(
-      "sampling_designs",
-      {
-        date_added: parsedBody.dateAdded,
-        client: parsedBody.client,
-        fabric: parsedBody.fabric,
-        comments: parsedBody.comments,
-        reference_image: parsedBody.referenceImageUrl,
-        s3_key: parsedBody.referenceImages3Key,
-        dress_type: parsedBody.dress_type,
-        approved: parsedBody.approved,
-        final_dress: parsedBody.final_dress,
-      },
-      { design_id: parsedBody.designId }
-    );
+app.post(
+  "/api/designs/:designId/start-sampling",
+  validate(transitionSchemas("start-sampling")),
+  idempotent(),
+  handleTransition("start-sampling")
+);
 
-    res.json({
-      success: true,
-      message: `Sheet updated at range ${range}`,
-      updatedCells: response.data.updatedCells,
-      updatedRange: response.data.updatedRange,
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message,
-    });
+/**
+ * Submit a sampled design for review
+ */
+app.post(
+  "/api/designs/:designId/submit",
+  validate(transitionSchemas("submit")),
+  idempotent(),
+  handleTransition("submit")
+);
+
+/**
+ * Approve a design under review
+ */
+app.post(
+  "/api/designs/:designId/approve",
+  validate(transitionSchemas("approve")),
+  idempotent(),
+  handleTransition("approve")
+);
+
+/**
+ * Reject a design under review, with a reason
+ */
+app.post(
+  "/api/designs/:designId/reject",
+  validate(transitionSchemas("reject")),
+  idempotent(),
+  handleTransition("reject")
+);
+
+/**
+ * Send a rejected design back to sampling
+ */
+app.post(
+  "/api/designs/:designId/rework",
+  validate(transitionSchemas("rework")),
+  idempotent(),
+  handleTransition("rework")
+);
+
+/**
+ * Move an approved design into production
+ */
+app.post(
+  "/api/designs/:designId/start-production",
+  validate(transitionSchemas("start-production")),
+  idempotent(),
+  handleTransition("start-production")
+);
+
+/**
+ * Get the audit history of a design: every create, update, delete and restore
+ * with the fields it changed, oldest first
+ */
+app.get(
+  "/api/designs/:designId/history",
+  validate({ params: DESIGN_PARAMS_SCHEMA }),
+  async (req, res) => {
+    try {
+      const history = await getDesignHistory(req.params.designId);
+
+      if (history.length === 0) {
+        const design = await designsRepository.findById(req.params.designId, {
+          includeDeleted: true,
+        });
+        if (!design) {
+          return res.status(404).json({
+            success: false,
+            error: `Design ${req.params.designId} not found`,
+          });
+        }
+      }
+
+      res.json({
+        success: true,
+        data: history,
+        count: history.length,
+      });
+    } catch (error) {
+      Logger.error("Failed to get design history", error, {
+        params: req.params,
+      });
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
   }
-});
+);
 
 /**
- * Get all designs with optional filters
+ * Get the workflow transitions of a design, oldest first
  */
-app.get("/api/designs/:designId", async (req, res) => {
-  try {
-    const designId = req.params.designId;
-    const designs = await getFromDB(
-      "sampling_designs",
-      {
-        design_id: designId,
-      },
-      {
-        limit: 1,
+app.get(
+  "/api/designs/:designId/transitions",
+  validate({ params: DESIGN_PARAMS_SCHEMA }),
+  async (req, res) => {
+    try {
+      const transitions = await getTransitions(req.params.designId);
+
+      if (transitions.length === 0) {
+        const design = await designsRepository.findById(req.params.designId, {
+          includeDeleted: true,
+        });
+        if (!design) {
+          return res.status(404).json({
+            success: false,
+            error: `Design ${req.params.designId} not found`,
+          });
+        }
       }
-    );
-    res.json({
-      success: true,
-      message: "Design fetched successfully",
-      data: designs,
-    });
-  } catch (error) {
-    Logger.error("Failed to get designs", error);
-    res.status(500).json({
-      success: false,
-      error: error.message,
-    });
+
+      res.json({
+        success: true,
+        data: transitions,
+        count: transitions.length,
+      });
+    } catch (error) {
+      Logger.error("Failed to get design transitions", error, {
+        params: req.params,
+      });
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
   }
-});
+);
 
 /**
- * Get all fabric costs
+ * Get itemised fabric cost for a stored design, priced as of its date added
+ * or ?asOf=YYYY-MM-DD. ?size picks the usage figures when the design has no
+ * fabric length.
  */
-app.get("/api/fabric-costs", async (req, res) => {
-  try {
-    const fabricCosts = await sheetsManager.getFabricCosts();
+app.get(
+  "/api/designs/:designId/cost",
+  validate({ params: DESIGN_PARAMS_SCHEMA, query: DESIGN_COST_QUERY_SCHEMA }),
+  async (req, res) => {
+    try {
+      const designId = req.params.designId;
 
-    res.json({
-      success: true,
-      data: fabricCosts,
-      count: Object.keys(fabricCosts).length,
-    });
-  } catch (error) {
-    Logger.error("Failed to get fabric costs", error);
-    res.status(500).json({
-      success: false,
-      error: error.message,
-    });
+      const design = await designsRepository.findById(designId);
+
+      if (!design) {
+        return res.status(404).json({
+          success: false,
+          error: `Design ${designId} not found`,
+        });
+      }
+
+      // Price the design as of the day it was added unless told otherwise
+      const { dateAdded } = recordToDesign(design);
+      const asOf =
+        req.query.asOf || (isValidDate(dateAdded) ? dateAdded : null);
+
+      const [fabricCosts, usageEntries] = await Promise.all([
+        getFabricCostMap(asOf),
+        listUsage(),
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          designId,
+          priceDate: asOf,
+          ...estimateCost(
+            { ...designRecordToCostInput(design), size: req.query.size },
+            fabricCosts,
+            usageEntries
+          ),
+        },
+      });
+    } catch (error) {
+      Logger.error("Failed to calculate design cost", error, {
+        designId: req.params.designId,
+      });
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
   }
-});
+);
 
 /**
- * Get fabric usage data
+ * Estimate fabric cost for design fields without storing anything
  */
-app.get("/api/fabric-usage", async (req, res) => {
+app.post(
+  "/api/cost-estimate",
+  validate({ body: COST_ESTIMATE_SCHEMA }),
+  async (req, res) => {
+    try {
+      const {
+        fabric,
+        dressType,
+        fabricLength,
+        liningFabric,
+        liningLength,
+        size,
+        asOf,
+      } = req.body;
+
+      if (!dressType && !parseLength(fabricLength)) {
+        const message = "Either dressType or fabricLength is required";
+        return sendValidationErrors(res, [
+          fieldError("dressType", message, { code: "required" }),
+          fieldError("fabricLength", message, { code: "required" }),
+        ]);
+      }
+
+      const [fabricCosts, usageEntries] = await Promise.all([
+        getFabricCostMap(asOf || null),
+        listUsage(),
+      ]);
+
+      res.json({
+        success: true,
+        data: estimateCost(
+          { fabric, dressType, fabricLength, liningFabric, liningLength, size },
+          fabricCosts,
+          usageEntries
+        ),
+      });
+    } catch (error) {
+      Logger.error("Failed to estimate cost", error, { body: req.body });
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * Get all fabric costs, optionally as of a past date (?asOf=YYYY-MM-DD)
+ */
+app.get(
+  "/api/fabric-costs",
+  validate({ query: FABRIC_COSTS_QUERY_SCHEMA }),
+  async (req, res) => {
+    try {
+      const fabricCosts = await getFabricCostMap(req.query.asOf || null);
+
+      res.json({
+        success: true,
+        data: fabricCosts,
+        count: Object.keys(fabricCosts).length,
+      });
+    } catch (error) {
+      Logger.error("Failed to get fabric costs", error);
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * List the fabric catalog
+ * Query: supplier
+ */
+app.get(
+  "/api/fabrics",
+  validate({ query: FABRIC_LIST_QUERY_SCHEMA }),
+  async (req, res) => {
+    try {
+      const fabrics = await listFabrics({ supplier: req.query.supplier });
+
+      res.json({
+        success: true,
+        data: fabrics,
+        count: fabrics.length,
+      });
+    } catch (error) {
+      Logger.error("Failed to list fabrics", error);
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * Import the Fabric sheet into the fabric catalog
+ * Body: { overwrite: boolean } - also update fabrics already in the catalog
+ */
+app.post(
+  "/api/fabrics/import",
+  validate({ body: FABRIC_IMPORT_SCHEMA }),
+  async (req, res) => {
+    try {
+      const { overwrite } = req.body;
+      const report = await importFabricsFromSheet(sheetsManager, { overwrite });
+
+      res.json({
+        success: true,
+        message: `Imported ${report.created.length} new fabrics from the Fabric sheet`,
+        data: report,
+      });
+    } catch (error) {
+      Logger.error("Failed to import fabrics from sheet", error);
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * Get one fabric by type
+ */
+app.get(
+  "/api/fabrics/:fabricType",
+  validate({ params: FABRIC_PARAMS_SCHEMA }),
+  async (req, res) => {
+    try {
+      const fabric = await getFabric(req.params.fabricType);
+
+      if (!fabric) {
+        return res.status(404).json({
+          success: false,
+          error: `Fabric ${req.params.fabricType} not found`,
+        });
+      }
+
+      setCacheHeaders(res, fabric.updatedAt);
+      res.json({
+        success: true,
+        data: fabric,
+      });
+    } catch (error) {
+      Logger.error("Failed to get fabric", error, { params: req.params });
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * Get the price history of a fabric, oldest first
+ */
+app.get(
+  "/api/fabrics/:fabricType/price-history",
+  validate({ params: FABRIC_PARAMS_SCHEMA }),
+  async (req, res) => {
+    try {
+      const { fabricType } = req.params;
+
+      if (!(await getFabric(fabricType))) {
+        return res.status(404).json({
+          success: false,
+          error: `Fabric ${fabricType} not found`,
+        });
+      }
+
+      const history = await getPriceHistory(fabricType);
+
+      res.json({
+        success: true,
+        data: { fabricType, prices: history },
+        count: history.length,
+      });
+    } catch (error) {
+      Logger.error("Failed to get fabric price history", error, {
+        params: req.params,
+      });
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * Add a fabric to the catalog
+ */
+app.post(
+  "/api/fabrics",
+  validate({ body: FABRIC_SCHEMA }),
+  async (req, res) => {
+    try {
+      if (await getFabric(req.body.fabricType)) {
+        return res.status(409).json({
+          success: false,
+          error: `Fabric ${req.body.fabricType} already exists`,
+        });
+      }
+
+      const fabric = await createFabric(req.body);
+
+      res.status(201).json({
+        success: true,
+        message: "Fabric added successfully",
+        data: fabric,
+      });
+    } catch (error) {
+      Logger.error("Failed to add fabric", error, { body: req.body });
+      res.status(writeErrorStatus(error)).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * Update a fabric in the catalog
+ */
+app.put(
+  "/api/fabrics/:fabricType",
+  validate({
+    params: FABRIC_PARAMS_SCHEMA,
+    body: partialSchema(FABRIC_SCHEMA),
+  }),
+  async (req, res) => {
+    try {
+      const { fabricType } = req.params;
+      const { fabricType: renamed, ...changes } = req.body;
+
+      const errors = [];
+      if (renamed !== undefined && renamed !== fabricType) {
+        errors.push(fieldError("fabricType", "fabricType cannot be changed"));
+      }
+      if (Object.keys(changes).length === 0) {
+        errors.push(
+          fieldError("body", "No fabric fields provided for update", {
+            code: "required",
+          })
+        );
+      }
+      if (errors.length > 0) {
+        return sendValidationErrors(res, errors);
+      }
+
+      if (!(await getFabric(fabricType))) {
+        return res.status(404).json({
+          success: false,
+          error: `Fabric ${fabricType} not found`,
+        });
+      }
+
+      const fabric = await updateFabric(fabricType, changes);
+
+      res.json({
+        success: true,
+        message: "Fabric updated successfully",
+        data: fabric,
+      });
+    } catch (error) {
+      Logger.error("Failed to update fabric", error, {
+        params: req.params,
+        body: req.body,
+      });
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * Remove a fabric from the catalog along with its price history
+ * Refused with 409 while a design names the fabric
+ */
+app.delete(
+  "/api/fabrics/:fabricType",
+  validate({ params: FABRIC_PARAMS_SCHEMA }),
+  async (req, res) => {
+    try {
+      const result = await deleteFabric(req.params.fabricType);
+
+      if (result.status) {
+        return res.status(result.status).json({
+          success: false,
+          error: result.error,
+        });
+      }
+
+      res.json({
+        success: true,
+        message: `Fabric ${req.params.fabricType} deleted`,
+        data: result.fabric,
+      });
+    } catch (error) {
+      Logger.error("Failed to delete fabric", error, { params: req.params });
+      // A price added while the history was being removed makes the foreign
+      // key refuse the delete
+      res.status(writeErrorStatus(error)).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * List usage entries
+ * Query: dressType, size
+ */
+app.get(
+  "/api/usage",
+  validate({ query: USAGE_LIST_QUERY_SCHEMA }),
+  async (req, res) => {
+    try {
+      const entries = await listUsage({
+        dressType: req.query.dressType,
+        size: req.query.size,
+      });
+
+      res.json({
+        success: true,
+        data: entries,
+        count: entries.length,
+      });
+    } catch (error) {
+      Logger.error("Failed to list usage", error, { query: req.query });
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * Look up the metres a dress type needs in a size and fabric width
+ * Query: dressType (required), size, and either fabricWidth + unit or a
+ * catalog fabric whose width is used
+ */
+app.get(
+  "/api/usage/lookup",
+  validate({ query: USAGE_LOOKUP_SCHEMA }),
+  async (req, res) => {
+    try {
+      const { dressType, size, fabric } = req.query;
+      let { fabricWidth, unit } = req.query;
+
+      if (fabricWidth && fabric) {
+        return sendValidationErrors(res, [
+          fieldError("fabric", "Use either fabricWidth or fabric, not both", {
+            location: "query",
+          }),
+        ]);
+      }
+
+      if (fabric) {
+        const catalogFabric = await getFabric(fabric);
+        if (!catalogFabric) {
+          return res.status(404).json({
+            success: false,
+            error: `Fabric ${fabric} not found`,
+          });
+        }
+        if (catalogFabric.width === null) {
+          return sendValidationErrors(res, [
+            fieldError(
+              "fabric",
+              `Fabric ${fabric} has no width in the catalog`,
+              {
+                location: "query",
+              }
+            ),
+          ]);
+        }
+        fabricWidth = catalogFabric.width;
+        unit = catalogFabric.unit;
+      }
+
+      const result = lookupUsage(await listUsage(), {
+        dressType,
+        size,
+        fabricWidth: fabricWidth || undefined,
+        unit,
+      });
+
+      if (result.metres === null) {
+        return res.status(404).json({
+          success: false,
+          error: result.reason,
+        });
+      }
+
+      res.json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      Logger.error("Failed to look up usage", error, { query: req.query });
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * Import the Usage sheet into the usage catalog
+ * Body: { overwrite: boolean, size, fabricWidth, unit } - the size and width
+ * the sheet figures were measured for
+ */
+app.post(
+  "/api/usage/import",
+  validate({ body: USAGE_IMPORT_SCHEMA }),
+  async (req, res) => {
+    try {
+      const { overwrite, size, fabricWidth, unit } = req.body;
+
+      const report = await importUsageFromSheet(sheetsManager, {
+        overwrite,
+        size: size || undefined,
+        fabricWidth: fabricWidth || undefined,
+        unit: unit || undefined,
+      });
+
+      res.json({
+        success: true,
+        message: `Imported ${report.created.length} new usage entries from the Usage sheet`,
+        data: report,
+      });
+    } catch (error) {
+      Logger.error("Failed to import usage from sheet", error);
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * Get one usage entry by ID
+ */
+app.get(
+  "/api/usage/:id",
+  validate({ params: USAGE_PARAMS_SCHEMA }),
+  async (req, res) => {
+    try {
+      const entry = await getUsage(req.params.id);
+
+      if (!entry) {
+        return res.status(404).json({
+          success: false,
+          error: `Usage entry ${req.params.id} not found`,
+        });
+      }
+
+      setCacheHeaders(res, entry.updatedAt);
+      res.json({
+        success: true,
+        data: entry,
+      });
+    } catch (error) {
+      Logger.error("Failed to get usage entry", error, { params: req.params });
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * Record usage for a dress type, size and fabric width
+ */
+app.post("/api/usage", validate({ body: USAGE_SCHEMA }), async (req, res) => {
   try {
-    const usageData = await sheetsManager.getFabricUsage();
+    const existing = await findUsage(req.body);
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        error: `Usage for ${existing.dressType} size ${existing.size} at ${existing.fabricWidth}${existing.unit} already exists (id ${existing.id})`,
+      });
+    }
 
-    res.json({
+    const entry = await createUsage(req.body);
+
+    res.status(201).json({
       success: true,
-      data: usageData,
-      count: Object.keys(usageData).length,
+      message: "Usage entry added successfully",
+      data: entry,
     });
   } catch (error) {
-    Logger.error("Failed to get fabric usage", error);
-    res.status(500).json({
+    Logger.error("Failed to add usage entry", error, { body: req.body });
+    res.status(writeErrorStatus(error)).json({
       success: false,
       error: error.message,
     });
   }
 });
 
+/**
+ * Update a usage entry
+ */
+app.put(
+  "/api/usage/:id",
+  validate({ params: USAGE_PARAMS_SCHEMA, body: partialSchema(USAGE_SCHEMA) }),
+  async (req, res) => {
+    try {
+      const changes = { ...req.body };
+      delete changes.id;
+
+      if (Object.keys(changes).length === 0) {
+        return sendValidationErrors(res, [
+          fieldError("body", "No usage fields provided for update", {
+            code: "required",
+          }),
+        ]);
+      }
+
+      // Read, check and write with the entry locked; a clash written by
+      // another request in between still fails the unique key and answers 409
+      const outcome = await executeTransaction(async (client) => {
+        const current = await getUsage(req.params.id, {
+          forUpdate: true,
+          client,
+        });
+        if (!current) {
+          return { status: 404 };
+        }
+
+        const clash = await findUsage({ ...current, ...changes }, { client });
+        if (clash && clash.id !== current.id) {
+          return { status: 409, clash };
+        }
+
+        return { entry: await updateUsage(current.id, changes, { client }) };
+      });
+
+      if (outcome.status === 404) {
+        return res.status(404).json({
+          success: false,
+          error: `Usage entry ${req.params.id} not found`,
+        });
+      }
+
+      if (outcome.status === 409) {
+        const { clash } = outcome;
+        return res.status(409).json({
+          success: false,
+          error: `Usage for ${clash.dressType} size ${clash.size} at ${clash.fabricWidth}${clash.unit} already exists (id ${clash.id})`,
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Usage entry updated successfully",
+        data: outcome.entry,
+      });
+    } catch (error) {
+      Logger.error("Failed to update usage entry", error, {
+        params: req.params,
+        body: req.body,
+      });
+      res.status(writeErrorStatus(error)).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * Remove a usage entry
+ */
+app.delete(
+  "/api/usage/:id",
+  validate({ params: USAGE_PARAMS_SCHEMA }),
+  async (req, res) => {
+    try {
+      const deleted = await deleteUsage(req.params.id);
+
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          error: `Usage entry ${req.params.id} not found`,
+        });
+      }
+
+      res.json({
+        success: true,
+        message: `Usage entry ${req.params.id} deleted`,
+      });
+    } catch (error) {
+      Logger.error("Failed to delete usage entry", error, {
+        params: req.params,
+      });
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * Get a per dress type summary of the usage catalog
+ * Query: dressType, size
+ */
+app.get(
+  "/api/fabric-usage",
+  validate({ query: USAGE_LIST_QUERY_SCHEMA }),
+  async (req, res) => {
+    try {
+      const usageData = summarizeUsage(
+        await listUsage({
+          dressType: req.query.dressType,
+          size: req.query.size,
+        })
+      );
+
+      res.json({
+        success: true,
+        data: usageData,
+        count: Object.keys(usageData).length,
+      });
+    } catch (error) {
+      Logger.error("Failed to get fabric usage", error);
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * Reconcile the Designs sheet with the sampling_designs table
+ * Body: { policy: "sheet" | "db" | "newest", dryRun: boolean }
+ */
+app.post(
+  "/api/sync/designs",
+  validate({ body: SYNC_SCHEMA }),
+  async (req, res) => {
+    try {
+      const policy =
+        req.body.policy || process.env.SYNC_CONFLICT_POLICY || "sheet";
+      const { dryRun } = req.body;
+
+      const report = await syncDesigns(sheetsManager, {
+        policy,
+        dryRun,
+        ...auditContext(req),
+      });
+
+      res.json({
+        success: !report.applied || report.applied.errors.length === 0,
+        message: dryRun
+          ? "Dry run completed, nothing was written"
+          : "Design sync completed",
+        data: report,
+      });
+    } catch (error) {
+      Logger.error("Design sync failed", error, { body: req.body });
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  }
+);
+
 // =============================================================================
 // ERROR HANDLING MIDDLEWARE
 // =============================================================================
@@ -924,23 +1937,37 @@ app.get("/api/fabric-usage", async (req, res) => {
  */
 app.use((err, req, res, next) => {
   if (err instanceof multer.MulterError) {
-    if (err.code === "LIMIT_FILE_SIZE") {
-      return res.status(400).json({
-        success: false,
-        error: "File too large. Maximum size is 10MB.",
-      });
-    }
-    return res.status(400).json({
-      success: false,
-      error: `Upload error: ${err.message}`,
-    });
+    const sizeLimit = IMPORT_UPLOAD_FIELDS[err.field]
+      ? CONFIG.IMPORT_FILE_SIZE_LIMIT
+      : CONFIG.FILE_SIZE_LIMIT;
+    const message =
+      err.code === "LIMIT_FILE_SIZE"
+        ? `File too large. Maximum size is ${sizeLimit / (1024 * 1024)}MB.`
+        : `Upload error: ${err.message}`;
+    return sendValidationErrors(res, [
+      fieldError(err.field || "file", message, {
+        location: "file",
+        code: err.code === "LIMIT_FILE_SIZE" ? "size" : "upload",
+      }),
+    ]);
   }
 
-  if (err.message === "Only image files are allowed") {
-    return res.status(400).json({
-      success: false,
-      error: "Only image files are allowed",
-    });
+  if (err.code === "FILE_TYPE") {
+    return sendValidationErrors(res, [
+      fieldError(err.field || "file", err.message, {
+        location: "file",
+        code: "type",
+      }),
+    ]);
+  }
+
+  // Malformed JSON body from express.json()
+  if (err.type === "entity.parse.failed") {
+    return sendValidationErrors(res, [
+      fieldError("body", "Request body must be valid JSON", {
+        code: "format",
+      }),
+    ]);
   }
 
   Logger.error("Unhandled error", err);
@@ -957,14 +1984,8 @@ app.use("*", (req, res) => {
   res.status(404).json({
     success: false,
     error: "Route not found",
-    availableRoutes: [
-      "GET /health",
-      "POST /api/designs",
-      "PUT /api/designs",
-      "GET /api/designs/:designId",
-      "GET /api/fabric-costs",
-      "GET /api/fabric-usage",
-    ],
+    availableRoutes: listOperations(openApiSpec),
+    documentation: DOCS_PATH,
   });
 });
 
@@ -972,15 +1993,100 @@ app.use("*", (req, res) => {
 // SERVER STARTUP
 // =============================================================================
 
-app.listen(PORT, () => {
-  console.log(`🚀 World Vastra API server running on port ${PORT}`);
-  console.log(`📊 Health check: http://localhost:${PORT}/health`);
-  console.log(`📋 API Documentation:`);
-  console.log(`   POST /api/designs - Add new design (with S3 image upload)`);
-  console.log(`   PUT /api/designs - Update design (with S3 image upload)`);
-  console.log(`   GET  /api/designs/:designId - Get design by design Id`);
-  console.log(`   GET  /api/fabric-costs - Get all fabric costs`);
-  console.log(`   GET  /api/fabric-usage - Get fabric usage data`);
-});
+/**
+ * Report sheet columns that are missing, duplicated or not recognised
+ * A header that was renamed shows up as a missing column next to an
+ * unrecognised one. Sheet calls fail rather than misplace data, so most
+ * problems are only logged, but the server does not start when a sheet it
+ * writes to lacks a column the writes cannot skip. A sheet that cannot be
+ * read is logged.
+ * @returns {Promise<boolean>} False if a written sheet lacks columns
+ */
+const checkSheetLayouts = async () => {
+  let reports;
+  try {
+    reports = await sheetsManager.checkLayouts();
+  } catch (error) {
+    Logger.error("Could not check sheet columns", error);
+    return true;
+  }
+
+  for (const report of reports) {
+    if (!report.ok) {
+      Logger.error("Sheet columns do not match the expected headers", null, {
+        sheet: report.sheet,
+        missing: report.missing,
+        duplicates: report.duplicates,
+        unrecognised: report.unrecognised,
+      });
+    } else if (report.unrecognised.length > 0) {
+      Logger.warn("Sheet has columns the API does not use", {
+        sheet: report.sheet,
+        unrecognised: report.unrecognised,
+      });
+    }
+  }
+
+  const unwritable = reports.filter(
+    (report) => report.missingForWrites.length > 0
+  );
+  if (unwritable.length > 0) {
+    unwritable.forEach((report) =>
+      Logger.error("Sheet lacks columns that writes need; add them", null, {
+        sheet: report.sheet,
+        missing: report.missingForWrites,
+      })
+    );
+    return false;
+  }
+  return true;
+};
+
+/**
+ * Check the sheet layouts, then start listening
+ * Exits without listening when a written sheet lacks columns, so no request
+ * is served by a server that is about to stop.
+ * @returns {Promise<Object>} HTTP server
+ */
+const startServer = async () => {
+  if (!(await checkSheetLayouts())) {
+    process.exit(1);
+  }
+
+  return app.listen(PORT, () => {
+    scheduleImageGc(storage, sheetsManager);
+    console.log(`🚀 World Vastra API server running on port ${PORT}`);
+    console.log(`📊 Health check: http://localhost:${PORT}/health`);
+    console.log(`📋 API Documentation: http://localhost:${PORT}${DOCS_PATH}`);
+    console.log(`   OpenAPI spec: http://localhost:${PORT}${SPEC_PATH}`);
+  });
+};
+
+// Only start listening when run directly, so tools such as the OpenAPI
+// route check can load the app
+if (require.main === module) {
+  const designIdPatternErrors = validateDesignIdPattern(getDesignIdPattern());
+  if (designIdPatternErrors.length > 0) {
+    Logger.error("Invalid DESIGN_ID_PATTERN", null, {
+      pattern: getDesignIdPattern(),
+      errors: designIdPatternErrors,
+    });
+    process.exit(1);
+  }
+
+  if (process.env.RUN_MIGRATIONS_ON_STARTUP === "true") {
+    runMigrations()
+      .then(startServer)
+      .catch((error) => {
+        Logger.error("Failed to apply database migrations", error);
+        process.exit(1);
+      });
+  } else {
+    startServer().catch((error) => {
+      Logger.error("Failed to start the server", error);
+      process.exit(1);
+    });
+  }
+}
 
 module.exports = app;
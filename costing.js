@@ -0,0 +1,236 @@
+/**
+ * Cost Estimation Module
+ *
+ * Joins a design's fabric fields with the fabric price catalog and the dress
+ * usage catalog to produce an itemised cost breakdown.
+ * Usage: const { estimateCost, designRecordToCostInput } = require('./costing');
+ */
+
+const { lookupUsage } = require("./usage");
+
+// =============================================================================
+// UTILITY FUNCTIONS
+// =============================================================================
+
+/**
+ * Round a currency or length value to two decimal places
+ * @param {number} value - Value to round
+ * @returns {number} Rounded value
+ */
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Parse a length field coming from the sheet, the database or a request body
+ * @param {*} value - Raw length value
+ * @returns {number|null} Parsed length, null when empty, NaN when invalid
+ */
+const parseLength = (value) => {
+  if (value === null || value === undefined) return null;
+  if (typeof value === "string" && value.trim() === "") return null;
+
+  const length = Number(value);
+  return Number.isFinite(length) && length >= 0 ? length : NaN;
+};
+
+/**
+ * Find a catalog entry by name, falling back to a case-insensitive match
+ * since the sheet and the design forms are typed by hand
+ * @param {Object} catalog - Catalog keyed by name
+ * @param {string} name - Name to look up
+ * @returns {Object|null} { name, entry } or null if not found
+ */
+const findCatalogEntry = (catalog, name) => {
+  if (!name) return null;
+  if (catalog[name]) return { name, entry: catalog[name] };
+
+  const wanted = String(name).trim().toLowerCase();
+  const match = Object.keys(catalog).find(
+    (key) => key.trim().toLowerCase() === wanted
+  );
+  return match ? { name: match, entry: catalog[match] } : null;
+};
+
+/**
+ * Build a priced line item for one fabric
+ * @param {string} fabric - Fabric type
+ * @param {number|null} metres - Metres of fabric used
+ * @param {Object} fabricCosts - Fabric catalog from getFabricCostMap()
+ * @param {Array} warnings - Warning list to append to
+ * @returns {Object} Line item
+ */
+const priceLine = (fabric, metres, fabricCosts, warnings) => {
+  const match = findCatalogEntry(fabricCosts, fabric);
+  if (fabric && !match) {
+    warnings.push(`Fabric "${fabric}" is not in the fabric catalog`);
+  }
+
+  if (match && match.entry.estimated) {
+    warnings.push(
+      `No price for "${match.name}" was in effect on the pricing date; using its earliest price from ${match.entry.effectiveFrom}`
+    );
+  }
+
+  const costPerMeter = match ? match.entry.costPerMeter : null;
+  const cost =
+    metres !== null && costPerMeter !== null
+      ? round2(metres * costPerMeter)
+      : null;
+
+  const line = {
+    fabric: fabric || null,
+    metres,
+    costPerMeter,
+    cost,
+  };
+
+  if (match && match.entry.effectiveFrom) {
+    line.priceEffectiveFrom = match.entry.effectiveFrom;
+  }
+
+  return line;
+};
+
+// =============================================================================
+// MAIN COST FUNCTIONS
+// =============================================================================
+
+/**
+ * Map a sampling_designs record to cost estimation input
+ * @param {Object} record - Row from the sampling_designs table
+ * @returns {Object} Cost estimation input
+ */
+function designRecordToCostInput(record) {
+  return {
+    fabric: record.fabric,
+    dressType: record.dress_type,
+    fabricLength: record.fabric_length,
+    liningFabric: record.lining_fabric,
+    liningLength: record.lining_length,
+  };
+}
+
+/**
+ * Estimate the fabric cost of a design
+ *
+ * The main fabric uses the design's own fabricLength when set, otherwise the
+ * usage catalog metres for its dress type and size at the main fabric's
+ * catalog width. Lining is only priced when the design names a lining fabric
+ * and gives a lining length.
+ *
+ * @param {Object} input - Design fields
+ * @param {string} input.fabric - Main fabric type
+ * @param {string} [input.dressType] - Dress type used for the usage fallback
+ * @param {string} [input.size] - Size used for the usage fallback
+ * @param {number|string} [input.fabricLength] - Main fabric metres
+ * @param {string} [input.liningFabric] - Lining fabric type
+ * @param {number|string} [input.liningLength] - Lining fabric metres
+ * @param {Object} fabricCosts - Fabric catalog from getFabricCostMap()
+ * @param {Array<Object>} usageEntries - Usage entries from listUsage()
+ * @returns {Object} Itemised breakdown with totals and warnings
+ */
+function estimateCost(input, fabricCosts, usageEntries) {
+  const warnings = [];
+
+  // Main fabric length: explicit value first, usage catalog as fallback
+  let fabricMetres = parseLength(input.fabricLength);
+  let lengthSource = "design";
+
+  if (Number.isNaN(fabricMetres)) {
+    warnings.push(`Invalid fabricLength "${input.fabricLength}" ignored`);
+    fabricMetres = null;
+  }
+
+  let usage = null;
+  if (fabricMetres === null || fabricMetres === 0) {
+    // Usage depends on the width of the fabric being cut, from the catalog
+    const fabricEntry = findCatalogEntry(fabricCosts, input.fabric);
+    const width = fabricEntry ? fabricEntry.entry.width : null;
+    const lookup = lookupUsage(usageEntries, {
+      dressType: input.dressType,
+      size: input.size,
+      fabricWidth: width,
+      unit: width ? fabricEntry.entry.unit : undefined,
+    });
+
+    if (lookup.metres !== null) {
+      fabricMetres = lookup.metres;
+      lengthSource = "usage";
+      usage = {
+        size: lookup.size,
+        fabricWidth: lookup.fabricWidth,
+        unit: lookup.unit,
+        method: lookup.method,
+      };
+      if (fabricEntry && !width) {
+        warnings.push(
+          `Fabric "${fabricEntry.name}" has no width in the catalog; usage assumes ${lookup.fabricWidth}${lookup.unit}`
+        );
+      }
+    } else {
+      fabricMetres = null;
+      lengthSource = null;
+      warnings.push(
+        input.dressType
+          ? lookup.reason
+          : "No fabricLength or dressType to determine fabric metres"
+      );
+    }
+  }
+
+  if (!input.fabric) {
+    warnings.push("Design has no main fabric");
+  }
+
+  const mainFabric = {
+    ...priceLine(input.fabric, fabricMetres, fabricCosts, warnings),
+    lengthSource,
+  };
+  if (usage) {
+    mainFabric.usage = usage;
+  }
+
+  // Lining is optional
+  let lining = null;
+  let liningMetres = parseLength(input.liningLength);
+
+  if (Number.isNaN(liningMetres)) {
+    warnings.push(`Invalid liningLength "${input.liningLength}" ignored`);
+    liningMetres = null;
+  }
+
+  if (input.liningFabric) {
+    if (liningMetres === null) {
+      warnings.push(
+        `Lining fabric "${input.liningFabric}" has no liningLength`
+      );
+    }
+    lining = priceLine(input.liningFabric, liningMetres, fabricCosts, warnings);
+  } else if (liningMetres) {
+    warnings.push("liningLength is set but no liningFabric is given");
+  }
+
+  const lines = lining ? [mainFabric, lining] : [mainFabric];
+  const totals = {
+    metres: round2(lines.reduce((sum, line) => sum + (line.metres || 0), 0)),
+    cost: round2(lines.reduce((sum, line) => sum + (line.cost || 0), 0)),
+    complete: lines.every((line) => line.cost !== null),
+  };
+
+  return {
+    dressType: input.dressType || null,
+    mainFabric,
+    lining,
+    totals,
+    warnings,
+  };
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  estimateCost,
+  designRecordToCostInput,
+  parseLength,
+};
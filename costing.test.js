@@ -0,0 +1,190 @@
+/**
+ * Cost Estimation Module Tests
+ *
+ * Pricing from the design's own lengths, the usage catalog fallback, lining
+ * and the warnings that mark an incomplete estimate.
+ * Usage: npm test
+ */
+
+const assert = require("assert");
+const {
+  estimateCost,
+  designRecordToCostInput,
+  parseLength,
+} = require("./costing");
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+// Fabric catalog in the shape getFabricCostMap() returns
+const FABRIC_COSTS = {
+  Cotton: {
+    costPerMeter: 120,
+    width: 44,
+    unit: "in",
+    effectiveFrom: "2024-01-01",
+  },
+  Silk: { costPerMeter: 450.5, width: null, unit: null },
+  Satin: {
+    costPerMeter: 80,
+    width: 58,
+    unit: "in",
+    effectiveFrom: "2025-03-01",
+    estimated: true,
+  },
+};
+
+// Usage entries in the shape listUsage() returns
+const USAGE_ENTRIES = [
+  {
+    id: 1,
+    dressType: "Kurta",
+    size: "Standard",
+    fabricWidth: 44,
+    unit: "in",
+    metres: 2.5,
+  },
+  {
+    id: 2,
+    dressType: "Kurta",
+    size: "Standard",
+    fabricWidth: 58,
+    unit: "in",
+    metres: 2,
+  },
+];
+
+// =============================================================================
+// TESTS
+// =============================================================================
+
+describe("costing", () => {
+  describe("parseLength", () => {
+    it("treats blanks as missing and rejects negative or non-numeric values", () => {
+      assert.strictEqual(parseLength(null), null);
+      assert.strictEqual(parseLength("  "), null);
+      assert.strictEqual(parseLength("2.75"), 2.75);
+      assert.strictEqual(parseLength(0), 0);
+      assert.ok(Number.isNaN(parseLength("-1")));
+      assert.ok(Number.isNaN(parseLength("two")));
+    });
+  });
+
+  describe("designRecordToCostInput", () => {
+    it("maps sampling_designs columns to estimate fields", () => {
+      assert.deepStrictEqual(
+        designRecordToCostInput({
+          fabric: "Cotton",
+          dress_type: "Kurta",
+          fabric_length: "3",
+          lining_fabric: "Silk",
+          lining_length: "1",
+        }),
+        {
+          fabric: "Cotton",
+          dressType: "Kurta",
+          fabricLength: "3",
+          liningFabric: "Silk",
+          liningLength: "1",
+        }
+      );
+    });
+  });
+
+  describe("estimateCost", () => {
+    it("prices the design's own fabric and lining lengths", () => {
+      const estimate = estimateCost(
+        {
+          fabric: "cotton",
+          fabricLength: "3",
+          liningFabric: "Silk",
+          liningLength: 1.5,
+        },
+        FABRIC_COSTS,
+        USAGE_ENTRIES
+      );
+
+      assert.strictEqual(estimate.mainFabric.costPerMeter, 120);
+      assert.strictEqual(estimate.mainFabric.cost, 360);
+      assert.strictEqual(estimate.mainFabric.lengthSource, "design");
+      assert.strictEqual(estimate.mainFabric.priceEffectiveFrom, "2024-01-01");
+      assert.strictEqual(estimate.lining.cost, 675.75);
+      assert.deepStrictEqual(estimate.totals, {
+        metres: 4.5,
+        cost: 1035.75,
+        complete: true,
+      });
+      assert.deepStrictEqual(estimate.warnings, []);
+    });
+
+    it("falls back to the usage catalog at the fabric's catalog width", () => {
+      const estimate = estimateCost(
+        { fabric: "Satin", dressType: "kurta" },
+        FABRIC_COSTS,
+        USAGE_ENTRIES
+      );
+
+      assert.strictEqual(estimate.mainFabric.metres, 2);
+      assert.strictEqual(estimate.mainFabric.lengthSource, "usage");
+      assert.deepStrictEqual(estimate.mainFabric.usage, {
+        size: "Standard",
+        fabricWidth: 58,
+        unit: "in",
+        method: "exact",
+      });
+      assert.strictEqual(estimate.totals.cost, 160);
+      assert.ok(
+        estimate.warnings.some((warning) =>
+          warning.includes("earliest price from 2025-03-01")
+        )
+      );
+    });
+
+    it("warns when the fabric has no catalog width and assumes the narrowest", () => {
+      const estimate = estimateCost(
+        { fabric: "Silk", dressType: "Kurta" },
+        FABRIC_COSTS,
+        USAGE_ENTRIES
+      );
+
+      assert.strictEqual(estimate.mainFabric.metres, 2.5);
+      assert.ok(
+        estimate.warnings.some((warning) =>
+          warning.includes('"Silk" has no width')
+        )
+      );
+    });
+
+    it("returns an incomplete estimate with warnings for unknown names", () => {
+      const estimate = estimateCost(
+        { fabric: "Tweed", dressType: "Spacesuit" },
+        FABRIC_COSTS,
+        USAGE_ENTRIES
+      );
+
+      assert.strictEqual(estimate.mainFabric.metres, null);
+      assert.strictEqual(estimate.mainFabric.cost, null);
+      assert.strictEqual(estimate.totals.complete, false);
+      assert.deepStrictEqual(estimate.warnings, [
+        'Dress type "Spacesuit" is not in the usage catalog',
+        'Fabric "Tweed" is not in the fabric catalog',
+      ]);
+    });
+
+    it("ignores invalid lengths and a lining length without a lining fabric", () => {
+      const estimate = estimateCost(
+        { fabric: "Cotton", fabricLength: "abc", liningLength: 2 },
+        FABRIC_COSTS,
+        USAGE_ENTRIES
+      );
+
+      assert.strictEqual(estimate.lining, null);
+      assert.deepStrictEqual(estimate.warnings, [
+        'Invalid fabricLength "abc" ignored',
+        "No fabricLength or dressType to determine fabric metres",
+        "liningLength is set but no liningFabric is given",
+      ]);
+    });
+  });
+});
@@ -1,11 +1,15 @@
 /**
  * Database Operations Module
  *
- * Provides simple functions for PostgreSQL database operations
- * Usage: const { addToDB, getFromDB, updateInDB } = require('./database');
+ * Provides simple functions for PostgreSQL database operations. Table and
+ * column names are checked against the registry in dbTables.js and quoted,
+ * operators and casts come from allowlists, and values are always bound as
+ * parameters; anything else is rejected with a QueryBuildError.
+ * Usage: const { addToDB, getFromDB, updateInDB, countInDB } = require('./database');
  */
 
-const { Pool } = require("pg");
+const { Pool, DatabaseError: PgError } = require("pg");
+const { TABLES } = require("./dbTables");
 require("dotenv").config();
 
 // =============================================================================
@@ -30,29 +34,479 @@ const pool = new Pool({
   connectionTimeoutMillis: 2000,
 });
 
+// =============================================================================
+// QUERY BUILDER
+// =============================================================================
+
+// Comparison operators accepted in { operator, value } conditions
+const OPERATORS = [
+  "=",
+  "<>",
+  "!=",
+  "<",
+  "<=",
+  ">",
+  ">=",
+  "LIKE",
+  "ILIKE",
+  "NOT LIKE",
+  "NOT ILIKE",
+  "BETWEEN",
+  "IN",
+  "NOT IN",
+  "IS NULL",
+  "IS NOT NULL",
+];
+
+// Operators that join conditions
+const JOIN_OPERATORS = ["AND", "OR"];
+
+const ORDER_DIRECTIONS = ["ASC", "DESC"];
+
+// Casts accepted in column specs, e.g. { column: 'effective_from', cast: 'text' }
+const CASTS = ["text", "date", "integer", "numeric"];
+
+/**
+ * Raised when a query names a table, column, operator or sort that is not
+ * allowed, before any SQL is sent
+ */
+class QueryBuildError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - What was rejected
+   * @param {string} details.kind - "table", "column", "operator", "orderBy",
+   *   "cast" or "conditions"
+   * @param {*} [details.value] - Rejected value
+   * @param {string} [details.table] - Table the query was for
+   */
+  constructor(message, { kind, value, table } = {}) {
+    super(message);
+    this.name = "QueryBuildError";
+    this.kind = kind;
+    this.value = value;
+    this.table = table;
+  }
+}
+
+/**
+ * Quote a table name known to the registry
+ * @param {string} table - Table name
+ * @returns {string} Quoted identifier
+ * @throws {QueryBuildError} If the table is not in TABLES
+ */
+const quoteTable = (table) => {
+  if (
+    typeof table !== "string" ||
+    !Object.prototype.hasOwnProperty.call(TABLES, table)
+  ) {
+    throw new QueryBuildError(`Unknown table "${table}"`, {
+      kind: "table",
+      value: table,
+    });
+  }
+  return `"${table}"`;
+};
+
+/**
+ * Quote a column name known to the registry
+ * @param {string} table - Table name
+ * @param {string} column - Column name
+ * @returns {string} Quoted identifier
+ * @throws {QueryBuildError} If the table is unknown or has no such column
+ */
+const quoteColumn = (table, column) => {
+  quoteTable(table);
+  if (typeof column !== "string" || !TABLES[table].includes(column)) {
+    throw new QueryBuildError(`Unknown column "${column}" in ${table}`, {
+      kind: "column",
+      value: column,
+      table,
+    });
+  }
+  return `"${column}"`;
+};
+
+/**
+ * Build a SELECT or RETURNING column list
+ * @param {string} table - Table name
+ * @param {string|Array<string|Object>} columns - "*", or column names and
+ *   { column, cast?, as? } specs
+ * @returns {string} Column list
+ */
+const buildColumnList = (table, columns) => {
+  if (columns === "*") return "*";
+
+  const list = Array.isArray(columns) ? columns : [columns];
+  if (list.length === 0) {
+    throw new QueryBuildError("Column list is empty", {
+      kind: "column",
+      value: columns,
+      table,
+    });
+  }
+
+  return list
+    .map((spec) => {
+      if (typeof spec === "string") return quoteColumn(table, spec);
+
+      const { column, cast, as } = spec || {};
+      let sql = quoteColumn(table, column);
+      if (cast !== undefined) {
+        if (!CASTS.includes(cast)) {
+          throw new QueryBuildError(`Cast to "${cast}" is not allowed`, {
+            kind: "cast",
+            value: cast,
+            table,
+          });
+        }
+        sql += `::${cast}`;
+      }
+      // Aliases are limited to column names, which are known to be safe
+      if (as !== undefined || cast !== undefined) {
+        sql += ` AS ${quoteColumn(table, as === undefined ? column : as)}`;
+      }
+      return sql;
+    })
+    .join(", ");
+};
+
+/**
+ * Check an ORDER BY list
+ * @param {string} table - Table name
+ * @param {Object|Array<Object>} orderBy - { column, direction? } pairs, most
+ *   significant first; direction is ASC (default) or DESC
+ * @returns {Array<Object>} { column, direction } with the column quoted and
+ *   the direction uppercase
+ */
+const checkOrderBy = (table, orderBy) => {
+  const list = Array.isArray(orderBy) ? orderBy : [orderBy];
+
+  return list.map((entry) => {
+    if (!entry || typeof entry !== "object") {
+      throw new QueryBuildError("orderBy must be { column, direction } pairs", {
+        kind: "orderBy",
+        value: entry,
+        table,
+      });
+    }
+
+    const direction = String(entry.direction || "ASC").toUpperCase();
+    if (!ORDER_DIRECTIONS.includes(direction)) {
+      throw new QueryBuildError(
+        `Sort direction "${entry.direction}" is not allowed`,
+        { kind: "orderBy", value: entry.direction, table }
+      );
+    }
+    return { column: quoteColumn(table, entry.column), direction };
+  });
+};
+
+/**
+ * Build an ORDER BY list
+ * @param {string} table - Table name
+ * @param {Object|Array<Object>} orderBy - { column, direction? } pairs, see
+ *   checkOrderBy
+ * @returns {string} ORDER BY list
+ */
+const buildOrderBy = (table, orderBy) =>
+  checkOrderBy(table, orderBy)
+    .map(({ column, direction }) => `${column} ${direction}`)
+    .join(", ");
+
+/**
+ * Build a keyset condition matching the rows that sort after a given row
+ *
+ * Follows PostgreSQL's default NULL placement (last when ascending, first
+ * when descending), so NULL sort values page like any other. The last
+ * orderBy column should be unique or rows tied on every column are skipped.
+ *
+ * @param {string} table - Table name
+ * @param {Object|Array<Object>} orderBy - { column, direction? } pairs, see
+ *   checkOrderBy
+ * @param {Array} after - Values of the orderBy columns in that row, in order
+ * @param {number} [startIndex=1] - First placeholder index
+ * @returns {Object} { clause, values }
+ */
+const buildSeekClause = (table, orderBy, after, startIndex = 1) => {
+  const order = checkOrderBy(table, orderBy);
+  if (!Array.isArray(after) || after.length !== order.length) {
+    throw new QueryBuildError("after needs one value per orderBy column", {
+      kind: "conditions",
+      value: after,
+      table,
+    });
+  }
+
+  const values = [];
+  let paramCount = startIndex;
+
+  /**
+   * Placeholder for a value
+   * @param {*} value - Value
+   * @returns {string} "$n"
+   */
+  const placeholder = (value) => {
+    values.push(value);
+    return `$${paramCount++}`;
+  };
+
+  // Rows equal on the leading columns and past the row on the next one
+  const branches = [];
+  const equal = [];
+  order.forEach(({ column, direction }, index) => {
+    const value = after[index];
+    let beyond;
+    if (direction === "ASC") {
+      beyond =
+        value === null
+          ? null
+          : `(${column} > ${placeholder(value)} OR ${column} IS NULL)`;
+    } else {
+      beyond =
+        value === null
+          ? `${column} IS NOT NULL`
+          : `${column} < ${placeholder(value)}`;
+    }
+    if (beyond) branches.push([...equal, beyond].join(" AND "));
+    if (index === order.length - 1) return;
+
+    equal.push(
+      value === null ? `${column} IS NULL` : `${column} = ${placeholder(value)}`
+    );
+  });
+
+  return {
+    clause: branches.length
+      ? `(${branches.map((branch) => `(${branch})`).join(" OR ")})`
+      : "FALSE",
+    values,
+  };
+};
+
+/**
+ * Check the operator joining conditions
+ * @param {string} operator - AND or OR
+ * @returns {string} Uppercase operator
+ */
+const checkJoinOperator = (operator) => {
+  const upper = String(operator).toUpperCase();
+  if (!JOIN_OPERATORS.includes(upper)) {
+    throw new QueryBuildError(`Operator "${operator}" cannot join conditions`, {
+      kind: "operator",
+      value: operator,
+    });
+  }
+  return upper;
+};
+
+/**
+ * Build a parameterised WHERE clause from a conditions object
+ *
+ * Keys are column names. A value may be a plain value (=), null (IS NULL), a
+ * non-empty array (IN), or { operator, value } with an operator from
+ * OPERATORS; BETWEEN takes [from, to], IN and NOT IN take a non-empty array,
+ * and IS NULL and IS NOT NULL take no value.
+ *
+ * @param {string} table - Table name
+ * @param {Object} conditions - WHERE conditions
+ * @param {string} [operator='AND'] - Operator joining the conditions
+ * @param {number} [startIndex=1] - First placeholder index
+ * @returns {Object} { clause, values } - clause is empty when there are no conditions
+ */
+const buildWhereClause = (
+  table,
+  conditions,
+  operator = "AND",
+  startIndex = 1
+) => {
+  const whereConditions = [];
+  const values = [];
+  let paramCount = startIndex;
+
+  /**
+   * Placeholders for a list of values
+   * @param {Array} list - Values
+   * @returns {string} "$1, $2, ..."
+   */
+  const placeholders = (list) =>
+    list
+      .map((item) => {
+        values.push(item);
+        return `$${paramCount++}`;
+      })
+      .join(", ");
+
+  for (const [key, value] of Object.entries(conditions)) {
+    const column = quoteColumn(table, key);
+
+    if (value === null) {
+      whereConditions.push(`${column} IS NULL`);
+      continue;
+    }
+    if (Array.isArray(value)) {
+      if (value.length === 0) {
+        throw new QueryBuildError(`IN on ${key} needs a list`, {
+          kind: "conditions",
+          value,
+          table,
+        });
+      }
+      whereConditions.push(`${column} IN (${placeholders(value)})`);
+      continue;
+    }
+    if (
+      typeof value !== "object" ||
+      value instanceof Date ||
+      value.operator === undefined
+    ) {
+      whereConditions.push(`${column} = ${placeholders([value])}`);
+      continue;
+    }
+
+    const condition = String(value.operator).toUpperCase();
+    if (!OPERATORS.includes(condition)) {
+      throw new QueryBuildError(`Operator "${value.operator}" is not allowed`, {
+        kind: "operator",
+        value: value.operator,
+        table,
+      });
+    }
+
+    if (condition === "IS NULL" || condition === "IS NOT NULL") {
+      whereConditions.push(`${column} ${condition}`);
+    } else if (condition === "BETWEEN") {
+      // Ranges like { operator: 'BETWEEN', value: ['2024-01-01', '2024-12-31'] }
+      if (!Array.isArray(value.value) || value.value.length !== 2) {
+        throw new QueryBuildError(`BETWEEN on ${key} needs [from, to]`, {
+          kind: "conditions",
+          value: value.value,
+          table,
+        });
+      }
+      whereConditions.push(
+        `${column} BETWEEN ${placeholders([value.value[0]])} AND ${placeholders([value.value[1]])}`
+      );
+    } else if (condition === "IN" || condition === "NOT IN") {
+      if (!Array.isArray(value.value) || value.value.length === 0) {
+        throw new QueryBuildError(`${condition} on ${key} needs a list`, {
+          kind: "conditions",
+          value: value.value,
+          table,
+        });
+      }
+      whereConditions.push(
+        `${column} ${condition} (${placeholders(value.value)})`
+      );
+    } else {
+      // Comparisons and patterns like { operator: 'LIKE', value: '%test%' }
+      whereConditions.push(
+        `${column} ${condition} ${placeholders([value.value])}`
+      );
+    }
+  }
+
+  return {
+    clause: whereConditions.join(` ${checkJoinOperator(operator)} `),
+    values,
+  };
+};
+
+// =============================================================================
+// ERRORS
+// =============================================================================
+
+/**
+ * Raised when a database operation fails. Keeps the PostgreSQL error code
+ * (SQLSTATE) and details so callers can tell, say, a unique violation from a
+ * lost connection, while the message stays readable.
+ */
+class DatabaseError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [details={}] - Error details
+   * @param {string} [details.operation] - Function that failed, e.g. "addToDB"
+   * @param {string} [details.code] - SQLSTATE, e.g. "23505"; null when the
+   *   error did not come from PostgreSQL
+   * @param {string} [details.detail] - PostgreSQL detail message
+   * @param {string} [details.constraint] - Violated constraint
+   * @param {string} [details.table] - Table named by PostgreSQL or the caller
+   * @param {string} [details.column] - Column named by PostgreSQL
+   * @param {Error} [details.cause] - Original error
+   */
+  constructor(
+    message,
+    { operation, code, detail, constraint, table, column, cause } = {}
+  ) {
+    super(message);
+    this.name = "DatabaseError";
+    this.operation = operation || null;
+    this.code = code || null;
+    this.detail = detail || null;
+    this.constraint = constraint || null;
+    this.table = table || null;
+    this.column = column || null;
+    this.cause = cause;
+  }
+}
+
+// Readable messages for common SQLSTATEs
+const ERROR_MESSAGES = {
+  23505: "Record with this identifier already exists", // Unique violation
+  23503: "Referenced record does not exist", // Foreign key violation
+  23502: "Required field is missing", // Not null violation
+  "42P01": "Table does not exist",
+};
+
 // =============================================================================
 // UTILITY FUNCTIONS
 // =============================================================================
 
 /**
  * Handle database errors
+ * @param {string} operation - Function that failed
+ * @param {Error} error - Caught error
+ * @param {Object} [context={}] - Query context; its table is kept on the error
+ * @throws {QueryBuildError|DatabaseError} Always
  */
 const handleError = (operation, error, context = {}) => {
-  // Handle common PostgreSQL errors
-  switch (error.code) {
-    case "23505": // Unique constraint violation
-      throw new Error("Record with this identifier already exists");
-    case "23503": // Foreign key violation
-      throw new Error("Referenced record does not exist");
-    case "23502": // Not null violation
-      throw new Error("Required field is missing");
-    case "42P01": // Table does not exist
-      throw new Error("Table does not exist");
-    default:
-      throw new Error(`Database operation failed: ${error.message}`);
+  // Rejected queries and errors already handled say what was wrong
+  if (error instanceof QueryBuildError || error instanceof DatabaseError) {
+    throw error;
   }
+
+  if (error instanceof PgError) {
+    throw new DatabaseError(
+      ERROR_MESSAGES[error.code] ||
+        `Database operation failed: ${error.message}`,
+      {
+        operation,
+        code: error.code,
+        detail: error.detail,
+        constraint: error.constraint,
+        table: error.table || context.table,
+        column: error.column,
+        cause: error,
+      }
+    );
+  }
+
+  throw new DatabaseError(`Database operation failed: ${error.message}`, {
+    operation,
+    table: context.table,
+    cause: error,
+  });
 };
 
+/**
+ * Run a query on a transaction client, or on the pool when there is none
+ * @param {Object|null} client - Client from executeTransaction
+ * @param {string} query - SQL
+ * @param {Array} values - Parameter values
+ * @returns {Promise<Object>} pg result
+ */
+const runQuery = (client, query, values) =>
+  (client || pool).query(query, values);
+
 // =============================================================================
 // MAIN DATABASE FUNCTIONS
 // =============================================================================
@@ -60,26 +514,26 @@ const handleError = (operation, error, context = {}) => {
 /**
  * Add record to database
  * @param {string} table - Table name
- * @param {Object} data - Data to insert
- * @param {string} [returnFields='*'] - Fields to return after insert
+ * @param {Object} data - Data to insert, keyed by column name
+ * @param {string|Array} [returnFields='*'] - Columns to return after insert
+ * @param {Object} [options={}] - Query options
+ * @param {Object} [options.client] - Transaction client to run on
  * @returns {Promise<Object>} Inserted record
  */
-async function addToDB(table, data, returnFields = "*") {
-  const client = await pool.connect();
-  try {
-    // Extract columns and values
-    const columns = Object.keys(data);
-    const values = Object.values(data);
-    const placeholders = columns.map((_, index) => `$${index + 1}`);
-
-    // Build INSERT query
-    const query = `
-      INSERT INTO ${table} (${columns.join(", ")})
-      VALUES (${placeholders.join(", ")})
-      RETURNING ${returnFields};
-    `;
+async function addToDB(table, data, returnFields = "*", { client } = {}) {
+  // Build INSERT query
+  const tableName = quoteTable(table);
+  const columns = Object.keys(data).map((key) => quoteColumn(table, key));
+  const values = Object.values(data);
+  const placeholders = columns.map((_, index) => `$${index + 1}`);
+  const query = `
+    INSERT INTO ${tableName} (${columns.join(", ")})
+    VALUES (${placeholders.join(", ")})
+    RETURNING ${buildColumnList(table, returnFields)};
+  `;
 
-    const result = await client.query(query, values);
+  try {
+    const result = await runQuery(client, query, values);
 
     if (result.rows.length === 0) {
       throw new Error("Insert operation failed - no record returned");
@@ -88,150 +542,185 @@ async function addToDB(table, data, returnFields = "*") {
     return result.rows[0];
   } catch (error) {
     handleError("addToDB", error, { table, data });
-  } finally {
-    client.release();
   }
 }
 
 /**
  * Get records from database
  * @param {string} table - Table name
- * @param {Object} [conditions={}] - WHERE conditions
+ * @param {Object} [conditions={}] - WHERE conditions, see buildWhereClause
  * @param {Object} [options={}] - Query options
+ * @param {string|Array} [options.columns='*'] - Column names or
+ *   { column, cast?, as? } specs
+ * @param {boolean} [options.distinct=false] - SELECT DISTINCT
+ * @param {Object|Array<Object>} [options.orderBy] - { column, direction }
+ *   pairs
+ * @param {number} [options.limit] - Maximum number of records
+ * @param {number} [options.offset] - Records to skip
+ * @param {Array} [options.after] - orderBy column values of the last row of
+ *   the previous page; only rows sorting after it are returned, see
+ *   buildSeekClause
+ * @param {string} [options.operator='AND'] - AND or OR between conditions
+ * @param {boolean} [options.forUpdate=false] - Lock the rows until the
+ *   transaction ends; needs options.client
+ * @param {Object} [options.client] - Transaction client to run on
  * @returns {Promise<Array>} Retrieved records
  */
 async function getFromDB(table, conditions = {}, options = {}) {
-  const client = await pool.connect();
+  const {
+    columns = "*",
+    distinct = false,
+    orderBy = null,
+    limit = null,
+    offset = null,
+    after = null,
+    operator = "AND", // AND or OR
+    forUpdate = false,
+    client = null,
+  } = options;
+
+  let query = `SELECT ${distinct ? "DISTINCT " : ""}${buildColumnList(
+    table,
+    columns
+  )} FROM ${quoteTable(table)}`;
+  const where = buildWhereClause(table, conditions, operator);
+  const values = where.values;
+  let paramCount = values.length + 1;
+
+  const clauses = where.clause ? [where.clause] : [];
+  if (after) {
+    if (!orderBy) {
+      throw new QueryBuildError("after needs orderBy", {
+        kind: "orderBy",
+        value: after,
+        table,
+      });
+    }
+    const seek = buildSeekClause(table, orderBy, after, paramCount);
+    if (clauses.length > 0) clauses[0] = `(${clauses[0]})`;
+    clauses.push(seek.clause);
+    values.push(...seek.values);
+    paramCount += seek.values.length;
+  }
 
-  try {
-    const {
-      columns = "*",
-      orderBy = null,
-      limit = null,
-      offset = null,
-      operator = "AND", // AND or OR
-    } = options;
-
-    let query = `SELECT ${columns} FROM ${table}`;
-    let values = [];
-    let paramCount = 1;
-
-    // Build WHERE clause
-    if (Object.keys(conditions).length > 0) {
-      const whereConditions = [];
-
-      for (const [key, value] of Object.entries(conditions)) {
-        if (value === null) {
-          whereConditions.push(`${key} IS NULL`);
-        } else if (Array.isArray(value)) {
-          // Handle IN clause
-          const placeholders = value.map(() => `$${paramCount++}`);
-          whereConditions.push(`${key} IN (${placeholders.join(", ")})`);
-          values.push(...value);
-        } else if (typeof value === "object" && value.operator) {
-          // Handle custom operators like { operator: 'LIKE', value: '%test%' }
-          whereConditions.push(`${key} ${value.operator} $${paramCount++}`);
-          values.push(value.value);
-        } else {
-          whereConditions.push(`${key} = $${paramCount++}`);
-          values.push(value);
-        }
-      }
+  if (clauses.length > 0) {
+    query += ` WHERE ${clauses.join(" AND ")}`;
+  }
 
-      query += ` WHERE ${whereConditions.join(` ${operator} `)}`;
-    }
+  // Add ORDER BY
+  if (orderBy) {
+    query += ` ORDER BY ${buildOrderBy(table, orderBy)}`;
+  }
 
-    // Add ORDER BY
-    if (orderBy) {
-      query += ` ORDER BY ${orderBy}`;
-    }
+  // Add LIMIT
+  if (limit) {
+    query += ` LIMIT $${paramCount++}`;
+    values.push(limit);
+  }
 
-    // Add LIMIT
-    if (limit) {
-      query += ` LIMIT $${paramCount++}`;
-      values.push(limit);
-    }
+  // Add OFFSET
+  if (offset) {
+    query += ` OFFSET $${paramCount++}`;
+    values.push(offset);
+  }
 
-    // Add OFFSET
-    if (offset) {
-      query += ` OFFSET $${paramCount++}`;
-      values.push(offset);
-    }
+  if (forUpdate) {
+    query += " FOR UPDATE";
+  }
 
-    const result = await client.query(query, values);
+  try {
+    const result = await runQuery(client, query, values);
     return result.rows;
   } catch (error) {
     handleError("getFromDB", error, { table, conditions, options });
-  } finally {
-    client.release();
   }
 }
 
 /**
- * Update records in database
+ * Count records in database
  * @param {string} table - Table name
- * @param {Object} data - Data to update
- * @param {Object} conditions - WHERE conditions
- * @param {string} [returnFields='*'] - Fields to return after update
- * @returns {Promise<Array>} Updated records
+ * @param {Object} [conditions={}] - WHERE conditions, same shape as getFromDB
+ * @param {Object} [options={}] - Query options
+ * @param {string} [options.operator='AND'] - AND or OR between conditions
+ * @param {Object} [options.client] - Transaction client to run on
+ * @returns {Promise<number>} Number of matching records
  */
-async function updateInDB(table, data, conditions, returnFields = "*") {
-  const client = await pool.connect();
+async function countInDB(table, conditions = {}, options = {}) {
+  const { operator = "AND", client = null } = options;
+  const where = buildWhereClause(table, conditions, operator);
+
+  let query = `SELECT COUNT(*) AS count FROM ${quoteTable(table)}`;
+  if (where.clause) {
+    query += ` WHERE ${where.clause}`;
+  }
 
   try {
-    if (Object.keys(conditions).length === 0) {
-      throw new Error(
-        "Update conditions are required to prevent updating all records"
-      );
-    }
+    const result = await runQuery(client, query, where.values);
+    return parseInt(result.rows[0].count, 10);
+  } catch (error) {
+    handleError("countInDB", error, { table, conditions, options });
+  }
+}
 
-    if (Object.keys(data).length === 0) {
-      throw new Error("No data provided for update");
-    }
+/**
+ * Update records in database
+ * @param {string} table - Table name
+ * @param {Object} data - Data to update, keyed by column name
+ * @param {Object} conditions - WHERE conditions, same shape as getFromDB
+ * @param {string|Array} [returnFields='*'] - Columns to return after update
+ * @param {Object} [options={}] - Query options
+ * @param {boolean} [options.required=true] - Fail when no record matches;
+ *   otherwise an empty array is returned
+ * @param {Object} [options.client] - Transaction client to run on
+ * @returns {Promise<Array>} Updated records
+ */
+async function updateInDB(
+  table,
+  data,
+  conditions,
+  returnFields = "*",
+  { required = true, client = null } = {}
+) {
+  if (Object.keys(conditions).length === 0) {
+    throw new Error(
+      "Update conditions are required to prevent updating all records"
+    );
+  }
 
-    let paramCount = 1;
-    let values = [];
+  if (Object.keys(data).length === 0) {
+    throw new Error("No data provided for update");
+  }
 
-    // Build SET clause
-    const setClause = [];
-    for (const [key, value] of Object.entries(data)) {
-      setClause.push(`${key} = $${paramCount++}`);
-      values.push(value);
-    }
+  // Build SET clause
+  let paramCount = 1;
+  const values = [];
+  const setClause = [];
+  for (const [key, value] of Object.entries(data)) {
+    setClause.push(`${quoteColumn(table, key)} = $${paramCount++}`);
+    values.push(value);
+  }
 
-    // Build WHERE clause
-    const whereConditions = [];
-    for (const [key, value] of Object.entries(conditions)) {
-      if (value === null) {
-        whereConditions.push(`${key} IS NULL`);
-      } else if (Array.isArray(value)) {
-        const placeholders = value.map(() => `$${paramCount++}`);
-        whereConditions.push(`${key} IN (${placeholders.join(", ")})`);
-        values.push(...value);
-      } else {
-        whereConditions.push(`${key} = $${paramCount++}`);
-        values.push(value);
-      }
-    }
+  // Build WHERE clause
+  const where = buildWhereClause(table, conditions, "AND", paramCount);
+  values.push(...where.values);
 
-    const query = `
-      UPDATE ${table}
-      SET ${setClause.join(", ")}
-      WHERE ${whereConditions.join(" AND ")}
-      RETURNING ${returnFields};
-    `;
+  const query = `
+    UPDATE ${quoteTable(table)}
+    SET ${setClause.join(", ")}
+    WHERE ${where.clause}
+    RETURNING ${buildColumnList(table, returnFields)};
+  `;
 
-    const result = await client.query(query, values);
+  try {
+    const result = await runQuery(client, query, values);
 
-    if (result.rows.length === 0) {
+    if (required && result.rows.length === 0) {
       throw new Error("No records found matching the update conditions");
     }
 
     return result.rows;
   } catch (error) {
     handleError("updateInDB", error, { table, data, conditions });
-  } finally {
-    client.release();
   }
 }
 
@@ -242,49 +731,55 @@ async function updateInDB(table, data, conditions, returnFields = "*") {
 /**
  * Delete records from database
  * @param {string} table - Table name
- * @param {Object} conditions - WHERE conditions
- * @param {string} [returnFields='*'] - Fields to return after delete
+ * @param {Object} conditions - WHERE conditions, same shape as getFromDB
+ * @param {string|Array} [returnFields='*'] - Columns to return after delete
+ * @param {Object} [options={}] - Query options
+ * @param {Object} [options.client] - Transaction client to run on
  * @returns {Promise<Array>} Deleted records
  */
-async function deleteFromDB(table, conditions, returnFields = "*") {
-  const client = await pool.connect();
-
-  try {
-    if (Object.keys(conditions).length === 0) {
-      throw new Error(
-        "Delete conditions are required to prevent deleting all records"
-      );
-    }
-
-    let paramCount = 1;
-    let values = [];
-
-    const whereConditions = [];
-    for (const [key, value] of Object.entries(conditions)) {
-      if (value === null) {
-        whereConditions.push(`${key} IS NULL`);
-      } else if (Array.isArray(value)) {
-        const placeholders = value.map(() => `$${paramCount++}`);
-        whereConditions.push(`${key} IN (${placeholders.join(", ")})`);
-        values.push(...value);
-      } else {
-        whereConditions.push(`${key} = $${paramCount++}`);
-        values.push(value);
-      }
-    }
+async function deleteFromDB(
+  table,
+  conditions,
+  returnFields = "*",
+  { client = null } = {}
+) {
+  if (Object.keys(conditions).length === 0) {
+    throw new Error(
+      "Delete conditions are required to prevent deleting all records"
+    );
+  }
 
-    const query = `
-      DELETE FROM ${table}
-      WHERE ${whereConditions.join(" AND ")}
-      RETURNING ${returnFields};
-    `;
+  const where = buildWhereClause(table, conditions);
+  const query = `
+    DELETE FROM ${quoteTable(table)}
+    WHERE ${where.clause}
+    RETURNING ${buildColumnList(table, returnFields)};
+  `;
 
-    const result = await client.query(query, values);
+  try {
+    const result = await runQuery(client, query, where.values);
     return result.rows;
   } catch (error) {
     handleError("deleteFromDB", error, { table, conditions });
-  } finally {
-    client.release();
+  }
+}
+
+/**
+ * Run a fixed SQL statement, for queries the functions above cannot build
+ * (joins, GROUP BY, ON CONFLICT). Identifiers must be written into the SQL by
+ * the caller, never taken from input; pass every value as a parameter.
+ * @param {string} query - SQL with $1, $2, ... placeholders
+ * @param {Array} [values=[]] - Parameter values
+ * @param {Object} [options={}] - Query options
+ * @param {Object} [options.client] - Transaction client to run on
+ * @returns {Promise<Array>} Result rows
+ */
+async function executeQuery(query, values = [], { client = null } = {}) {
+  try {
+    const result = await runQuery(client, query, values);
+    return result.rows;
+  } catch (error) {
+    handleError("executeQuery", error);
   }
 }
 
@@ -336,6 +831,12 @@ async function closeConnection() {
 
 /**
  * Execute multiple operations in a transaction
+ *
+ * Pass the client to the database functions and repositories (as
+ * { client }) to run them inside the transaction. PostgreSQL errors are
+ * thrown as DatabaseError; any other error thrown by the operations is
+ * rethrown as it is, after the rollback.
+ *
  * @param {Function} operations - Async function that receives a client
  * @returns {Promise} Transaction result
  */
@@ -352,6 +853,9 @@ async function executeTransaction(operations) {
     return result;
   } catch (error) {
     await client.query("ROLLBACK");
+    if (!(error instanceof PgError)) {
+      throw error;
+    }
     handleError("executeTransaction", error);
   } finally {
     client.release();
@@ -367,6 +871,18 @@ module.exports = {
   addToDB,
   getFromDB,
   updateInDB,
+  countInDB,
+  deleteFromDB,
+  executeQuery,
+
+  // Errors
+  QueryBuildError,
+  DatabaseError,
+
+  // Transactions and connection management
+  executeTransaction,
+  testConnection,
+  closeConnection,
 };
 
 // =============================================================================
@@ -376,7 +892,7 @@ module.exports = {
 /*
 
 // Example 1: Add a new design
-const newDesign = await addToDB('designs', {
+const newDesign = await addToDB('sampling_designs', {
   design_id: 'D001',
   client: 'John Doe',
   fabric: 'Cotton',
@@ -384,61 +900,66 @@ const newDesign = await addToDB('designs', {
 });
 
 // Example 2: Get all designs for a specific client
-const clientDesigns = await getFromDB('designs', 
+const clientDesigns = await getFromDB('sampling_designs',
   { client: 'John Doe' },
-  { orderBy: 'created_at DESC', limit: 10 }
+  { orderBy: [{ column: 'created_at', direction: 'DESC' }], limit: 10 }
 );
 
 // Example 3: Get designs with LIKE search
-const searchResults = await getFromDB('designs',
-  { 
-    client: { operator: 'LIKE', value: '%John%' },
-    approved: 'Yes'
+const searchResults = await getFromDB('sampling_designs',
+  {
+    client: { operator: 'ILIKE', value: '%John%' },
+    approved: 'True'
   },
-  { orderBy: 'date_added DESC' }
+  { orderBy: { column: 'date_added', direction: 'DESC' } }
 );
 
 // Example 4: Update design status
-const updatedDesign = await updateInDB('designs',
-  { approved: 'Yes', final_dress: 'Completed' },
+const updatedDesign = await updateInDB('sampling_designs',
+  { approved: 'True', final_dress: 'Completed' },
   { design_id: 'D001' }
 );
 
 // Example 5: Get designs with multiple conditions
-const designs = await getFromDB('designs',
-  { 
-    approved: ['Yes', 'Pending'], // IN clause
+const designs = await getFromDB('sampling_designs',
+  {
+    status: ['draft', 'sampling'], // IN clause
     fabric: 'Cotton'
   },
-  { 
-    columns: 'design_id, client, fabric, approved',
-    orderBy: 'created_at DESC',
+  {
+    columns: ['design_id', 'client', 'fabric', 'approved'],
+    orderBy: [{ column: 'created_at', direction: 'DESC' }],
     limit: 20
   }
 );
 
-// Example 6: Execute transaction
+// Example 5b: Rejected before any SQL is sent
+await getFromDB('sampling_designs', { 'client; DROP TABLE x': 'a' });
+// -> QueryBuildError: Unknown column "client; DROP TABLE x" in sampling_designs
+
+// Example 6: Execute transaction; repositories and the functions above take
+// the client as { client }
 const result = await executeTransaction(async (client) => {
-  // Insert design
-  const design = await client.query(
-    'INSERT INTO designs (design_id, client) VALUES ($1, $2) RETURNING *',
-    ['D002', 'Jane Doe']
-  );
-  
-  // Insert related fabric usage
-  await client.query(
-    'INSERT INTO fabric_usage (design_id, fabric_type, meters) VALUES ($1, $2, $3)',
-    [design.rows[0].id, 'Cotton', 2.5]
+  const design = await addToDB('sampling_designs',
+    { design_id: 'D002', client: 'Jane Doe' },
+    '*',
+    { client }
   );
-  
-  return design.rows[0];
+
+  await addToDB('design_audit', {
+    design_id: design.design_id,
+    operation: 'create',
+    changes: '[]'
+  }, '*', { client });
+
+  return design;
 });
 
 // Example 7: Raw query execution
 const customQuery = await executeQuery(`
-  SELECT d.*, f.cost_per_meter 
-  FROM designs d
-  LEFT JOIN fabric_costs f ON d.fabric = f.fabric_type
+  SELECT d.*, f.cost_per_meter
+  FROM sampling_designs d
+  LEFT JOIN fabrics f ON d.fabric = f.fabric_type
   WHERE d.created_at >= $1
 `, [new Date('2024-01-01')]);
 
@@ -0,0 +1,188 @@
+/**
+ * Database Module Tests
+ *
+ * The query builder's checks on identifiers and operators. Every case here
+ * is rejected before any SQL is sent, so no database is needed.
+ * Usage: npm test
+ */
+
+const assert = require("assert");
+const {
+  addToDB,
+  getFromDB,
+  updateInDB,
+  deleteFromDB,
+  QueryBuildError,
+} = require("./database");
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Assert that a query is rejected by the builder
+ * @param {Function} query - Function running the query
+ * @param {string} kind - Expected QueryBuildError kind
+ * @param {RegExp} [message] - Expected message
+ * @returns {Promise<void>}
+ */
+const assertRejected = (query, kind, message) =>
+  assert.rejects(query, (error) => {
+    assert.ok(error instanceof QueryBuildError, error.stack);
+    assert.strictEqual(error.kind, kind);
+    if (message) assert.match(error.message, message);
+    return true;
+  });
+
+// =============================================================================
+// TESTS
+// =============================================================================
+
+describe("query builder", () => {
+  describe("identifiers", () => {
+    it("rejects tables outside the registry", async () => {
+      await assertRejected(
+        () => getFromDB("sampling_designs; drop table fabrics", {}),
+        "table"
+      );
+      await assertRejected(() => getFromDB("pg_user", {}), "table");
+      await assertRejected(() => getFromDB("constructor", {}), "table");
+    });
+
+    it("rejects unknown condition columns", async () => {
+      await assertRejected(
+        () => getFromDB("sampling_designs", { "client = '' OR 1=1 --": "x" }),
+        "column",
+        /Unknown column "client = '' OR 1=1 --" in sampling_designs/
+      );
+    });
+
+    it("rejects unknown selected and returned columns", async () => {
+      await assertRejected(
+        () => getFromDB("sampling_designs", {}, { columns: "*, pg_sleep(1)" }),
+        "column"
+      );
+      await assertRejected(
+        () => addToDB("sampling_designs", { design_id: "x" }, "*, version()"),
+        "column"
+      );
+    });
+
+    it("rejects unknown columns to write", async () => {
+      await assertRejected(
+        () =>
+          updateInDB(
+            "sampling_designs",
+            { "client = 1, approved": "True" },
+            { design_id: "x" }
+          ),
+        "column"
+      );
+      await assertRejected(
+        () => addToDB("fabrics", { "fabric_type) VALUES ('x'); --": "x" }),
+        "column"
+      );
+    });
+
+    it("rejects casts outside the allowed list", async () => {
+      await assertRejected(
+        () =>
+          getFromDB(
+            "sampling_designs",
+            {},
+            { columns: [{ column: "client", cast: "text); --" }] }
+          ),
+        "cast"
+      );
+    });
+  });
+
+  describe("operators", () => {
+    it("rejects condition operators outside the allowed list", async () => {
+      await assertRejected(
+        () =>
+          getFromDB("sampling_designs", {
+            client: { operator: "= '' OR 1=1 --", value: "x" },
+          }),
+        "operator",
+        /is not allowed/
+      );
+    });
+
+    it("rejects join operators other than AND and OR", async () => {
+      await assertRejected(
+        () =>
+          getFromDB(
+            "sampling_designs",
+            { client: "a" },
+            { operator: "OR 1=1" }
+          ),
+        "operator",
+        /cannot join conditions/
+      );
+    });
+
+    it("rejects sorts that are not column and direction pairs", async () => {
+      await assertRejected(
+        () => getFromDB("sampling_designs", {}, { orderBy: "client; drop" }),
+        "orderBy"
+      );
+      await assertRejected(
+        () =>
+          getFromDB(
+            "sampling_designs",
+            {},
+            { orderBy: { column: "client", direction: "sideways" } }
+          ),
+        "orderBy",
+        /Sort direction "sideways" is not allowed/
+      );
+    });
+
+    it("rejects operators given the wrong shape of value", async () => {
+      await assertRejected(
+        () =>
+          deleteFromDB("fabrics", {
+            fabric_type: { operator: "in", value: [] },
+          }),
+        "conditions"
+      );
+      await assertRejected(
+        () => getFromDB("sampling_designs", { status: [] }),
+        "conditions",
+        /IN on status needs a list/
+      );
+      await assertRejected(
+        () =>
+          getFromDB("sampling_designs", {
+            date_added: { operator: "between", value: ["2024-01-01"] },
+          }),
+        "conditions"
+      );
+    });
+
+    it("rejects keyset positions that do not match the sort", async () => {
+      await assertRejected(
+        () => getFromDB("sampling_designs", {}, { after: ["D001"] }),
+        "orderBy",
+        /after needs orderBy/
+      );
+      await assertRejected(
+        () =>
+          getFromDB(
+            "sampling_designs",
+            {},
+            {
+              orderBy: [
+                { column: "client", direction: "asc" },
+                { column: "design_id", direction: "asc" },
+              ],
+              after: ["Acme"],
+            }
+          ),
+        "conditions",
+        /one value per orderBy column/
+      );
+    });
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * Database Tables Module
+ *
+ * Registry of the tables, and their columns, that the query builder in
+ * database.js may name. Every table and column identifier is checked against
+ * it before being quoted into SQL, so a filter key or sort field taken from a
+ * request cannot inject SQL. Keep it in step with the migrations.
+ * Usage: const { TABLES } = require('./dbTables');
+ */
+
+// =============================================================================
+// CONFIGURATION & CONSTANTS
+// =============================================================================
+
+const TABLES = {
+  sampling_designs: [
+    "id",
+    "design_id",
+    "date_added",
+    "client",
+    "dress_type",
+    "fabric",
+    "comments",
+    "reference_image",
+    "s3_key",
+    "fabric_length",
+    "lining_fabric",
+    "lining_length",
+    "embroidery",
+    "final_dress",
+    "approved",
+    "status",
+    "status_changed_at",
+    "status_changed_by",
+    "deleted_at",
+    "deleted_by",
+    "rowid",
+    "sheet_hash",
+    "created_at",
+    "updated_at",
+  ],
+  fabrics: [
+    "id",
+    "fabric_type",
+    "cost_per_meter",
+    "supplier",
+    "description",
+    "width",
+    "unit",
+    "created_at",
+    "updated_at",
+  ],
+  fabric_prices: [
+    "id",
+    "fabric_type",
+    "cost_per_meter",
+    "effective_from",
+    "created_at",
+  ],
+  dress_usage: [
+    "id",
+    "dress_type",
+    "size",
+    "fabric_width",
+    "unit",
+    "metres",
+    "notes",
+    "created_at",
+    "updated_at",
+  ],
+  design_transitions: [
+    "id",
+    "design_id",
+    "action",
+    "from_status",
+    "to_status",
+    "reason",
+    "actor",
+    "created_at",
+  ],
+  design_audit: [
+    "id",
+    "design_id",
+    "operation",
+    "changes",
+    "actor",
+    "request_id",
+    "created_at",
+  ],
+  design_id_counters: ["scope", "last_value", "updated_at"],
+  idempotency_keys: [
+    "idempotency_key",
+    "method",
+    "path",
+    "request_hash",
+    "status",
+    "response_status",
+    "response_body",
+    "created_at",
+    "expires_at",
+  ],
+  image_uploads: [
+    "s3_key",
+    "client",
+    "content_type",
+    "size",
+    "status",
+    "etag",
+    "design_id",
+    "created_at",
+    "expires_at",
+    "confirmed_at",
+    "attached_at",
+  ],
+};
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  TABLES,
+};
@@ -0,0 +1,183 @@
+/**
+ * Design Audit Module
+ *
+ * Records every create, update, delete and restore of a sampling_designs row in
+ * the design_audit table as a list of field changes with their before and
+ * after values, plus the actor and request id that made the change. A soft
+ * delete changes only deleted_at; a purge changes every field to null.
+ * Usage: const { recordDesignChange, getDesignHistory } = require('./designAudit');
+ */
+
+const designsRepository = require("./repositories/designs");
+const Logger = require("./logger");
+const { DESIGN_COLUMNS, formatDate } = require("./designColumns");
+
+// =============================================================================
+// CONFIGURATION & CONSTANTS
+// =============================================================================
+
+const AUDIT_OPERATIONS = ["create", "update", "delete", "restore"];
+
+// Bookkeeping columns that change on every write; the audit row itself
+// carries who and when
+const IGNORED_COLUMNS = [
+  "id",
+  "created_at",
+  "updated_at",
+  "status_changed_at",
+  "status_changed_by",
+  "deleted_by",
+  "sheet_hash",
+];
+
+// sampling_designs column -> API field name used in the change list
+const COLUMN_FIELDS = Object.fromEntries(
+  DESIGN_COLUMNS.map(({ field, dbColumn }) => [dbColumn, field])
+);
+
+// =============================================================================
+// UTILITY FUNCTIONS
+// =============================================================================
+
+/**
+ * Normalise a column value for storage and comparison, so NUMERIC "2.50"
+ * and 2.5 or a DATE and its YYYY-MM-DD text count as the same value
+ * @param {*} value - Column value
+ * @returns {string|number|boolean|null} Normalised value
+ */
+const normalizeValue = (value) => {
+  if (value === null || value === undefined || value === "") return null;
+  if (value instanceof Date) return formatDate(value);
+  if (typeof value === "string" && /^-?\d+(\.\d+)?$/.test(value.trim())) {
+    return Number(value);
+  }
+  return value;
+};
+
+/**
+ * List the fields that differ between two versions of a design record
+ * @param {Object|null} before - Record before the change, null on create
+ * @param {Object|null} after - Record after the change, null on delete
+ * @returns {Array<Object>} [{ field, before, after }]
+ */
+function diffDesignRecords(before, after) {
+  const columns = new Set([
+    ...Object.keys(before || {}),
+    ...Object.keys(after || {}),
+  ]);
+  const changes = [];
+
+  for (const column of columns) {
+    if (IGNORED_COLUMNS.includes(column)) continue;
+
+    const oldValue = normalizeValue(before ? before[column] : null);
+    const newValue = normalizeValue(after ? after[column] : null);
+    if (oldValue === newValue) continue;
+
+    changes.push({
+      field: COLUMN_FIELDS[column] || column,
+      before: oldValue,
+      after: newValue,
+    });
+  }
+
+  return changes;
+}
+
+/**
+ * Convert a design_audit record to its API shape
+ * @param {Object} record - Row from the design_audit table
+ * @returns {Object} History entry
+ */
+const recordToHistoryEntry = (record) => ({
+  id: Number(record.id),
+  designId: record.design_id,
+  operation: record.operation,
+  // JSONB does not keep key order
+  changes: record.changes.map(({ field, before, after }) => ({
+    field,
+    before,
+    after,
+  })),
+  actor: record.actor,
+  requestId: record.request_id,
+  createdAt: record.created_at,
+});
+
+// =============================================================================
+// MAIN AUDIT FUNCTIONS
+// =============================================================================
+
+/**
+ * Record a change to a design
+ *
+ * Updates that change nothing are not recorded. Pass the transaction client
+ * when the change is made inside one so the audit row commits with it;
+ * otherwise the row is written on its own connection and a failure is logged
+ * with the full change rather than failing a write that already happened.
+ *
+ * @param {Object} change - Change to record
+ * @param {string} change.designId - Design ID
+ * @param {string} change.operation - create, update or delete
+ * @param {Object|null} change.before - Record before the change
+ * @param {Object|null} change.after - Record after the change
+ * @param {Object} [context={}] - { actor, requestId } of the request
+ * @param {Object} [client=null] - Transaction client
+ * @returns {Promise<Object|null>} History entry, or null if nothing changed
+ */
+async function recordDesignChange(change, context = {}, client = null) {
+  const { designId, operation, before, after } = change;
+  if (!AUDIT_OPERATIONS.includes(operation)) {
+    throw new Error(`Unknown audit operation "${operation}"`);
+  }
+
+  const changes = diffDesignRecords(before, after);
+  if (operation === "update" && changes.length === 0) {
+    return null;
+  }
+
+  const row = {
+    design_id: designId,
+    operation,
+    changes: JSON.stringify(changes),
+    actor: context.actor || null,
+    request_id: context.requestId || null,
+  };
+
+  // Inside a transaction a failed insert must roll the change back with it
+  if (client) {
+    return recordToHistoryEntry(
+      await designsRepository.insertAudit(row, { client })
+    );
+  }
+
+  try {
+    return recordToHistoryEntry(await designsRepository.insertAudit(row));
+  } catch (error) {
+    Logger.error("Failed to record design audit entry", error, {
+      ...row,
+      changes,
+    });
+    return null;
+  }
+}
+
+/**
+ * Get the audit history of a design, oldest first
+ * @param {string} designId - Design ID
+ * @returns {Promise<Array<Object>>} History entries
+ */
+async function getDesignHistory(designId) {
+  const records = await designsRepository.listAudit(designId);
+  return records.map(recordToHistoryEntry);
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  diffDesignRecords,
+  recordDesignChange,
+  getDesignHistory,
+};
@@ -0,0 +1,248 @@
+/**
+ * Design Columns Module
+ *
+ * Single definition of the Designs sheet columns: each field's sheet header and
+ * the sampling_designs column it maps to, shared by the sheet reads and writes
+ * (see sheetLayout.js), the PUT route and the sheet/database sync.
+ * Usage: const { DESIGN_COLUMNS, designToRow } = require('./designColumns');
+ */
+
+const crypto = require("crypto");
+
+// =============================================================================
+// CONFIGURATION & CONSTANTS
+// =============================================================================
+
+// In the sheet's usual order. Sheet reads and writes find each column by its
+// header (or an alias), so the sheet may reorder them or add others.
+const DESIGN_COLUMNS = [
+  { field: "designId", dbColumn: "design_id", header: "Design_Id" },
+  { field: "dateAdded", dbColumn: "date_added", header: "Date_Added" },
+  { field: "client", dbColumn: "client", header: "Client" },
+  { field: "dressType", dbColumn: "dress_type", header: "Dress_Type" },
+  { field: "fabric", dbColumn: "fabric", header: "Fabric" },
+  { field: "comments", dbColumn: "comments", header: "Comments" },
+  {
+    field: "referenceImageUrl",
+    dbColumn: "reference_image",
+    header: "referenceImageUrl",
+    aliases: ["Reference Image"],
+  },
+  {
+    field: "referenceImages3Key",
+    dbColumn: "s3_key",
+    header: "referenceImages3Key",
+    aliases: ["S3 Key"],
+  },
+  { field: "fabricLength", dbColumn: "fabric_length", header: "fabricLength" },
+  { field: "liningFabric", dbColumn: "lining_fabric", header: "liningFabric" },
+  { field: "liningLength", dbColumn: "lining_length", header: "liningLength" },
+  { field: "embroidery", dbColumn: "embroidery", header: "Embroidery" },
+  {
+    field: "finalDressUrl",
+    dbColumn: "final_dress",
+    header: "FinalDress",
+    aliases: ["Final Dress Image"],
+  },
+  { field: "approved", dbColumn: "approved", header: "Approved" },
+  // Sheets made before the workflow have no Status column: writes leave it
+  // out there and reads derive it from Approved
+  { field: "status", dbColumn: "status", header: "Status", optional: true },
+];
+
+const DESIGN_SHEET_NAME = "Designs";
+
+// Older clients of PUT /api/designs send these spellings
+const FIELD_ALIASES = {
+  liningfabric: "liningFabric",
+};
+
+// =============================================================================
+// UTILITY FUNCTIONS
+// =============================================================================
+
+/**
+ * Convert a zero-based column index to a sheet column letter
+ * @param {number} index - Column index
+ * @returns {string} Column letter, e.g. 0 -> "A", 27 -> "AB"
+ */
+const columnLetter = (index) => {
+  let letter = "";
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letter = String.fromCharCode(65 + ((n - 1) % 26)) + letter;
+  }
+  return letter;
+};
+
+const LAST_COLUMN = columnLetter(DESIGN_COLUMNS.length - 1);
+
+/**
+ * Format a date value from the database as YYYY-MM-DD
+ * @param {Date|string} value - Date value
+ * @returns {string} Formatted date
+ */
+const formatDate = (value) => {
+  if (!(value instanceof Date)) return value;
+
+  const month = String(value.getMonth() + 1).padStart(2, "0");
+  const day = String(value.getDate()).padStart(2, "0");
+  return `${value.getFullYear()}-${month}-${day}`;
+};
+
+/**
+ * Normalise a field value so sheet text and database values compare equal
+ * when they mean the same thing ("2.50" vs "2.5", FALSE vs "False")
+ * @param {*} value - Field value
+ * @returns {string} Comparable value
+ */
+const comparable = (value) => {
+  const text = String(
+    value === null || value === undefined ? "" : value
+  ).trim();
+  if (text !== "" && !Number.isNaN(Number(text))) return String(Number(text));
+  if (/^(true|false)$/i.test(text)) return text.toLowerCase();
+  return text;
+};
+
+// =============================================================================
+// MAPPING FUNCTIONS
+// =============================================================================
+
+/**
+ * Canonical A1 range of one design row, stored as the record's rowid
+ * Sheet calls address the row through its SheetLayout instead, which covers
+ * the columns the sheet actually has.
+ * @param {number} rowNumber - One-based sheet row number
+ * @returns {string} Range, e.g. "Designs!A25:O25"
+ */
+function designRowRange(rowNumber) {
+  return `${DESIGN_SHEET_NAME}!A${rowNumber}:${LAST_COLUMN}${rowNumber}`;
+}
+
+/**
+ * Extract the sheet row number from a stored range such as "Designs!A25:N25"
+ * @param {string} range - A1 range
+ * @returns {number|null} Row number or null if the range is not recognised
+ */
+function rowNumberFromRange(range) {
+  const match = /(?:^|!)\$?[A-Z]+\$?(\d+)/.exec(range || "");
+  return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * Convert a sheet row to a design object
+ * @param {Array} row - Sheet row values
+ * @param {SheetLayout} layout - Designs sheet layout read from its header row
+ * @returns {Object} Design keyed by field name
+ */
+function rowToDesign(row, layout) {
+  const design = layout.rowToObject(row);
+
+  // Rows written before the status column existed only have approved
+  if (design.status === "") {
+    design.status = /^(true|yes)$/i.test(String(design.approved).trim())
+      ? "approved"
+      : "draft";
+  }
+
+  return design;
+}
+
+/**
+ * Convert a design object to a sheet row in the sheet's column order
+ * @param {Object} design - Design keyed by field name
+ * @param {SheetLayout} layout - Designs sheet layout read from its header row
+ * @returns {Array} Sheet row values
+ * @throws {SheetLayoutError} If a field with a value has no column
+ */
+function designToRow(design, layout) {
+  const values = {};
+  DESIGN_COLUMNS.forEach(({ field }) => {
+    values[field] =
+      design[field] === undefined || design[field] === null
+        ? ""
+        : design[field];
+  });
+  return layout.objectToRow(values);
+}
+
+/**
+ * Convert a design object to a sampling_designs record
+ * Fields missing from the design are left out of the record.
+ * @param {Object} design - Design keyed by field name
+ * @returns {Object} Record keyed by column name
+ */
+function designToRecord(design) {
+  const record = {};
+  DESIGN_COLUMNS.forEach(({ field, dbColumn }) => {
+    if (design[field] !== undefined) {
+      record[dbColumn] = design[field] === "" ? null : design[field];
+    }
+  });
+  return record;
+}
+
+/**
+ * Convert a sampling_designs record to a design object
+ * @param {Object} record - Record keyed by column name
+ * @returns {Object} Design keyed by field name
+ */
+function recordToDesign(record) {
+  const design = {};
+  DESIGN_COLUMNS.forEach(({ field, dbColumn }) => {
+    const value = record[dbColumn];
+    design[field] =
+      value === null || value === undefined ? "" : formatDate(value);
+  });
+  return design;
+}
+
+/**
+ * Hash the sheet fields of a design, stored as the record's sheet_hash
+ * Designs whose fields compare equal field by field hash the same.
+ * @param {Object} design - Design keyed by field name
+ * @returns {string} Hex SHA-256 digest
+ */
+function designHash(design) {
+  const values = DESIGN_COLUMNS.map(({ field }) => comparable(design[field]));
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify(values))
+    .digest("hex");
+}
+
+/**
+ * Rename legacy field spellings in a request body to their canonical names
+ * @param {Object} body - Parsed request body
+ * @returns {Object} Body with canonical field names
+ */
+function normalizeDesignFields(body) {
+  const design = { ...body };
+  for (const [alias, field] of Object.entries(FIELD_ALIASES)) {
+    if (design[alias] !== undefined && design[field] === undefined) {
+      design[field] = design[alias];
+    }
+    delete design[alias];
+  }
+  return design;
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  DESIGN_COLUMNS,
+  DESIGN_SHEET_NAME,
+  columnLetter,
+  formatDate,
+  comparable,
+  designRowRange,
+  rowNumberFromRange,
+  rowToDesign,
+  designToRow,
+  designToRecord,
+  recordToDesign,
+  designHash,
+  normalizeDesignFields,
+};
@@ -0,0 +1,368 @@
+/**
+ * Design Export Module
+ *
+ * Streams designs matching the listing filters as CSV or XLSX, each row with
+ * its computed fabric and lining cost. Designs are read from the database in
+ * batches and written out as they arrive, so an export never holds the whole
+ * result in memory. Each design is priced as of its date added (or asOf),
+ * like GET /api/designs/:designId/cost.
+ * Usage: await exportDesigns(res, { conditions, orderBy, format: 'csv' });
+ */
+
+const ExcelJS = require("exceljs");
+const designsRepository = require("./repositories/designs");
+const { estimateCost, designRecordToCostInput } = require("./costing");
+const { recordToDesign } = require("./designColumns");
+const { DESIGN_LIST_SCHEMA } = require("./designQuery");
+const { getFabricCostMap } = require("./fabrics");
+const { listUsage } = require("./usage");
+const { isValidDate } = require("./validation");
+
+// =============================================================================
+// CONFIGURATION & CONSTANTS
+// =============================================================================
+
+const EXPORT_FORMATS = {
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+  xlsx: {
+    contentType:
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    extension: "xlsx",
+  },
+};
+
+// Designs read from the database per query
+const EXPORT_BATCH_SIZE = 500;
+
+/**
+ * Convert a NUMERIC column value to a number
+ * @param {string|number} value - Value from recordToDesign
+ * @returns {number|null} Number, or null when blank
+ */
+const toNumber = (value) => (value === "" ? null : Number(value));
+
+// Available columns in their default order. Each value function receives
+// { design, cost, priceDate }; optional columns are only exported on request.
+const EXPORT_COLUMNS = [
+  {
+    key: "designId",
+    header: "Design ID",
+    value: ({ design }) => design.designId,
+  },
+  {
+    key: "dateAdded",
+    header: "Date Added",
+    value: ({ design }) => design.dateAdded,
+  },
+  { key: "client", header: "Client", value: ({ design }) => design.client },
+  {
+    key: "dressType",
+    header: "Dress Type",
+    value: ({ design }) => design.dressType,
+  },
+  { key: "status", header: "Status", value: ({ design }) => design.status },
+  {
+    key: "approved",
+    header: "Approved",
+    value: ({ design }) => design.approved,
+  },
+  { key: "fabric", header: "Fabric", value: ({ design }) => design.fabric },
+  {
+    key: "fabricLength",
+    header: "Fabric Length (m)",
+    value: ({ design }) => toNumber(design.fabricLength),
+  },
+  {
+    key: "liningFabric",
+    header: "Lining Fabric",
+    value: ({ design }) => design.liningFabric,
+  },
+  {
+    key: "liningLength",
+    header: "Lining Length (m)",
+    value: ({ design }) => toNumber(design.liningLength),
+  },
+  {
+    key: "embroidery",
+    header: "Embroidery",
+    value: ({ design }) => design.embroidery,
+  },
+  {
+    key: "comments",
+    header: "Comments",
+    value: ({ design }) => design.comments,
+  },
+  {
+    key: "fabricMetres",
+    header: "Fabric Metres Costed",
+    value: ({ cost }) => cost.mainFabric.metres,
+  },
+  {
+    key: "fabricCostPerMeter",
+    header: "Fabric Cost per Metre",
+    value: ({ cost }) => cost.mainFabric.costPerMeter,
+  },
+  {
+    key: "fabricCost",
+    header: "Fabric Cost",
+    value: ({ cost }) => cost.mainFabric.cost,
+  },
+  {
+    key: "liningCostPerMeter",
+    header: "Lining Cost per Metre",
+    value: ({ cost }) => (cost.lining ? cost.lining.costPerMeter : null),
+  },
+  {
+    key: "liningCost",
+    header: "Lining Cost",
+    value: ({ cost }) => (cost.lining ? cost.lining.cost : null),
+  },
+  {
+    key: "totalCost",
+    header: "Total Cost",
+    value: ({ cost }) => cost.totals.cost,
+  },
+  {
+    key: "costComplete",
+    header: "Cost Complete",
+    value: ({ cost }) => (cost.totals.complete ? "Yes" : "No"),
+  },
+  {
+    key: "priceDate",
+    header: "Price Date",
+    value: ({ priceDate }) => priceDate,
+  },
+  {
+    key: "costWarnings",
+    header: "Cost Warnings",
+    value: ({ cost }) => cost.warnings.join("; "),
+  },
+  {
+    key: "referenceImageUrl",
+    header: "Reference Image",
+    value: ({ design }) => design.referenceImageUrl,
+    optional: true,
+  },
+  {
+    key: "finalDressUrl",
+    header: "Final Dress Image",
+    value: ({ design }) => design.finalDressUrl,
+    optional: true,
+  },
+];
+
+const DEFAULT_EXPORT_COLUMNS = EXPORT_COLUMNS.filter(
+  (column) => !column.optional
+).map((column) => column.key);
+
+// GET /api/designs/export query: the listing filters and sort, without
+// pagination, plus the file options
+const DESIGN_EXPORT_SCHEMA = {
+  ...Object.fromEntries(
+    Object.entries(DESIGN_LIST_SCHEMA).filter(
+      ([field]) => !["limit", "offset", "cursor"].includes(field)
+    )
+  ),
+  format: {
+    type: "string",
+    enum: Object.keys(EXPORT_FORMATS),
+    ignoreCase: true,
+    default: "csv",
+  },
+  columns: {
+    type: "array",
+    items: {
+      type: "string",
+      enum: EXPORT_COLUMNS.map((column) => column.key),
+    },
+    description: `Comma separated columns in output order; default ${DEFAULT_EXPORT_COLUMNS.join(",")}`,
+  },
+  asOf: {
+    type: "date",
+    description: "Price every design as of this date instead of its date added",
+  },
+};
+
+// =============================================================================
+// UTILITY FUNCTIONS
+// =============================================================================
+
+/**
+ * Format a value as a CSV field
+ * Text starting with =, +, - or @ is prefixed with ' so spreadsheet apps do
+ * not run it as a formula.
+ * @param {*} value - Cell value
+ * @returns {string} CSV field
+ */
+const csvField = (value) => {
+  if (value === null || value === undefined) return "";
+  let text = String(value);
+  if (typeof value === "string" && /^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Write to a stream, waiting for it to drain when its buffer is full
+ * @param {Object} stream - Writable stream
+ * @param {string} chunk - Data to write
+ * @returns {Promise<void>}
+ */
+const writeChunk = (stream, chunk) =>
+  stream.write(chunk)
+    ? Promise.resolve()
+    : new Promise((resolve) => stream.once("drain", resolve));
+
+/**
+ * Create a CSV row writer over a stream
+ * @param {Object} stream - Writable stream
+ * @param {Array<Object>} columns - Export columns
+ * @returns {Object} { writeRow, end }
+ */
+function createCsvWriter(stream, columns) {
+  // The byte order mark makes Excel read the file as UTF-8
+  stream.write(
+    `\uFEFF${columns.map((column) => csvField(column.header)).join(",")}\r\n`
+  );
+
+  return {
+    writeRow: (values) =>
+      writeChunk(stream, `${values.map(csvField).join(",")}\r\n`),
+    end: async () => stream.end(),
+  };
+}
+
+/**
+ * Create an XLSX row writer over a stream
+ * @param {Object} stream - Writable stream
+ * @param {Array<Object>} columns - Export columns
+ * @returns {Object} { writeRow, end }
+ */
+function createXlsxWriter(stream, columns) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream });
+  const worksheet = workbook.addWorksheet("Designs");
+  worksheet.columns = columns.map((column) => ({
+    header: column.header,
+    key: column.key,
+    width: Math.max(12, column.header.length + 2),
+  }));
+
+  return {
+    writeRow: async (values) => worksheet.addRow(values).commit(),
+    end: async () => {
+      await worksheet.commit();
+      await workbook.commit();
+    },
+  };
+}
+
+/**
+ * Read designs in batches
+ * @param {Object} conditions - getFromDB conditions
+ * @param {Array<Object>} orderBy - getFromDB orderBy; must give a stable order
+ * @returns {AsyncGenerator<Array<Object>>} Batches of sampling_designs records
+ */
+async function* readDesignBatches(conditions, orderBy) {
+  for (let offset = 0; ; offset += EXPORT_BATCH_SIZE) {
+    const batch = await designsRepository.findMany(conditions, {
+      orderBy,
+      limit: EXPORT_BATCH_SIZE,
+      offset,
+    });
+    if (batch.length > 0) yield batch;
+    if (batch.length < EXPORT_BATCH_SIZE) return;
+  }
+}
+
+// =============================================================================
+// MAIN EXPORT FUNCTIONS
+// =============================================================================
+
+/**
+ * Stream matching designs with their costs to an HTTP response
+ *
+ * Response headers are only sent once the first batch has been read, so a
+ * failing query can still be answered with a JSON error. A failure after
+ * that is thrown with res.headersSent set.
+ *
+ * @param {Object} res - Express response
+ * @param {Object} options - Export options
+ * @param {Object} options.conditions - getFromDB conditions
+ * @param {Array<Object>} options.orderBy - orderBy from parseDesignListQuery
+ * @param {string} [options.format='csv'] - Key of EXPORT_FORMATS
+ * @param {Array<string>} [options.columns] - Column keys in output order
+ * @param {string} [options.asOf] - Price every design as of this date
+ * @returns {Promise<number>} Number of designs written
+ */
+async function exportDesigns(
+  res,
+  { conditions, orderBy, format = "csv", columns, asOf = null }
+) {
+  const keys = [
+    ...new Set(
+      columns && columns.length > 0 ? columns : DEFAULT_EXPORT_COLUMNS
+    ),
+  ];
+  const selected = keys.map((key) =>
+    EXPORT_COLUMNS.find((column) => column.key === key)
+  );
+
+  const usageEntries = await listUsage();
+  const costMaps = new Map();
+  const costMapFor = (priceDate) => {
+    if (!costMaps.has(priceDate)) {
+      costMaps.set(priceDate, getFabricCostMap(priceDate));
+    }
+    return costMaps.get(priceDate);
+  };
+
+  const batches = readDesignBatches(conditions, orderBy);
+  let next = await batches.next();
+
+  const { contentType, extension } = EXPORT_FORMATS[format];
+  const fileDate = new Date().toISOString().split("T")[0];
+  res.set({
+    "Content-Type": contentType,
+    "Content-Disposition": `attachment; filename="designs-${fileDate}.${extension}"`,
+  });
+
+  const writer =
+    format === "xlsx"
+      ? createXlsxWriter(res, selected)
+      : createCsvWriter(res, selected);
+
+  let written = 0;
+  for (; !next.done; next = await batches.next()) {
+    for (const record of next.value) {
+      const design = recordToDesign(record);
+      const priceDate =
+        asOf || (isValidDate(design.dateAdded) ? design.dateAdded : null);
+      const cost = estimateCost(
+        designRecordToCostInput(record),
+        await costMapFor(priceDate),
+        usageEntries
+      );
+
+      await writer.writeRow(
+        selected.map((column) => column.value({ design, cost, priceDate }))
+      );
+      written++;
+    }
+  }
+
+  await writer.end();
+  return written;
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  EXPORT_FORMATS,
+  EXPORT_COLUMNS,
+  DEFAULT_EXPORT_COLUMNS,
+  DESIGN_EXPORT_SCHEMA,
+  exportDesigns,
+};
@@ -0,0 +1,183 @@
+/**
+ * Design ID Module
+ *
+ * Allocates design IDs on the server from counters in the design_id_counters
+ * table. The format comes from DESIGN_ID_PATTERN, built from these tokens:
+ *   {CLIENT}  client code, upper-cased, non-alphanumerics removed
+ *   {YYYY}    four-digit year the design was added
+ *   {YY}      two-digit year
+ *   {MM}      two-digit month
+ *   {SEQ:n}   counter, zero-padded to n digits ({SEQ} for no padding)
+ * The counter restarts for every distinct value of the other tokens, so
+ * "{CLIENT}-{YYYY}-{SEQ:4}" counts per client per year.
+ * Usage: const { allocateDesignId } = require('./designIds');
+ */
+
+const { executeTransaction } = require("./database");
+const designsRepository = require("./repositories/designs");
+
+// =============================================================================
+// CONFIGURATION & CONSTANTS
+// =============================================================================
+
+const DEFAULT_DESIGN_ID_PATTERN = "{CLIENT}-{YYYY}-{SEQ:4}";
+
+const TOKEN_PATTERN = /\{(CLIENT|YYYY|YY|MM|SEQ)(?::(\d+))?\}/g;
+
+// Skipped numbers when a generated ID is already used by a hand-made one
+const MAX_ALLOCATION_ATTEMPTS = 1000;
+
+// =============================================================================
+// UTILITY FUNCTIONS
+// =============================================================================
+
+/**
+ * Check that a pattern is usable
+ * @param {string} pattern - Design ID pattern
+ * @returns {Array<string>} Problems with the pattern, empty if it is valid
+ */
+function validateDesignIdPattern(pattern) {
+  const errors = [];
+  const tokens = [...String(pattern).matchAll(TOKEN_PATTERN)];
+  const seqTokens = tokens.filter(([, name]) => name === "SEQ");
+
+  if (seqTokens.length !== 1) {
+    errors.push("must contain exactly one {SEQ} or {SEQ:n} token");
+  }
+
+  const leftover = String(pattern).replace(TOKEN_PATTERN, "");
+  if (/[{}]/.test(leftover)) {
+    errors.push(
+      "contains an unknown token; use {CLIENT}, {YYYY}, {YY}, {MM}, {SEQ:n}"
+    );
+  }
+
+  return errors;
+}
+
+/**
+ * Fill in the pattern's tokens
+ * @param {string} pattern - Design ID pattern
+ * @param {Object} values - Token values
+ * @param {string} values.client - Client code
+ * @param {Date} values.date - Date the design was added
+ * @param {number|null} values.seq - Counter value, null to leave {SEQ} in place
+ * @returns {string} Rendered pattern
+ */
+const renderPattern = (pattern, { client, date, seq }) =>
+  pattern.replace(TOKEN_PATTERN, (token, name, width) => {
+    switch (name) {
+      case "CLIENT":
+        return String(client || "")
+          .toUpperCase()
+          .replace(/[^A-Z0-9]/g, "");
+      case "YYYY":
+        return String(date.getFullYear());
+      case "YY":
+        return String(date.getFullYear()).slice(-2);
+      case "MM":
+        return String(date.getMonth() + 1).padStart(2, "0");
+      case "SEQ":
+        return seq === null
+          ? "{SEQ}"
+          : String(seq).padStart(width ? parseInt(width, 10) : 0, "0");
+      default:
+        return token;
+    }
+  });
+
+/**
+ * Get the configured pattern
+ * @returns {string} Design ID pattern
+ */
+const getDesignIdPattern = () =>
+  process.env.DESIGN_ID_PATTERN || DEFAULT_DESIGN_ID_PATTERN;
+
+// =============================================================================
+// MAIN ID FUNCTIONS
+// =============================================================================
+
+/**
+ * Check whether a design ID is already used
+ * @param {string} designId - Design ID
+ * @param {Object} [options={}] - { client } to check inside a transaction
+ * @returns {Promise<boolean>} True if a design has this ID
+ */
+async function isDesignIdTaken(designId, { client = null } = {}) {
+  // Soft-deleted designs keep their ID until purged
+  const design = await designsRepository.findById(designId, {
+    columns: ["design_id"],
+    includeDeleted: true,
+    client,
+  });
+  return design !== null;
+}
+
+/**
+ * Allocate the next design ID for a client
+ *
+ * The counter row is incremented with a single upsert, which Postgres
+ * serialises per scope, so concurrent requests always get different numbers.
+ * Numbers whose ID is already used (e.g. typed in by hand) are skipped.
+ *
+ * @param {Object} details - Design details
+ * @param {string} details.client - Client code
+ * @param {Date} [details.date=new Date()] - Date the design is added
+ * @param {string} [pattern] - Pattern, defaults to DESIGN_ID_PATTERN
+ * @returns {Promise<string>} New design ID
+ * @throws {Error} If the pattern is invalid or names a client that is missing
+ */
+async function allocateDesignId(
+  { client, date = new Date() },
+  pattern = getDesignIdPattern()
+) {
+  const errors = validateDesignIdPattern(pattern);
+  if (errors.length > 0) {
+    throw new Error(`Invalid design ID pattern: ${errors.join("; ")}`);
+  }
+
+  if (pattern.includes("{CLIENT}") && !renderPattern("{CLIENT}", { client })) {
+    throw new Error("A client code is required to generate a design ID");
+  }
+
+  const scope = renderPattern(pattern, { client, date, seq: null });
+
+  return executeTransaction(async (dbClient) => {
+    for (let attempt = 0; attempt < MAX_ALLOCATION_ATTEMPTS; attempt++) {
+      const result = await dbClient.query(
+        `INSERT INTO design_id_counters (scope, last_value)
+         VALUES ($1, 1)
+         ON CONFLICT (scope)
+         DO UPDATE SET last_value = design_id_counters.last_value + 1
+         RETURNING last_value`,
+        [scope]
+      );
+
+      const designId = renderPattern(pattern, {
+        client,
+        date,
+        seq: result.rows[0].last_value,
+      });
+
+      if (!(await isDesignIdTaken(designId, { client: dbClient }))) {
+        return designId;
+      }
+    }
+
+    throw new Error(
+      `Could not find a free design ID for "${scope}" after ${MAX_ALLOCATION_ATTEMPTS} attempts`
+    );
+  });
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  DEFAULT_DESIGN_ID_PATTERN,
+  getDesignIdPattern,
+  validateDesignIdPattern,
+  allocateDesignId,
+  isDesignIdTaken,
+};
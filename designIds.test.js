@@ -0,0 +1,104 @@
+/**
+ * Design ID Module Tests
+ *
+ * Pattern checks, and allocation from the design_id_counters table under
+ * concurrent requests. The allocation tests need the database (DB_HOST) and
+ * are skipped without it.
+ * Usage: npm test
+ */
+
+const assert = require("assert");
+const { deleteFromDB } = require("./database");
+const designsRepository = require("./repositories/designs");
+const { validateDesignIdPattern, allocateDesignId } = require("./designIds");
+const { hasDatabase } = require("./testHooks");
+
+// =============================================================================
+// TESTS
+// =============================================================================
+
+describe("designIds", () => {
+  describe("validateDesignIdPattern", () => {
+    it("accepts patterns with one counter", () => {
+      assert.deepStrictEqual(
+        validateDesignIdPattern("{CLIENT}-{YYYY}-{SEQ:4}"),
+        []
+      );
+      assert.deepStrictEqual(validateDesignIdPattern("D{YY}{MM}{SEQ}"), []);
+    });
+
+    it("requires exactly one counter", () => {
+      const message = "must contain exactly one {SEQ} or {SEQ:n} token";
+      assert.deepStrictEqual(validateDesignIdPattern("{CLIENT}-{YYYY}"), [
+        message,
+      ]);
+      assert.deepStrictEqual(validateDesignIdPattern("{SEQ}-{SEQ:2}"), [
+        message,
+      ]);
+    });
+
+    it("rejects unknown tokens", () => {
+      const [error] = validateDesignIdPattern("{CLIENT}-{DAY}-{SEQ}");
+      assert.match(error, /unknown token/);
+    });
+  });
+
+  describe("allocateDesignId", function () {
+    // A client code no real design uses, so each run starts a fresh counter
+    const client = `T${process.pid}${Date.now().toString(36)}`.toUpperCase();
+    const date = new Date(2031, 4, 1);
+    const scope = `${client}-2031-{SEQ}`;
+    const takenId = `${client}-2031-0003`;
+
+    before(function () {
+      if (!hasDatabase()) this.skip();
+    });
+
+    after(async () => {
+      if (!hasDatabase()) return;
+      await designsRepository.remove(takenId);
+      await deleteFromDB("design_id_counters", { scope });
+    });
+
+    it("rejects invalid patterns before touching the counters", async () => {
+      await assert.rejects(
+        () => allocateDesignId({ client, date }, "{CLIENT}"),
+        /Invalid design ID pattern/
+      );
+      await assert.rejects(
+        () => allocateDesignId({ client: "--", date }),
+        /A client code is required/
+      );
+    });
+
+    it("hands out distinct sequential IDs to concurrent requests", async () => {
+      const ids = await Promise.all(
+        Array.from({ length: 10 }, () => allocateDesignId({ client, date }))
+      );
+
+      assert.deepStrictEqual(
+        [...ids].sort(),
+        Array.from(
+          { length: 10 },
+          (_, index) => `${client}-2031-${String(index + 1).padStart(4, "0")}`
+        )
+      );
+    });
+
+    it("skips IDs already used by a design", async () => {
+      await deleteFromDB("design_id_counters", { scope });
+      await designsRepository.insert({ design_id: takenId, client });
+
+      const ids = [];
+      for (let count = 0; count < 3; count++) {
+        ids.push(await allocateDesignId({ client, date }));
+      }
+
+      assert.deepStrictEqual(ids, [
+        `${client}-2031-0001`,
+        `${client}-2031-0002`,
+        `${client}-2031-0004`,
+      ]);
+    });
+  });
+});
@@ -0,0 +1,454 @@
+/**
+ * Design Import Module
+ *
+ * Creates designs in bulk from a CSV or XLSX spreadsheet, optionally with a
+ * ZIP of reference images. The first row holds the headers, matched to design
+ * fields through IMPORT_HEADERS ignoring case, spaces and punctuation; a
+ * referenceImage column names an image in the archive by filename.
+ *
+ * Every row is checked before anything is written. Valid rows are then created
+ * one at a time with the createDesign saga, so a row that fails is rolled back
+ * on its own and the remaining rows still go in. Each row is reported as
+ * created (valid on a dry run), skipped or errored.
+ * Usage:
+ *   const sheet = await readImportFile(file.path, file.originalname);
+ *   const report = await importDesigns(services, { rows: sheet.rows, dryRun });
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const ExcelJS = require("exceljs");
+const JSZip = require("jszip");
+const Logger = require("./logger");
+const { createDesign } = require("./designSaga");
+const { DESIGN_IMPORT_ROW_SCHEMA } = require("./designSchemas");
+const { INITIAL_STATUS, approvedForStatus } = require("./designWorkflow");
+const { allocateDesignId, isDesignIdTaken } = require("./designIds");
+const { SagaError } = require("./saga");
+const { fieldError, validateObject } = require("./validation");
+
+// =============================================================================
+// CONFIGURATION & CONSTANTS
+// =============================================================================
+
+// Spreadsheet formats by file extension
+const IMPORT_FILE_EXTENSIONS = [".csv", ".xlsx"];
+const IMAGE_ARCHIVE_EXTENSION = ".zip";
+
+// Largest number of designs accepted in one file
+const MAX_IMPORT_ROWS = 500;
+
+// Images storage knows a content type for
+const IMAGE_EXTENSIONS = [
+  ".jpg",
+  ".jpeg",
+  ".png",
+  ".gif",
+  ".webp",
+  ".bmp",
+  ".tiff",
+  ".svg",
+];
+
+// Header spellings accepted for each field, normalized by normalizeHeader
+const IMPORT_HEADERS = {
+  designId: ["designid", "id"],
+  client: ["client", "clientcode"],
+  fabric: ["fabric"],
+  dressType: ["dresstype"],
+  comments: ["comments", "designercomments", "notes"],
+  fabricLength: ["fabriclength"],
+  liningFabric: ["liningfabric", "lining"],
+  liningLength: ["lininglength"],
+  embroidery: ["embroidery"],
+  referenceImage: ["referenceimage", "image", "imagefile"],
+};
+
+const ROW_STATUSES = {
+  CREATED: "created",
+  VALID: "valid",
+  SKIPPED: "skipped",
+  ERRORED: "errored",
+};
+
+// =============================================================================
+// UTILITY FUNCTIONS
+// =============================================================================
+
+/**
+ * Reduce a header to lowercase letters and digits
+ * @param {string} header - Header cell text
+ * @returns {string} Normalized header
+ */
+const normalizeHeader = (header) =>
+  String(header)
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+
+/**
+ * Convert a spreadsheet cell value to the string a form field would carry
+ * @param {*} value - ExcelJS cell value
+ * @returns {string} Cell text; dates as YYYY-MM-DD
+ */
+const cellText = (value) => {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date) return value.toISOString().split("T")[0];
+  if (typeof value === "object") {
+    if (value.richText) return value.richText.map((run) => run.text).join("");
+    if (value.text !== undefined) return cellText(value.text);
+    if (value.result !== undefined) return cellText(value.result);
+    return "";
+  }
+  return String(value).trim();
+};
+
+/**
+ * Load the first worksheet of an import file
+ * @param {string} filePath - Uploaded file path
+ * @param {string} extension - .csv or .xlsx
+ * @returns {Promise<Object>} ExcelJS worksheet, undefined if there is none
+ */
+async function loadWorksheet(filePath, extension) {
+  const workbook = new ExcelJS.Workbook();
+  if (extension === ".csv") {
+    // Keep every value as written; design IDs like 0012 must not become numbers
+    return workbook.csv.readFile(filePath, { map: (value) => value });
+  }
+  await workbook.xlsx.readFile(filePath);
+  return workbook.worksheets[0];
+}
+
+/**
+ * Find the image a row names in the archive
+ * @param {Map|null} images - Archive entries from readImageArchive()
+ * @param {string} fileName - referenceImage value
+ * @returns {Object} { entry } or { error } field error
+ */
+function findImage(images, fileName) {
+  const imageError = (message) => ({
+    error: fieldError("referenceImage", message, { location: "row" }),
+  });
+
+  if (!IMAGE_EXTENSIONS.includes(path.extname(fileName).toLowerCase())) {
+    return imageError(
+      `referenceImage must be a ${IMAGE_EXTENSIONS.join(", ")} file`
+    );
+  }
+  if (!images) {
+    return imageError(
+      "referenceImage is set but no images archive was uploaded"
+    );
+  }
+
+  const entries = images.get(fileName.toLowerCase()) || [];
+  if (entries.length === 0) {
+    return imageError(`referenceImage "${fileName}" is not in the archive`);
+  }
+  if (entries.length > 1) {
+    return imageError(
+      `referenceImage "${fileName}" matches ${entries.length} files in the archive`
+    );
+  }
+  return { entry: entries[0] };
+}
+
+/**
+ * Write an archived image to a temp file for storage.upload(), which removes it
+ * @param {Object} entry - JSZip entry
+ * @param {string} uploadsDir - Directory for temp files
+ * @returns {Promise<Object>} { path, originalname } like a multer file
+ */
+async function extractImage(entry, uploadsDir) {
+  const filePath = path.join(
+    uploadsDir,
+    crypto.randomBytes(16).toString("hex")
+  );
+  await fs.promises.mkdir(uploadsDir, { recursive: true });
+  await fs.promises.writeFile(filePath, await entry.async("nodebuffer"));
+  return { path: filePath, originalname: path.basename(entry.name) };
+}
+
+/**
+ * Check one row: field rules, repeated or existing design IDs and its image
+ * @param {Object} row - { row, values } from readImportFile()
+ * @param {Object} state - { seenIds: Map, images, req }
+ * @returns {Promise<Object>} Report entry; valid rows also carry design and image
+ */
+async function checkRow({ row, values }, { seenIds, images, req }) {
+  const result = await validateObject(values, DESIGN_IMPORT_ROW_SCHEMA, {
+    location: "row",
+    req,
+  });
+  const design = result.values;
+  const errors = [...result.errors];
+  const designId = design.designId || null;
+
+  let image = null;
+  if (design.referenceImage) {
+    const found = findImage(images, design.referenceImage);
+    if (found.error) errors.push(found.error);
+    image = found.entry || null;
+  }
+
+  if (errors.length > 0) {
+    return { row, designId, status: ROW_STATUSES.ERRORED, errors };
+  }
+
+  if (designId) {
+    if (seenIds.has(designId)) {
+      return {
+        row,
+        designId,
+        status: ROW_STATUSES.SKIPPED,
+        reason: `Duplicate of row ${seenIds.get(designId)}`,
+      };
+    }
+    seenIds.set(designId, row);
+
+    if (await isDesignIdTaken(designId)) {
+      return {
+        row,
+        designId,
+        status: ROW_STATUSES.SKIPPED,
+        reason: `Design ${designId} already exists`,
+      };
+    }
+  }
+
+  return { row, designId, status: ROW_STATUSES.VALID, design, image };
+}
+
+/**
+ * Create the design of a checked row
+ * @param {Object} services - { storage, sheetsManager }
+ * @param {Object} checked - Valid entry from checkRow()
+ * @param {Object} options - { uploadsDir, context }
+ * @returns {Promise<Object>} Report entry
+ */
+async function createRow(services, checked, { uploadsDir, context }) {
+  const { row, design, image } = checked;
+  let designId = checked.designId;
+
+  try {
+    if (!designId) {
+      designId = await allocateDesignId({ client: design.client });
+    }
+
+    const { referenceImage, ...fields } = design;
+    const { upload } = await createDesign(services, {
+      design: {
+        ...fields,
+        designId,
+        dateAdded: new Date().toISOString().split("T")[0],
+        approved: approvedForStatus(INITIAL_STATUS),
+        status: INITIAL_STATUS,
+      },
+      file: image ? await extractImage(image, uploadsDir) : null,
+      context,
+    });
+
+    return {
+      row,
+      designId,
+      status: ROW_STATUSES.CREATED,
+      referenceImageUrl: upload ? upload.url : null,
+    };
+  } catch (error) {
+    Logger.error("Failed to import design row", error, { row, designId });
+    return {
+      row,
+      designId,
+      status: ROW_STATUSES.ERRORED,
+      reason: error.message,
+      ...(error instanceof SagaError
+        ? { failedStep: error.step, consistent: error.consistent }
+        : {}),
+    };
+  }
+}
+
+// =============================================================================
+// MAIN IMPORT FUNCTIONS
+// =============================================================================
+
+/**
+ * Read the design rows of a CSV or XLSX file (its first worksheet)
+ * @param {string} filePath - Uploaded file path
+ * @param {string} fileName - Original filename, for its extension
+ * @returns {Promise<Object>} { errors, rows: [{ row, values }], ignoredColumns }
+ *   where errors are file-level field errors and row is the spreadsheet row
+ */
+async function readImportFile(filePath, fileName) {
+  const fileError = (message, code) => ({
+    errors: [fieldError("file", message, { location: "file", code })],
+    rows: [],
+    ignoredColumns: [],
+  });
+
+  const extension = path.extname(fileName).toLowerCase();
+  if (!IMPORT_FILE_EXTENSIONS.includes(extension)) {
+    return fileError(
+      `file must be a ${IMPORT_FILE_EXTENSIONS.join(" or ")} file`,
+      "type"
+    );
+  }
+
+  let worksheet;
+  try {
+    worksheet = await loadWorksheet(filePath, extension);
+  } catch (error) {
+    return fileError(`file could not be read: ${error.message}`, "format");
+  }
+  if (!worksheet || worksheet.rowCount === 0) {
+    return fileError("file is empty", "empty");
+  }
+
+  // Map column numbers to fields from the header row
+  const columns = new Map();
+  const ignoredColumns = [];
+  worksheet.getRow(1).eachCell((cell, columnNumber) => {
+    const header = cellText(cell.value);
+    const field = Object.keys(IMPORT_HEADERS).find((name) =>
+      IMPORT_HEADERS[name].includes(normalizeHeader(header))
+    );
+    if (field && ![...columns.values()].includes(field)) {
+      columns.set(columnNumber, field);
+    } else if (header) {
+      ignoredColumns.push(header);
+    }
+  });
+
+  const missing = Object.keys(DESIGN_IMPORT_ROW_SCHEMA).filter(
+    (field) =>
+      DESIGN_IMPORT_ROW_SCHEMA[field].required &&
+      ![...columns.values()].includes(field)
+  );
+  if (missing.length > 0) {
+    return fileError(`file has no column for ${missing.join(", ")}`, "columns");
+  }
+
+  const rows = [];
+  worksheet.eachRow((sheetRow, rowNumber) => {
+    if (rowNumber === 1) return;
+    const values = {};
+    for (const [columnNumber, field] of columns) {
+      values[field] = cellText(sheetRow.getCell(columnNumber).value);
+    }
+    // Spreadsheets often carry formatted but empty rows at the end
+    if (Object.values(values).some(Boolean)) {
+      rows.push({ row: rowNumber, values });
+    }
+  });
+
+  if (rows.length === 0) {
+    return fileError("file has no design rows", "empty");
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    return fileError(
+      `file has ${rows.length} design rows; at most ${MAX_IMPORT_ROWS} can be imported at once`,
+      "size"
+    );
+  }
+
+  return { errors: [], rows, ignoredColumns };
+}
+
+/**
+ * Index the images in a ZIP archive by lowercased filename
+ * Folders inside the archive are ignored, as are macOS resource forks.
+ * @param {string} archivePath - Uploaded archive path
+ * @returns {Promise<Object>} { errors, images: Map<string, Array<Object>> }
+ */
+async function readImageArchive(archivePath) {
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(await fs.promises.readFile(archivePath));
+  } catch (error) {
+    return {
+      errors: [
+        fieldError("images", `images must be a ZIP archive: ${error.message}`, {
+          location: "file",
+          code: "format",
+        }),
+      ],
+      images: null,
+    };
+  }
+
+  const images = new Map();
+  zip.forEach((relativePath, entry) => {
+    const name = path.basename(relativePath);
+    if (
+      entry.dir ||
+      relativePath.startsWith("__MACOSX/") ||
+      name.startsWith(".")
+    ) {
+      return;
+    }
+    const key = name.toLowerCase();
+    images.set(key, [...(images.get(key) || []), entry]);
+  });
+
+  return { errors: [], images };
+}
+
+/**
+ * Import checked spreadsheet rows as designs
+ *
+ * @param {Object} services - { storage, sheetsManager }
+ * @param {Object} input - Import input
+ * @param {Array<Object>} input.rows - Rows from readImportFile()
+ * @param {Map} [input.images] - Archive entries from readImageArchive()
+ * @param {boolean} [input.dryRun=false] - Check rows without writing anything
+ * @param {string} input.uploadsDir - Directory for extracted image temp files
+ * @param {Object} [input.context={}] - { actor, requestId } for the audit log
+ * @param {Object} [input.req] - Express request, for catalog-backed rules
+ * @returns {Promise<Object>} { dryRun, summary, rows } where summary counts
+ *   rows by status
+ */
+async function importDesigns(
+  services,
+  { rows, images = null, dryRun = false, uploadsDir, context = {}, req }
+) {
+  const state = { seenIds: new Map(), images, req };
+  const checked = [];
+  for (const row of rows) {
+    checked.push(await checkRow(row, state));
+  }
+
+  const results = [];
+  for (const entry of checked) {
+    if (entry.status !== ROW_STATUSES.VALID) {
+      results.push(entry);
+    } else if (dryRun) {
+      const { design, image, ...reported } = entry;
+      results.push(reported);
+    } else {
+      results.push(await createRow(services, entry, { uploadsDir, context }));
+    }
+  }
+
+  const summary = { total: results.length };
+  for (const status of Object.values(ROW_STATUSES)) {
+    summary[status] = results.filter((entry) => entry.status === status).length;
+  }
+
+  Logger.info("Design import finished", { dryRun, ...summary });
+  return { dryRun, summary, rows: results };
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  IMPORT_FILE_EXTENSIONS,
+  IMAGE_ARCHIVE_EXTENSION,
+  MAX_IMPORT_ROWS,
+  IMPORT_HEADERS,
+  ROW_STATUSES,
+  readImportFile,
+  readImageArchive,
+  importDesigns,
+};
@@ -0,0 +1,268 @@
+/**
+ * Design Listing Query Module
+ *
+ * Turns the query string of GET /api/designs into getFromDB conditions and
+ * options. Every filter value is passed as a parameter and every identifier
+ * comes from the allowlists below, so nothing from the request reaches the
+ * SQL text.
+ * Usage: const { parseDesignListQuery } = require('./designQuery');
+ */
+
+const { DESIGN_STATUSES } = require("./designWorkflow");
+const { fieldError } = require("./validation");
+const { formatDate } = require("./designColumns");
+
+// =============================================================================
+// CONFIGURATION & CONSTANTS
+// =============================================================================
+
+const LIST_DEFAULTS = {
+  LIMIT: 50,
+  MAX_LIMIT: 200,
+  SORT_BY: "date_added",
+  SORT_ORDER: "desc",
+};
+
+// Query parameter -> sampling_designs column for equality / IN filters
+const FILTER_COLUMNS = {
+  client: "client",
+  fabric: "fabric",
+  dressType: "dress_type",
+  approved: "approved",
+  status: "status",
+};
+
+const SORTABLE_COLUMNS = [
+  "date_added",
+  "design_id",
+  "client",
+  "fabric",
+  "dress_type",
+  "approved",
+  "status",
+];
+
+/**
+ * Comma separated list of values from a fixed set
+ * @param {Array<string>} values - Allowed values
+ * @returns {Object} Field rule
+ */
+const listOf = (values) => ({
+  type: "array",
+  items: { type: "string", enum: values, ignoreCase: true },
+});
+
+// Query string rules for GET /api/designs, see validation.js
+const DESIGN_LIST_SCHEMA = {
+  client: { type: "array", items: { type: "string" } },
+  fabric: { type: "array", items: { type: "string" } },
+  dressType: { type: "array", items: { type: "string" } },
+  approved: listOf(["True", "False"]),
+  status: listOf(DESIGN_STATUSES),
+  dateFrom: { type: "date" },
+  dateTo: { type: "date" },
+  deleted: {
+    type: "boolean",
+    default: false,
+    description: "List soft-deleted designs instead of live ones",
+  },
+  sortBy: {
+    type: "string",
+    enum: SORTABLE_COLUMNS,
+    default: LIST_DEFAULTS.SORT_BY,
+  },
+  sortOrder: {
+    type: "string",
+    enum: ["asc", "desc"],
+    ignoreCase: true,
+    default: LIST_DEFAULTS.SORT_ORDER,
+  },
+  limit: {
+    type: "integer",
+    min: 1,
+    max: LIST_DEFAULTS.MAX_LIMIT,
+    default: LIST_DEFAULTS.LIMIT,
+  },
+  offset: { type: "integer", min: 0 },
+  cursor: {
+    type: "string",
+    description:
+      "nextCursor of the previous page; the page starts after that page's last design, so designs added or removed meanwhile do not shift it",
+  },
+};
+
+// =============================================================================
+// UTILITY FUNCTIONS
+// =============================================================================
+
+/**
+ * Encode a pagination cursor
+ * @param {Object} position - { after, offset, sortBy, sortOrder } where after
+ *   holds the sort values of the last design returned and offset counts the
+ *   designs before the next page
+ * @returns {string} Opaque cursor
+ */
+const encodeCursor = (position) =>
+  Buffer.from(JSON.stringify(position)).toString("base64url");
+
+/**
+ * Decode a pagination cursor
+ * @param {string} cursor - Opaque cursor
+ * @returns {Object|null} Position or null if the cursor is malformed
+ */
+const decodeCursor = (cursor) => {
+  try {
+    const position = JSON.parse(
+      Buffer.from(String(cursor), "base64url").toString("utf8")
+    );
+    const { after, offset } = position;
+    const valid =
+      Number.isInteger(offset) &&
+      offset >= 0 &&
+      Array.isArray(after) &&
+      after.length > 0 &&
+      after.every((value) => value === null || typeof value === "string");
+    return valid ? position : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// =============================================================================
+// MAIN QUERY FUNCTIONS
+// =============================================================================
+
+/**
+ * Turn a validated design listing query into getFromDB conditions and options
+ *
+ * Run validate({ query: DESIGN_LIST_SCHEMA }) first; this adds the checks
+ * that involve more than one parameter. Supported parameters: client, fabric,
+ * dressType, approved, status (comma separated for several values), dateFrom,
+ * dateTo (YYYY-MM-DD, inclusive), deleted, sortBy, sortOrder, limit, and
+ * either offset or cursor.
+ *
+ * @param {Object} query - req.query after validation
+ * @returns {Object} { errors, conditions, options, page } where errors are
+ *   field errors for sendValidationErrors
+ */
+function parseDesignListQuery(query = {}) {
+  const errors = [];
+  const conditions = {};
+  const queryError = (field, message) =>
+    errors.push(fieldError(field, message, { location: "query" }));
+
+  // Equality / IN filters
+  for (const [param, column] of Object.entries(FILTER_COLUMNS)) {
+    const values = query[param];
+    if (!Array.isArray(values) || values.length === 0) continue;
+    conditions[column] = values.length === 1 ? values[0] : values;
+  }
+
+  // Date range on date_added
+  const { dateFrom, dateTo } = query;
+  if (dateFrom && dateTo && dateFrom > dateTo) {
+    queryError("dateFrom", "dateFrom must not be after dateTo");
+  }
+
+  if (dateFrom && dateTo) {
+    conditions.date_added = { operator: "BETWEEN", value: [dateFrom, dateTo] };
+  } else if (dateFrom) {
+    conditions.date_added = { operator: ">=", value: dateFrom };
+  } else if (dateTo) {
+    conditions.date_added = { operator: "<=", value: dateTo };
+  }
+
+  // Live designs, or only the soft-deleted ones
+  conditions.deleted_at = query.deleted ? { operator: "IS NOT NULL" } : null;
+
+  // Pagination
+  const { sortBy, sortOrder, limit } = query;
+  const hasOffset = typeof query.offset === "number";
+
+  // design_id breaks ties so pages never overlap or skip rows
+  const orderBy =
+    sortBy === "design_id"
+      ? [{ column: "design_id", direction: sortOrder }]
+      : [
+          { column: sortBy, direction: sortOrder },
+          { column: "design_id", direction: "asc" },
+        ];
+
+  let offset = 0;
+  let after = null;
+  if (query.cursor && hasOffset) {
+    queryError("cursor", "Use either offset or cursor, not both");
+  } else if (query.cursor) {
+    const position = decodeCursor(query.cursor);
+    if (!position || position.after.length !== orderBy.length) {
+      queryError("cursor", "cursor is invalid");
+    } else if (position.sortBy !== sortBy || position.sortOrder !== sortOrder) {
+      queryError("cursor", "cursor was issued for a different sort order");
+    } else {
+      ({ offset, after } = position);
+    }
+  } else if (hasOffset) {
+    offset = query.offset;
+  }
+
+  // One design more than the page shows whether another page follows
+  const options = { orderBy, limit: limit + 1 };
+  if (after) {
+    options.after = after;
+  } else {
+    options.offset = offset;
+  }
+
+  return {
+    errors,
+    conditions,
+    options,
+    page: { limit, offset, sortBy, sortOrder, orderBy },
+  };
+}
+
+/**
+ * Cut the rows read with parseDesignListQuery's options down to the page and
+ * build its pagination block. The next cursor holds the sort values of the
+ * page's last design, which the next request seeks past.
+ * @param {Object} page - Page from parseDesignListQuery
+ * @param {Array<Object>} rows - Designs read, up to one more than the limit
+ * @param {number} total - Total number of matching designs
+ * @returns {Object} { designs, pagination }
+ */
+function buildPage(page, rows, total) {
+  const designs = rows.slice(0, page.limit);
+  const hasMore = rows.length > page.limit;
+  const last = designs[designs.length - 1];
+
+  return {
+    designs,
+    pagination: {
+      total,
+      limit: page.limit,
+      offset: page.offset,
+      hasMore,
+      nextCursor: hasMore
+        ? encodeCursor({
+            after: page.orderBy.map(({ column }) =>
+              last[column] === null ? null : String(formatDate(last[column]))
+            ),
+            offset: page.offset + designs.length,
+            sortBy: page.sortBy,
+            sortOrder: page.sortOrder,
+          })
+        : null,
+    },
+  };
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  parseDesignListQuery,
+  buildPage,
+  DESIGN_LIST_SCHEMA,
+  SORTABLE_COLUMNS,
+};
@@ -0,0 +1,225 @@
+/**
+ * Design Listing Query Module Tests
+ *
+ * Cursor pagination of GET /api/designs: cursors carry the last design's sort
+ * values and the next page seeks past them. The paging tests need the
+ * database (DB_HOST) and are skipped without it.
+ * Usage: npm test
+ */
+
+const assert = require("assert");
+const designsRepository = require("./repositories/designs");
+const { parseDesignListQuery, buildPage } = require("./designQuery");
+const { hasDatabase } = require("./testHooks");
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+// Query defaults as validate({ query: DESIGN_LIST_SCHEMA }) fills them in
+const DEFAULT_QUERY = {
+  deleted: false,
+  sortBy: "date_added",
+  sortOrder: "desc",
+  limit: 50,
+};
+
+/**
+ * Parse a listing query on top of the defaults
+ * @param {Object} query - Parameters to set
+ * @returns {Object} Result of parseDesignListQuery
+ */
+const parse = (query) => parseDesignListQuery({ ...DEFAULT_QUERY, ...query });
+
+/**
+ * Read one page of designs the way GET /api/designs does
+ * @param {Object} query - Parameters to set
+ * @returns {Promise<Object>} { designs, pagination }
+ */
+const readPage = async (query) => {
+  const { errors, conditions, options, page } = parse(query);
+  assert.deepStrictEqual(errors, []);
+
+  const [rows, total] = await Promise.all([
+    designsRepository.findMany(conditions, options),
+    designsRepository.count(conditions),
+  ]);
+  return buildPage(page, rows, total);
+};
+
+// =============================================================================
+// TESTS
+// =============================================================================
+
+describe("designQuery", () => {
+  describe("parseDesignListQuery", () => {
+    it("reads one design past the limit and pages by offset without a cursor", () => {
+      const { options, page } = parse({ limit: 10, offset: 20 });
+
+      assert.strictEqual(options.limit, 11);
+      assert.strictEqual(options.offset, 20);
+      assert.strictEqual(options.after, undefined);
+      assert.strictEqual(page.offset, 20);
+    });
+
+    it("rejects malformed cursors and cursors for another sort", () => {
+      const { pagination } = buildPage(
+        parse({ limit: 1 }).page,
+        [
+          { date_added: new Date(2024, 0, 2), design_id: "D002" },
+          { date_added: new Date(2024, 0, 1), design_id: "D001" },
+        ],
+        2
+      );
+
+      assert.deepStrictEqual(
+        parse({ cursor: pagination.nextCursor }).errors,
+        []
+      );
+      assert.match(
+        parse({ cursor: pagination.nextCursor, sortBy: "client" }).errors[0]
+          .message,
+        /different sort order/
+      );
+      assert.match(
+        parse({ cursor: pagination.nextCursor, offset: 1 }).errors[0].message,
+        /either offset or cursor/
+      );
+      for (const cursor of ["not-a-cursor", "eyJvZmZzZXQiOjUwfQ"]) {
+        assert.match(parse({ cursor }).errors[0].message, /cursor is invalid/);
+      }
+    });
+  });
+
+  describe("buildPage", () => {
+    it("keeps the limit and puts the last design's sort values in the cursor", () => {
+      const { options, page } = parse({ limit: 2, sortBy: "client" });
+      const rows = [
+        { client: "Acme", design_id: "D003", date_added: new Date() },
+        { client: null, design_id: "D001", date_added: new Date() },
+        { client: null, design_id: "D002", date_added: new Date() },
+      ];
+
+      const { designs, pagination } = buildPage(page, rows, 7);
+
+      assert.strictEqual(designs.length, 2);
+      assert.strictEqual(pagination.hasMore, true);
+      assert.strictEqual(pagination.total, 7);
+
+      const next = parse({
+        limit: 2,
+        sortBy: "client",
+        cursor: pagination.nextCursor,
+      });
+      assert.deepStrictEqual(next.options.after, [null, "D001"]);
+      assert.strictEqual(next.options.offset, undefined);
+      assert.strictEqual(next.page.offset, 2);
+      assert.deepStrictEqual(next.options.orderBy, options.orderBy);
+    });
+
+    it("has no next cursor on the last page", () => {
+      const { pagination } = buildPage(parse({ limit: 2 }).page, [{}], 1);
+      assert.strictEqual(pagination.hasMore, false);
+      assert.strictEqual(pagination.nextCursor, null);
+    });
+  });
+
+  describe("cursor paging", function () {
+    const client = `Query Test ${process.pid}-${Date.now()}`;
+    const designIds = ["A", "B", "C", "D", "E"].map(
+      (letter) => `QUERY-${process.pid}-${letter}`
+    );
+
+    before(async function () {
+      if (!hasDatabase()) return this.skip();
+      // Two dresses without a type sort last ascending and first descending
+      const dressTypes = ["Gown", "Kurta", null, "Gown", null];
+      for (const [index, designId] of designIds.entries()) {
+        await designsRepository.insert({
+          design_id: designId,
+          client,
+          dress_type: dressTypes[index],
+        });
+      }
+    });
+
+    after(async () => {
+      if (!hasDatabase()) return;
+      for (const designId of designIds) {
+        await designsRepository.remove(designId);
+      }
+    });
+
+    /**
+     * Follow nextCursor through every page
+     * @param {Object} query - Parameters to set
+     * @returns {Promise<Array<string>>} Design IDs in the order read
+     */
+    const readAll = async (query) => {
+      const seen = [];
+      let cursor;
+      do {
+        const { designs, pagination } = await readPage({
+          ...query,
+          client: [client],
+          limit: 2,
+          cursor,
+        });
+        seen.push(...designs.map((design) => design.design_id));
+        cursor = pagination.nextCursor;
+      } while (cursor);
+      return seen;
+    };
+
+    it("visits every design once in sort order, NULLs included", async () => {
+      const [a, b, c, d, e] = designIds;
+
+      assert.deepStrictEqual(
+        await readAll({ sortBy: "dress_type", sortOrder: "asc" }),
+        [a, d, b, c, e]
+      );
+      assert.deepStrictEqual(
+        await readAll({ sortBy: "dress_type", sortOrder: "desc" }),
+        [c, e, b, a, d]
+      );
+      assert.deepStrictEqual(
+        await readAll({ sortBy: "design_id", sortOrder: "desc" }),
+        [e, d, c, b, a]
+      );
+      // Added the same day, so design_id breaks the ties
+      assert.deepStrictEqual(await readAll({}), [a, b, c, d, e]);
+    });
+
+    it("does not skip designs when earlier ones are deleted between pages", async () => {
+      const [a, b, c, d] = designIds;
+      const query = {
+        client: [client],
+        sortBy: "design_id",
+        sortOrder: "asc",
+        limit: 2,
+      };
+
+      const first = await readPage(query);
+      assert.deepStrictEqual(
+        first.designs.map((design) => design.design_id),
+        [a, b]
+      );
+
+      await designsRepository.update(a, { deleted_at: new Date() });
+      try {
+        const second = await readPage({
+          ...query,
+          cursor: first.pagination.nextCursor,
+        });
+        assert.deepStrictEqual(
+          second.designs.map((design) => design.design_id),
+          [c, d]
+        );
+        assert.strictEqual(second.pagination.hasMore, true);
+        assert.strictEqual(second.pagination.total, 4);
+      } finally {
+        await designsRepository.update(a, { deleted_at: null });
+      }
+    });
+  });
+});
@@ -0,0 +1,458 @@
+/**
+ * Design Write Sagas
+ *
+ * Creating, updating or deleting a design touches three stores: image
+ * storage, the Designs sheet and sampling_designs. Each write runs as a saga
+ * step so that a failure part way undoes the earlier steps:
+ *   upload   -> delete the uploaded object
+ *   sheet    -> clear the appended row / restore the previous row values /
+ *               toggle the strike-through back
+ *   database -> runs last in its own transaction, which rolls back on failure
+ * The audit entry is written in the same transaction as the database step,
+ * as is the claim on a direct upload used instead of an uploaded file.
+ * Deleting images cannot be undone, so a purge does it after the database
+ * step has committed.
+ * Usage: const { createDesign, updateDesign } = require('./designSaga');
+ */
+
+const { executeTransaction } = require("./database");
+const { Saga } = require("./saga");
+const {
+  designHash,
+  designToRecord,
+  recordToDesign,
+  rowNumberFromRange,
+} = require("./designColumns");
+const { recordDesignChange } = require("./designAudit");
+const designsRepository = require("./repositories/designs");
+const { attachUpload } = require("./imageUploads");
+const Logger = require("./logger");
+
+// =============================================================================
+// UTILITY FUNCTIONS
+// =============================================================================
+
+/**
+ * Find the sheet row of a design and check it still holds the design
+ * @param {ApparelSheetsManager} sheetsManager - Sheets manager
+ * @param {Object} record - sampling_designs record
+ * @returns {Promise<Object|null>} { rowNumber, row } with row the design as
+ *   read from the sheet, or null if the record has no sheet row
+ * @throws {Error} If the row holds another design
+ */
+const readLinkedSheetRow = async (sheetsManager, record) => {
+  const rowNumber = rowNumberFromRange(record.rowid);
+  if (!rowNumber) return null;
+
+  const row = await sheetsManager.getDesignRow(rowNumber);
+  if (String(row.designId).trim() !== record.design_id) {
+    throw new Error(
+      `Sheet row ${rowNumber} holds design "${row.designId}", not ${record.design_id}; run the design sync first`
+    );
+  }
+  return { rowNumber, row };
+};
+
+/**
+ * List the stored images of a design record, one entry per object
+ * @param {BaseStorage} storage - Storage driver
+ * @param {Object} record - sampling_designs record
+ * @returns {Array<Object>} [{ key, url }]
+ */
+const designImages = (storage, record) => {
+  const images = [
+    {
+      key: record.s3_key || storage.keyFromUrl(record.reference_image),
+      url: record.reference_image || null,
+    },
+    { key: storage.keyFromUrl(record.final_dress), url: record.final_dress },
+  ];
+  return images.filter(
+    (image, index) =>
+      image.key &&
+      images.findIndex((other) => other.key === image.key) === index
+  );
+};
+
+/**
+ * Delete the stored images of a purged design
+ * An image another design still uses is kept. Failures are logged and
+ * reported rather than thrown, as the design itself is already gone.
+ * @param {BaseStorage} storage - Storage driver
+ * @param {Object} record - Purged sampling_designs record
+ * @returns {Promise<Array<Object>>} [{ key, status, error? }] with status
+ *   "deleted", "kept" or "failed"
+ */
+const deleteDesignImages = async (storage, record) => {
+  const results = [];
+
+  for (const image of designImages(storage, record)) {
+    try {
+      if ((await designsRepository.countImageReferences(image)) > 0) {
+        results.push({ key: image.key, status: "kept" });
+        continue;
+      }
+      await storage.delete(image.key);
+      results.push({ key: image.key, status: "deleted" });
+    } catch (error) {
+      Logger.error("Failed to delete image of purged design", error, {
+        designId: record.design_id,
+        key: image.key,
+      });
+      results.push({ key: image.key, status: "failed", error: error.message });
+    }
+  }
+
+  return results;
+};
+
+/**
+ * Soft-delete or restore a design: strike its sheet row through or clear the
+ * strike-through, then set or clear deleted_at
+ * @param {string} name - Saga name
+ * @param {Object} services - { sheetsManager }
+ * @param {Object} input - { current, deleted, context }
+ * @returns {Promise<Object>} { record, rowNumber }
+ * @throws {Error} If the design is already in the wanted state
+ * @throws {SagaError} If a step fails, after undoing the earlier ones
+ */
+const setDesignDeleted = async (
+  name,
+  { sheetsManager },
+  { current, deleted, context = {} }
+) => {
+  const designId = current.design_id;
+  const stateProblem = (record) =>
+    record
+      ? `Design ${designId} is ${deleted ? "already" : "not"} deleted`
+      : `Design ${designId} not found`;
+
+  // Checked before the sheet step, whose undo would otherwise flip a row that
+  // was already in the wanted state
+  if ((current.deleted_at !== null) === deleted) {
+    throw new Error(stateProblem(current));
+  }
+
+  const saga = new Saga(name, { designId });
+
+  const linked = await saga.step("readSheet", () =>
+    readLinkedSheetRow(sheetsManager, current)
+  );
+  if (linked) {
+    await saga.step(
+      "sheet",
+      () => sheetsManager.setDesignRowStruck(linked.rowNumber, deleted),
+      () => sheetsManager.setDesignRowStruck(linked.rowNumber, !deleted)
+    );
+  }
+
+  const record = await saga.step("database", () =>
+    executeTransaction(async (client) => {
+      // Re-read under lock so two requests cannot both apply the change
+      const before = await designsRepository.findById(designId, {
+        includeDeleted: true,
+        forUpdate: true,
+        client,
+      });
+      if (!before || (before.deleted_at !== null) === deleted) {
+        throw new Error(stateProblem(before));
+      }
+
+      const after = await designsRepository.update(
+        designId,
+        deleted
+          ? { deleted_at: new Date(), deleted_by: context.actor || null }
+          : { deleted_at: null, deleted_by: null },
+        { client }
+      );
+      await recordDesignChange(
+        { designId, operation: deleted ? "delete" : "restore", before, after },
+        context,
+        client
+      );
+      return after;
+    })
+  );
+
+  return { record, rowNumber: linked ? linked.rowNumber : null };
+};
+
+// =============================================================================
+// MAIN SAGA FUNCTIONS
+// =============================================================================
+
+/**
+ * Create a design: upload its reference image if given, append it to the
+ * sheet and insert it into sampling_designs
+ *
+ * @param {Object} services - { storage, sheetsManager }
+ * @param {Object} input - Creation input
+ * @param {Object} input.design - Design keyed by DESIGN_COLUMNS field names,
+ *   without the image fields
+ * @param {Object} [input.file] - Multer file for the reference image
+ * @param {Object} [input.image] - Confirmed direct upload to use as the
+ *   reference image instead of a file, from findAttachableUpload(); the
+ *   database step attaches it to the design
+ * @param {Object} [input.context={}] - { actor, requestId } for the audit log
+ * @returns {Promise<Object>} { design, upload, sheetResult, record }; upload
+ *   is the stored file or the direct upload, null without either
+ * @throws {SagaError} If a step fails, after undoing the earlier ones
+ */
+async function createDesign(
+  { storage, sheetsManager },
+  { design, file = null, image = null, context = {} }
+) {
+  const saga = new Saga("createDesign", { designId: design.designId });
+  let upload = image;
+  let stored = { ...design };
+
+  if (file) {
+    upload = await saga.step(
+      "upload",
+      () => storage.upload(file.path, file.originalname, design.client),
+      (result) => storage.delete(result.key)
+    );
+  }
+  if (upload) {
+    stored = {
+      ...design,
+      referenceImageUrl: upload.url,
+      referenceImages3Key: upload.key,
+    };
+  }
+
+  const sheetResult = await saga.step(
+    "sheet",
+    () => sheetsManager.addDesign(stored),
+    (result) =>
+      sheetsManager.clearDesignRow(rowNumberFromRange(result.updatedRange))
+  );
+
+  const record = await saga.step("database", () =>
+    executeTransaction(async (client) => {
+      const created = await designsRepository.insert(
+        {
+          ...designToRecord(stored),
+          rowid: sheetResult.updatedRange,
+          sheet_hash: designHash(stored),
+        },
+        { client }
+      );
+      if (image) {
+        await attachUpload(image.key, design.designId, { client });
+      }
+      await recordDesignChange(
+        {
+          designId: design.designId,
+          operation: "create",
+          before: null,
+          after: created,
+        },
+        context,
+        client
+      );
+      return created;
+    })
+  );
+
+  return { design: stored, upload, sheetResult, record };
+}
+
+/**
+ * Update a design: upload a new final image if given, rewrite its sheet row
+ * and update sampling_designs
+ * The row is the one the record links to, checked to still hold the design.
+ * Fields the update leaves out keep their current values in both stores.
+ *
+ * @param {Object} services - { storage, sheetsManager }
+ * @param {Object} input - Update input
+ * @param {Object} input.design - Fields to change, keyed by DESIGN_COLUMNS
+ *   field names
+ * @param {Object} input.current - Current sampling_designs record, linked to
+ *   a sheet row
+ * @param {Object} [input.file] - Multer file for the final dress image
+ * @param {Object} [input.image] - Confirmed direct upload to use as the final
+ *   dress image instead of a file; the database step attaches it
+ * @param {Object} [input.context={}] - { actor, requestId } for the audit log
+ * @returns {Promise<Object>} { design, sheetResult, record }
+ * @throws {SagaError} If a step fails, after undoing the earlier ones; reading
+ *   the sheet fails when the record has no row or its row holds another design
+ */
+async function updateDesign(
+  { storage, sheetsManager },
+  { design, current, file = null, image = null, context = {} }
+) {
+  const saga = new Saga("updateDesign", {
+    designId: design.designId,
+    rowNumber: rowNumberFromRange(current.rowid),
+  });
+  // The whole row is rewritten, so start from the record rather than blank
+  // the cells of fields the update leaves out
+  const stored = recordToDesign(current);
+  for (const [field, value] of Object.entries(design)) {
+    if (value !== undefined) stored[field] = value;
+  }
+
+  if (file) {
+    const upload = await saga.step(
+      "upload",
+      () => storage.upload(file.path, file.originalname, design.client),
+      (result) => storage.delete(result.key)
+    );
+    stored.finalDressUrl = upload.url;
+  } else if (image) {
+    stored.finalDressUrl = image.url;
+  }
+
+  const { rowNumber, row: previousRow } = await saga.step(
+    "readSheet",
+    async () => {
+      const linked = await readLinkedSheetRow(sheetsManager, current);
+      if (!linked) {
+        throw new Error(`Design ${current.design_id} has no sheet row`);
+      }
+      return linked;
+    }
+  );
+
+  const sheetResult = await saga.step(
+    "sheet",
+    () => sheetsManager.updateDesignRow(rowNumber, stored),
+    () => sheetsManager.updateDesignRow(rowNumber, previousRow)
+  );
+
+  const record = await saga.step("database", () =>
+    executeTransaction(async (client) => {
+      const { design_id, ...changes } = designToRecord(stored);
+      const updated = await designsRepository.update(
+        design.designId,
+        { ...changes, sheet_hash: designHash(stored) },
+        { client }
+      );
+      if (!updated) {
+        throw new Error(`Design ${design.designId} not found`);
+      }
+      if (image) {
+        await attachUpload(image.key, design.designId, { client });
+      }
+      await recordDesignChange(
+        {
+          designId: design.designId,
+          operation: "update",
+          before: current,
+          after: updated,
+        },
+        context,
+        client
+      );
+      return updated;
+    })
+  );
+
+  return { design: stored, sheetResult, record };
+}
+
+/**
+ * Soft-delete a design: strike its sheet row through and set deleted_at, which
+ * hides it from listings until it is restored
+ * @param {Object} services - { sheetsManager }
+ * @param {Object} input - Delete input
+ * @param {Object} input.current - Current sampling_designs record
+ * @param {Object} [input.context={}] - { actor, requestId } for the audit log
+ * @returns {Promise<Object>} { record, rowNumber }; rowNumber is null when the
+ *   design has no sheet row
+ * @throws {Error} If the design is already deleted
+ * @throws {SagaError} If a step fails, after undoing the earlier ones
+ */
+async function deleteDesign(services, { current, context = {} }) {
+  return setDesignDeleted("deleteDesign", services, {
+    current,
+    deleted: true,
+    context,
+  });
+}
+
+/**
+ * Restore a soft-deleted design: clear the strike-through and deleted_at
+ * @param {Object} services - { sheetsManager }
+ * @param {Object} input - Restore input
+ * @param {Object} input.current - Current sampling_designs record
+ * @param {Object} [input.context={}] - { actor, requestId } for the audit log
+ * @returns {Promise<Object>} { record, rowNumber }
+ * @throws {Error} If the design is not deleted
+ * @throws {SagaError} If a step fails, after undoing the earlier ones
+ */
+async function restoreDesign(services, { current, context = {} }) {
+  return setDesignDeleted("restoreDesign", services, {
+    current,
+    deleted: false,
+    context,
+  });
+}
+
+/**
+ * Purge a design for good: clear its sheet row, delete its record, then
+ * delete its reference and final images from storage
+ *
+ * The sheet row is blanked rather than removed so the rows below keep their
+ * numbers. Image deletion runs once the record is gone and cannot be undone;
+ * a failure there is reported in images, not thrown.
+ *
+ * @param {Object} services - { storage, sheetsManager }
+ * @param {Object} input - Purge input
+ * @param {Object} input.current - Current sampling_designs record, deleted or not
+ * @param {Object} [input.context={}] - { actor, requestId } for the audit log
+ * @returns {Promise<Object>} { record, rowNumber, images } with images as
+ *   [{ key, status, error? }]
+ * @throws {SagaError} If the sheet or database step fails, after undoing the
+ *   earlier one
+ */
+async function purgeDesign(
+  { storage, sheetsManager },
+  { current, context = {} }
+) {
+  const designId = current.design_id;
+  const saga = new Saga("purgeDesign", { designId });
+
+  const linked = await saga.step("readSheet", () =>
+    readLinkedSheetRow(sheetsManager, current)
+  );
+  if (linked) {
+    await saga.step(
+      "sheet",
+      () => sheetsManager.clearDesignRow(linked.rowNumber),
+      () => sheetsManager.updateDesignRow(linked.rowNumber, linked.row)
+    );
+  }
+
+  const record = await saga.step("database", () =>
+    executeTransaction(async (client) => {
+      const removed = await designsRepository.remove(designId, { client });
+      if (!removed) {
+        throw new Error(`Design ${designId} not found`);
+      }
+      await recordDesignChange(
+        { designId, operation: "delete", before: removed, after: null },
+        context,
+        client
+      );
+      return removed;
+    })
+  );
+
+  const images = await deleteDesignImages(storage, record);
+
+  return { record, rowNumber: linked ? linked.rowNumber : null, images };
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  createDesign,
+  updateDesign,
+  deleteDesign,
+  restoreDesign,
+  purgeDesign,
+};
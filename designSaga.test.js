@@ -0,0 +1,94 @@
+/**
+ * Design Saga Module Tests
+ *
+ * Design updates against an in-memory sheet row, checking the sheet and the
+ * database end up with the same values. Needs the database (DB_HOST);
+ * skipped without it.
+ * Usage: npm test
+ */
+
+const assert = require("assert");
+const { deleteFromDB } = require("./database");
+const designsRepository = require("./repositories/designs");
+const { designRowRange, recordToDesign } = require("./designColumns");
+const { updateDesign } = require("./designSaga");
+const { hasDatabase } = require("./testHooks");
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * In-memory stand-in for the Designs sheet calls updateDesign makes
+ * @param {Object} rows - Designs keyed by sheet row number
+ * @returns {Object} Sheets manager that keeps the rows it is given
+ */
+const fakeSheets = (rows) => ({
+  rows,
+  async getDesignRow(rowNumber) {
+    return { ...this.rows[rowNumber] };
+  },
+  async updateDesignRow(rowNumber, design) {
+    this.rows[rowNumber] = { ...design };
+    return { updatedCells: 15, updatedRange: designRowRange(rowNumber) };
+  },
+});
+
+// =============================================================================
+// TESTS
+// =============================================================================
+
+describe("updateDesign", function () {
+  const designId = `SAGA-${process.pid}-${Date.now()}`;
+  let current;
+
+  before(async function () {
+    if (!hasDatabase()) return this.skip();
+    current = await designsRepository.insert({
+      design_id: designId,
+      client: "Saga Test",
+      dress_type: "Gown",
+      fabric: "Silk",
+      fabric_length: 3.5,
+      comments: "First draft",
+      rowid: designRowRange(9),
+    });
+  });
+
+  after(async () => {
+    if (!hasDatabase()) return;
+    await designsRepository.remove(designId);
+    await deleteFromDB("design_audit", { design_id: designId });
+  });
+
+  it("keeps the fields a partial update leaves out in both stores", async () => {
+    const sheets = fakeSheets({ 9: recordToDesign(current) });
+
+    const { design, record } = await updateDesign(
+      { storage: null, sheetsManager: sheets },
+      { design: { designId, comments: "Second draft" }, current }
+    );
+
+    assert.strictEqual(record.comments, "Second draft");
+    assert.strictEqual(record.fabric, "Silk");
+    assert.strictEqual(Number(record.fabric_length), 3.5);
+    assert.strictEqual(design.fabric, "Silk");
+
+    // The sheet row and the record say the same thing afterwards
+    assert.deepStrictEqual(sheets.rows[9], recordToDesign(record));
+  });
+
+  it("clears a field only when the update sends it blank", async () => {
+    const before = await designsRepository.findById(designId);
+    const sheets = fakeSheets({ 9: recordToDesign(before) });
+
+    const { record } = await updateDesign(
+      { storage: null, sheetsManager: sheets },
+      { design: { designId, comments: "" }, current: before }
+    );
+
+    assert.strictEqual(record.comments, null);
+    assert.strictEqual(sheets.rows[9].comments, "");
+    assert.strictEqual(sheets.rows[9].fabric, "Silk");
+  });
+});
@@ -0,0 +1,202 @@
+/**
+ * Design Request Schemas
+ *
+ * Validation rules (see validation.js) for the design, costing and workflow
+ * routes. Field rules are shared so a design field is checked the same way
+ * whether it arrives in a multipart form, a JSON body or the updatedData of
+ * PUT /api/designs.
+ * Usage: app.post('/api/cost-estimate', validate({ body: COST_ESTIMATE_SCHEMA }), handler);
+ */
+
+const { DESIGN_STATUSES, DESIGN_TRANSITIONS } = require("./designWorkflow");
+const { listDressTypes } = require("./usage");
+
+// =============================================================================
+// CONFIGURATION & CONSTANTS
+// =============================================================================
+
+// Upper bound for a single design's fabric or lining length, in metres
+const MAX_LENGTH_METRES = 100;
+
+// Design IDs appear in URL paths
+const DESIGN_ID_RULE = {
+  type: "string",
+  maxLength: 100,
+  pattern: /^[^\s/?#]+$/,
+  patternMessage: "must not contain spaces, /, ? or #",
+};
+
+const LENGTH_RULE = { type: "number", min: 0, max: MAX_LENGTH_METRES };
+
+// Any dress type, for reads that report an unknown one rather than refuse it
+const DRESS_TYPE_TEXT_RULE = { type: "string", maxLength: 100 };
+
+// Dress types are limited to those in the usage catalog once it has entries
+const DRESS_TYPE_RULE = {
+  ...DRESS_TYPE_TEXT_RULE,
+  enum: () => listDressTypes(),
+  ignoreCase: true,
+  description:
+    "A dress type from the usage catalog (any value while it is empty)",
+};
+
+// =============================================================================
+// SCHEMAS
+// =============================================================================
+
+// Design fields keyed by DESIGN_COLUMNS field name
+const DESIGN_FIELD_RULES = {
+  designId: DESIGN_ID_RULE,
+  dateAdded: { type: "date" },
+  client: { type: "string", maxLength: 100 },
+  dressType: DRESS_TYPE_RULE,
+  fabric: { type: "string", maxLength: 100 },
+  comments: { type: "string", maxLength: 2000 },
+  referenceImageUrl: { type: "string", maxLength: 2000 },
+  referenceImages3Key: { type: "string", maxLength: 1024 },
+  fabricLength: LENGTH_RULE,
+  liningFabric: { type: "string", maxLength: 100 },
+  // Legacy spelling, renamed by normalizeDesignFields
+  liningfabric: { type: "string", maxLength: 100 },
+  liningLength: LENGTH_RULE,
+  embroidery: { type: "string", maxLength: 2000 },
+  finalDressUrl: { type: "string", maxLength: 2000 },
+  approved: { type: "string", enum: ["True", "False"], ignoreCase: true },
+  status: { type: "string", enum: DESIGN_STATUSES, ignoreCase: true },
+};
+
+// Route parameter of the /api/designs/:designId routes; no pattern, so
+// designs stored before IDs were checked can still be reached
+const DESIGN_PARAMS_SCHEMA = {
+  designId: { type: "string", required: true, maxLength: 100 },
+};
+
+// Key of a confirmed upload from POST /api/uploads/confirm
+const UPLOAD_KEY_RULE = { type: "string", maxLength: 1024 };
+
+// POST /api/designs multipart form; the reference image is either the
+// designImage file or imageKey, not both
+const CREATE_DESIGN_SCHEMA = {
+  designId: DESIGN_ID_RULE,
+  clientCode: { type: "string", required: true, maxLength: 100 },
+  fabric: { type: "string", required: true, maxLength: 100 },
+  dressType: DRESS_TYPE_RULE,
+  designerComments: { type: "string", maxLength: 2000 },
+  imageKey: {
+    ...UPLOAD_KEY_RULE,
+    description: "Confirmed direct upload to use instead of designImage",
+  },
+};
+
+// PUT /api/designs form; updatedData is the fields to change as JSON (the
+// rest keep their values), and a new final image is either the finalImage
+// file or finalImageKey
+const UPDATE_DESIGN_SCHEMA = {
+  range: {
+    type: "string",
+    required: true,
+    pattern: /^(?:[^!]+!)?\$?[A-Z]+\$?\d+(?::\$?[A-Z]+\$?\d+)?$/,
+    patternMessage: 'must be an A1 range, e.g. "Designs!A25:O25"',
+  },
+  updatedData: {
+    type: "json",
+    required: true,
+    schema: {
+      ...DESIGN_FIELD_RULES,
+      designId: { ...DESIGN_ID_RULE, required: true },
+    },
+  },
+  finalImageKey: {
+    ...UPLOAD_KEY_RULE,
+    description: "Confirmed direct upload to use instead of finalImage",
+  },
+};
+
+// POST /api/cost-estimate body
+const COST_ESTIMATE_SCHEMA = {
+  fabric: { type: "string", required: true, maxLength: 100 },
+  dressType: {
+    ...DRESS_TYPE_TEXT_RULE,
+    description:
+      "Dress type; one the usage catalog does not have is estimated without usage figures, with a warning",
+  },
+  size: { type: "string", maxLength: 50 },
+  fabricLength: LENGTH_RULE,
+  liningFabric: { type: "string", maxLength: 100 },
+  liningLength: LENGTH_RULE,
+  asOf: { type: "date" },
+};
+
+// GET /api/designs/:designId/cost query
+const DESIGN_COST_QUERY_SCHEMA = {
+  asOf: { type: "date" },
+  size: { type: "string", maxLength: 50 },
+};
+
+// DELETE /api/designs/:designId query
+const DESIGN_DELETE_QUERY_SCHEMA = {
+  hard: {
+    type: "boolean",
+    default: false,
+    description:
+      "Purge the record, the sheet row and the images for good instead of soft-deleting",
+  },
+};
+
+// POST /api/designs/import form fields
+const DESIGN_IMPORT_SCHEMA = {
+  dryRun: {
+    type: "boolean",
+    default: false,
+    description: "Validate every row and report the outcome without writing",
+  },
+};
+
+// One row of an import spreadsheet, keyed by the field its header maps to
+const DESIGN_IMPORT_ROW_SCHEMA = {
+  designId: DESIGN_ID_RULE,
+  client: { type: "string", required: true, maxLength: 100 },
+  fabric: { type: "string", required: true, maxLength: 100 },
+  dressType: DRESS_TYPE_RULE,
+  comments: { type: "string", maxLength: 2000 },
+  fabricLength: LENGTH_RULE,
+  liningFabric: { type: "string", maxLength: 100 },
+  liningLength: LENGTH_RULE,
+  embroidery: { type: "string", maxLength: 2000 },
+  referenceImage: { type: "string", maxLength: 255 },
+};
+
+/**
+ * Rules for a workflow transition route
+ * @param {string} action - Transition name from DESIGN_TRANSITIONS
+ * @returns {Object} { params, body } schemas
+ */
+const transitionSchemas = (action) => ({
+  params: DESIGN_PARAMS_SCHEMA,
+  body: {
+    reason: {
+      type: "string",
+      required: Boolean(DESIGN_TRANSITIONS[action].requiresReason),
+      maxLength: 1000,
+    },
+    actor: { type: "string", maxLength: 100 },
+  },
+});
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  MAX_LENGTH_METRES,
+  DESIGN_FIELD_RULES,
+  DESIGN_PARAMS_SCHEMA,
+  CREATE_DESIGN_SCHEMA,
+  UPDATE_DESIGN_SCHEMA,
+  COST_ESTIMATE_SCHEMA,
+  DESIGN_COST_QUERY_SCHEMA,
+  DESIGN_IMPORT_SCHEMA,
+  DESIGN_IMPORT_ROW_SCHEMA,
+  DESIGN_DELETE_QUERY_SCHEMA,
+  transitionSchemas,
+};
@@ -0,0 +1,534 @@
+/**
+ * Design Sync Module
+ *
+ * Reconciles the Designs sheet with the sampling_designs table by design_id.
+ * Reports designs missing on either side and designs whose fields disagree,
+ * then (unless dry-running) copies missing designs across and resolves each
+ * conflict with the configured policy:
+ *   sheet  - the sheet row overwrites the database record
+ *   db     - the database record overwrites the sheet row
+ *   newest - the side that changed since the two last matched wins. Each
+ *            record keeps a sheet_hash of its sheet fields as the API last
+ *            wrote them to the sheet or a sync last found them on both sides;
+ *            the side whose fields no longer hash to it has changed. When
+ *            the record has no hash yet, or both sides changed, the sheet
+ *            wins.
+ * Applying a diff records the hash of every design it leaves matching.
+ * A status the sheet wins with goes through the workflow: it is copied only
+ * when a transition leads to it, which is recorded like any other, and
+ * approved follows it. Other status changes are reported on the conflict and
+ * left out of the copy. Designs copied into the database start in the initial
+ * status like any new design, and their sheet row is reset to match.
+ * Soft-deleted designs are counted but left as they are on both sides.
+ * Usage: const { syncDesigns } = require('./designSync');
+ */
+
+const { executeTransaction } = require("./database");
+const designsRepository = require("./repositories/designs");
+const Logger = require("./logger");
+const { recordDesignChange } = require("./designAudit");
+const {
+  INITIAL_STATUS,
+  approvedForStatus,
+  findTransition,
+} = require("./designWorkflow");
+const {
+  DESIGN_COLUMNS,
+  comparable,
+  designHash,
+  designRowRange,
+  designToRecord,
+  recordToDesign,
+} = require("./designColumns");
+
+// =============================================================================
+// CONFIGURATION & CONSTANTS
+// =============================================================================
+
+const SYNC_POLICIES = ["sheet", "db", "newest"];
+
+// POST /api/sync/designs body, see validation.js; without a policy the
+// SYNC_CONFLICT_POLICY environment variable applies
+const SYNC_SCHEMA = {
+  policy: { type: "string", enum: SYNC_POLICIES },
+  dryRun: { type: "boolean", default: false },
+};
+
+const COMPARED_FIELDS = DESIGN_COLUMNS.map(({ field }) => field).filter(
+  (field) => field !== "designId"
+);
+
+// Recorded on design_transitions rows the sync makes
+const SYNC_TRANSITION_REASON = "Status changed in the Designs sheet";
+
+// =============================================================================
+// UTILITY FUNCTIONS
+// =============================================================================
+
+/**
+ * List fields whose values differ between a sheet design and a db design
+ * @param {Object} sheetDesign - Design read from the sheet
+ * @param {Object} dbDesign - Design converted from the database record
+ * @returns {Array<Object>} [{ field, sheet, db }]
+ */
+const diffFields = (sheetDesign, dbDesign) =>
+  COMPARED_FIELDS.filter(
+    (field) => comparable(sheetDesign[field]) !== comparable(dbDesign[field])
+  ).map((field) => ({
+    field,
+    sheet: sheetDesign[field],
+    db: dbDesign[field],
+  }));
+
+/**
+ * Decide which side wins a conflict
+ * @param {string} policy - Conflict policy, one of SYNC_POLICIES
+ * @param {Object} record - Database record
+ * @param {Object} sheetDesign - Design read from the sheet
+ * @returns {Object} { winner, changed } where winner is "sheet" or "db", and
+ *   for the newest policy changed names the side that changed since the
+ *   record's sheet_hash was taken: "sheet", "db", "both", or null when the
+ *   record has no hash
+ */
+const resolveWinner = (policy, record, sheetDesign) => {
+  if (policy !== "newest") return { winner: policy };
+
+  if (!record.sheet_hash) return { winner: "sheet", changed: null };
+
+  const sheetChanged = designHash(sheetDesign) !== record.sheet_hash;
+  const dbChanged = designHash(recordToDesign(record)) !== record.sheet_hash;
+  if (sheetChanged && dbChanged) return { winner: "sheet", changed: "both" };
+  return sheetChanged
+    ? { winner: "sheet", changed: "sheet" }
+    : { winner: "db", changed: "db" };
+};
+
+/**
+ * Check a status change the sheet would make against the workflow
+ * @param {Object} record - Database record
+ * @param {Object} sheetDesign - Design read from the sheet
+ * @returns {Object|null} { from, to, transition, error } with transition null
+ *   and error set when no transition allows it, or null if the status is the
+ *   same on both sides
+ */
+const checkStatusChange = (record, sheetDesign) => {
+  const from = record.status;
+  const to = String(sheetDesign.status).trim();
+  if (comparable(from) === comparable(to)) return null;
+
+  const transition = findTransition(from, to);
+  return {
+    from,
+    to,
+    transition,
+    error: transition
+      ? null
+      : `No transition moves a design from "${from}" to "${to}"; status left as it is`,
+  };
+};
+
+/**
+ * Check the status a sheet row holds against the one a new record starts in
+ * @param {Object} sheetDesign - Design read from the sheet
+ * @returns {Object|null} { from, to } when the sheet row's status is reset to
+ *   INITIAL_STATUS, or null if it already has it or has no status
+ */
+const checkStatusReset = (sheetDesign) => {
+  const from = String(
+    sheetDesign.status === undefined ? "" : sheetDesign.status
+  ).trim();
+  if (from === "" || comparable(from) === comparable(INITIAL_STATUS)) {
+    return null;
+  }
+  return { from, to: INITIAL_STATUS };
+};
+
+/**
+ * Update a sampling_designs record and audit the change in one transaction
+ * @param {string} designId - Design ID
+ * @param {Object} changes - Columns to set
+ * @param {Function} describe - (updated) => { before, after } for the audit log
+ * @param {Object} context - { actor, requestId } for the audit log
+ * @param {Object} [transition] - design_transitions row to record with the
+ *   change, without design_id
+ * @returns {Promise<Object>} Updated record
+ * @throws {Error} If no design has the ID
+ */
+const updateRecord = (designId, changes, describe, context, transition) =>
+  executeTransaction(async (client) => {
+    const updated = await designsRepository.update(designId, changes, {
+      client,
+    });
+    if (!updated) {
+      throw new Error(`Design ${designId} not found`);
+    }
+    if (transition) {
+      await designsRepository.insertTransition(
+        { design_id: designId, ...transition },
+        { client }
+      );
+    }
+    await recordDesignChange(
+      { designId, operation: "update", ...describe(updated) },
+      context,
+      client
+    );
+    return updated;
+  });
+
+// =============================================================================
+// MAIN SYNC FUNCTIONS
+// =============================================================================
+
+/**
+ * Compare the Designs sheet with sampling_designs
+ * @param {ApparelSheetsManager} sheetsManager - Sheets manager
+ * @param {string} policy - Conflict policy, one of SYNC_POLICIES
+ * @returns {Promise<Object>} Diff of both sides
+ */
+async function diffDesigns(sheetsManager, policy) {
+  const [sheetDesigns, records] = await Promise.all([
+    sheetsManager.getDesigns(),
+    designsRepository.findMany({}, { includeDeleted: true }),
+  ]);
+
+  const diff = {
+    missingInDb: [],
+    missingInSheet: [],
+    conflicts: [],
+    relinked: [],
+    untracked: [],
+    duplicates: [],
+    invalidRows: [],
+    inSync: 0,
+    deleted: 0,
+  };
+
+  // Index the sheet by design ID; later duplicates are reported, not synced
+  const sheetById = new Map();
+  for (const design of sheetDesigns) {
+    const designId = String(design.designId).trim();
+    if (!designId) {
+      diff.invalidRows.push({
+        rowNumber: design.rowNumber,
+        reason: "Missing design ID",
+      });
+    } else if (sheetById.has(designId)) {
+      diff.duplicates.push({
+        designId,
+        rowNumbers: [sheetById.get(designId).rowNumber, design.rowNumber],
+      });
+    } else {
+      sheetById.set(designId, { ...design, designId });
+    }
+  }
+
+  const recordIds = new Set();
+  for (const record of records) {
+    const designId = record.design_id;
+    recordIds.add(String(designId).trim());
+
+    // Soft-deleted designs keep their struck-through row and are left alone
+    if (record.deleted_at !== null) {
+      diff.deleted++;
+      continue;
+    }
+
+    const sheetDesign = sheetById.get(String(designId).trim());
+    if (!sheetDesign) {
+      diff.missingInSheet.push({ designId, record });
+      continue;
+    }
+
+    const expectedRowId = designRowRange(sheetDesign.rowNumber);
+    if (record.rowid !== expectedRowId) {
+      diff.relinked.push({
+        designId,
+        from: record.rowid || null,
+        to: expectedRowId,
+      });
+    }
+
+    const fields = diffFields(sheetDesign, recordToDesign(record));
+    if (fields.length === 0) {
+      diff.inSync++;
+      // Matching rows whose hash is missing or stale get it recorded
+      const hash = designHash(sheetDesign);
+      if (record.sheet_hash !== hash) {
+        diff.untracked.push({ designId, hash });
+      }
+      continue;
+    }
+
+    const { winner, changed } = resolveWinner(policy, record, sheetDesign);
+    diff.conflicts.push({
+      designId,
+      rowNumber: sheetDesign.rowNumber,
+      winner,
+      changed,
+      fields,
+      statusChange:
+        winner === "sheet" ? checkStatusChange(record, sheetDesign) : null,
+      sheetDesign,
+      record,
+    });
+  }
+
+  for (const [designId, sheetDesign] of sheetById) {
+    if (!recordIds.has(designId)) {
+      diff.missingInDb.push({
+        designId,
+        sheetDesign,
+        statusReset: checkStatusReset(sheetDesign),
+      });
+    }
+  }
+
+  return diff;
+}
+
+/**
+ * Write the changes a diff calls for to the sheet and the database
+ * Each design is applied independently; failures are collected, not thrown.
+ * @param {ApparelSheetsManager} sheetsManager - Sheets manager
+ * @param {Object} diff - Result of diffDesigns
+ * @param {Object} context - { actor, requestId } for the audit log
+ * @returns {Promise<Object>} Counts of applied changes and per-design errors
+ */
+async function applyDiff(sheetsManager, diff, context) {
+  const applied = {
+    createdInDb: 0,
+    createdInSheet: 0,
+    updatedInDb: 0,
+    updatedInSheet: 0,
+    transitions: 0,
+    statusResets: 0,
+    relinked: 0,
+    tracked: 0,
+    errors: [],
+  };
+
+  const attempt = async (designId, action, operation) => {
+    try {
+      await operation();
+    } catch (error) {
+      Logger.error("Design sync step failed", error, { designId, action });
+      applied.errors.push({ designId, action, error: error.message });
+    }
+  };
+
+  for (const { designId, sheetDesign, statusReset } of diff.missingInDb) {
+    await attempt(designId, "createInDb", async () => {
+      const approved = approvedForStatus(INITIAL_STATUS);
+      const stored = { ...sheetDesign, status: INITIAL_STATUS, approved };
+      await executeTransaction(async (client) => {
+        // New designs enter the workflow at its start, whatever the row says
+        const created = await designsRepository.insert(
+          {
+            ...designToRecord(stored),
+            rowid: designRowRange(sheetDesign.rowNumber),
+            sheet_hash: designHash(stored),
+          },
+          { client }
+        );
+        await recordDesignChange(
+          { designId, operation: "create", before: null, after: created },
+          context,
+          client
+        );
+
+        // Written before commit, so the two sides agree or neither changes
+        if (
+          statusReset ||
+          comparable(sheetDesign.approved) !== comparable(approved)
+        ) {
+          await sheetsManager.updateDesignFields(sheetDesign.rowNumber, {
+            approved,
+            status: INITIAL_STATUS,
+          });
+        }
+      });
+      applied.createdInDb++;
+      if (statusReset) applied.statusResets++;
+    });
+  }
+
+  for (const { designId, record } of diff.missingInSheet) {
+    await attempt(designId, "createInSheet", async () => {
+      const design = recordToDesign(record);
+      const result = await sheetsManager.addDesign(design);
+      await updateRecord(
+        designId,
+        { rowid: result.updatedRange, sheet_hash: designHash(design) },
+        (updated) => ({ before: record, after: updated }),
+        context
+      );
+      applied.createdInSheet++;
+    });
+  }
+
+  for (const conflict of diff.conflicts) {
+    const { designId, winner, rowNumber, statusChange, sheetDesign, record } =
+      conflict;
+
+    const action = winner === "sheet" ? "updateInDb" : "updateInSheet";
+    await attempt(designId, action, async () => {
+      if (winner === "sheet") {
+        // Status only moves through a transition, and approved follows it
+        const { design_id, status, approved, ...data } =
+          designToRecord(sheetDesign);
+        let transition = null;
+        if (statusChange && statusChange.transition) {
+          const actor = context.actor || "design-sync";
+          Object.assign(data, {
+            status: statusChange.to,
+            approved: approvedForStatus(statusChange.to),
+            status_changed_at: new Date(),
+            status_changed_by: actor,
+          });
+          transition = {
+            action: statusChange.transition,
+            from_status: statusChange.from,
+            to_status: statusChange.to,
+            reason: SYNC_TRANSITION_REASON,
+            actor,
+          };
+        }
+        // A status the workflow refuses stays as it is in the record, so the
+        // hash is of the record as updated, not of the sheet row
+        await updateRecord(
+          designId,
+          {
+            ...data,
+            rowid: designRowRange(rowNumber),
+            sheet_hash: designHash(recordToDesign({ ...record, ...data })),
+          },
+          (updated) => ({ before: record, after: updated }),
+          context,
+          transition
+        );
+        applied.updatedInDb++;
+        if (transition) applied.transitions++;
+      } else {
+        const design = recordToDesign(record);
+        await sheetsManager.updateDesignRow(rowNumber, design);
+        await designsRepository.update(designId, {
+          sheet_hash: designHash(design),
+        });
+        applied.updatedInSheet++;
+      }
+    });
+  }
+
+  // Conflicts resolved for the sheet already rewrote rowid above
+  const rewritten = new Set(
+    diff.conflicts
+      .filter((conflict) => conflict.winner === "sheet")
+      .map((conflict) => conflict.designId)
+  );
+
+  for (const { designId, from, to } of diff.relinked) {
+    if (rewritten.has(designId)) continue;
+
+    await attempt(designId, "relink", async () => {
+      await updateRecord(
+        designId,
+        { rowid: to },
+        (updated) => ({ before: { ...updated, rowid: from }, after: updated }),
+        context
+      );
+      applied.relinked++;
+    });
+  }
+
+  for (const { designId, hash } of diff.untracked) {
+    await attempt(designId, "track", async () => {
+      await designsRepository.update(designId, { sheet_hash: hash });
+      applied.tracked++;
+    });
+  }
+
+  return applied;
+}
+
+/**
+ * Reconcile the Designs sheet with sampling_designs
+ *
+ * @param {ApparelSheetsManager} sheetsManager - Sheets manager
+ * @param {Object} [options={}] - Sync options
+ * @param {string} [options.policy='sheet'] - Conflict policy
+ * @param {boolean} [options.dryRun=false] - Report the diff without writing
+ * @param {string} [options.actor] - Who started the sync, for the audit log
+ * @param {string} [options.requestId] - Request id, for the audit log
+ * @returns {Promise<Object>} Sync report
+ * @throws {Error} If the policy is unknown
+ */
+async function syncDesigns(sheetsManager, options = {}) {
+  const { policy = "sheet", dryRun = false, actor, requestId } = options;
+
+  if (!SYNC_POLICIES.includes(policy)) {
+    throw new Error(
+      `Unknown sync policy "${policy}". Expected one of: ${SYNC_POLICIES.join(
+        ", "
+      )}`
+    );
+  }
+
+  const diff = await diffDesigns(sheetsManager, policy);
+  const applied = dryRun
+    ? null
+    : await applyDiff(sheetsManager, diff, { actor, requestId });
+
+  return {
+    dryRun,
+    policy,
+    summary: {
+      inSync: diff.inSync,
+      deleted: diff.deleted,
+      missingInDb: diff.missingInDb.length,
+      missingInSheet: diff.missingInSheet.length,
+      conflicts: diff.conflicts.length,
+      invalidStatusChanges: diff.conflicts.filter(
+        ({ statusChange }) => statusChange && !statusChange.transition
+      ).length,
+      statusResets: diff.missingInDb.filter(({ statusReset }) => statusReset)
+        .length,
+      relinked: diff.relinked.length,
+      untracked: diff.untracked.length,
+      duplicates: diff.duplicates.length,
+      invalidRows: diff.invalidRows.length,
+    },
+    missingInDb: diff.missingInDb.map(
+      ({ designId, sheetDesign, statusReset }) => ({
+        designId,
+        rowNumber: sheetDesign.rowNumber,
+        ...(statusReset ? { statusReset } : {}),
+      })
+    ),
+    missingInSheet: diff.missingInSheet.map(({ designId }) => ({ designId })),
+    conflicts: diff.conflicts.map(
+      ({ designId, rowNumber, winner, changed, fields, statusChange }) => ({
+        designId,
+        rowNumber,
+        winner,
+        ...(changed !== undefined ? { changed } : {}),
+        fields,
+        ...(statusChange ? { statusChange } : {}),
+      })
+    ),
+    relinked: diff.relinked,
+    duplicates: diff.duplicates,
+    invalidRows: diff.invalidRows,
+    applied,
+  };
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  syncDesigns,
+  SYNC_POLICIES,
+  SYNC_SCHEMA,
+};
@@ -0,0 +1,270 @@
+/**
+ * Design Sync Module Tests
+ *
+ * Reconciliation of the Designs sheet with sampling_designs, against an
+ * in-memory sheet. Each test has a client of its own and the sync only sees
+ * that client's designs, so other records are left alone. Needs the database
+ * (DB_HOST); skipped without it.
+ * Usage: npm test
+ */
+
+const assert = require("assert");
+const { deleteFromDB } = require("./database");
+const designsRepository = require("./repositories/designs");
+const {
+  designHash,
+  designRowRange,
+  designToRecord,
+} = require("./designColumns");
+const { syncDesigns } = require("./designSync");
+const { hasDatabase } = require("./testHooks");
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * In-memory stand-in for ApparelSheetsManager's Designs sheet calls
+ * @param {Array<Object>} designs - Sheet designs, each with a rowNumber
+ * @returns {Object} Sheets manager recording every write in .writes
+ */
+const fakeSheets = (designs) => ({
+  writes: [],
+  async getDesigns() {
+    return designs.map((design) => ({ ...design }));
+  },
+  async updateDesignFields(rowNumber, fields) {
+    this.writes.push({ call: "updateDesignFields", rowNumber, fields });
+  },
+  async updateDesignRow(rowNumber, design) {
+    this.writes.push({ call: "updateDesignRow", rowNumber, design });
+  },
+  async addDesign(design) {
+    this.writes.push({ call: "addDesign", design });
+    return { updatedRange: "Designs!A99:O99" };
+  },
+});
+
+/**
+ * A sheet design with every column filled in
+ * @param {Object} fields - Fields to set
+ * @returns {Object} Sheet design
+ */
+const sheetDesign = (fields) => ({
+  dateAdded: "2024-05-01",
+  client: "",
+  dressType: "Gown",
+  fabric: "Silk",
+  comments: "",
+  referenceImageUrl: "",
+  referenceImages3Key: "",
+  fabricLength: "",
+  liningFabric: "",
+  liningLength: "",
+  embroidery: "",
+  finalDressUrl: "",
+  approved: "False",
+  status: "draft",
+  ...fields,
+});
+
+/**
+ * Insert the record of a sheet design, as the API would have written it
+ * @param {Object} design - Sheet design with a rowNumber
+ * @param {Object} [options={}] - Options
+ * @param {boolean} [options.tracked=true] - Record the design's sheet_hash
+ * @returns {Promise<Object>} Inserted record
+ */
+const insertRecord = (design, { tracked = true } = {}) =>
+  designsRepository.insert({
+    ...designToRecord(design),
+    rowid: designRowRange(design.rowNumber),
+    sheet_hash: tracked ? designHash(design) : null,
+  });
+
+// =============================================================================
+// TESTS
+// =============================================================================
+
+describe("syncDesigns", function () {
+  const runId = `${process.pid}-${Date.now()}`;
+  const prefix = `SYNC-${runId}`;
+  let testCount = 0;
+  let client;
+  let findMany;
+
+  before(function () {
+    if (!hasDatabase()) return this.skip();
+
+    // Only the current test's designs take part in the sync
+    findMany = designsRepository.findMany;
+    designsRepository.findMany = (conditions, options) =>
+      findMany({ ...conditions, client }, options);
+  });
+
+  beforeEach(() => {
+    client = `Sync Test ${runId}-${++testCount}`;
+  });
+
+  after(async () => {
+    if (!hasDatabase()) return;
+    designsRepository.findMany = findMany;
+
+    const records = await findMany(
+      { client: { operator: "LIKE", value: `Sync Test ${runId}-%` } },
+      { includeDeleted: true }
+    );
+    for (const { design_id: designId } of records) {
+      await designsRepository.remove(designId);
+      await deleteFromDB("design_audit", { design_id: designId });
+    }
+  });
+
+  describe("designs missing from the database", () => {
+    it("start in the initial status and reset the sheet row to match", async () => {
+      const designId = `${prefix}-new`;
+      const sheets = fakeSheets([
+        sheetDesign({
+          designId,
+          client,
+          rowNumber: 4,
+          approved: "True",
+          status: "approved",
+        }),
+      ]);
+
+      const report = await syncDesigns(sheets, { policy: "sheet" });
+
+      assert.deepStrictEqual(report.missingInDb, [
+        {
+          designId,
+          rowNumber: 4,
+          statusReset: { from: "approved", to: "draft" },
+        },
+      ]);
+      assert.strictEqual(report.summary.statusResets, 1);
+      assert.strictEqual(report.applied.createdInDb, 1);
+      assert.strictEqual(report.applied.statusResets, 1);
+
+      const record = await designsRepository.findById(designId);
+      assert.strictEqual(record.status, "draft");
+      assert.strictEqual(record.approved, "False");
+      assert.strictEqual(record.rowid, "Designs!A4:O4");
+      assert.deepStrictEqual(sheets.writes, [
+        {
+          call: "updateDesignFields",
+          rowNumber: 4,
+          fields: { approved: "False", status: "draft" },
+        },
+      ]);
+    });
+
+    it("leave a row already in the initial status alone", async () => {
+      const designId = `${prefix}-draft`;
+      const sheets = fakeSheets([
+        sheetDesign({ designId, client, rowNumber: 5 }),
+      ]);
+
+      const report = await syncDesigns(sheets, { policy: "sheet" });
+
+      assert.deepStrictEqual(report.missingInDb, [{ designId, rowNumber: 5 }]);
+      assert.deepStrictEqual(sheets.writes, []);
+    });
+  });
+
+  describe("newest policy", () => {
+    it("lets a sheet row edited since the last write win", async () => {
+      const designId = `${prefix}-sheet-edit`;
+      const written = sheetDesign({ designId, client, rowNumber: 6 });
+      await insertRecord(written);
+      const sheets = fakeSheets([{ ...written, comments: "Edited by hand" }]);
+
+      const report = await syncDesigns(sheets, { policy: "newest" });
+
+      assert.strictEqual(report.conflicts.length, 1);
+      assert.strictEqual(report.conflicts[0].winner, "sheet");
+      assert.strictEqual(report.conflicts[0].changed, "sheet");
+      assert.deepStrictEqual(sheets.writes, []);
+
+      const record = await designsRepository.findById(designId);
+      assert.strictEqual(record.comments, "Edited by hand");
+      assert.strictEqual(
+        record.sheet_hash,
+        designHash({ ...written, comments: "Edited by hand" })
+      );
+    });
+
+    it("lets a record changed without a sheet write win", async () => {
+      const designId = `${prefix}-db-edit`;
+      const written = sheetDesign({ designId, client, rowNumber: 7 });
+      await insertRecord(written);
+      await designsRepository.update(designId, { fabric: "Velvet" });
+      const sheets = fakeSheets([written]);
+
+      const report = await syncDesigns(sheets, { policy: "newest" });
+
+      assert.strictEqual(report.conflicts[0].winner, "db");
+      assert.strictEqual(report.conflicts[0].changed, "db");
+      assert.strictEqual(sheets.writes.length, 1);
+      assert.strictEqual(sheets.writes[0].call, "updateDesignRow");
+      assert.strictEqual(sheets.writes[0].design.fabric, "Velvet");
+
+      // The next sync finds the two sides matching again
+      const again = await syncDesigns(fakeSheets([sheets.writes[0].design]), {
+        policy: "newest",
+      });
+      assert.strictEqual(again.summary.conflicts, 0);
+      assert.strictEqual(again.summary.untracked, 0);
+    });
+
+    it("falls back to the sheet when both sides changed or nothing is tracked", async () => {
+      const both = sheetDesign({ designId: `${prefix}-both`, client });
+      const untracked = sheetDesign({
+        designId: `${prefix}-untracked`,
+        client,
+        rowNumber: 9,
+      });
+      await insertRecord({ ...both, rowNumber: 8 });
+      await designsRepository.update(both.designId, { fabric: "Velvet" });
+      await insertRecord(untracked, { tracked: false });
+
+      const report = await syncDesigns(
+        fakeSheets([
+          { ...both, rowNumber: 8, comments: "Edited by hand" },
+          { ...untracked, comments: "Edited by hand" },
+        ]),
+        { policy: "newest", dryRun: true }
+      );
+
+      assert.deepStrictEqual(
+        report.conflicts.map(({ designId, winner, changed }) => ({
+          designId,
+          winner,
+          changed,
+        })),
+        [
+          { designId: both.designId, winner: "sheet", changed: "both" },
+          { designId: untracked.designId, winner: "sheet", changed: null },
+        ]
+      );
+    });
+
+    it("starts tracking matching rows that have no hash", async () => {
+      const design = sheetDesign({
+        designId: `${prefix}-track`,
+        client,
+        rowNumber: 10,
+      });
+      await insertRecord(design, { tracked: false });
+
+      const report = await syncDesigns(fakeSheets([design]), {
+        policy: "newest",
+      });
+
+      assert.strictEqual(report.summary.inSync, 1);
+      assert.strictEqual(report.applied.tracked, 1);
+      const record = await designsRepository.findById(design.designId);
+      assert.strictEqual(record.sheet_hash, designHash(design));
+    });
+  });
+});
@@ -0,0 +1,227 @@
+/**
+ * Design Workflow Module
+ *
+ * Approval lifecycle of a sampling design:
+ *   draft -> sampling -> review -> approved | rejected
+ *   approved -> in-production
+ *   rejected -> sampling (rework)
+ * Each move goes through a named transition that records who made it and
+ * when, and is written to both sampling_designs and the Designs sheet. The
+ * legacy approved column is derived from the status.
+ * Usage: const { transitionDesign, DESIGN_TRANSITIONS } = require('./designWorkflow');
+ */
+
+const { executeTransaction } = require("./database");
+const designsRepository = require("./repositories/designs");
+const {
+  designHash,
+  recordToDesign,
+  rowNumberFromRange,
+} = require("./designColumns");
+const { recordDesignChange } = require("./designAudit");
+
+// =============================================================================
+// CONFIGURATION & CONSTANTS
+// =============================================================================
+
+const DESIGN_STATUSES = [
+  "draft",
+  "sampling",
+  "review",
+  "approved",
+  "rejected",
+  "in-production",
+];
+
+const INITIAL_STATUS = "draft";
+
+// Transition name (also its route segment) -> allowed source statuses and target
+const DESIGN_TRANSITIONS = {
+  "start-sampling": { from: ["draft"], to: "sampling" },
+  submit: { from: ["sampling"], to: "review" },
+  approve: { from: ["review"], to: "approved" },
+  reject: { from: ["review"], to: "rejected", requiresReason: true },
+  rework: { from: ["rejected"], to: "sampling" },
+  "start-production": { from: ["approved"], to: "in-production" },
+};
+
+// Statuses reported as approved = "True" to readers of the old column
+const APPROVED_STATUSES = ["approved", "in-production"];
+
+// =============================================================================
+// UTILITY FUNCTIONS
+// =============================================================================
+
+/**
+ * Value of the legacy approved column for a status
+ * @param {string} status - Design status
+ * @returns {string} "True" or "False"
+ */
+const approvedForStatus = (status) =>
+  APPROVED_STATUSES.includes(status) ? "True" : "False";
+
+/**
+ * Check whether a transition may be applied to a design in a given status
+ * @param {string} action - Transition name
+ * @param {string} status - Current design status
+ * @param {Object} [details={}] - { reason }
+ * @returns {string|null} Why the transition is not allowed, or null if it is
+ */
+function checkTransition(action, status, { reason } = {}) {
+  if (!Object.prototype.hasOwnProperty.call(DESIGN_TRANSITIONS, action)) {
+    return `Unknown transition "${action}"`;
+  }
+
+  const transition = DESIGN_TRANSITIONS[action];
+
+  if (!transition.from.includes(status)) {
+    return `Cannot ${action} a design in status "${status}"; allowed from: ${transition.from.join(
+      ", "
+    )}`;
+  }
+
+  if (transition.requiresReason && !(reason && String(reason).trim())) {
+    return `A reason is required to ${action} a design`;
+  }
+
+  return null;
+}
+
+/**
+ * Find the transition that moves a design from one status to another
+ * @param {string} from - Current status
+ * @param {string} to - Target status
+ * @returns {string|null} Transition name, or null if none leads there
+ */
+function findTransition(from, to) {
+  const match = Object.entries(DESIGN_TRANSITIONS).find(
+    ([, transition]) => transition.from.includes(from) && transition.to === to
+  );
+  return match ? match[0] : null;
+}
+
+// =============================================================================
+// MAIN WORKFLOW FUNCTIONS
+// =============================================================================
+
+/**
+ * Move a design through a transition
+ *
+ * The database row is locked for the duration and the transition is checked
+ * against the locked row, so of two concurrent transitions the second is
+ * checked against the status the first left. The sheet is written before the
+ * transaction commits so a failed sheet write leaves both sides unchanged.
+ *
+ * @param {ApparelSheetsManager} sheetsManager - Sheets manager
+ * @param {string} designId - Design ID
+ * @param {string} action - Transition name, a key of DESIGN_TRANSITIONS
+ * @param {Object} details - Transition details
+ * @param {string} details.actor - Who is making the change
+ * @param {string} [details.reason] - Why; required for reject
+ * @param {string} [details.requestId] - Request id for the audit log
+ * @returns {Promise<Object>} { design, transition } updated record and
+ *   design_transitions row on success, otherwise { status, error } with
+ *   status 404 (no such design) or 409 (not allowed from the current status,
+ *   or no sheet row)
+ */
+async function transitionDesign(sheetsManager, designId, action, details) {
+  const { actor, reason = null, requestId = null } = details;
+
+  return executeTransaction(async (client) => {
+    const record = await designsRepository.findById(designId, {
+      forUpdate: true,
+      client,
+    });
+    if (!record) {
+      return { status: 404, error: `Design ${designId} not found` };
+    }
+
+    const problem = checkTransition(action, record.status, { reason });
+    if (problem) {
+      return { status: 409, error: problem };
+    }
+
+    const rowNumber = rowNumberFromRange(record.rowid);
+    if (!rowNumber) {
+      return {
+        status: 409,
+        error: `Design ${designId} is not linked to a sheet row; run the design sync first`,
+      };
+    }
+
+    const { to } = DESIGN_TRANSITIONS[action];
+    const approved = approvedForStatus(to);
+
+    // Only status and approved are written to the sheet row; the hash takes
+    // its other fields to be the record's
+    const updated = await designsRepository.update(
+      designId,
+      {
+        status: to,
+        approved,
+        status_changed_at: new Date(),
+        status_changed_by: actor,
+        sheet_hash: designHash({
+          ...recordToDesign(record),
+          status: to,
+          approved,
+        }),
+      },
+      { client }
+    );
+
+    const transition = await designsRepository.insertTransition(
+      {
+        design_id: designId,
+        action,
+        from_status: record.status,
+        to_status: to,
+        reason,
+        actor,
+      },
+      { client }
+    );
+
+    await recordDesignChange(
+      {
+        designId,
+        operation: "update",
+        before: record,
+        after: updated,
+      },
+      { actor, requestId },
+      client
+    );
+
+    await sheetsManager.updateDesignFields(rowNumber, {
+      approved,
+      status: to,
+    });
+
+    return { design: updated, transition };
+  });
+}
+
+/**
+ * List the transitions a design has been through, oldest first
+ * @param {string} designId - Design ID
+ * @returns {Promise<Array<Object>>} design_transitions rows
+ */
+async function getTransitions(designId) {
+  return designsRepository.listTransitions(designId);
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  DESIGN_STATUSES,
+  DESIGN_TRANSITIONS,
+  INITIAL_STATUS,
+  approvedForStatus,
+  checkTransition,
+  findTransition,
+  transitionDesign,
+  getTransitions,
+};
@@ -0,0 +1,210 @@
+/**
+ * Design Workflow Module Tests
+ *
+ * The transition map: which moves are allowed from each status, and the
+ * legacy approved column each status maps to. The transitionDesign tests need
+ * the database (DB_HOST) and are skipped without it.
+ * Usage: npm test
+ */
+
+const assert = require("assert");
+const { deleteFromDB } = require("./database");
+const designsRepository = require("./repositories/designs");
+const { designRowRange } = require("./designColumns");
+const {
+  DESIGN_STATUSES,
+  DESIGN_TRANSITIONS,
+  INITIAL_STATUS,
+  approvedForStatus,
+  checkTransition,
+  findTransition,
+  transitionDesign,
+} = require("./designWorkflow");
+const { hasDatabase } = require("./testHooks");
+
+// =============================================================================
+// TESTS
+// =============================================================================
+
+describe("designWorkflow", () => {
+  describe("DESIGN_TRANSITIONS", () => {
+    it("only names known statuses", () => {
+      assert.ok(DESIGN_STATUSES.includes(INITIAL_STATUS));
+      for (const [action, { from, to }] of Object.entries(DESIGN_TRANSITIONS)) {
+        assert.ok(DESIGN_STATUSES.includes(to), action);
+        from.forEach((status) =>
+          assert.ok(DESIGN_STATUSES.includes(status), action)
+        );
+      }
+    });
+
+    it("follows the approval lifecycle", () => {
+      const moves = Object.entries(DESIGN_TRANSITIONS).map(
+        ([action, { from, to }]) => `${from.join("|")} -${action}-> ${to}`
+      );
+      assert.deepStrictEqual(moves, [
+        "draft -start-sampling-> sampling",
+        "sampling -submit-> review",
+        "review -approve-> approved",
+        "review -reject-> rejected",
+        "rejected -rework-> sampling",
+        "approved -start-production-> in-production",
+      ]);
+    });
+
+    it("has no way out of production", () => {
+      for (const status of DESIGN_STATUSES) {
+        assert.strictEqual(findTransition("in-production", status), null);
+      }
+    });
+  });
+
+  describe("checkTransition", () => {
+    it("allows a transition from one of its source statuses", () => {
+      assert.strictEqual(checkTransition("submit", "sampling"), null);
+    });
+
+    it("refuses a transition from any other status", () => {
+      for (const status of DESIGN_STATUSES.filter((s) => s !== "review")) {
+        assert.strictEqual(
+          checkTransition("approve", status),
+          `Cannot approve a design in status "${status}"; allowed from: review`
+        );
+      }
+    });
+
+    it("refuses unknown transitions", () => {
+      assert.strictEqual(
+        checkTransition("publish", "draft"),
+        'Unknown transition "publish"'
+      );
+      assert.strictEqual(
+        checkTransition("constructor", "draft"),
+        'Unknown transition "constructor"'
+      );
+    });
+
+    it("requires a reason to reject", () => {
+      const message = "A reason is required to reject a design";
+      assert.strictEqual(checkTransition("reject", "review"), message);
+      assert.strictEqual(
+        checkTransition("reject", "review", { reason: "  " }),
+        message
+      );
+      assert.strictEqual(
+        checkTransition("reject", "review", { reason: "Wrong fabric" }),
+        null
+      );
+    });
+  });
+
+  describe("findTransition", () => {
+    it("names the transition between two statuses", () => {
+      assert.strictEqual(findTransition("review", "rejected"), "reject");
+      assert.strictEqual(findTransition("rejected", "sampling"), "rework");
+    });
+
+    it("returns null when no single transition leads there", () => {
+      assert.strictEqual(findTransition("draft", "approved"), null);
+      assert.strictEqual(findTransition("review", "review"), null);
+    });
+  });
+
+  describe("approvedForStatus", () => {
+    it("reports approved and in-production designs as approved", () => {
+      const approved = DESIGN_STATUSES.filter(
+        (status) => approvedForStatus(status) === "True"
+      );
+      assert.deepStrictEqual(approved, ["approved", "in-production"]);
+      assert.strictEqual(approvedForStatus("review"), "False");
+    });
+  });
+
+  describe("transitionDesign", function () {
+    const designId = `WF-${process.pid}-${Date.now()}`;
+    const unlinkedId = `${designId}-unlinked`;
+    const sheetWrites = [];
+    const sheetsManager = {
+      updateDesignFields: async (rowNumber, fields) => {
+        sheetWrites.push({ rowNumber, fields });
+      },
+    };
+
+    before(async function () {
+      if (!hasDatabase()) return this.skip();
+      await designsRepository.insert({
+        design_id: designId,
+        client: "Workflow Test",
+        status: "review",
+        rowid: designRowRange(7),
+      });
+      await designsRepository.insert({
+        design_id: unlinkedId,
+        client: "Workflow Test",
+        status: "review",
+      });
+    });
+
+    after(async () => {
+      if (!hasDatabase()) return;
+      for (const id of [designId, unlinkedId]) {
+        await designsRepository.remove(id);
+        await deleteFromDB("design_audit", { design_id: id });
+      }
+    });
+
+    it("lets one of two concurrent transitions win and refuses the other", async () => {
+      const outcomes = await Promise.all([
+        transitionDesign(sheetsManager, designId, "approve", {
+          actor: "tester",
+        }),
+        transitionDesign(sheetsManager, designId, "reject", {
+          actor: "tester",
+          reason: "Wrong fabric",
+        }),
+      ]);
+
+      const won = outcomes.filter((outcome) => outcome.design);
+      const lost = outcomes.filter((outcome) => outcome.status);
+      assert.strictEqual(won.length, 1);
+      assert.strictEqual(lost.length, 1);
+      assert.strictEqual(lost[0].status, 409);
+      assert.match(
+        lost[0].error,
+        /^Cannot (approve|reject) a design in status/
+      );
+
+      const { design, transition } = won[0];
+      assert.strictEqual(transition.from_status, "review");
+      assert.strictEqual(design.status, transition.to_status);
+      assert.strictEqual(design.approved, approvedForStatus(design.status));
+      assert.deepStrictEqual(sheetWrites, [
+        {
+          rowNumber: 7,
+          fields: { approved: design.approved, status: design.status },
+        },
+      ]);
+    });
+
+    it("answers 404 for an unknown design", async () => {
+      const outcome = await transitionDesign(
+        sheetsManager,
+        `${designId}-missing`,
+        "approve",
+        { actor: "tester" }
+      );
+      assert.strictEqual(outcome.status, 404);
+    });
+
+    it("answers 409 for a design with no sheet row", async () => {
+      const outcome = await transitionDesign(
+        sheetsManager,
+        unlinkedId,
+        "approve",
+        { actor: "tester" }
+      );
+      assert.strictEqual(outcome.status, 409);
+      assert.match(outcome.error, /not linked to a sheet row/);
+    });
+  });
+});
@@ -0,0 +1,355 @@
+/**
+ * Fabric Catalog Module
+ *
+ * CRUD for the fabrics table, the source of fabric prices for the API, plus a
+ * one-shot import from the legacy Fabric sheet.
+ *
+ * Prices are versioned in fabric_prices: each cost change adds a row with an
+ * effective_from date, and fabrics.cost_per_meter holds the price in effect
+ * today.
+ * Usage: const { listFabrics, getFabricCostMap } = require('./fabrics');
+ */
+
+const { executeTransaction } = require("./database");
+const fabricsRepository = require("./repositories/fabrics");
+const designsRepository = require("./repositories/designs");
+
+// =============================================================================
+// CONFIGURATION & CONSTANTS
+// =============================================================================
+
+// API field -> fabrics column
+const FABRIC_FIELDS = {
+  fabricType: "fabric_type",
+  costPerMeter: "cost_per_meter",
+  supplier: "supplier",
+  description: "description",
+  width: "width",
+  unit: "unit",
+};
+
+const WIDTH_UNITS = ["in", "cm"];
+
+// Request body rules for a fabric, see validation.js
+const FABRIC_SCHEMA = {
+  fabricType: { type: "string", required: true, maxLength: 100 },
+  costPerMeter: { type: "number", required: true, min: 0, max: 99999999 },
+  supplier: { type: "string", maxLength: 200 },
+  description: { type: "string", maxLength: 2000 },
+  width: { type: "number", greaterThan: 0, max: 9999 },
+  unit: { type: "string", enum: WIDTH_UNITS },
+  effectiveFrom: { type: "date" },
+};
+
+// Route parameter of the /api/fabrics/:fabricType routes
+const FABRIC_PARAMS_SCHEMA = {
+  fabricType: { ...FABRIC_SCHEMA.fabricType },
+};
+
+// GET /api/fabrics query
+const FABRIC_LIST_QUERY_SCHEMA = {
+  supplier: { ...FABRIC_SCHEMA.supplier },
+};
+
+// GET /api/fabric-costs query
+const FABRIC_COSTS_QUERY_SCHEMA = {
+  asOf: { type: "date" },
+};
+
+// POST /api/fabrics/import body: also update fabrics already in the catalog
+const FABRIC_IMPORT_SCHEMA = {
+  overwrite: { type: "boolean", default: false },
+};
+
+// =============================================================================
+// UTILITY FUNCTIONS
+// =============================================================================
+
+/**
+ * Convert a fabrics record to its API shape
+ * @param {Object} record - Row from the fabrics table
+ * @returns {Object} Fabric
+ */
+const recordToFabric = (record) => ({
+  fabricType: record.fabric_type,
+  costPerMeter: parseFloat(record.cost_per_meter),
+  supplier: record.supplier || "",
+  description: record.description || "",
+  width: record.width === null ? null : parseFloat(record.width),
+  unit: record.unit,
+  updatedAt: record.updated_at,
+});
+
+/**
+ * Convert API fields to a fabrics record, leaving out fields not given
+ * @param {Object} fabric - Fabric fields
+ * @returns {Object} Record keyed by column name
+ */
+const fabricToRecord = (fabric) => {
+  const record = {};
+  for (const [field, column] of Object.entries(FABRIC_FIELDS)) {
+    if (fabric[field] !== undefined) {
+      record[column] = fabric[field] === "" ? null : fabric[field];
+    }
+  }
+  return record;
+};
+
+// =============================================================================
+// MAIN CATALOG FUNCTIONS
+// =============================================================================
+
+/**
+ * List fabrics ordered by type, optionally from one supplier
+ * @param {Object} [filters={}] - { supplier }
+ * @returns {Promise<Array<Object>>} Fabrics
+ */
+async function listFabrics(filters = {}) {
+  const records = await fabricsRepository.findAll(filters);
+  return records.map(recordToFabric);
+}
+
+/**
+ * Get one fabric by type
+ * @param {string} fabricType - Fabric type
+ * @returns {Promise<Object|null>} Fabric or null if not found
+ */
+async function getFabric(fabricType) {
+  const record = await fabricsRepository.findByType(fabricType);
+  return record ? recordToFabric(record) : null;
+}
+
+/**
+ * Convert a fabric_prices record to its API shape
+ * @param {Object} record - Row from fabric_prices, effective_from as text
+ * @returns {Object} Price entry
+ */
+const recordToPrice = (record) => ({
+  costPerMeter: parseFloat(record.cost_per_meter),
+  effectiveFrom: record.effective_from,
+  createdAt: record.created_at,
+});
+
+/**
+ * Get fabric prices keyed by fabric type, in the shape the Fabric sheet
+ * reader has always returned
+ *
+ * Without asOf the current price is used. With asOf each fabric gets the price
+ * effective on that date, plus its effectiveFrom; a fabric whose history
+ * starts after asOf falls back to its earliest price and is flagged estimated.
+ *
+ * @param {string} [asOf] - Date in YYYY-MM-DD format
+ * @returns {Promise<Object>} { [fabricType]: { costPerMeter, supplier, description, width, unit } }
+ */
+async function getFabricCostMap(asOf = null) {
+  const fabrics = await listFabrics();
+  const fabricCosts = {};
+
+  for (const fabric of fabrics) {
+    fabricCosts[fabric.fabricType] = {
+      costPerMeter: fabric.costPerMeter,
+      supplier: fabric.supplier,
+      description: fabric.description,
+      width: fabric.width,
+      unit: fabric.unit,
+    };
+  }
+
+  if (!asOf) {
+    return fabricCosts;
+  }
+
+  const prices = await fabricsRepository.listPrices();
+
+  for (const record of prices) {
+    const entry = fabricCosts[record.fabric_type];
+    if (!entry) continue;
+
+    // Rows are in date order: keep the latest one on or before asOf, or the
+    // earliest one if none is
+    const effective = record.effective_from <= asOf;
+    if (effective || entry.effectiveFrom === undefined) {
+      entry.costPerMeter = parseFloat(record.cost_per_meter);
+      entry.effectiveFrom = record.effective_from;
+      entry.estimated = !effective;
+    }
+  }
+
+  return fabricCosts;
+}
+
+/**
+ * Get the price history of a fabric, oldest first
+ * @param {string} fabricType - Fabric type
+ * @returns {Promise<Array<Object>>} [{ costPerMeter, effectiveFrom, createdAt }]
+ */
+async function getPriceHistory(fabricType) {
+  const records = await fabricsRepository.listPrices({ fabricType });
+  return records.map(recordToPrice);
+}
+
+/**
+ * Add a fabric to the catalog along with its first price entry
+ * @param {Object} fabric - Fabric fields
+ * @param {string} [fabric.effectiveFrom] - Date the price applies from, default today
+ * @returns {Promise<Object>} Created fabric
+ */
+async function createFabric(fabric) {
+  const record = fabricToRecord(fabric);
+
+  const created = await executeTransaction(async (client) => {
+    const inserted = await fabricsRepository.insert(record, { client });
+    await fabricsRepository.savePrice(
+      {
+        fabricType: inserted.fabric_type,
+        costPerMeter: record.cost_per_meter,
+        effectiveFrom: fabric.effectiveFrom || null,
+      },
+      { client }
+    );
+    return inserted;
+  });
+
+  return recordToFabric(created);
+}
+
+/**
+ * Update a fabric
+ *
+ * A changed costPerMeter is recorded as a new price effective from
+ * changes.effectiveFrom (default today); a second change on the same date
+ * corrects that day's entry. fabrics.cost_per_meter is then reset to whichever
+ * price is in effect today, so future-dated prices do not apply early.
+ *
+ * @param {string} fabricType - Fabric type to update
+ * @param {Object} changes - Fields to change
+ * @returns {Promise<Object>} Updated fabric
+ */
+async function updateFabric(fabricType, changes) {
+  const { fabric_type, cost_per_meter, ...record } = fabricToRecord(changes);
+  const effectiveFrom = changes.effectiveFrom || null;
+
+  const updated = await executeTransaction(async (client) => {
+    if (cost_per_meter !== undefined && cost_per_meter !== null) {
+      const current = await fabricsRepository.findPriceOn(
+        fabricType,
+        effectiveFrom,
+        { client }
+      );
+
+      const unchanged =
+        current !== null &&
+        parseFloat(current.cost_per_meter) === Number(cost_per_meter);
+
+      if (!unchanged) {
+        await fabricsRepository.savePrice(
+          { fabricType, costPerMeter: cost_per_meter, effectiveFrom },
+          { client }
+        );
+      }
+    }
+
+    const result = await fabricsRepository.update(fabricType, record, {
+      client,
+    });
+    if (!result) {
+      throw new Error("No records found matching the update conditions");
+    }
+    return result;
+  });
+
+  return recordToFabric(updated);
+}
+
+/**
+ * Remove a fabric from the catalog along with its price history
+ *
+ * Refused while any design, soft-deleted ones included, names the fabric,
+ * since those designs are priced from its history.
+ *
+ * @param {string} fabricType - Fabric type to delete
+ * @returns {Promise<Object>} { fabric } the deleted fabric, otherwise
+ *   { status, error } with status 404 (no such fabric) or 409 (still used)
+ */
+async function deleteFabric(fabricType) {
+  return executeTransaction(async (client) => {
+    const used = await designsRepository.countFabricReferences(fabricType, {
+      client,
+    });
+    if (used > 0) {
+      return {
+        status: 409,
+        error: `Fabric ${fabricType} is used by ${used} design(s) and cannot be deleted`,
+      };
+    }
+
+    await fabricsRepository.removePrices(fabricType, { client });
+    const deleted = await fabricsRepository.remove(fabricType, { client });
+    if (!deleted) {
+      return { status: 404, error: `Fabric ${fabricType} not found` };
+    }
+
+    return { fabric: recordToFabric(deleted) };
+  });
+}
+
+/**
+ * Copy the Fabric sheet into the fabrics table
+ * Fabrics already in the table are skipped unless overwrite is set.
+ * @param {ApparelSheetsManager} sheetsManager - Sheets manager
+ * @param {Object} [options={}] - Import options
+ * @param {boolean} [options.overwrite=false] - Update fabrics that already exist
+ * @returns {Promise<Object>} { created, updated, skipped } lists of fabric types
+ */
+async function importFabricsFromSheet(
+  sheetsManager,
+  { overwrite = false } = {}
+) {
+  const sheetFabrics = await sheetsManager.getFabricCosts();
+  const existing = new Set(
+    (await listFabrics()).map((fabric) => fabric.fabricType)
+  );
+  const report = { created: [], updated: [], skipped: [] };
+
+  for (const [fabricType, entry] of Object.entries(sheetFabrics)) {
+    const fabric = {
+      fabricType,
+      costPerMeter: entry.costPerMeter,
+      supplier: entry.supplier,
+      description: entry.description,
+    };
+
+    if (!existing.has(fabricType)) {
+      await createFabric(fabric);
+      report.created.push(fabricType);
+    } else if (overwrite) {
+      await updateFabric(fabricType, fabric);
+      report.updated.push(fabricType);
+    } else {
+      report.skipped.push(fabricType);
+    }
+  }
+
+  return report;
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  FABRIC_SCHEMA,
+  FABRIC_PARAMS_SCHEMA,
+  FABRIC_LIST_QUERY_SCHEMA,
+  FABRIC_COSTS_QUERY_SCHEMA,
+  FABRIC_IMPORT_SCHEMA,
+  listFabrics,
+  getFabric,
+  getFabricCostMap,
+  getPriceHistory,
+  createFabric,
+  updateFabric,
+  deleteFabric,
+  importFabricsFromSheet,
+  WIDTH_UNITS,
+};
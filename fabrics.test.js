@@ -0,0 +1,79 @@
+/**
+ * Fabrics Module Tests
+ *
+ * Deleting fabrics that designs do and do not use. Needs the database
+ * (DB_HOST); skipped without it.
+ * Usage: npm test
+ */
+
+const assert = require("assert");
+const designsRepository = require("./repositories/designs");
+const fabricsRepository = require("./repositories/fabrics");
+const {
+  createFabric,
+  updateFabric,
+  deleteFabric,
+  getPriceHistory,
+} = require("./fabrics");
+const { hasDatabase } = require("./testHooks");
+
+// =============================================================================
+// TESTS
+// =============================================================================
+
+describe("deleteFabric", function () {
+  const runId = `${process.pid}-${Date.now()}`;
+  const unused = `Unused Test Fabric ${runId}`;
+  const used = `Used Test Fabric ${runId}`;
+  const designId = `FABRIC-${runId}`;
+
+  before(async function () {
+    if (!hasDatabase()) return this.skip();
+    await createFabric({ fabricType: unused, costPerMeter: 100 });
+    await updateFabric(unused, {
+      costPerMeter: 120,
+      effectiveFrom: "2099-01-01",
+    });
+    await createFabric({ fabricType: used, costPerMeter: 50 });
+    await designsRepository.insert({
+      design_id: designId,
+      client: "Fabric Test",
+      dress_type: "Gown",
+      fabric: "Silk",
+      lining_fabric: ` ${used.toLowerCase()} `,
+    });
+  });
+
+  after(async () => {
+    if (!hasDatabase()) return;
+    await designsRepository.remove(designId);
+    for (const fabricType of [unused, used]) {
+      await fabricsRepository.removePrices(fabricType);
+      await fabricsRepository.remove(fabricType);
+    }
+  });
+
+  it("deletes a fabric no design uses along with its price history", async () => {
+    assert.strictEqual((await getPriceHistory(unused)).length, 2);
+
+    const result = await deleteFabric(unused);
+
+    assert.strictEqual(result.fabric.fabricType, unused);
+    assert.strictEqual(await fabricsRepository.findByType(unused), null);
+    assert.deepStrictEqual(await getPriceHistory(unused), []);
+  });
+
+  it("refuses a fabric a design names, matching names as costing does", async () => {
+    const result = await deleteFabric(used);
+
+    assert.strictEqual(result.status, 409);
+    assert.match(result.error, /used by 1 design/);
+    assert.ok(await fabricsRepository.findByType(used));
+    assert.strictEqual((await getPriceHistory(used)).length, 1);
+  });
+
+  it("reports an unknown fabric", async () => {
+    const result = await deleteFabric(`Missing Test Fabric ${runId}`);
+    assert.strictEqual(result.status, 404);
+  });
+});
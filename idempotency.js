@@ -0,0 +1,285 @@
+/**
+ * Idempotency Module
+ *
+ * Express middleware for the Idempotency-Key header. The first request with a
+ * key runs normally and its response is stored in the idempotency_keys table
+ * for IDEMPOTENCY_TTL_HOURS. A retry with the same key and the same payload
+ * gets the stored response back without running the route again; a retry with
+ * a different payload gets a 422. Requests without the header are untouched.
+ *
+ * Keys are scoped to the method and path, so the same key may be used on two
+ * different routes. Failed requests (5xx) are not stored, so they can be
+ * retried with the same key.
+ * Usage: app.post('/api/designs', upload.single('designImage'), idempotent(), handler);
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const { executeTransaction, deleteFromDB } = require("./database");
+const Logger = require("./logger");
+const { uploadedFiles, discardUploads } = require("./validation");
+
+// =============================================================================
+// CONFIGURATION & CONSTANTS
+// =============================================================================
+
+const IDEMPOTENCY_HEADER = "Idempotency-Key";
+const MAX_KEY_LENGTH = 255;
+const DEFAULT_TTL_HOURS = 24;
+
+// A key still "processing" after this long belonged to a request that never
+// finished (e.g. the server restarted) and may be taken over
+const PROCESSING_TIMEOUT_SECONDS = 300;
+
+// Expired keys are purged at most this often
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+let lastPurge = 0;
+
+// =============================================================================
+// UTILITY FUNCTIONS
+// =============================================================================
+
+/**
+ * Get the configured TTL
+ * @returns {number} Hours a stored response is kept
+ */
+const getTtlHours = () => {
+  const hours = parseFloat(process.env.IDEMPOTENCY_TTL_HOURS);
+  return hours > 0 ? hours : DEFAULT_TTL_HOURS;
+};
+
+/**
+ * Serialise a value with object keys sorted, so equal payloads hash equally
+ * @param {*} value - Value to serialise
+ * @returns {string} Canonical JSON
+ */
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+/**
+ * Fingerprint a request's payload: its body plus any uploaded file contents
+ * @param {Object} req - Express request
+ * @returns {string} SHA-256 hex digest
+ */
+const hashRequest = (req) => {
+  const files = uploadedFiles(req);
+
+  const payload = {
+    body: req.body || {},
+    files: files.map((file) => ({
+      field: file.fieldname,
+      name: file.originalname,
+      sha256: crypto
+        .createHash("sha256")
+        .update(fs.readFileSync(file.path))
+        .digest("hex"),
+    })),
+  };
+
+  return crypto
+    .createHash("sha256")
+    .update(canonicalJson(payload))
+    .digest("hex");
+};
+
+/**
+ * Delete expired keys, at most once per PURGE_INTERVAL_MS
+ */
+const purgeExpiredKeys = () => {
+  if (Date.now() - lastPurge < PURGE_INTERVAL_MS) return;
+  lastPurge = Date.now();
+
+  deleteFromDB(
+    "idempotency_keys",
+    { expires_at: { operator: "<", value: new Date() } },
+    "idempotency_key"
+  )
+    .then((deleted) => {
+      if (deleted.length > 0) {
+        Logger.info("Purged expired idempotency keys", {
+          count: deleted.length,
+        });
+      }
+    })
+    .catch((error) =>
+      Logger.error("Failed to purge expired idempotency keys", error)
+    );
+};
+
+// =============================================================================
+// MAIN IDEMPOTENCY FUNCTIONS
+// =============================================================================
+
+/**
+ * Claim a key for a request, or find the request that already holds it
+ *
+ * A new key, an expired one, or one left processing past the timeout is
+ * (re)claimed for this request.
+ *
+ * @param {Object} claim - { key, method, path, requestHash }
+ * @returns {Promise<Object>} { claimed: true } or { claimed: false, record }
+ */
+async function claimKey({ key, method, path, requestHash }) {
+  return executeTransaction(async (client) => {
+    const inserted = await client.query(
+      `INSERT INTO idempotency_keys
+         (idempotency_key, method, path, request_hash, expires_at)
+       VALUES ($1, $2, $3, $4, NOW() + make_interval(secs => $5))
+       ON CONFLICT (idempotency_key, method, path) DO UPDATE
+       SET request_hash = EXCLUDED.request_hash,
+           status = 'processing',
+           response_status = NULL,
+           response_body = NULL,
+           created_at = NOW(),
+           expires_at = EXCLUDED.expires_at
+       WHERE idempotency_keys.expires_at < NOW()
+          OR (idempotency_keys.status = 'processing'
+              AND idempotency_keys.created_at < NOW() - make_interval(secs => $6))
+       RETURNING idempotency_key`,
+      [
+        key,
+        method,
+        path,
+        requestHash,
+        getTtlHours() * 3600,
+        PROCESSING_TIMEOUT_SECONDS,
+      ]
+    );
+
+    if (inserted.rows.length > 0) {
+      return { claimed: true };
+    }
+
+    const existing = await client.query(
+      `SELECT * FROM idempotency_keys
+       WHERE idempotency_key = $1 AND method = $2 AND path = $3`,
+      [key, method, path]
+    );
+    return { claimed: false, record: existing.rows[0] };
+  });
+}
+
+/**
+ * Store the response of a claimed key, or release the key if the request
+ * failed so it can be retried
+ * @param {Object} claim - { key, method, path }
+ * @param {number} statusCode - Response status
+ * @param {*} body - Response body
+ */
+async function completeKey({ key, method, path }, statusCode, body) {
+  if (statusCode >= 500 || body === undefined) {
+    await deleteFromDB("idempotency_keys", {
+      idempotency_key: key,
+      method,
+      path,
+    });
+    return;
+  }
+
+  await executeTransaction((client) =>
+    client.query(
+      `UPDATE idempotency_keys
+       SET status = 'completed', response_status = $4, response_body = $5
+       WHERE idempotency_key = $1 AND method = $2 AND path = $3`,
+      [key, method, path, statusCode, JSON.stringify(body)]
+    )
+  );
+}
+
+/**
+ * Build the Idempotency-Key middleware
+ * Mount it after any multer middleware so uploaded files are part of the
+ * payload fingerprint.
+ * @returns {Function} Express middleware
+ */
+function idempotent() {
+  return async (req, res, next) => {
+    const key = req.get(IDEMPOTENCY_HEADER);
+    if (key === undefined) return next();
+
+    if (!key.trim() || key.length > MAX_KEY_LENGTH) {
+      discardUploads(req);
+      return res.status(400).json({
+        success: false,
+        error: `${IDEMPOTENCY_HEADER} must be 1 to ${MAX_KEY_LENGTH} characters`,
+      });
+    }
+
+    const claim = {
+      key,
+      method: req.method,
+      path: req.baseUrl + req.path,
+    };
+
+    try {
+      purgeExpiredKeys();
+
+      const requestHash = hashRequest(req);
+      const { claimed, record } = await claimKey({ ...claim, requestHash });
+
+      if (!claimed) {
+        discardUploads(req);
+
+        if (record.request_hash !== requestHash) {
+          return res.status(422).json({
+            success: false,
+            error: `${IDEMPOTENCY_HEADER} ${key} was already used with a different request payload`,
+          });
+        }
+
+        if (record.status === "processing") {
+          return res.status(409).json({
+            success: false,
+            error: `A request with ${IDEMPOTENCY_HEADER} ${key} is still in progress`,
+          });
+        }
+
+        res.set("Idempotent-Replayed", "true");
+        return res.status(record.response_status).json(record.response_body);
+      }
+    } catch (error) {
+      Logger.error("Idempotency key check failed", error, claim);
+      discardUploads(req);
+      return res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    // Capture the route's JSON response and store it once sent
+    let responseBody;
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      responseBody = body;
+      return json(body);
+    };
+
+    res.on("finish", () => {
+      completeKey(claim, res.statusCode, responseBody).catch((error) =>
+        Logger.error("Failed to store idempotent response", error, claim)
+      );
+    });
+
+    next();
+  };
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  IDEMPOTENCY_HEADER,
+  idempotent,
+};
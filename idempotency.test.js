@@ -0,0 +1,220 @@
+/**
+ * Idempotency Module Tests
+ *
+ * Replays, payload conflicts and in-flight keys, against a small Express app
+ * using the idempotent() middleware. Needs the database (DB_HOST); skipped
+ * without it.
+ * Usage: npm test
+ */
+
+const assert = require("assert");
+const http = require("http");
+const express = require("express");
+const { getFromDB, deleteFromDB } = require("./database");
+const { IDEMPOTENCY_HEADER, idempotent } = require("./idempotency");
+const { hasDatabase } = require("./testHooks");
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Send a JSON POST to the test server
+ * @param {number} port - Server port
+ * @param {string} path - Request path
+ * @param {Object} body - JSON body
+ * @param {string} [key] - Idempotency key
+ * @returns {Promise<Object>} { status, headers, body }
+ */
+const post = (port, path, body, key) =>
+  new Promise((resolve, reject) => {
+    const payload = JSON.stringify(body);
+    const headers = {
+      "Content-Type": "application/json",
+      "Content-Length": Buffer.byteLength(payload),
+    };
+    if (key !== undefined) headers[IDEMPOTENCY_HEADER] = key;
+
+    const req = http.request({ port, path, method: "POST", headers }, (res) => {
+      let text = "";
+      res.setEncoding("utf8");
+      res.on("data", (chunk) => (text += chunk));
+      res.on("end", () =>
+        resolve({
+          status: res.statusCode,
+          headers: res.headers,
+          body: JSON.parse(text),
+        })
+      );
+    });
+    req.on("error", reject);
+    req.end(payload);
+  });
+
+/**
+ * Wait until a key's response has been stored
+ * The middleware stores it after the response is sent, so a retry sent at
+ * once could still find the key processing.
+ * @param {string} key - Idempotency key
+ * @returns {Promise<void>}
+ */
+const waitForCompletion = async (key) => {
+  for (let attempt = 0; attempt < 50; attempt++) {
+    const [record] = await getFromDB("idempotency_keys", {
+      idempotency_key: key,
+    });
+    if (record && record.status === "completed") return;
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  throw new Error(`Response for ${key} was never stored`);
+};
+
+// =============================================================================
+// TESTS
+// =============================================================================
+
+describe("idempotent()", function () {
+  const runKey = `test-${process.pid}-${Date.now()}`;
+  const usedKeys = [];
+  let server;
+  let port;
+  let calls;
+  let gate;
+
+  /**
+   * A fresh key for one test
+   * @param {string} name - Test-specific suffix
+   * @returns {string} Idempotency key
+   */
+  const newKey = (name) => {
+    const key = `${runKey}-${name}`;
+    usedKeys.push(key);
+    return key;
+  };
+
+  before(function (done) {
+    if (!hasDatabase()) return this.skip();
+
+    const app = express();
+    app.use(express.json());
+    app.post("/orders", idempotent(), async (req, res) => {
+      calls++;
+      if (gate) await gate;
+      res.status(201).json({ success: true, order: calls, ...req.body });
+    });
+    app.post("/fails", idempotent(), (req, res) => {
+      calls++;
+      res.status(500).json({ success: false, error: "boom" });
+    });
+
+    server = app.listen(0, () => {
+      port = server.address().port;
+      done();
+    });
+  });
+
+  beforeEach(() => {
+    calls = 0;
+    gate = null;
+  });
+
+  after(async () => {
+    if (server) await new Promise((resolve) => server.close(resolve));
+    if (usedKeys.length > 0) {
+      await deleteFromDB("idempotency_keys", { idempotency_key: usedKeys });
+    }
+  });
+
+  it("replays the stored response for a retry", async () => {
+    const key = newKey("replay");
+    const first = await post(port, "/orders", { item: "silk" }, key);
+    assert.strictEqual(first.status, 201);
+    assert.strictEqual(first.headers["idempotent-replayed"], undefined);
+
+    await waitForCompletion(key);
+    const retry = await post(port, "/orders", { item: "silk" }, key);
+
+    assert.strictEqual(calls, 1);
+    assert.strictEqual(retry.status, 201);
+    assert.strictEqual(retry.headers["idempotent-replayed"], "true");
+    assert.deepStrictEqual(retry.body, first.body);
+  });
+
+  it("treats reordered body keys as the same payload", async () => {
+    const key = newKey("reordered");
+    await post(port, "/orders", { item: "silk", metres: 2 }, key);
+    await waitForCompletion(key);
+
+    const retry = await post(port, "/orders", { metres: 2, item: "silk" }, key);
+    assert.strictEqual(retry.headers["idempotent-replayed"], "true");
+    assert.strictEqual(calls, 1);
+  });
+
+  it("answers 422 when the key is reused with another payload", async () => {
+    const key = newKey("conflict");
+    await post(port, "/orders", { item: "silk" }, key);
+    await waitForCompletion(key);
+
+    const retry = await post(port, "/orders", { item: "cotton" }, key);
+    assert.strictEqual(retry.status, 422);
+    assert.match(retry.body.error, /different request payload/);
+    assert.strictEqual(calls, 1);
+  });
+
+  it("answers 409 while the first request is still running", async () => {
+    const key = newKey("in-flight");
+    let release;
+    gate = new Promise((resolve) => (release = resolve));
+
+    const first = post(port, "/orders", { item: "silk" }, key);
+    while (calls === 0) {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+
+    const retry = await post(port, "/orders", { item: "silk" }, key);
+    assert.strictEqual(retry.status, 409);
+    assert.match(retry.body.error, /still in progress/);
+
+    release();
+    assert.strictEqual((await first).status, 201);
+    assert.strictEqual(calls, 1);
+  });
+
+  it("lets a failed request be retried with the same key", async () => {
+    const key = newKey("failed");
+    assert.strictEqual((await post(port, "/fails", {}, key)).status, 500);
+
+    for (let attempt = 0; attempt < 50; attempt++) {
+      const records = await getFromDB("idempotency_keys", {
+        idempotency_key: key,
+      });
+      if (records.length === 0) break;
+      await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+
+    assert.strictEqual((await post(port, "/fails", {}, key)).status, 500);
+    assert.strictEqual(calls, 2);
+  });
+
+  it("scopes keys to the route", async () => {
+    const key = newKey("scoped");
+    await post(port, "/orders", {}, key);
+    await waitForCompletion(key);
+
+    const other = await post(port, "/fails", {}, key);
+    assert.strictEqual(other.status, 500);
+    assert.strictEqual(calls, 2);
+  });
+
+  it("leaves requests without the header alone", async () => {
+    await post(port, "/orders", { item: "silk" });
+    await post(port, "/orders", { item: "silk" });
+    assert.strictEqual(calls, 2);
+  });
+
+  it("rejects an empty key", async () => {
+    const response = await post(port, "/orders", {}, " ");
+    assert.strictEqual(response.status, 400);
+    assert.strictEqual(calls, 0);
+  });
+});
@@ -0,0 +1,367 @@
+/**
+ * Image Garbage Collector Module
+ *
+ * Finds stored images that no design references: uploads left behind by failed
+ * creates and retries, and final images that have since been replaced. Every
+ * object under the storage key prefix is compared with the images referenced
+ * by sampling_designs (s3_key, reference_image and final_dress, soft-deleted
+ * designs included) and by the Designs sheet. An object neither side
+ * references is orphaned once it is older than the grace period
+ * (IMAGE_GC_GRACE_HOURS, 24 by default), which leaves alone the images of
+ * designs still being created. If either side cannot be read the run fails
+ * rather than treat every image as orphaned.
+ *
+ * Direct uploads not yet attached to a design (see imageUploads.js) are
+ * referenced too: pending ones until their upload URL expires, and confirmed
+ * ones for as long as their object is stored. The rest are stale: pending
+ * uploads past expires_at, and confirmed uploads whose object has gone. A run
+ * that deletes marks them abandoned, so they cannot be confirmed or attached
+ * once their objects are collected.
+ *
+ * Orphans are only reported unless deleting is asked for. Run it by hand as
+ *   node imageGc.js [--delete] [--grace-hours=N]
+ * which is a dry run without --delete, or let the server run it every
+ * IMAGE_GC_INTERVAL_HOURS, deleting only when IMAGE_GC_DELETE=true.
+ * Usage: const report = await collectOrphanedImages(storage, sheetsManager);
+ */
+
+const designsRepository = require("./repositories/designs");
+const uploadsRepository = require("./repositories/uploads");
+const Logger = require("./logger");
+
+// =============================================================================
+// CONFIGURATION & CONSTANTS
+// =============================================================================
+
+const DEFAULT_GRACE_HOURS = 24;
+
+const REFERENCE_COLUMNS = ["s3_key", "reference_image", "final_dress"];
+const REFERENCE_FIELDS = [
+  "referenceImages3Key",
+  "referenceImageUrl",
+  "finalDressUrl",
+];
+
+// Only one scheduled run at a time in this process
+let scheduledRunActive = false;
+
+// =============================================================================
+// UTILITY FUNCTIONS
+// =============================================================================
+
+/**
+ * Get the configured grace period
+ * @returns {number} Hours an unreferenced image is kept
+ */
+const getGraceHours = () => {
+  const hours = parseFloat(process.env.IMAGE_GC_GRACE_HOURS);
+  return hours >= 0 ? hours : DEFAULT_GRACE_HOURS;
+};
+
+/**
+ * Find the object key an image reference names
+ * @param {BaseStorage} storage - Storage driver
+ * @param {*} value - Stored key or image URL
+ * @returns {string|null} Object key, or null if it names none of ours
+ */
+const referencedKey = (storage, value) => {
+  const text = typeof value === "string" ? value.trim() : "";
+  if (!text) return null;
+  if (text.startsWith(`${storage.keyPrefix}/`)) return text;
+  return storage.keyFromUrl(text);
+};
+
+/**
+ * Gather the keys of every image the database or the sheet references
+ * @param {BaseStorage} storage - Storage driver
+ * @param {ApparelSheetsManager} sheetsManager - Sheets manager
+ * @returns {Promise<Set<string>>} Referenced object keys
+ */
+const collectReferences = async (storage, sheetsManager) => {
+  const [records, sheetDesigns] = await Promise.all([
+    designsRepository.findMany(
+      {},
+      { includeDeleted: true, columns: REFERENCE_COLUMNS }
+    ),
+    sheetsManager.getDesigns(),
+  ]);
+
+  const keys = new Set();
+  const add = (value) => {
+    const key = referencedKey(storage, value);
+    if (key) keys.add(key);
+  };
+
+  for (const record of records) {
+    REFERENCE_COLUMNS.forEach((column) => add(record[column]));
+  }
+  for (const design of sheetDesigns) {
+    REFERENCE_FIELDS.forEach((field) => add(design[field]));
+  }
+  return keys;
+};
+
+/**
+ * Whether an unattached upload is stale and should be abandoned
+ * Confirmed uploads are only judged once confirmed before the cutoff, so an
+ * object stored after the listing started is not taken for a missing one.
+ * @param {Object} upload - Pending or confirmed image_uploads record
+ * @param {Set<string>} storedKeys - Keys of the objects in storage
+ * @param {Date} now - Time of the run
+ * @param {Date} cutoff - Start of the grace period
+ * @returns {boolean} True if the upload is stale
+ */
+const isStaleUpload = (upload, storedKeys, now, cutoff) =>
+  upload.status === "pending"
+    ? new Date(upload.expires_at) <= now
+    : !storedKeys.has(upload.s3_key) && new Date(upload.confirmed_at) < cutoff;
+
+// =============================================================================
+// MAIN GC FUNCTIONS
+// =============================================================================
+
+/**
+ * Find, and optionally delete, stored images no design or open upload
+ * references, and abandon stale uploads
+ * Deletion and abandon failures are reported per entry rather than thrown.
+ *
+ * @param {BaseStorage} storage - Storage driver
+ * @param {ApparelSheetsManager} sheetsManager - Sheets manager
+ * @param {Object} [options={}] - GC options
+ * @param {boolean} [options.dryRun=true] - Report orphans without deleting
+ * @param {number} [options.graceHours] - Minimum age of an orphan in hours;
+ *   IMAGE_GC_GRACE_HOURS by default
+ * @returns {Promise<Object>} Report: summary counts, the orphaned images,
+ *   each with status "orphaned" (dry run), "deleted" or "failed", and the
+ *   stale uploads, each with status "stale" (dry run), "abandoned", "changed"
+ *   (confirmed or attached while the run went on) or "failed"
+ * @throws {Error} If the storage, the database or the sheet cannot be read
+ */
+async function collectOrphanedImages(storage, sheetsManager, options = {}) {
+  const { dryRun = true } = options;
+  const graceHours =
+    options.graceHours >= 0 ? options.graceHours : getGraceHours();
+  const now = new Date();
+  const cutoff = new Date(now.getTime() - graceHours * 60 * 60 * 1000);
+
+  const [objects, references, openUploads] = await Promise.all([
+    storage.list(`${storage.keyPrefix}/`),
+    collectReferences(storage, sheetsManager),
+    uploadsRepository.findByStatus(["pending", "confirmed"]),
+  ]);
+
+  const summary = {
+    scanned: objects.length,
+    referenced: 0,
+    withinGracePeriod: 0,
+    orphaned: 0,
+    orphanedBytes: 0,
+    deleted: 0,
+    staleUploads: 0,
+    abandonedUploads: 0,
+    failed: 0,
+  };
+  const images = [];
+  const uploads = [];
+
+  const storedKeys = new Set(objects.map((object) => object.key));
+  for (const upload of openUploads) {
+    if (!isStaleUpload(upload, storedKeys, now, cutoff)) {
+      references.add(upload.s3_key);
+      continue;
+    }
+
+    summary.staleUploads++;
+    const entry = {
+      key: upload.s3_key,
+      previousStatus: upload.status,
+      status: "stale",
+    };
+
+    if (!dryRun) {
+      try {
+        // Left alone if a request confirmed or attached it since the read
+        const abandoned = await uploadsRepository.update(
+          upload.s3_key,
+          { status: "abandoned" },
+          { status: upload.status }
+        );
+        if (abandoned) {
+          entry.status = "abandoned";
+          summary.abandonedUploads++;
+        } else {
+          references.add(upload.s3_key);
+          entry.status = "changed";
+        }
+      } catch (error) {
+        Logger.error("Failed to abandon stale upload", error, {
+          key: upload.s3_key,
+        });
+        // Its object is kept until the upload is abandoned
+        references.add(upload.s3_key);
+        entry.status = "failed";
+        entry.error = error.message;
+        summary.failed++;
+      }
+    }
+    uploads.push(entry);
+  }
+
+  for (const object of objects) {
+    if (references.has(object.key)) {
+      summary.referenced++;
+      continue;
+    }
+    if (!object.lastModified || new Date(object.lastModified) > cutoff) {
+      summary.withinGracePeriod++;
+      continue;
+    }
+
+    summary.orphaned++;
+    summary.orphanedBytes += object.size || 0;
+    const image = {
+      key: object.key,
+      size: object.size,
+      lastModified: new Date(object.lastModified).toISOString(),
+      status: "orphaned",
+    };
+
+    if (!dryRun) {
+      try {
+        await storage.delete(object.key);
+        image.status = "deleted";
+        summary.deleted++;
+      } catch (error) {
+        Logger.error("Failed to delete orphaned image", error, {
+          key: object.key,
+        });
+        image.status = "failed";
+        image.error = error.message;
+        summary.failed++;
+      }
+    }
+    images.push(image);
+  }
+
+  return {
+    dryRun,
+    graceHours,
+    cutoff: cutoff.toISOString(),
+    summary,
+    images,
+    uploads,
+  };
+}
+
+/**
+ * Run the GC on a timer when IMAGE_GC_INTERVAL_HOURS is set
+ * Runs report only unless IMAGE_GC_DELETE=true. A run still going when the
+ * next is due is not overlapped, and failures are logged, not thrown.
+ * @param {BaseStorage} storage - Storage driver
+ * @param {ApparelSheetsManager} sheetsManager - Sheets manager
+ * @returns {Object|null} Interval timer, or null if no interval is set
+ */
+function scheduleImageGc(storage, sheetsManager) {
+  const intervalHours = parseFloat(process.env.IMAGE_GC_INTERVAL_HOURS);
+  if (!(intervalHours > 0)) return null;
+
+  const dryRun = process.env.IMAGE_GC_DELETE !== "true";
+
+  const run = async () => {
+    if (scheduledRunActive) return;
+    scheduledRunActive = true;
+    try {
+      const { summary } = await collectOrphanedImages(storage, sheetsManager, {
+        dryRun,
+      });
+      if (summary.orphaned > 0 || summary.staleUploads > 0) {
+        Logger.warn("Orphaned images or stale uploads found", {
+          dryRun,
+          ...summary,
+        });
+      } else {
+        Logger.info("No orphaned images found", summary);
+      }
+    } catch (error) {
+      Logger.error("Image GC run failed", error);
+    } finally {
+      scheduledRunActive = false;
+    }
+  };
+
+  const timer = setInterval(run, intervalHours * 60 * 60 * 1000);
+  timer.unref();
+  return timer;
+}
+
+// =============================================================================
+// COMMAND LINE
+// =============================================================================
+
+if (require.main === module) {
+  require("dotenv").config();
+  const { createStorage } = require("./storage");
+  const ApparelSheetsManager = require("./sheets");
+  const { closeConnection } = require("./database");
+
+  const args = process.argv.slice(2);
+  const graceArg = args.find((arg) => arg.startsWith("--grace-hours="));
+  const graceHours = graceArg ? parseFloat(graceArg.split("=")[1]) : undefined;
+  const unknown = args.filter((arg) => arg !== "--delete" && arg !== graceArg);
+
+  if (unknown.length > 0 || (graceArg && !(graceHours >= 0))) {
+    console.error("Usage: node imageGc.js [--delete] [--grace-hours=N]");
+    process.exit(1);
+  }
+
+  const storage = createStorage();
+  const sheetsManager = new ApparelSheetsManager(
+    process.env.SPREADSHEET_ID,
+    process.env.GOOGLE_SERVICE_ACCOUNT_KEY,
+    storage
+  );
+
+  collectOrphanedImages(storage, sheetsManager, {
+    dryRun: !args.includes("--delete"),
+    graceHours,
+  })
+    .then(async (report) => {
+      for (const image of report.images) {
+        console.log(
+          `${image.status.padEnd(9)} ${image.key} (${image.size} bytes, ${
+            image.lastModified
+          })${image.error ? ` ${image.error}` : ""}`
+        );
+      }
+      for (const upload of report.uploads) {
+        console.log(
+          `${upload.status.padEnd(9)} upload ${upload.key} (was ${
+            upload.previousStatus
+          })${upload.error ? ` ${upload.error}` : ""}`
+        );
+      }
+      console.log(
+        JSON.stringify(
+          { ...report, images: undefined, uploads: undefined },
+          null,
+          2
+        )
+      );
+      await closeConnection();
+      if (report.summary.failed > 0) process.exit(1);
+    })
+    .catch(async (error) => {
+      console.error(`Image GC failed: ${error.message}`);
+      await closeConnection();
+      process.exit(1);
+    });
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  collectOrphanedImages,
+  scheduleImageGc,
+};
@@ -0,0 +1,273 @@
+/**
+ * Image Uploads Module
+ *
+ * Lets clients send design images straight to storage instead of through the
+ * server. An upload goes through three steps, tracked in image_uploads:
+ *   presign - the server picks the key, under the storage key prefix, and
+ *             signs a PUT URL for one content type and size, valid for
+ *             UPLOAD_URL_EXPIRY_SECONDS (900 by default) (pending)
+ *   confirm - once the client has PUT the file, the server checks the object
+ *             exists with that type and size (confirmed)
+ *   attach  - POST /api/designs (imageKey) or PUT /api/designs (finalImageKey)
+ *             names the key, and the design's database step claims it, so
+ *             each upload is used by one design only (attached)
+ * The image GC (see imageGc.js) keeps the objects of pending uploads until
+ * they expire and of confirmed ones until attached, and marks the uploads it
+ * gives up on abandoned; those cannot be confirmed or attached.
+ * Usage: const ticket = await presignUpload(storage, { fileName, contentType, size });
+ */
+
+const path = require("path");
+const uploadsRepository = require("./repositories/uploads");
+
+// =============================================================================
+// CONFIGURATION & CONSTANTS
+// =============================================================================
+
+// Shared with the multipart upload routes
+const IMAGE_CONTENT_TYPES = [
+  "image/jpeg",
+  "image/png",
+  "image/gif",
+  "image/webp",
+  "image/bmp",
+  "image/tiff",
+  "image/svg+xml",
+];
+const MAX_IMAGE_SIZE = 10 * 1024 * 1024; // 10MB
+
+const DEFAULT_UPLOAD_URL_EXPIRY = 900; // 15 minutes
+
+// POST /api/uploads/presign body
+const UPLOAD_PRESIGN_SCHEMA = {
+  fileName: {
+    type: "string",
+    required: true,
+    maxLength: 255,
+    description: "Original file name; its extension must match contentType",
+  },
+  contentType: { type: "string", required: true, enum: IMAGE_CONTENT_TYPES },
+  size: {
+    type: "integer",
+    required: true,
+    min: 1,
+    max: MAX_IMAGE_SIZE,
+    description: "File size in bytes",
+  },
+  clientCode: { type: "string", maxLength: 100 },
+};
+
+// POST /api/uploads/confirm body
+const UPLOAD_CONFIRM_SCHEMA = {
+  key: { type: "string", required: true, maxLength: 1024 },
+};
+
+// =============================================================================
+// UTILITY FUNCTIONS
+// =============================================================================
+
+/**
+ * Get the configured upload URL lifetime
+ * @returns {number} Seconds a presigned PUT URL stays valid
+ */
+const getUploadUrlExpiry = () => {
+  const seconds = parseInt(process.env.UPLOAD_URL_EXPIRY_SECONDS, 10);
+  return seconds > 0 ? seconds : DEFAULT_UPLOAD_URL_EXPIRY;
+};
+
+/**
+ * Check that a file name's extension matches the content type it is sent as
+ * @param {BaseStorage} storage - Storage driver
+ * @param {string} fileName - File name
+ * @param {string} contentType - MIME type
+ * @returns {boolean} True if they match
+ */
+const extensionMatches = (storage, fileName, contentType) =>
+  storage.getContentType(path.extname(fileName)) === contentType;
+
+/**
+ * Error for an upload the image GC has abandoned
+ * @param {string} key - Object key
+ * @returns {string} Error message
+ */
+const abandonedMessage = (key) =>
+  `Upload ${key} was abandoned by the image GC; start a new upload`;
+
+/**
+ * Describe an upload record for API responses and the design sagas
+ * @param {BaseStorage} storage - Storage driver
+ * @param {Object} record - image_uploads record
+ * @returns {Object} { key, url, contentType, size, etag, status }
+ */
+const describeUpload = (storage, record) => ({
+  key: record.s3_key,
+  url: storage.objectUrl(record.s3_key),
+  contentType: record.content_type,
+  size: record.size,
+  etag: record.etag,
+  status: record.status,
+});
+
+// =============================================================================
+// MAIN UPLOAD FUNCTIONS
+// =============================================================================
+
+/**
+ * Start a direct upload: pick its key and sign a PUT URL for it
+ * @param {BaseStorage} storage - Storage driver
+ * @param {Object} upload - Upload details, as in UPLOAD_PRESIGN_SCHEMA
+ * @param {string} upload.fileName - Original file name
+ * @param {string} upload.contentType - MIME type
+ * @param {number} upload.size - Size in bytes
+ * @param {string} [upload.clientCode] - Client, used in the key
+ * @returns {Promise<Object>} { key, uploadUrl, method, headers, expiresAt }
+ */
+async function presignUpload(
+  storage,
+  { fileName, contentType, size, clientCode = null }
+) {
+  const expiresIn = getUploadUrlExpiry();
+  const expiresAt = new Date(Date.now() + expiresIn * 1000);
+  const key = storage.buildKey(fileName, clientCode || "upload");
+
+  await uploadsRepository.insert({
+    s3_key: key,
+    client: clientCode,
+    content_type: contentType,
+    size,
+    expires_at: expiresAt,
+  });
+
+  return {
+    key,
+    uploadUrl: await storage.getUploadUrl(key, {
+      contentType,
+      size,
+      expiresIn,
+    }),
+    method: "PUT",
+    headers: { "Content-Type": contentType, "Content-Length": String(size) },
+    expiresAt: expiresAt.toISOString(),
+  };
+}
+
+/**
+ * Confirm a direct upload once the client has sent the file
+ * Confirming again is harmless; an attached upload is reported as it is.
+ * @param {BaseStorage} storage - Storage driver
+ * @param {string} key - Object key from presignUpload
+ * @returns {Promise<Object>} { upload } on success, otherwise { status, error }
+ *   with status 404 (unknown key), 409 (not uploaded yet, or abandoned) or 422
+ *   (the object does not have the type or size that was signed)
+ */
+async function confirmUpload(storage, key) {
+  const record = await uploadsRepository.findByKey(key);
+  if (!record) {
+    return { status: 404, error: `Upload ${key} not found` };
+  }
+  if (record.status === "abandoned") {
+    return { status: 409, error: abandonedMessage(key) };
+  }
+  if (record.status !== "pending") {
+    return { upload: describeUpload(storage, record) };
+  }
+
+  const object = await storage.head(key);
+  if (!object) {
+    return { status: 409, error: `Upload ${key} has not been received` };
+  }
+  if (
+    object.contentType !== record.content_type ||
+    object.size !== record.size
+  ) {
+    return {
+      status: 422,
+      error: `Upload ${key} is ${object.contentType}, ${object.size} bytes; expected ${record.content_type}, ${record.size} bytes`,
+    };
+  }
+
+  const confirmed = await uploadsRepository.update(
+    key,
+    {
+      status: "confirmed",
+      etag: object.etag || null,
+      confirmed_at: new Date(),
+    },
+    { status: "pending" }
+  );
+  if (!confirmed) {
+    // The image GC abandoned it, or another confirm won, since the read
+    return confirmUpload(storage, key);
+  }
+  return { upload: describeUpload(storage, confirmed) };
+}
+
+/**
+ * Check that a confirmed upload can be attached to a design
+ * Called before a design saga starts; attachUpload() checks again under lock.
+ * @param {BaseStorage} storage - Storage driver
+ * @param {string} key - Object key
+ * @returns {Promise<Object>} { upload } on success, otherwise { status, error }
+ *   with status 404 (unknown key) or 409 (not confirmed, already attached,
+ *   abandoned or no longer in storage)
+ */
+async function findAttachableUpload(storage, key) {
+  const record = await uploadsRepository.findByKey(key);
+  if (!record) {
+    return { status: 404, error: `Upload ${key} not found` };
+  }
+  if (record.status !== "confirmed") {
+    const errors = {
+      pending: `Upload ${key} has not been confirmed`,
+      attached: `Upload ${key} is already attached to design ${record.design_id}`,
+      abandoned: abandonedMessage(key),
+    };
+    return { status: 409, error: errors[record.status] };
+  }
+  if (!(await storage.head(key))) {
+    return { status: 409, error: `Upload ${key} is no longer in storage` };
+  }
+  return { upload: describeUpload(storage, record) };
+}
+
+/**
+ * Mark a confirmed upload as used by a design
+ * Run it in the transaction that writes the design, so the claim and the
+ * design commit or roll back together.
+ * @param {string} key - Object key
+ * @param {string} designId - Design the upload is attached to
+ * @param {Object} [options={}] - { client }
+ * @returns {Promise<Object>} Updated image_uploads record
+ * @throws {Error} If the upload is not confirmed or is already attached
+ */
+async function attachUpload(key, designId, { client = null } = {}) {
+  const record = await uploadsRepository.findByKey(key, {
+    forUpdate: true,
+    client,
+  });
+  if (!record || record.status !== "confirmed") {
+    throw new Error(`Upload ${key} is not a confirmed, unattached upload`);
+  }
+
+  return uploadsRepository.update(
+    key,
+    { status: "attached", design_id: designId, attached_at: new Date() },
+    { client }
+  );
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  presignUpload,
+  confirmUpload,
+  findAttachableUpload,
+  attachUpload,
+  extensionMatches,
+  IMAGE_CONTENT_TYPES,
+  MAX_IMAGE_SIZE,
+  UPLOAD_PRESIGN_SCHEMA,
+  UPLOAD_CONFIRM_SCHEMA,
+};
@@ -0,0 +1,63 @@
+/**
+ * Logger Module
+ *
+ * Structured JSON logging shared by the API server and its modules
+ * Usage: const Logger = require('./logger');
+ */
+
+class Logger {
+  /**
+   * Log informational messages
+   * @param {string} message - Log message
+   * @param {Object} data - Additional data to log
+   */
+  static info(message, data = {}) {
+    const logEntry = {
+      level: "INFO",
+      timestamp: new Date().toISOString(),
+      message,
+      ...data,
+    };
+    //console.log(JSON.stringify(logEntry, null, 2));
+  }
+
+  /**
+   * Log warnings that need attention but did not fail the operation
+   * @param {string} message - Warning message
+   * @param {Object} data - Additional context data
+   */
+  static warn(message, data = {}) {
+    const logEntry = {
+      level: "WARN",
+      timestamp: new Date().toISOString(),
+      message,
+      ...data,
+    };
+    console.warn(JSON.stringify(logEntry, null, 2));
+  }
+
+  /**
+   * Log error messages with stack traces
+   * @param {string} message - Error message
+   * @param {Error} error - Error object
+   * @param {Object} data - Additional context data
+   */
+  static error(message, error = null, data = {}) {
+    const logEntry = {
+      level: "ERROR",
+      timestamp: new Date().toISOString(),
+      message,
+      error: error
+        ? {
+            message: error.message,
+            stack: error.stack,
+            name: error.name,
+          }
+        : null,
+      ...data,
+    };
+    console.error(JSON.stringify(logEntry, null, 2));
+  }
+}
+
+module.exports = Logger;
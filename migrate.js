@@ -0,0 +1,231 @@
+/**
+ * Database Migrations Module
+ *
+ * Applies the versioned SQL files in migrations/ and records them in the
+ * schema_migrations table. Each migration is a pair of files:
+ *   migrations/<version>_<name>.up.sql
+ *   migrations/<version>_<name>.down.sql
+ *
+ * Usage:
+ *   node migrate.js up       Apply all pending migrations
+ *   node migrate.js down     Roll back the most recent migration
+ *   node migrate.js status   List applied and pending migrations
+ *   const { runMigrations } = require('./migrate');
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { executeTransaction, closeConnection } = require("./database");
+
+// =============================================================================
+// CONFIGURATION & CONSTANTS
+// =============================================================================
+
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.(up|down)\.sql$/;
+
+// Arbitrary key for pg_advisory_xact_lock so two app instances starting at the
+// same time do not apply the same migration twice
+const MIGRATION_LOCK_KEY = 7284301;
+
+// =============================================================================
+// UTILITY FUNCTIONS
+// =============================================================================
+
+/**
+ * Read the migration files from disk
+ * @returns {Array<Object>} Migrations sorted by version: { version, name, up, down }
+ * @throws {Error} If a migration is missing its up or down file
+ */
+const loadMigrations = () => {
+  const migrations = new Map();
+
+  for (const file of fs.readdirSync(MIGRATIONS_DIR)) {
+    const match = MIGRATION_FILE_PATTERN.exec(file);
+    if (!match) continue;
+
+    const [, version, name, direction] = match;
+    if (!migrations.has(version)) {
+      migrations.set(version, { version, name });
+    }
+    migrations.get(version)[direction] = path.join(MIGRATIONS_DIR, file);
+  }
+
+  const sorted = [...migrations.values()].sort(
+    (a, b) => parseInt(a.version, 10) - parseInt(b.version, 10)
+  );
+
+  for (const migration of sorted) {
+    if (!migration.up || !migration.down) {
+      throw new Error(
+        `Migration ${migration.version}_${migration.name} needs both an up and a down file`
+      );
+    }
+  }
+
+  return sorted;
+};
+
+/**
+ * Create the tracking table and take the migration lock
+ * @param {Object} client - Client inside a transaction
+ */
+const prepare = async (client) => {
+  await client.query("SELECT pg_advisory_xact_lock($1)", [MIGRATION_LOCK_KEY]);
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
+  `);
+};
+
+/**
+ * Get the versions already applied
+ * @param {Object} client - Client inside a transaction
+ * @returns {Promise<Set<string>>} Applied versions
+ */
+const getAppliedVersions = async (client) => {
+  const result = await client.query("SELECT version FROM schema_migrations");
+  return new Set(result.rows.map((row) => row.version));
+};
+
+// =============================================================================
+// MAIN MIGRATION FUNCTIONS
+// =============================================================================
+
+/**
+ * Apply all pending migrations, each in its own transaction
+ * @returns {Promise<Array<string>>} Applied migration names
+ */
+async function runMigrations() {
+  const applied = [];
+
+  for (const migration of loadMigrations()) {
+    const ran = await executeTransaction(async (client) => {
+      await prepare(client);
+
+      // Re-checked under the lock in case another instance got here first
+      const appliedVersions = await getAppliedVersions(client);
+      if (appliedVersions.has(migration.version)) return false;
+
+      await client.query(fs.readFileSync(migration.up, "utf8"));
+      await client.query(
+        "INSERT INTO schema_migrations (version, name) VALUES ($1, $2)",
+        [migration.version, migration.name]
+      );
+      return true;
+    });
+
+    if (ran) {
+      applied.push(`${migration.version}_${migration.name}`);
+      console.log(`Applied migration ${migration.version}_${migration.name}`);
+    }
+  }
+
+  return applied;
+}
+
+/**
+ * Roll back the most recently applied migrations
+ * @param {number} [steps=1] - Number of migrations to roll back
+ * @returns {Promise<Array<string>>} Rolled back migration names
+ */
+async function rollbackMigrations(steps = 1) {
+  const migrations = loadMigrations();
+  const rolledBack = [];
+
+  for (let i = 0; i < steps; i++) {
+    const name = await executeTransaction(async (client) => {
+      await prepare(client);
+
+      const result = await client.query(
+        "SELECT version FROM schema_migrations ORDER BY version::int DESC LIMIT 1"
+      );
+      if (result.rows.length === 0) return null;
+
+      const { version } = result.rows[0];
+      const migration = migrations.find((m) => m.version === version);
+      if (!migration) {
+        throw new Error(
+          `No migration files found for applied version ${version}`
+        );
+      }
+
+      await client.query(fs.readFileSync(migration.down, "utf8"));
+      await client.query("DELETE FROM schema_migrations WHERE version = $1", [
+        version,
+      ]);
+      return `${migration.version}_${migration.name}`;
+    });
+
+    if (!name) break;
+    rolledBack.push(name);
+    console.log(`Rolled back migration ${name}`);
+  }
+
+  return rolledBack;
+}
+
+/**
+ * List every migration with whether it has been applied
+ * @returns {Promise<Array<Object>>} [{ version, name, applied }]
+ */
+async function getMigrationStatus() {
+  const appliedVersions = await executeTransaction(async (client) => {
+    await prepare(client);
+    return getAppliedVersions(client);
+  });
+
+  return loadMigrations().map(({ version, name }) => ({
+    version,
+    name,
+    applied: appliedVersions.has(version),
+  }));
+}
+
+// =============================================================================
+// COMMAND LINE
+// =============================================================================
+
+if (require.main === module) {
+  const [command = "up", steps] = process.argv.slice(2);
+
+  const commands = {
+    up: () => runMigrations(),
+    down: () => rollbackMigrations(steps ? parseInt(steps, 10) : 1),
+    status: async () => {
+      for (const migration of await getMigrationStatus()) {
+        console.log(
+          `${migration.applied ? "[x]" : "[ ]"} ${migration.version}_${
+            migration.name
+          }`
+        );
+      }
+    },
+  };
+
+  if (!commands[command]) {
+    console.error(`Unknown command "${command}". Use up, down or status.`);
+    process.exit(1);
+  }
+
+  commands[command]()
+    .then(() => closeConnection())
+    .catch(async (error) => {
+      console.error(`Migration failed: ${error.message}`);
+      await closeConnection();
+      process.exit(1);
+    });
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  runMigrations,
+  rollbackMigrations,
+  getMigrationStatus,
+};
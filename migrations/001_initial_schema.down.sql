@@ -0,0 +1,3 @@
+DROP TRIGGER IF EXISTS sampling_designs_set_updated_at ON sampling_designs;
+DROP TABLE IF EXISTS sampling_designs;
+DROP FUNCTION IF EXISTS set_updated_at();
@@ -0,0 +1,60 @@
+-- Initial schema for the tables the API reads and writes.
+-- Written to be safe on databases created by hand before migrations existed:
+-- the table is only created when missing and missing columns are added.
+
+CREATE TABLE IF NOT EXISTS sampling_designs (
+  id SERIAL PRIMARY KEY,
+  design_id TEXT NOT NULL UNIQUE,
+  date_added DATE NOT NULL DEFAULT CURRENT_DATE,
+  client TEXT,
+  dress_type TEXT,
+  fabric TEXT,
+  comments TEXT,
+  reference_image TEXT,
+  s3_key TEXT,
+  fabric_length NUMERIC(8, 2),
+  lining_fabric TEXT,
+  lining_length NUMERIC(8, 2),
+  embroidery TEXT,
+  final_dress TEXT,
+  approved TEXT NOT NULL DEFAULT 'False',
+  rowid TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+ALTER TABLE sampling_designs
+  ADD COLUMN IF NOT EXISTS date_added DATE NOT NULL DEFAULT CURRENT_DATE,
+  ADD COLUMN IF NOT EXISTS client TEXT,
+  ADD COLUMN IF NOT EXISTS dress_type TEXT,
+  ADD COLUMN IF NOT EXISTS fabric TEXT,
+  ADD COLUMN IF NOT EXISTS comments TEXT,
+  ADD COLUMN IF NOT EXISTS reference_image TEXT,
+  ADD COLUMN IF NOT EXISTS s3_key TEXT,
+  ADD COLUMN IF NOT EXISTS fabric_length NUMERIC(8, 2),
+  ADD COLUMN IF NOT EXISTS lining_fabric TEXT,
+  ADD COLUMN IF NOT EXISTS lining_length NUMERIC(8, 2),
+  ADD COLUMN IF NOT EXISTS embroidery TEXT,
+  ADD COLUMN IF NOT EXISTS final_dress TEXT,
+  ADD COLUMN IF NOT EXISTS approved TEXT NOT NULL DEFAULT 'False',
+  ADD COLUMN IF NOT EXISTS rowid TEXT,
+  ADD COLUMN IF NOT EXISTS created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+
+CREATE INDEX IF NOT EXISTS sampling_designs_client_idx
+  ON sampling_designs (client);
+CREATE INDEX IF NOT EXISTS sampling_designs_date_added_idx
+  ON sampling_designs (date_added);
+
+-- Keep updated_at current on every write
+CREATE OR REPLACE FUNCTION set_updated_at() RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at = NOW();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS sampling_designs_set_updated_at ON sampling_designs;
+CREATE TRIGGER sampling_designs_set_updated_at
+  BEFORE UPDATE ON sampling_designs
+  FOR EACH ROW EXECUTE FUNCTION set_updated_at();
@@ -0,0 +1,17 @@
+-- Fabric catalog, previously only the Fabric!A:D sheet range
+
+CREATE TABLE fabrics (
+  id SERIAL PRIMARY KEY,
+  fabric_type TEXT NOT NULL UNIQUE,
+  cost_per_meter NUMERIC(10, 2) NOT NULL CHECK (cost_per_meter >= 0),
+  supplier TEXT,
+  description TEXT,
+  width NUMERIC(6, 2) CHECK (width > 0),
+  unit TEXT NOT NULL DEFAULT 'in' CHECK (unit IN ('in', 'cm')),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TRIGGER fabrics_set_updated_at
+  BEFORE UPDATE ON fabrics
+  FOR EACH ROW EXECUTE FUNCTION set_updated_at();
@@ -0,0 +1,16 @@
+-- Versioned fabric prices: every cost change adds a row instead of
+-- overwriting, so old designs keep the price that applied when they were added
+
+CREATE TABLE fabric_prices (
+  id SERIAL PRIMARY KEY,
+  fabric_type TEXT NOT NULL
+    REFERENCES fabrics (fabric_type) ON UPDATE CASCADE ON DELETE CASCADE,
+  cost_per_meter NUMERIC(10, 2) NOT NULL CHECK (cost_per_meter >= 0),
+  effective_from DATE NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (fabric_type, effective_from)
+);
+
+-- Seed each fabric's current price as its first history entry
+INSERT INTO fabric_prices (fabric_type, cost_per_meter, effective_from)
+SELECT fabric_type, cost_per_meter, created_at::date FROM fabrics;
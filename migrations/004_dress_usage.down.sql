@@ -0,0 +1 @@
+DROP TABLE IF EXISTS dress_usage;
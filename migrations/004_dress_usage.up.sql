@@ -0,0 +1,21 @@
+-- Fabric consumption per dress type, size and fabric width, previously one
+-- metres figure per dress type in the Usage!A:B sheet range
+
+CREATE TABLE dress_usage (
+  id SERIAL PRIMARY KEY,
+  dress_type TEXT NOT NULL,
+  size TEXT NOT NULL,
+  fabric_width NUMERIC(6, 2) NOT NULL CHECK (fabric_width > 0),
+  unit TEXT NOT NULL DEFAULT 'in' CHECK (unit IN ('in', 'cm')),
+  metres NUMERIC(6, 2) NOT NULL CHECK (metres >= 0),
+  notes TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (dress_type, size, fabric_width, unit)
+);
+
+CREATE INDEX dress_usage_dress_type_idx ON dress_usage (LOWER(dress_type));
+
+CREATE TRIGGER dress_usage_set_updated_at
+  BEFORE UPDATE ON dress_usage
+  FOR EACH ROW EXECUTE FUNCTION set_updated_at();
@@ -0,0 +1,6 @@
+DROP TABLE IF EXISTS design_transitions;
+
+ALTER TABLE sampling_designs
+  DROP COLUMN IF EXISTS status,
+  DROP COLUMN IF EXISTS status_changed_at,
+  DROP COLUMN IF EXISTS status_changed_by;
@@ -0,0 +1,33 @@
+-- Approval lifecycle for sampling designs. approved stays as "True"/"False"
+-- for older readers and is now derived from status.
+
+ALTER TABLE sampling_designs
+  ADD COLUMN status TEXT NOT NULL DEFAULT 'draft'
+    CHECK (status IN ('draft', 'sampling', 'review', 'approved', 'rejected', 'in-production')),
+  ADD COLUMN status_changed_at TIMESTAMPTZ,
+  ADD COLUMN status_changed_by TEXT;
+
+UPDATE sampling_designs
+SET status = 'approved'
+WHERE LOWER(approved) IN ('true', 'yes');
+
+UPDATE sampling_designs
+SET approved = CASE WHEN status = 'approved' THEN 'True' ELSE 'False' END;
+
+CREATE INDEX sampling_designs_status_idx ON sampling_designs (status);
+
+-- One row per status change: who moved the design, when, and why
+CREATE TABLE design_transitions (
+  id SERIAL PRIMARY KEY,
+  design_id TEXT NOT NULL
+    REFERENCES sampling_designs (design_id) ON UPDATE CASCADE ON DELETE CASCADE,
+  action TEXT NOT NULL,
+  from_status TEXT NOT NULL,
+  to_status TEXT NOT NULL,
+  reason TEXT,
+  actor TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX design_transitions_design_id_idx
+  ON design_transitions (design_id, created_at);
@@ -0,0 +1,14 @@
+-- Field-level audit log of design creates, updates and deletes.
+-- design_id has no foreign key so the history outlives a deleted design.
+
+CREATE TABLE design_audit (
+  id BIGSERIAL PRIMARY KEY,
+  design_id TEXT NOT NULL,
+  operation TEXT NOT NULL CHECK (operation IN ('create', 'update', 'delete')),
+  changes JSONB NOT NULL,
+  actor TEXT,
+  request_id TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX design_audit_design_id_idx ON design_audit (design_id, created_at);
@@ -0,0 +1 @@
+DROP TABLE IF EXISTS design_id_counters;
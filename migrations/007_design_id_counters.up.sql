@@ -0,0 +1,13 @@
+-- Counters behind server-generated design IDs. scope is the ID pattern with
+-- everything but the sequence filled in (e.g. "ABC-2026-{SEQ}"), so each
+-- client/year combination the pattern names counts on its own.
+
+CREATE TABLE design_id_counters (
+  scope TEXT PRIMARY KEY,
+  last_value INTEGER NOT NULL DEFAULT 0 CHECK (last_value >= 0),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TRIGGER design_id_counters_set_updated_at
+  BEFORE UPDATE ON design_id_counters
+  FOR EACH ROW EXECUTE FUNCTION set_updated_at();
@@ -0,0 +1,18 @@
+-- Stored responses for requests sent with an Idempotency-Key header, so a
+-- retried request gets the first response instead of repeating its writes
+
+CREATE TABLE idempotency_keys (
+  idempotency_key TEXT NOT NULL,
+  method TEXT NOT NULL,
+  path TEXT NOT NULL,
+  request_hash TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'processing'
+    CHECK (status IN ('processing', 'completed')),
+  response_status INTEGER,
+  response_body JSON,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL,
+  PRIMARY KEY (idempotency_key, method, path)
+);
+
+CREATE INDEX idempotency_keys_expires_at_idx ON idempotency_keys (expires_at);
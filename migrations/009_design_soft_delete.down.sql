@@ -0,0 +1,10 @@
+UPDATE design_audit SET operation = 'update' WHERE operation = 'restore';
+
+ALTER TABLE design_audit DROP CONSTRAINT design_audit_operation_check;
+ALTER TABLE design_audit ADD CONSTRAINT design_audit_operation_check
+  CHECK (operation IN ('create', 'update', 'delete'));
+
+-- Designs still soft-deleted become visible again
+ALTER TABLE sampling_designs
+  DROP COLUMN IF EXISTS deleted_at,
+  DROP COLUMN IF EXISTS deleted_by;
@@ -0,0 +1,14 @@
+-- Soft delete for sampling designs: a deleted design keeps its row, with
+-- deleted_at set, until it is restored or purged.
+
+ALTER TABLE sampling_designs
+  ADD COLUMN deleted_at TIMESTAMPTZ,
+  ADD COLUMN deleted_by TEXT;
+
+CREATE INDEX sampling_designs_deleted_at_idx
+  ON sampling_designs (deleted_at) WHERE deleted_at IS NOT NULL;
+
+-- Restores are audited as their own operation
+ALTER TABLE design_audit DROP CONSTRAINT design_audit_operation_check;
+ALTER TABLE design_audit ADD CONSTRAINT design_audit_operation_check
+  CHECK (operation IN ('create', 'update', 'delete', 'restore'));
@@ -0,0 +1,18 @@
+-- Images uploaded straight to storage through presigned PUT URLs. An upload
+-- is pending until the object is checked, confirmed once it has arrived with
+-- the type and size it was signed for, and attached when a design uses it.
+
+CREATE TABLE image_uploads (
+  s3_key TEXT PRIMARY KEY,
+  client TEXT,
+  content_type TEXT NOT NULL,
+  size INTEGER NOT NULL CHECK (size > 0),
+  status TEXT NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'confirmed', 'attached')),
+  etag TEXT,
+  design_id TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL,
+  confirmed_at TIMESTAMPTZ,
+  attached_at TIMESTAMPTZ
+);
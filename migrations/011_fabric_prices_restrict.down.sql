@@ -0,0 +1,5 @@
+ALTER TABLE fabric_prices
+  DROP CONSTRAINT fabric_prices_fabric_type_fkey,
+  ADD CONSTRAINT fabric_prices_fabric_type_fkey
+    FOREIGN KEY (fabric_type) REFERENCES fabrics (fabric_type)
+    ON UPDATE CASCADE ON DELETE CASCADE;
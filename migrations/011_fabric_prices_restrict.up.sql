@@ -0,0 +1,8 @@
+-- Keep price history: a fabric that has prices can no longer be deleted, so
+-- old designs keep the price that applied when they were added
+
+ALTER TABLE fabric_prices
+  DROP CONSTRAINT fabric_prices_fabric_type_fkey,
+  ADD CONSTRAINT fabric_prices_fabric_type_fkey
+    FOREIGN KEY (fabric_type) REFERENCES fabrics (fabric_type)
+    ON UPDATE CASCADE ON DELETE RESTRICT;
@@ -0,0 +1,6 @@
+DELETE FROM image_uploads WHERE status = 'abandoned';
+
+ALTER TABLE image_uploads
+  DROP CONSTRAINT image_uploads_status_check,
+  ADD CONSTRAINT image_uploads_status_check
+    CHECK (status IN ('pending', 'confirmed', 'attached'));
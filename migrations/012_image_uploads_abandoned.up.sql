@@ -0,0 +1,8 @@
+-- Uploads the image GC gives up on: pending ones whose URL has expired, and
+-- confirmed ones whose object is no longer in storage. They cannot be
+-- confirmed or attached, and their objects are no longer kept for them.
+
+ALTER TABLE image_uploads
+  DROP CONSTRAINT image_uploads_status_check,
+  ADD CONSTRAINT image_uploads_status_check
+    CHECK (status IN ('pending', 'confirmed', 'attached', 'abandoned'));
@@ -0,0 +1,2 @@
+ALTER TABLE sampling_designs
+  DROP COLUMN IF EXISTS sheet_hash;
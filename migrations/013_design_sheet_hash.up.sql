@@ -0,0 +1,7 @@
+-- Per-row change tracking for the design sync's newest policy: a hash of the
+-- design's Designs sheet fields as the API last wrote them to the sheet, or a
+-- sync last found them on both sides. Whichever side no longer matches it has
+-- changed since.
+
+ALTER TABLE sampling_designs
+  ADD COLUMN IF NOT EXISTS sheet_hash TEXT;
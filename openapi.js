@@ -0,0 +1,1605 @@
+/**
+ * OpenAPI Module
+ *
+ * Builds the OpenAPI 3 document for the API and serves it at /openapi.json,
+ * with a Swagger UI page at /docs. Parameter and request body schemas are
+ * generated from the validation schemas the routes use (see validation.js),
+ * so the documented inputs match what the routes accept; response shapes are
+ * described in the components below.
+ *
+ * Every route registered on the app must have an operation in PATHS:
+ * `node openapi.js check` (npm test) fails when one is missing.
+ * Usage: registerDocsRoutes(app, buildOpenApiSpec());
+ */
+
+const express = require("express");
+const swaggerUiDist = require("swagger-ui-dist");
+const { version } = require("./package.json");
+const { DESIGN_STATUSES } = require("./designWorkflow");
+const { DESIGN_LIST_SCHEMA } = require("./designQuery");
+const { SYNC_SCHEMA } = require("./designSync");
+const { DESIGN_EXPORT_SCHEMA, EXPORT_FORMATS } = require("./designExport");
+const {
+  IMPORT_FILE_EXTENSIONS,
+  IMPORT_HEADERS,
+  MAX_IMPORT_ROWS,
+  ROW_STATUSES,
+} = require("./designImport");
+const { IDEMPOTENCY_HEADER } = require("./idempotency");
+const { CACHE_INVALIDATE_SCHEMA } = require("./sheetsCache");
+const {
+  UPLOAD_PRESIGN_SCHEMA,
+  UPLOAD_CONFIRM_SCHEMA,
+} = require("./imageUploads");
+const {
+  DESIGN_PARAMS_SCHEMA,
+  CREATE_DESIGN_SCHEMA,
+  UPDATE_DESIGN_SCHEMA,
+  COST_ESTIMATE_SCHEMA,
+  DESIGN_COST_QUERY_SCHEMA,
+  DESIGN_IMPORT_SCHEMA,
+  DESIGN_DELETE_QUERY_SCHEMA,
+  transitionSchemas,
+} = require("./designSchemas");
+const {
+  FABRIC_SCHEMA,
+  FABRIC_PARAMS_SCHEMA,
+  FABRIC_LIST_QUERY_SCHEMA,
+  FABRIC_COSTS_QUERY_SCHEMA,
+  FABRIC_IMPORT_SCHEMA,
+} = require("./fabrics");
+const {
+  USAGE_SCHEMA,
+  USAGE_LIST_QUERY_SCHEMA,
+  USAGE_PARAMS_SCHEMA,
+  USAGE_LOOKUP_SCHEMA,
+  USAGE_IMPORT_SCHEMA,
+} = require("./usage");
+const { partialSchema } = require("./validation");
+
+// =============================================================================
+// CONFIGURATION & CONSTANTS
+// =============================================================================
+
+const SPEC_PATH = "/openapi.json";
+const DOCS_PATH = "/docs";
+
+// =============================================================================
+// SCHEMA CONVERSION
+// =============================================================================
+
+/**
+ * Convert a validation rule to an OpenAPI schema
+ * @param {Object} rule - Field rule from a validation schema
+ * @returns {Object} OpenAPI schema
+ */
+function ruleToSchema(rule) {
+  let schema;
+  switch (rule.type) {
+    case "number":
+    case "integer":
+    case "boolean":
+      schema = { type: rule.type };
+      break;
+    case "date":
+      schema = { type: "string", format: "date" };
+      break;
+    case "json":
+      schema = rule.schema ? objectSchema(rule.schema) : { type: "object" };
+      break;
+    case "array":
+      schema = {
+        type: "array",
+        items: rule.items ? ruleToSchema(rule.items) : { type: "string" },
+      };
+      break;
+    default:
+      schema = { type: "string" };
+  }
+
+  if (Array.isArray(rule.enum)) schema.enum = rule.enum;
+  if (rule.min !== undefined) schema.minimum = rule.min;
+  if (rule.greaterThan !== undefined) {
+    schema.minimum = rule.greaterThan;
+    schema.exclusiveMinimum = true;
+  }
+  if (rule.max !== undefined) schema.maximum = rule.max;
+  if (rule.minLength !== undefined) schema.minLength = rule.minLength;
+  if (rule.maxLength !== undefined) schema.maxLength = rule.maxLength;
+  if (rule.pattern) schema.pattern = rule.pattern.source;
+  if (rule.default !== undefined) schema.default = rule.default;
+  if (rule.description) schema.description = rule.description;
+
+  return schema;
+}
+
+/**
+ * Convert a validation schema to an OpenAPI object schema
+ * @param {Object} schema - Field rules
+ * @returns {Object} OpenAPI schema
+ */
+function objectSchema(schema) {
+  const required = Object.keys(schema).filter((name) => schema[name].required);
+  return {
+    type: "object",
+    ...(required.length > 0 && { required }),
+    properties: Object.fromEntries(
+      Object.entries(schema).map(([name, rule]) => [name, ruleToSchema(rule)])
+    ),
+  };
+}
+
+/**
+ * Convert a validation schema to OpenAPI parameters
+ * @param {Object} schema - Field rules
+ * @param {string} location - "path" or "query"
+ * @returns {Array<Object>} Parameters
+ */
+const parameters = (schema, location) =>
+  Object.entries(schema).map(([name, rule]) => ({
+    name,
+    in: location,
+    required: location === "path" || Boolean(rule.required),
+    schema: ruleToSchema(rule),
+    // Lists are sent comma separated
+    ...(rule.type === "array" && { style: "form", explode: false }),
+  }));
+
+/**
+ * JSON request body
+ * @param {Object} schema - Field rules
+ * @returns {Object} OpenAPI request body
+ */
+const jsonBody = (schema) => ({
+  required: true,
+  content: { "application/json": { schema: objectSchema(schema) } },
+});
+
+/**
+ * Multipart form request body with file fields
+ * JSON-valued fields are documented as objects sent as application/json parts.
+ * @param {Object} schema - Field rules
+ * @param {Object} files - { [fieldName]: { required, description } }
+ * @returns {Object} OpenAPI request body
+ */
+const multipartBody = (schema, files) => {
+  const form = objectSchema(schema);
+  const required = form.required || [];
+
+  for (const [name, file] of Object.entries(files)) {
+    form.properties[name] = {
+      type: "string",
+      format: "binary",
+      description: file.description,
+    };
+    if (file.required) required.push(name);
+  }
+  if (required.length > 0) form.required = required;
+
+  const encoding = Object.fromEntries(
+    Object.entries(schema)
+      .filter(([, rule]) => rule.type === "json")
+      .map(([name]) => [name, { contentType: "application/json" }])
+  );
+
+  return {
+    required: true,
+    content: {
+      "multipart/form-data": {
+        schema: form,
+        ...(Object.keys(encoding).length > 0 && { encoding }),
+      },
+    },
+  };
+};
+
+/**
+ * Reference a component schema
+ * @param {string} name - Component name
+ * @returns {Object} $ref object
+ */
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+/**
+ * Successful JSON response in the { success: true, ... } envelope
+ * @param {string} description - Response description
+ * @param {Object} [fields={}] - Envelope fields besides success
+ * @returns {Object} OpenAPI response
+ */
+const success = (description, fields = {}) => ({
+  description,
+  content: {
+    "application/json": {
+      schema: {
+        type: "object",
+        properties: { success: { type: "boolean", enum: [true] }, ...fields },
+      },
+    },
+  },
+});
+
+/**
+ * Add conditional request support to a single-record response: validator
+ * headers on the 200 and a 304 for a matching If-None-Match or
+ * If-Modified-Since
+ * @param {Object} response - 200 response from success()
+ * @returns {Object} Responses keyed by status
+ */
+const conditional = (response) => ({
+  200: {
+    ...response,
+    headers: {
+      ETag: { schema: { type: "string" } },
+      "Last-Modified": {
+        schema: { type: "string" },
+        description: "When the record last changed",
+      },
+    },
+  },
+  304: { $ref: "#/components/responses/NotModified" },
+});
+
+/**
+ * Reference standard error responses by status code
+ * @param {...number} statuses - Status codes, from the components' responses
+ * @returns {Object} Responses keyed by status
+ */
+const errors = (...statuses) =>
+  Object.fromEntries(
+    statuses.map((status) => [
+      String(status),
+      { $ref: `#/components/responses/${ERROR_RESPONSES[status]}` },
+    ])
+  );
+
+/**
+ * Schema of a value that may be null
+ * @param {string} type - JSON type
+ * @param {Object} [extra={}] - Other schema keywords
+ * @returns {Object} OpenAPI schema
+ */
+const nullable = (type, extra = {}) => ({ type, nullable: true, ...extra });
+
+// Envelope fields shared by many responses
+const message = { type: "string" };
+const count = { type: "integer" };
+
+// =============================================================================
+// COMPONENTS
+// =============================================================================
+
+const ERROR_RESPONSES = {
+  404: "NotFound",
+  409: "Conflict",
+  422: "ValidationFailed",
+  500: "ServerError",
+};
+
+const SCHEMAS = {
+  Error: {
+    type: "object",
+    required: ["success", "error"],
+    properties: {
+      success: { type: "boolean", enum: [false] },
+      error: { type: "string" },
+    },
+  },
+  FieldError: {
+    type: "object",
+    required: ["field", "location", "code", "message"],
+    properties: {
+      field: {
+        type: "string",
+        description: "Field name, dotted for fields inside a JSON field",
+      },
+      location: {
+        type: "string",
+        enum: ["params", "query", "body", "file", "row"],
+        description: "row for a row of an import file",
+      },
+      code: {
+        type: "string",
+        description:
+          "required, type, format, enum, range, length, size, upload, columns, empty or invalid",
+      },
+      message: { type: "string" },
+    },
+  },
+  ValidationError: {
+    type: "object",
+    required: ["success", "error", "errors"],
+    properties: {
+      success: { type: "boolean", enum: [false] },
+      error: { type: "string" },
+      errors: { type: "array", items: ref("FieldError") },
+    },
+  },
+  SagaFailure: {
+    allOf: [
+      ref("Error"),
+      {
+        type: "object",
+        properties: {
+          failedStep: { type: "string" },
+          compensations: {
+            type: "array",
+            items: {
+              type: "object",
+              properties: {
+                step: { type: "string" },
+                status: { type: "string", enum: ["compensated", "failed"] },
+                error: { type: "string" },
+              },
+            },
+          },
+          consistent: {
+            type: "boolean",
+            description: "False when an earlier step could not be undone",
+          },
+        },
+      },
+    ],
+  },
+  DesignRecord: {
+    type: "object",
+    description: "A sampling_designs row; NUMERIC columns come back as text",
+    properties: {
+      id: { type: "integer" },
+      design_id: { type: "string" },
+      date_added: { type: "string", format: "date" },
+      client: nullable("string"),
+      dress_type: nullable("string"),
+      fabric: nullable("string"),
+      comments: nullable("string"),
+      reference_image: nullable("string"),
+      s3_key: nullable("string"),
+      fabric_length: nullable("string"),
+      lining_fabric: nullable("string"),
+      lining_length: nullable("string"),
+      embroidery: nullable("string"),
+      final_dress: nullable("string"),
+      approved: { type: "string", enum: ["True", "False"] },
+      status: { type: "string", enum: DESIGN_STATUSES },
+      status_changed_at: nullable("string", { format: "date-time" }),
+      status_changed_by: nullable("string"),
+      deleted_at: nullable("string", {
+        format: "date-time",
+        description: "Set while the design is soft-deleted",
+      }),
+      deleted_by: nullable("string"),
+      rowid: nullable("string", { description: "Sheet range of the row" }),
+      created_at: { type: "string", format: "date-time" },
+      updated_at: { type: "string", format: "date-time" },
+    },
+  },
+  Pagination: {
+    type: "object",
+    properties: {
+      total: { type: "integer" },
+      limit: { type: "integer" },
+      offset: { type: "integer" },
+      hasMore: { type: "boolean" },
+      nextCursor: nullable("string"),
+    },
+  },
+  Transition: {
+    type: "object",
+    properties: {
+      id: { type: "integer" },
+      design_id: { type: "string" },
+      action: { type: "string" },
+      from_status: { type: "string", enum: DESIGN_STATUSES },
+      to_status: { type: "string", enum: DESIGN_STATUSES },
+      reason: nullable("string"),
+      actor: { type: "string" },
+      created_at: { type: "string", format: "date-time" },
+    },
+  },
+  HistoryEntry: {
+    type: "object",
+    properties: {
+      id: { type: "integer" },
+      designId: { type: "string" },
+      operation: {
+        type: "string",
+        enum: ["create", "update", "delete", "restore"],
+      },
+      changes: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            field: { type: "string" },
+            before: { nullable: true },
+            after: { nullable: true },
+          },
+        },
+      },
+      actor: nullable("string"),
+      requestId: nullable("string"),
+      createdAt: { type: "string", format: "date-time" },
+    },
+  },
+  CostLine: {
+    type: "object",
+    properties: {
+      fabric: nullable("string"),
+      metres: nullable("number"),
+      costPerMeter: nullable("number"),
+      cost: nullable("number"),
+      priceEffectiveFrom: { type: "string", format: "date" },
+    },
+  },
+  CostEstimate: {
+    type: "object",
+    properties: {
+      dressType: nullable("string"),
+      mainFabric: {
+        allOf: [
+          ref("CostLine"),
+          {
+            type: "object",
+            properties: {
+              lengthSource: nullable("string", { enum: ["design", "usage"] }),
+              usage: {
+                type: "object",
+                description:
+                  "Present when the metres came from the usage catalog",
+                properties: {
+                  size: { type: "string" },
+                  fabricWidth: { type: "number" },
+                  unit: { type: "string" },
+                  method: {
+                    type: "string",
+                    enum: ["exact", "interpolated", "converted"],
+                  },
+                },
+              },
+            },
+          },
+        ],
+      },
+      lining: { allOf: [ref("CostLine")], nullable: true },
+      totals: {
+        type: "object",
+        properties: {
+          metres: { type: "number" },
+          cost: { type: "number" },
+          complete: {
+            type: "boolean",
+            description: "False when a line could not be priced",
+          },
+        },
+      },
+      warnings: { type: "array", items: { type: "string" } },
+    },
+  },
+  FabricCost: {
+    type: "object",
+    properties: {
+      costPerMeter: { type: "number" },
+      supplier: { type: "string" },
+      description: { type: "string" },
+      width: nullable("number"),
+      unit: { type: "string" },
+      effectiveFrom: { type: "string", format: "date" },
+      estimated: {
+        type: "boolean",
+        description: "No price was in effect on asOf; the earliest is used",
+      },
+    },
+  },
+  Fabric: {
+    type: "object",
+    properties: {
+      fabricType: { type: "string" },
+      costPerMeter: { type: "number" },
+      supplier: { type: "string" },
+      description: { type: "string" },
+      width: nullable("number"),
+      unit: { type: "string" },
+      updatedAt: { type: "string", format: "date-time" },
+    },
+  },
+  FabricPrice: {
+    type: "object",
+    properties: {
+      costPerMeter: { type: "number" },
+      effectiveFrom: { type: "string", format: "date" },
+      createdAt: { type: "string", format: "date-time" },
+    },
+  },
+  UploadTicket: {
+    type: "object",
+    properties: {
+      key: { type: "string" },
+      uploadUrl: { type: "string" },
+      method: { type: "string", enum: ["PUT"] },
+      headers: {
+        type: "object",
+        additionalProperties: { type: "string" },
+        description: "Headers the upload must be sent with",
+      },
+      expiresAt: { type: "string", format: "date-time" },
+    },
+  },
+  Upload: {
+    type: "object",
+    properties: {
+      key: { type: "string" },
+      url: { type: "string" },
+      contentType: { type: "string" },
+      size: { type: "integer" },
+      etag: nullable("string"),
+      status: { type: "string", enum: ["confirmed", "attached"] },
+    },
+  },
+  UsageEntry: {
+    type: "object",
+    properties: {
+      id: { type: "integer" },
+      dressType: { type: "string" },
+      size: { type: "string" },
+      fabricWidth: { type: "number" },
+      unit: { type: "string" },
+      metres: { type: "number" },
+      notes: { type: "string" },
+      updatedAt: { type: "string", format: "date-time" },
+    },
+  },
+  UsageLookup: {
+    type: "object",
+    properties: {
+      dressType: { type: "string" },
+      size: { type: "string" },
+      fabricWidth: { type: "number" },
+      unit: { type: "string" },
+      metres: { type: "number" },
+      method: { type: "string", enum: ["exact", "interpolated", "converted"] },
+      basedOn: {
+        type: "array",
+        items: { type: "integer" },
+        description: "IDs of the usage entries the figure was worked out from",
+      },
+    },
+  },
+  UsageSummary: {
+    type: "object",
+    properties: {
+      metres: nullable("number"),
+      sizes: { type: "array", items: { type: "string" } },
+      widths: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            fabricWidth: { type: "number" },
+            unit: { type: "string" },
+          },
+        },
+      },
+      minMetres: { type: "number" },
+      maxMetres: { type: "number" },
+      entries: { type: "integer" },
+    },
+  },
+  ImportReport: {
+    type: "object",
+    properties: {
+      created: { type: "array", items: { type: "string" } },
+      updated: { type: "array", items: { type: "string" } },
+      skipped: { type: "array", items: { type: "string" } },
+    },
+  },
+  DesignImportReport: {
+    type: "object",
+    properties: {
+      dryRun: { type: "boolean" },
+      summary: {
+        type: "object",
+        properties: Object.fromEntries(
+          ["total", ...Object.values(ROW_STATUSES)].map((key) => [
+            key,
+            { type: "integer" },
+          ])
+        ),
+      },
+      rows: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            row: { type: "integer", description: "Spreadsheet row number" },
+            designId: nullable("string", {
+              description: "Null when the ID is allocated on creation",
+            }),
+            status: { type: "string", enum: Object.values(ROW_STATUSES) },
+            reason: { type: "string" },
+            errors: { type: "array", items: ref("FieldError") },
+            referenceImageUrl: nullable("string"),
+            failedStep: { type: "string" },
+            consistent: { type: "boolean" },
+          },
+        },
+      },
+      ignoredColumns: { type: "array", items: { type: "string" } },
+    },
+  },
+  CacheStats: {
+    type: "object",
+    properties: {
+      hits: { type: "integer" },
+      misses: { type: "integer" },
+      ttls: {
+        type: "object",
+        additionalProperties: { type: "number" },
+        description: "Seconds by sheet name, plus the default",
+      },
+      entries: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            key: { type: "string", description: "A1 range or metadata key" },
+            hash: { type: "string" },
+            lastModified: { type: "string", format: "date-time" },
+            cachedAt: { type: "string", format: "date-time" },
+            expiresIn: { type: "integer", description: "Seconds" },
+          },
+        },
+      },
+    },
+  },
+  SyncReport: {
+    type: "object",
+    properties: {
+      dryRun: { type: "boolean" },
+      policy: { type: "string" },
+      summary: { type: "object", additionalProperties: true },
+      missingInDb: {
+        type: "array",
+        items: { type: "object" },
+        description:
+          "Copied in the initial status; statusReset names the status the sheet row held when it differs",
+      },
+      missingInSheet: { type: "array", items: { type: "object" } },
+      conflicts: {
+        type: "array",
+        items: { type: "object" },
+        description:
+          "When the sheet wins with another status, statusChange names the transition that allows it, or has an error when none does. Under the newest policy, changed names the side that changed since the two last matched (sheet, db or both), or is null when the design has no change tracking yet; the sheet wins unless only the database changed",
+      },
+      relinked: { type: "array", items: { type: "object" } },
+      duplicates: { type: "array", items: { type: "object" } },
+      invalidRows: { type: "array", items: { type: "object" } },
+      applied: nullable("object", {
+        description: "Counts of applied changes and per-design errors",
+      }),
+    },
+  },
+};
+
+const RESPONSES = {
+  NotModified: {
+    description: "Unchanged since the ETag or date the client sent",
+  },
+  NotFound: {
+    description: "Not found",
+    content: { "application/json": { schema: ref("Error") } },
+  },
+  Conflict: {
+    description: "Conflicts with the current state",
+    content: { "application/json": { schema: ref("Error") } },
+  },
+  ValidationFailed: {
+    description: "Validation failed; errors lists each field",
+    content: { "application/json": { schema: ref("ValidationError") } },
+  },
+  ServerError: {
+    description: "Unexpected failure",
+    content: { "application/json": { schema: ref("Error") } },
+  },
+};
+
+const HEADER_PARAMETERS = {
+  IdempotencyKey: {
+    name: IDEMPOTENCY_HEADER,
+    in: "header",
+    required: false,
+    schema: { type: "string", maxLength: 255 },
+    description:
+      "Makes retries safe: a repeat with the same key and payload replays the stored response",
+  },
+  Actor: {
+    name: "X-Actor",
+    in: "header",
+    required: false,
+    schema: { type: "string" },
+    description: "Who is making the change, recorded in the audit log",
+  },
+};
+
+const idempotencyKey = { $ref: "#/components/parameters/IdempotencyKey" };
+const actor = { $ref: "#/components/parameters/Actor" };
+
+// =============================================================================
+// PATHS
+// =============================================================================
+
+const designPathParams = parameters(DESIGN_PARAMS_SCHEMA, "path");
+const usagePathParams = parameters(USAGE_PARAMS_SCHEMA, "path");
+const fabricPathParams = parameters(FABRIC_PARAMS_SCHEMA, "path");
+
+/**
+ * Operation for a workflow transition route
+ * @param {string} action - Transition name
+ * @param {string} summary - Operation summary
+ * @returns {Object} OpenAPI operation
+ */
+const transitionOperation = (action, summary) => {
+  const schemas = transitionSchemas(action);
+  return {
+    post: {
+      tags: ["Workflow"],
+      summary,
+      parameters: [
+        ...parameters(schemas.params, "path"),
+        actor,
+        idempotencyKey,
+      ],
+      requestBody: { ...jsonBody(schemas.body), required: false },
+      responses: {
+        200: success("Design moved", {
+          message,
+          data: {
+            type: "object",
+            properties: {
+              design: ref("DesignRecord"),
+              transition: ref("Transition"),
+            },
+          },
+        }),
+        ...errors(404, 409, 422, 500),
+      },
+    },
+  };
+};
+
+const PATHS = {
+  "/health": {
+    get: {
+      tags: ["Health"],
+      summary: "Service status",
+      responses: {
+        200: {
+          description: "Connections to Google Sheets and storage",
+          content: {
+            "application/json": {
+              schema: {
+                type: "object",
+                properties: {
+                  status: { type: "string" },
+                  timestamp: { type: "string", format: "date-time" },
+                  services: { type: "object", additionalProperties: true },
+                  fabricTypesCount: { type: "integer" },
+                },
+              },
+            },
+          },
+        },
+        500: { description: "Could not connect to services" },
+      },
+    },
+  },
+  "/api/cache": {
+    get: {
+      tags: ["Health"],
+      summary: "Sheets read cache contents and hit counts",
+      responses: {
+        200: success("Cache statistics", { data: ref("CacheStats") }),
+      },
+    },
+  },
+  "/api/cache/invalidate": {
+    post: {
+      tags: ["Health"],
+      summary: "Drop cached Sheets reads",
+      description:
+        "For edits made directly in the spreadsheet; writes through the API invalidate the entries they touch. TTLs come from SHEETS_CACHE_TTL and SHEETS_CACHE_TTLS.",
+      requestBody: { ...jsonBody(CACHE_INVALIDATE_SCHEMA), required: false },
+      responses: {
+        200: success("Entries dropped", {
+          message,
+          data: {
+            type: "object",
+            properties: {
+              sheets: { type: "array", items: { type: "string" } },
+              invalidated: { type: "array", items: { type: "string" } },
+            },
+          },
+          count,
+        }),
+        ...errors(422),
+      },
+    },
+  },
+  [SPEC_PATH]: {
+    get: {
+      tags: ["Docs"],
+      summary: "This OpenAPI document",
+      responses: {
+        200: {
+          description: "OpenAPI 3 document",
+          content: { "application/json": { schema: { type: "object" } } },
+        },
+      },
+    },
+  },
+  [DOCS_PATH]: {
+    get: {
+      tags: ["Docs"],
+      summary: "Interactive API documentation",
+      responses: {
+        200: {
+          description: "Swagger UI page",
+          content: { "text/html": { schema: { type: "string" } } },
+        },
+      },
+    },
+  },
+  "/files/{path}": {
+    get: {
+      tags: ["Files"],
+      summary: "Signed image download (local storage only)",
+      parameters: [
+        {
+          name: "path",
+          in: "path",
+          required: true,
+          schema: { type: "string" },
+        },
+        {
+          name: "expires",
+          in: "query",
+          required: true,
+          schema: { type: "integer" },
+        },
+        {
+          name: "signature",
+          in: "query",
+          required: true,
+          schema: { type: "string" },
+        },
+      ],
+      responses: {
+        200: { description: "The file" },
+        403: {
+          description: "Invalid or expired signature",
+          content: { "application/json": { schema: ref("Error") } },
+        },
+        404: { $ref: "#/components/responses/NotFound" },
+      },
+    },
+    put: {
+      tags: ["Files"],
+      summary: "Signed image upload (local storage only)",
+      description:
+        "Target of uploadUrl from POST /api/uploads/presign. Content-Type and Content-Length must match the signed contentType and size.",
+      parameters: [
+        {
+          name: "path",
+          in: "path",
+          required: true,
+          schema: { type: "string" },
+        },
+        ...["expires", "size"].map((name) => ({
+          name,
+          in: "query",
+          required: true,
+          schema: { type: "integer" },
+        })),
+        ...["contentType", "signature"].map((name) => ({
+          name,
+          in: "query",
+          required: true,
+          schema: { type: "string" },
+        })),
+      ],
+      requestBody: {
+        required: true,
+        content: {
+          "image/*": { schema: { type: "string", format: "binary" } },
+        },
+      },
+      responses: {
+        200: {
+          description: "Stored",
+          headers: { ETag: { schema: { type: "string" } } },
+        },
+        400: {
+          description: "The body is not the signed size",
+          content: { "application/json": { schema: ref("Error") } },
+        },
+        403: {
+          description: "Invalid or expired signature, or mismatched headers",
+          content: { "application/json": { schema: ref("Error") } },
+        },
+      },
+    },
+  },
+  "/api/designs": {
+    get: {
+      tags: ["Designs"],
+      summary: "List designs with filters",
+      parameters: parameters(DESIGN_LIST_SCHEMA, "query"),
+      responses: {
+        200: success("A page of designs", {
+          data: { type: "array", items: ref("DesignRecord") },
+          count,
+          pagination: ref("Pagination"),
+        }),
+        ...errors(422, 500),
+      },
+    },
+    post: {
+      tags: ["Designs"],
+      summary: "Add a design with its reference image",
+      description:
+        "Uploads the image, appends the design to the sheet and inserts it into the database, undoing earlier steps if a later one fails. The image is either the designImage file or imageKey, the key of a confirmed direct upload (see /api/uploads/presign), which the design then claims. Without designId one is allocated from DESIGN_ID_PATTERN.",
+      parameters: [actor, idempotencyKey],
+      requestBody: multipartBody(CREATE_DESIGN_SCHEMA, {
+        designImage: {
+          required: false,
+          description: "Reference image; required without imageKey",
+        },
+      }),
+      responses: {
+        200: success("Design added", {
+          message,
+          data: {
+            type: "object",
+            properties: {
+              designId: { type: "string" },
+              clientCode: { type: "string" },
+              fabric: { type: "string" },
+              imageUrl: { type: "string" },
+              s3Key: { type: "string" },
+              dressType: { type: "string" },
+              designerComments: { type: "string" },
+              s3Info: { type: "object", additionalProperties: true },
+              sheetUpdates: { type: "object", additionalProperties: true },
+            },
+          },
+        }),
+        ...errors(404, 409, 422),
+        500: {
+          description: "A step failed and the earlier ones were undone",
+          content: { "application/json": { schema: ref("SagaFailure") } },
+        },
+      },
+    },
+    put: {
+      tags: ["Designs"],
+      summary: "Update a design, optionally with its final image",
+      description:
+        "Rewrites the design's sheet row and database record; fields left out of updatedData keep their values. range must name the row the record links to, otherwise the update gets 409. A new final image is either the finalImage file or finalImageKey, the key of a confirmed direct upload. Status only changes through the workflow routes.",
+      parameters: [actor, idempotencyKey],
+      requestBody: multipartBody(UPDATE_DESIGN_SCHEMA, {
+        finalImage: { required: false, description: "Final dress image" },
+      }),
+      responses: {
+        200: success("Design updated", {
+          message,
+          updatedCells: { type: "integer" },
+          updatedRange: { type: "string" },
+        }),
+        ...errors(404, 409, 422),
+        500: {
+          description: "A step failed and the earlier ones were undone",
+          content: { "application/json": { schema: ref("SagaFailure") } },
+        },
+      },
+    },
+  },
+  "/api/designs/import": {
+    post: {
+      tags: ["Designs"],
+      summary: "Create designs in bulk from a spreadsheet",
+      description: `Reads the first worksheet of a ${IMPORT_FILE_EXTENSIONS.join(" or ")} file, at most ${MAX_IMPORT_ROWS} rows. Headers are matched ignoring case, spaces and punctuation: ${Object.entries(
+        IMPORT_HEADERS
+      )
+        .map(([field, headers]) => `${field} (${headers.join(", ")})`)
+        .join(
+          "; "
+        )}. A referenceImage cell names an image in the images archive. Rows are checked first, then valid rows are created one by one; rows with an existing or repeated designId are skipped. With dryRun nothing is written and valid rows are reported as valid.`,
+      parameters: [actor, idempotencyKey],
+      requestBody: multipartBody(DESIGN_IMPORT_SCHEMA, {
+        file: { required: true, description: "Designs as CSV or XLSX" },
+        images: {
+          required: false,
+          description: "ZIP of reference images, matched by filename",
+        },
+      }),
+      responses: {
+        200: success("Import report", {
+          message,
+          data: ref("DesignImportReport"),
+        }),
+        ...errors(422, 500),
+      },
+    },
+  },
+  "/api/designs/export": {
+    get: {
+      tags: ["Designs"],
+      summary: "Download designs with their costs as CSV or XLSX",
+      description:
+        "Takes the listing filters and sort without pagination and streams every matching design. Each row carries the fabric and lining cost, priced as of the design's date added unless asOf is given. columns picks the columns and their order.",
+      parameters: parameters(DESIGN_EXPORT_SCHEMA, "query"),
+      responses: {
+        200: {
+          description: "Export file, sent as an attachment",
+          content: {
+            [EXPORT_FORMATS.csv.contentType]: {
+              schema: { type: "string" },
+            },
+            [EXPORT_FORMATS.xlsx.contentType]: {
+              schema: { type: "string", format: "binary" },
+            },
+          },
+        },
+        ...errors(422, 500),
+      },
+    },
+  },
+  "/api/designs/{designId}": {
+    get: {
+      tags: ["Designs"],
+      summary: "Get a design by design ID",
+      parameters: designPathParams,
+      responses: {
+        ...conditional(
+          success("Matching designs (empty when not found)", {
+            message,
+            data: { type: "array", items: ref("DesignRecord") },
+          })
+        ),
+        ...errors(422, 500),
+      },
+    },
+    delete: {
+      tags: ["Designs"],
+      summary: "Soft-delete a design, or purge it with hard=true",
+      description:
+        "A soft delete hides the design from listings and strikes its sheet row through until it is restored. A purge deletes the record, blanks the sheet row and deletes the reference and final images, keeping any image another design still uses.",
+      parameters: [
+        ...designPathParams,
+        ...parameters(DESIGN_DELETE_QUERY_SCHEMA, "query"),
+        actor,
+        idempotencyKey,
+      ],
+      responses: {
+        200: success("Design deleted or purged", {
+          message,
+          data: {
+            oneOf: [
+              ref("DesignRecord"),
+              {
+                type: "object",
+                properties: {
+                  designId: { type: "string" },
+                  rowNumber: nullable("integer"),
+                  images: {
+                    type: "array",
+                    items: {
+                      type: "object",
+                      properties: {
+                        key: { type: "string" },
+                        status: {
+                          type: "string",
+                          enum: ["deleted", "kept", "failed"],
+                        },
+                        error: { type: "string" },
+                      },
+                    },
+                  },
+                },
+              },
+            ],
+          },
+        }),
+        ...errors(404, 409, 422),
+        500: {
+          description: "A step failed and the earlier ones were undone",
+          content: { "application/json": { schema: ref("SagaFailure") } },
+        },
+      },
+    },
+  },
+  "/api/designs/{designId}/restore": {
+    post: {
+      tags: ["Designs"],
+      summary: "Restore a soft-deleted design",
+      parameters: [...designPathParams, actor, idempotencyKey],
+      responses: {
+        200: success("Design restored", {
+          message,
+          data: ref("DesignRecord"),
+        }),
+        ...errors(404, 409, 422),
+        500: {
+          description: "A step failed and the earlier ones were undone",
+          content: { "application/json": { schema: ref("SagaFailure") } },
+        },
+      },
+    },
+  },
+  "/api/designs/{designId}/cost": {
+    get: {
+      tags: ["Costing"],
+      summary: "Itemised fabric cost of a design",
+      description:
+        "Priced as of the design's date added unless asOf is given. size picks the usage figures when the design has no fabric length.",
+      parameters: [
+        ...designPathParams,
+        ...parameters(DESIGN_COST_QUERY_SCHEMA, "query"),
+      ],
+      responses: {
+        200: success("Cost breakdown", {
+          data: {
+            allOf: [
+              {
+                type: "object",
+                properties: {
+                  designId: { type: "string" },
+                  priceDate: nullable("string", { format: "date" }),
+                },
+              },
+              ref("CostEstimate"),
+            ],
+          },
+        }),
+        ...errors(404, 422, 500),
+      },
+    },
+  },
+  "/api/designs/{designId}/history": {
+    get: {
+      tags: ["Designs"],
+      summary: "Audit history of a design",
+      parameters: designPathParams,
+      responses: {
+        200: success("Changes, oldest first", {
+          data: { type: "array", items: ref("HistoryEntry") },
+          count,
+        }),
+        ...errors(404, 422, 500),
+      },
+    },
+  },
+  "/api/designs/{designId}/transitions": {
+    get: {
+      tags: ["Workflow"],
+      summary: "Status changes of a design",
+      parameters: designPathParams,
+      responses: {
+        200: success("Transitions, oldest first", {
+          data: { type: "array", items: ref("Transition") },
+          count,
+        }),
+        ...errors(404, 422, 500),
+      },
+    },
+  },
+  "/api/designs/{designId}/start-sampling": transitionOperation(
+    "start-sampling",
+    "Move a draft design into sampling"
+  ),
+  "/api/designs/{designId}/submit": transitionOperation(
+    "submit",
+    "Submit a sampled design for review"
+  ),
+  "/api/designs/{designId}/approve": transitionOperation(
+    "approve",
+    "Approve a design under review"
+  ),
+  "/api/designs/{designId}/reject": transitionOperation(
+    "reject",
+    "Reject a design under review, with a reason"
+  ),
+  "/api/designs/{designId}/rework": transitionOperation(
+    "rework",
+    "Send a rejected design back to sampling"
+  ),
+  "/api/designs/{designId}/start-production": transitionOperation(
+    "start-production",
+    "Move an approved design into production"
+  ),
+  "/api/cost-estimate": {
+    post: {
+      tags: ["Costing"],
+      summary: "Estimate fabric cost for design fields",
+      description: "Either dressType or fabricLength is required.",
+      requestBody: jsonBody(COST_ESTIMATE_SCHEMA),
+      responses: {
+        200: success("Cost breakdown", { data: ref("CostEstimate") }),
+        ...errors(422, 500),
+      },
+    },
+  },
+  "/api/fabric-costs": {
+    get: {
+      tags: ["Fabrics"],
+      summary: "All fabric costs, optionally as of a past date",
+      parameters: parameters(FABRIC_COSTS_QUERY_SCHEMA, "query"),
+      responses: {
+        200: success("Costs keyed by fabric type", {
+          data: { type: "object", additionalProperties: ref("FabricCost") },
+          count,
+        }),
+        ...errors(422, 500),
+      },
+    },
+  },
+  "/api/fabrics": {
+    get: {
+      tags: ["Fabrics"],
+      summary: "List the fabric catalog",
+      parameters: parameters(FABRIC_LIST_QUERY_SCHEMA, "query"),
+      responses: {
+        200: success("Fabrics", {
+          data: { type: "array", items: ref("Fabric") },
+          count,
+        }),
+        ...errors(422, 500),
+      },
+    },
+    post: {
+      tags: ["Fabrics"],
+      summary: "Add a fabric",
+      requestBody: jsonBody(FABRIC_SCHEMA),
+      responses: {
+        201: success("Fabric added", { message, data: ref("Fabric") }),
+        ...errors(409, 422, 500),
+      },
+    },
+  },
+  "/api/fabrics/import": {
+    post: {
+      tags: ["Fabrics"],
+      summary: "Import the Fabric sheet into the catalog",
+      requestBody: { ...jsonBody(FABRIC_IMPORT_SCHEMA), required: false },
+      responses: {
+        200: success("Import report", { message, data: ref("ImportReport") }),
+        ...errors(422, 500),
+      },
+    },
+  },
+  "/api/fabrics/{fabricType}": {
+    get: {
+      tags: ["Fabrics"],
+      summary: "Get a fabric",
+      parameters: fabricPathParams,
+      responses: {
+        ...conditional(success("Fabric", { data: ref("Fabric") })),
+        ...errors(404, 422, 500),
+      },
+    },
+    put: {
+      tags: ["Fabrics"],
+      summary: "Update a fabric",
+      description:
+        "A changed costPerMeter is recorded as a new price from effectiveFrom (default today).",
+      parameters: fabricPathParams,
+      requestBody: jsonBody(partialSchema(FABRIC_SCHEMA)),
+      responses: {
+        200: success("Fabric updated", { message, data: ref("Fabric") }),
+        ...errors(404, 422, 500),
+      },
+    },
+    delete: {
+      tags: ["Fabrics"],
+      summary: "Delete a fabric",
+      description:
+        "Its price history is deleted with it. Refused with 409 while any design, deleted ones included, names the fabric as its main or lining fabric.",
+      parameters: fabricPathParams,
+      responses: {
+        200: success("Fabric deleted", { message, data: ref("Fabric") }),
+        ...errors(404, 409, 422, 500),
+      },
+    },
+  },
+  "/api/fabrics/{fabricType}/price-history": {
+    get: {
+      tags: ["Fabrics"],
+      summary: "Price history of a fabric",
+      parameters: fabricPathParams,
+      responses: {
+        200: success("Prices, oldest first", {
+          data: {
+            type: "object",
+            properties: {
+              fabricType: { type: "string" },
+              prices: { type: "array", items: ref("FabricPrice") },
+            },
+          },
+          count,
+        }),
+        ...errors(404, 422, 500),
+      },
+    },
+  },
+  "/api/uploads/presign": {
+    post: {
+      tags: ["Uploads"],
+      summary: "Start a direct image upload",
+      description:
+        "Picks a key under the storage prefix and returns a URL to PUT the file to, signed for contentType and size. Send the file with the returned headers before expiresAt, then confirm it.",
+      requestBody: jsonBody(UPLOAD_PRESIGN_SCHEMA),
+      responses: {
+        200: success("Upload URL", { message, data: ref("UploadTicket") }),
+        ...errors(409, 422, 500),
+      },
+    },
+  },
+  "/api/uploads/confirm": {
+    post: {
+      tags: ["Uploads"],
+      summary: "Confirm a direct image upload",
+      description:
+        "Checks the object exists with the signed type and size. A confirmed key can be passed once, as imageKey or finalImageKey, to the design routes. Uploads the image GC has abandoned, after their URL expired unconfirmed or their object went missing, get 409.",
+      requestBody: jsonBody(UPLOAD_CONFIRM_SCHEMA),
+      responses: {
+        200: success("Upload confirmed", { message, data: ref("Upload") }),
+        ...errors(404, 409, 422, 500),
+      },
+    },
+  },
+  "/api/usage": {
+    get: {
+      tags: ["Usage"],
+      summary: "List usage entries",
+      parameters: parameters(USAGE_LIST_QUERY_SCHEMA, "query"),
+      responses: {
+        200: success("Usage entries", {
+          data: { type: "array", items: ref("UsageEntry") },
+          count,
+        }),
+        ...errors(422, 500),
+      },
+    },
+    post: {
+      tags: ["Usage"],
+      summary: "Add a usage entry",
+      requestBody: jsonBody(USAGE_SCHEMA),
+      responses: {
+        201: success("Usage entry added", { message, data: ref("UsageEntry") }),
+        ...errors(409, 422, 500),
+      },
+    },
+  },
+  "/api/usage/lookup": {
+    get: {
+      tags: ["Usage"],
+      summary: "Metres a dress type needs in a size and fabric width",
+      description:
+        "Give either fabricWidth (and unit) or a catalog fabric whose width is used.",
+      parameters: parameters(USAGE_LOOKUP_SCHEMA, "query"),
+      responses: {
+        200: success("Lookup result", { data: ref("UsageLookup") }),
+        ...errors(404, 422, 500),
+      },
+    },
+  },
+  "/api/usage/import": {
+    post: {
+      tags: ["Usage"],
+      summary: "Import the Usage sheet into the usage catalog",
+      requestBody: { ...jsonBody(USAGE_IMPORT_SCHEMA), required: false },
+      responses: {
+        200: success("Import report", { message, data: ref("ImportReport") }),
+        ...errors(422, 500),
+      },
+    },
+  },
+  "/api/usage/{id}": {
+    get: {
+      tags: ["Usage"],
+      summary: "Get a usage entry",
+      parameters: usagePathParams,
+      responses: {
+        ...conditional(success("Usage entry", { data: ref("UsageEntry") })),
+        ...errors(404, 422, 500),
+      },
+    },
+    put: {
+      tags: ["Usage"],
+      summary: "Update a usage entry",
+      parameters: usagePathParams,
+      requestBody: jsonBody(partialSchema(USAGE_SCHEMA)),
+      responses: {
+        200: success("Usage entry updated", {
+          message,
+          data: ref("UsageEntry"),
+        }),
+        ...errors(404, 409, 422, 500),
+      },
+    },
+    delete: {
+      tags: ["Usage"],
+      summary: "Delete a usage entry",
+      parameters: usagePathParams,
+      responses: {
+        200: success("Usage entry deleted", { message }),
+        ...errors(404, 422, 500),
+      },
+    },
+  },
+  "/api/fabric-usage": {
+    get: {
+      tags: ["Usage"],
+      summary: "Usage summary per dress type",
+      parameters: parameters(USAGE_LIST_QUERY_SCHEMA, "query"),
+      responses: {
+        200: success("Summaries keyed by dress type", {
+          data: { type: "object", additionalProperties: ref("UsageSummary") },
+          count,
+        }),
+        ...errors(422, 500),
+      },
+    },
+  },
+  "/api/sync/designs": {
+    post: {
+      tags: ["Sync"],
+      summary: "Reconcile the Designs sheet with the database",
+      parameters: [actor],
+      requestBody: { ...jsonBody(SYNC_SCHEMA), required: false },
+      responses: {
+        200: success("Sync report", { message, data: ref("SyncReport") }),
+        ...errors(422, 500),
+      },
+    },
+  },
+};
+
+// =============================================================================
+// MAIN OPENAPI FUNCTIONS
+// =============================================================================
+
+/**
+ * Build the OpenAPI document
+ * @returns {Object} OpenAPI 3.0 document
+ */
+function buildOpenApiSpec() {
+  return {
+    openapi: "3.0.3",
+    info: {
+      title: "Apparel Sheets Management API",
+      version,
+      description:
+        "Designs, fabric costs and usage, backed by Google Sheets, PostgreSQL and image storage.",
+    },
+    paths: PATHS,
+    components: {
+      schemas: SCHEMAS,
+      responses: RESPONSES,
+      parameters: HEADER_PARAMETERS,
+    },
+  };
+}
+
+/**
+ * Convert an Express route path to OpenAPI form
+ * @param {string} path - Express path, e.g. "/api/usage/:id"
+ * @returns {string} OpenAPI path, e.g. "/api/usage/{id}"
+ */
+const toOpenApiPath = (path) =>
+  path.replace(/:(\w+)/g, "{$1}").replace(/\*/g, "{path}");
+
+/**
+ * List the operations in a spec as "METHOD /express/:path" strings
+ * @param {Object} spec - OpenAPI document
+ * @returns {Array<string>} Operations in spec order
+ */
+function listOperations(spec) {
+  return Object.entries(spec.paths).flatMap(([path, item]) =>
+    Object.keys(item).map(
+      (method) => `${method.toUpperCase()} ${path.replace(/\{(\w+)\}/g, ":$1")}`
+    )
+  );
+}
+
+/**
+ * List the routes registered on an app that have no operation in the spec
+ * @param {Object} app - Express application
+ * @param {Object} spec - OpenAPI document
+ * @returns {Array<string>} Undocumented routes as "METHOD /path"
+ */
+function listUndocumentedRoutes(app, spec) {
+  return app._router.stack
+    .filter((layer) => layer.route)
+    .flatMap((layer) =>
+      Object.keys(layer.route.methods)
+        .filter((method) => method !== "_all")
+        .filter((method) => {
+          const item = spec.paths[toOpenApiPath(layer.route.path)];
+          return !item || !item[method];
+        })
+        .map((method) => `${method.toUpperCase()} ${layer.route.path}`)
+    );
+}
+
+/**
+ * Render the Swagger UI page
+ * @returns {string} HTML
+ */
+const renderDocsPage = () => `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Apparel Sheets API</title>
+  <link rel="stylesheet" href="${DOCS_PATH}/swagger-ui.css">
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="${DOCS_PATH}/swagger-ui-bundle.js"></script>
+  <script>
+    window.ui = SwaggerUIBundle({ url: "${SPEC_PATH}", dom_id: "#swagger-ui" });
+  </script>
+</body>
+</html>`;
+
+/**
+ * Register the spec and docs routes
+ * Swagger UI's assets are served from the swagger-ui-dist package, so the
+ * page works without internet access.
+ * @param {Object} app - Express application
+ * @param {Object} spec - OpenAPI document
+ */
+function registerDocsRoutes(app, spec) {
+  app.get(SPEC_PATH, (req, res) => res.json(spec));
+  app.get(DOCS_PATH, (req, res) => res.type("html").send(renderDocsPage()));
+  app.use(
+    DOCS_PATH,
+    express.static(swaggerUiDist.getAbsoluteFSPath(), { index: false })
+  );
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  SPEC_PATH,
+  DOCS_PATH,
+  buildOpenApiSpec,
+  listOperations,
+  listUndocumentedRoutes,
+  registerDocsRoutes,
+};
+
+// Run after the exports are set: app.js requires this module too
+if (require.main === module) {
+  const [command = "check"] = process.argv.slice(2);
+  const app = require("./app");
+  const spec = buildOpenApiSpec();
+
+  if (command === "print") {
+    console.log(JSON.stringify(spec, null, 2));
+  } else if (command === "check") {
+    const undocumented = listUndocumentedRoutes(app, spec);
+    for (const route of undocumented) {
+      console.error(`Route missing from the OpenAPI spec: ${route}`);
+    }
+    if (undocumented.length > 0) {
+      process.exit(1);
+    }
+    console.log(
+      `OpenAPI spec covers all ${listOperations(spec).length} operations`
+    );
+  } else {
+    console.error(`Unknown command "${command}". Use check or print.`);
+    process.exit(1);
+  }
+}
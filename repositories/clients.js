@@ -0,0 +1,93 @@
+/**
+ * Clients Repository
+ *
+ * Clients have no table of their own: a client is the client name on
+ * sampling_designs. This repository summarises designs per client, leaving out
+ * soft-deleted designs. Names are compared after trimming, ignoring case, so
+ * "Acme" and "acme " are one client, reported under the most recently used
+ * spelling.
+ *
+ * Every function takes an optional { client } from executeTransaction.
+ * Usage:
+ *   const clients = require('./repositories/clients');
+ *   const summaries = await clients.findAll({ search: 'ac' });
+ */
+
+const { executeQuery } = require("../database");
+
+// =============================================================================
+// CONFIGURATION & CONSTANTS
+// =============================================================================
+
+// One row per client; $1 filters by a name pattern when not null
+const CLIENT_SUMMARY_SQL = `
+  SELECT
+    (ARRAY_AGG(TRIM(client) ORDER BY created_at DESC))[1] AS name,
+    COUNT(*)::integer AS design_count,
+    COUNT(*) FILTER (WHERE status = 'approved')::integer AS approved_count,
+    MIN(date_added)::text AS first_design_date,
+    MAX(date_added)::text AS last_design_date
+  FROM sampling_designs
+  WHERE client IS NOT NULL AND TRIM(client) <> '' AND deleted_at IS NULL
+    AND ($1::text IS NULL OR LOWER(TRIM(client)) LIKE $1)
+  GROUP BY LOWER(TRIM(client))
+`;
+
+// =============================================================================
+// UTILITY FUNCTIONS
+// =============================================================================
+
+/**
+ * Escape LIKE wildcards in user input
+ * @param {string} text - Text to match literally
+ * @returns {string} Escaped text
+ */
+const escapeLike = (text) => text.replace(/[\\%_]/g, (char) => `\\${char}`);
+
+// =============================================================================
+// MAIN REPOSITORY FUNCTIONS
+// =============================================================================
+
+/**
+ * List clients with design counts, alphabetically
+ * @param {Object} [filters={}] - Filters
+ * @param {string} [filters.search] - Only names containing this, ignoring case
+ * @param {Object} [options={}] - { client }
+ * @returns {Promise<Array<Object>>} [{ name, design_count, approved_count,
+ *   first_design_date, last_design_date }]
+ */
+async function findAll({ search } = {}, { client = null } = {}) {
+  const pattern = search
+    ? `%${escapeLike(search.trim().toLowerCase())}%`
+    : null;
+  return executeQuery(
+    `${CLIENT_SUMMARY_SQL} ORDER BY LOWER(TRIM(client))`,
+    [pattern],
+    { client }
+  );
+}
+
+/**
+ * Get one client's summary
+ * @param {string} name - Client name, matched ignoring case and spaces around
+ * @param {Object} [options={}] - { client }
+ * @returns {Promise<Object|null>} Summary as in findAll, or null if no design
+ *   has the client
+ */
+async function findByName(name, { client = null } = {}) {
+  const [summary] = await executeQuery(
+    CLIENT_SUMMARY_SQL,
+    [escapeLike(String(name).trim().toLowerCase())],
+    { client }
+  );
+  return summary || null;
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  findAll,
+  findByName,
+};
@@ -0,0 +1,287 @@
+/**
+ * Designs Repository
+ *
+ * Reads and writes sampling_designs and the tables that hang off a design:
+ * design_transitions (status changes) and design_audit (field-level history).
+ * Records are returned as stored, keyed by column name; mapping to the API
+ * shape is left to the callers. Soft-deleted designs (deleted_at set) are left
+ * out of reads unless asked for.
+ *
+ * Every function takes an optional { client } from executeTransaction, so
+ * several calls can commit or roll back together.
+ * Usage:
+ *   const designs = require('./repositories/designs');
+ *   await executeTransaction(async (client) => {
+ *     const record = await designs.update('D001', { client: 'Acme' }, { client });
+ *     await designs.insertAudit({ design_id: 'D001', ... }, { client });
+ *   });
+ */
+
+const {
+  addToDB,
+  getFromDB,
+  countInDB,
+  updateInDB,
+  deleteFromDB,
+  executeQuery,
+} = require("../database");
+
+// =============================================================================
+// CONFIGURATION & CONSTANTS
+// =============================================================================
+
+const DESIGNS_TABLE = "sampling_designs";
+const TRANSITIONS_TABLE = "design_transitions";
+const AUDIT_TABLE = "design_audit";
+
+// Oldest first, with id breaking ties between rows written in one transaction
+const HISTORY_ORDER = [{ column: "created_at" }, { column: "id" }];
+
+// =============================================================================
+// UTILITY FUNCTIONS
+// =============================================================================
+
+/**
+ * Add the condition that leaves soft-deleted designs out, unless the caller
+ * asked for them or filters on deleted_at itself
+ * @param {Object} conditions - getFromDB conditions
+ * @param {Object} options - { includeDeleted, operator }
+ * @returns {Object} Conditions
+ * @throws {Error} If the condition would be joined with OR
+ */
+const scopeConditions = (conditions, { includeDeleted, operator }) => {
+  if (includeDeleted || "deleted_at" in conditions) return conditions;
+  if (String(operator || "AND").toUpperCase() !== "AND") {
+    throw new Error(
+      "Design conditions joined with OR need includeDeleted or a deleted_at condition"
+    );
+  }
+  return { ...conditions, deleted_at: null };
+};
+
+// =============================================================================
+// DESIGN FUNCTIONS
+// =============================================================================
+
+/**
+ * Get one design by design ID
+ * @param {string} designId - Design ID
+ * @param {Object} [options={}] - Query options
+ * @param {Array} [options.columns] - Columns to read; all by default
+ * @param {boolean} [options.includeDeleted=false] - Also find a soft-deleted
+ *   design
+ * @param {boolean} [options.forUpdate=false] - Lock the row until the
+ *   transaction ends
+ * @param {Object} [options.client] - Transaction client
+ * @returns {Promise<Object|null>} sampling_designs record or null
+ */
+async function findById(
+  designId,
+  {
+    columns = "*",
+    includeDeleted = false,
+    forUpdate = false,
+    client = null,
+  } = {}
+) {
+  const [record] = await getFromDB(
+    DESIGNS_TABLE,
+    scopeConditions({ design_id: designId }, { includeDeleted }),
+    { columns, forUpdate, client, limit: 1 }
+  );
+  return record || null;
+}
+
+/**
+ * List designs
+ * @param {Object} [conditions={}] - getFromDB conditions; soft-deleted designs
+ *   are left out unless they name deleted_at
+ * @param {Object} [options={}] - getFromDB options, including client
+ * @param {boolean} [options.includeDeleted=false] - Also list soft-deleted
+ *   designs
+ * @returns {Promise<Array<Object>>} sampling_designs records
+ */
+async function findMany(
+  conditions = {},
+  { includeDeleted = false, ...options } = {}
+) {
+  return getFromDB(
+    DESIGNS_TABLE,
+    scopeConditions(conditions, { includeDeleted, ...options }),
+    options
+  );
+}
+
+/**
+ * Count designs
+ * @param {Object} [conditions={}] - Conditions as for findMany
+ * @param {Object} [options={}] - { includeDeleted, client }
+ * @returns {Promise<number>} Number of matching designs
+ */
+async function count(
+  conditions = {},
+  { includeDeleted = false, client = null } = {}
+) {
+  return countInDB(
+    DESIGNS_TABLE,
+    scopeConditions(conditions, { includeDeleted }),
+    { client }
+  );
+}
+
+/**
+ * Count the designs, soft-deleted ones included, that use an image as their
+ * reference or final image
+ * @param {Object} image - Stored image
+ * @param {string} [image.key] - Object key, matched against s3_key
+ * @param {string} [image.url] - URL, matched against the image URL columns
+ * @param {Object} [options={}] - { client }
+ * @returns {Promise<number>} Number of designs
+ */
+async function countImageReferences(
+  { key = null, url = null },
+  { client = null } = {}
+) {
+  const [row] = await executeQuery(
+    `SELECT COUNT(*)::integer AS count FROM sampling_designs
+     WHERE s3_key = $1 OR reference_image = $2 OR final_dress = $2`,
+    [key, url],
+    { client }
+  );
+  return row.count;
+}
+
+/**
+ * Count the designs, soft-deleted ones included, that name a fabric as their
+ * main or lining fabric. Names are compared the way costing matches them to
+ * the catalog: trimmed and ignoring case.
+ * @param {string} fabricType - Fabric type
+ * @param {Object} [options={}] - { client }
+ * @returns {Promise<number>} Number of designs
+ */
+async function countFabricReferences(fabricType, { client = null } = {}) {
+  const [row] = await executeQuery(
+    `SELECT COUNT(*)::integer AS count FROM sampling_designs
+     WHERE LOWER(TRIM(fabric)) = LOWER(TRIM($1))
+        OR LOWER(TRIM(lining_fabric)) = LOWER(TRIM($1))`,
+    [fabricType],
+    { client }
+  );
+  return row.count;
+}
+
+/**
+ * Insert a design
+ * @param {Object} record - Record keyed by column name
+ * @param {Object} [options={}] - { client }
+ * @returns {Promise<Object>} Inserted record
+ */
+async function insert(record, { client = null } = {}) {
+  return addToDB(DESIGNS_TABLE, record, "*", { client });
+}
+
+/**
+ * Update a design by design ID, soft-deleted or not
+ * @param {string} designId - Design ID
+ * @param {Object} changes - Columns to set
+ * @param {Object} [options={}] - { client }
+ * @returns {Promise<Object|null>} Updated record, or null if no design has the ID
+ */
+async function update(designId, changes, { client = null } = {}) {
+  const [record] = await updateInDB(
+    DESIGNS_TABLE,
+    changes,
+    { design_id: designId },
+    "*",
+    { required: false, client }
+  );
+  return record || null;
+}
+
+/**
+ * Delete a design by design ID for good, whether or not it is soft-deleted
+ * Its transitions go with it; its audit history is kept.
+ * @param {string} designId - Design ID
+ * @param {Object} [options={}] - { client }
+ * @returns {Promise<Object|null>} Deleted record, or null if no design has the ID
+ */
+async function remove(designId, { client = null } = {}) {
+  const [record] = await deleteFromDB(
+    DESIGNS_TABLE,
+    { design_id: designId },
+    "*",
+    { client }
+  );
+  return record || null;
+}
+
+// =============================================================================
+// TRANSITION AND AUDIT FUNCTIONS
+// =============================================================================
+
+/**
+ * List a design's status transitions, oldest first
+ * @param {string} designId - Design ID
+ * @param {Object} [options={}] - { client }
+ * @returns {Promise<Array<Object>>} design_transitions records
+ */
+async function listTransitions(designId, { client = null } = {}) {
+  return getFromDB(
+    TRANSITIONS_TABLE,
+    { design_id: designId },
+    { orderBy: HISTORY_ORDER, client }
+  );
+}
+
+/**
+ * Record a status transition
+ * @param {Object} transition - design_transitions record without id
+ * @param {Object} [options={}] - { client }
+ * @returns {Promise<Object>} Inserted record
+ */
+async function insertTransition(transition, { client = null } = {}) {
+  return addToDB(TRANSITIONS_TABLE, transition, "*", { client });
+}
+
+/**
+ * List a design's audit entries, oldest first
+ * @param {string} designId - Design ID
+ * @param {Object} [options={}] - { client }
+ * @returns {Promise<Array<Object>>} design_audit records
+ */
+async function listAudit(designId, { client = null } = {}) {
+  return getFromDB(
+    AUDIT_TABLE,
+    { design_id: designId },
+    { orderBy: HISTORY_ORDER, client }
+  );
+}
+
+/**
+ * Record an audit entry
+ * @param {Object} entry - design_audit record without id
+ * @param {Object} [options={}] - { client }
+ * @returns {Promise<Object>} Inserted record
+ */
+async function insertAudit(entry, { client = null } = {}) {
+  return addToDB(AUDIT_TABLE, entry, "*", { client });
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  findById,
+  findMany,
+  count,
+  countImageReferences,
+  countFabricReferences,
+  insert,
+  update,
+  remove,
+  listTransitions,
+  insertTransition,
+  listAudit,
+  insertAudit,
+};
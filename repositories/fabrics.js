@@ -0,0 +1,232 @@
+/**
+ * Fabrics Repository
+ *
+ * Reads and writes the fabric catalog (fabrics) and its price history
+ * (fabric_prices). fabrics.cost_per_meter is kept equal to the price in
+ * effect today: update() resets it from fabric_prices after every change.
+ *
+ * Every function takes an optional { client } from executeTransaction, so
+ * several calls can commit or roll back together.
+ * Usage:
+ *   const fabrics = require('./repositories/fabrics');
+ *   const record = await fabrics.findByType('Silk');
+ */
+
+const {
+  addToDB,
+  getFromDB,
+  updateInDB,
+  deleteFromDB,
+  executeQuery,
+} = require("../database");
+
+// =============================================================================
+// CONFIGURATION & CONSTANTS
+// =============================================================================
+
+const FABRICS_TABLE = "fabrics";
+const PRICES_TABLE = "fabric_prices";
+
+// Dates come back as YYYY-MM-DD text rather than timezone-shifted Date objects
+const PRICE_COLUMNS = [
+  "fabric_type",
+  "cost_per_meter",
+  { column: "effective_from", cast: "text" },
+  "created_at",
+];
+
+// =============================================================================
+// FABRIC FUNCTIONS
+// =============================================================================
+
+/**
+ * List fabrics ordered by type
+ * @param {Object} [filters={}] - { supplier }
+ * @param {Object} [options={}] - { client }
+ * @returns {Promise<Array<Object>>} fabrics records
+ */
+async function findAll({ supplier } = {}, { client = null } = {}) {
+  const conditions = {};
+  if (supplier) conditions.supplier = supplier;
+
+  return getFromDB(FABRICS_TABLE, conditions, {
+    orderBy: { column: "fabric_type" },
+    client,
+  });
+}
+
+/**
+ * Get one fabric by type
+ * @param {string} fabricType - Fabric type
+ * @param {Object} [options={}] - { client }
+ * @returns {Promise<Object|null>} fabrics record or null
+ */
+async function findByType(fabricType, { client = null } = {}) {
+  const [record] = await getFromDB(
+    FABRICS_TABLE,
+    { fabric_type: fabricType },
+    { limit: 1, client }
+  );
+  return record || null;
+}
+
+/**
+ * Insert a fabric
+ * Record its first price with savePrice() in the same transaction.
+ * @param {Object} record - Record keyed by column name
+ * @param {Object} [options={}] - { client }
+ * @returns {Promise<Object>} Inserted record
+ */
+async function insert(record, { client = null } = {}) {
+  return addToDB(FABRICS_TABLE, record, "*", { client });
+}
+
+/**
+ * Update a fabric, then reset its cost_per_meter to the price in effect
+ * today, so future-dated prices do not apply early
+ * @param {string} fabricType - Fabric type
+ * @param {Object} changes - Columns to set, other than cost_per_meter
+ * @param {Object} [options={}] - { client }
+ * @returns {Promise<Object|null>} Updated record, or null if no such fabric
+ */
+async function update(fabricType, changes, { client = null } = {}) {
+  if (Object.keys(changes).length > 0) {
+    const updated = await updateInDB(
+      FABRICS_TABLE,
+      changes,
+      { fabric_type: fabricType },
+      "*",
+      { required: false, client }
+    );
+    if (updated.length === 0) return null;
+  }
+
+  const [record] = await executeQuery(
+    `UPDATE fabrics SET cost_per_meter = COALESCE(
+       (SELECT cost_per_meter FROM fabric_prices
+        WHERE fabric_type = $1 AND effective_from <= CURRENT_DATE
+        ORDER BY effective_from DESC LIMIT 1),
+       cost_per_meter
+     )
+     WHERE fabric_type = $1
+     RETURNING *`,
+    [fabricType],
+    { client }
+  );
+  return record || null;
+}
+
+/**
+ * Delete a fabric
+ * The foreign key refuses the delete while the fabric has price history;
+ * remove that first with removePrices() in the same transaction.
+ * @param {string} fabricType - Fabric type
+ * @param {Object} [options={}] - { client }
+ * @returns {Promise<Object|null>} Deleted record, or null if no such fabric
+ */
+async function remove(fabricType, { client = null } = {}) {
+  const [record] = await deleteFromDB(
+    FABRICS_TABLE,
+    { fabric_type: fabricType },
+    "*",
+    { client }
+  );
+  return record || null;
+}
+
+// =============================================================================
+// PRICE FUNCTIONS
+// =============================================================================
+
+/**
+ * List price history entries, by fabric type and then date
+ * @param {Object} [filters={}] - Filters
+ * @param {string} [filters.fabricType] - Only this fabric's prices
+ * @param {Object} [options={}] - { client }
+ * @returns {Promise<Array<Object>>} fabric_prices records, effective_from as
+ *   YYYY-MM-DD text
+ */
+async function listPrices({ fabricType } = {}, { client = null } = {}) {
+  return getFromDB(
+    PRICES_TABLE,
+    fabricType ? { fabric_type: fabricType } : {},
+    {
+      columns: PRICE_COLUMNS,
+      orderBy: [{ column: "fabric_type" }, { column: "effective_from" }],
+      client,
+    }
+  );
+}
+
+/**
+ * Get the price a fabric had on a date
+ * @param {string} fabricType - Fabric type
+ * @param {string|null} date - YYYY-MM-DD; today when null
+ * @param {Object} [options={}] - { client }
+ * @returns {Promise<Object|null>} Latest fabric_prices record on or before the
+ *   date, or null if there is none
+ */
+async function findPriceOn(fabricType, date, { client = null } = {}) {
+  const [record] = await executeQuery(
+    `SELECT fabric_type, cost_per_meter, effective_from::text AS effective_from, created_at
+     FROM fabric_prices
+     WHERE fabric_type = $1 AND effective_from <= COALESCE($2::date, CURRENT_DATE)
+     ORDER BY effective_from DESC LIMIT 1`,
+    [fabricType, date],
+    { client }
+  );
+  return record || null;
+}
+
+/**
+ * Record a price, replacing any already recorded for the same date
+ * @param {Object} price - Price entry
+ * @param {string} price.fabricType - Fabric type
+ * @param {number} price.costPerMeter - Cost per metre
+ * @param {string|null} [price.effectiveFrom] - YYYY-MM-DD; today when null
+ * @param {Object} [options={}] - { client }
+ * @returns {Promise<Object>} Saved fabric_prices record
+ */
+async function savePrice(
+  { fabricType, costPerMeter, effectiveFrom = null },
+  { client = null } = {}
+) {
+  const [record] = await executeQuery(
+    `INSERT INTO fabric_prices (fabric_type, cost_per_meter, effective_from)
+     VALUES ($1, $2, COALESCE($3::date, CURRENT_DATE))
+     ON CONFLICT (fabric_type, effective_from)
+     DO UPDATE SET cost_per_meter = EXCLUDED.cost_per_meter
+     RETURNING fabric_type, cost_per_meter, effective_from::text AS effective_from, created_at`,
+    [fabricType, costPerMeter, effectiveFrom],
+    { client }
+  );
+  return record;
+}
+
+/**
+ * Delete the price history of a fabric
+ * @param {string} fabricType - Fabric type
+ * @param {Object} [options={}] - { client }
+ * @returns {Promise<Array<Object>>} Deleted fabric_prices records
+ */
+async function removePrices(fabricType, { client = null } = {}) {
+  return deleteFromDB(PRICES_TABLE, { fabric_type: fabricType }, "*", {
+    client,
+  });
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  findAll,
+  findByType,
+  insert,
+  update,
+  remove,
+  listPrices,
+  findPriceOn,
+  savePrice,
+  removePrices,
+};
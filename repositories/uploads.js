@@ -0,0 +1,95 @@
+/**
+ * Uploads Repository
+ *
+ * Reads and writes image_uploads: images sent straight to storage through
+ * presigned PUT URLs, keyed by object key.
+ *
+ * Every function takes an optional { client } from executeTransaction, so
+ * several calls can commit or roll back together.
+ * Usage:
+ *   const uploads = require('./repositories/uploads');
+ *   const record = await uploads.findByKey('worldvastradesigns/Acme_1.jpg');
+ */
+
+const { addToDB, getFromDB, updateInDB } = require("../database");
+
+// =============================================================================
+// CONFIGURATION & CONSTANTS
+// =============================================================================
+
+const UPLOADS_TABLE = "image_uploads";
+
+// =============================================================================
+// MAIN REPOSITORY FUNCTIONS
+// =============================================================================
+
+/**
+ * Get one upload by object key
+ * @param {string} key - Object key
+ * @param {Object} [options={}] - Query options
+ * @param {boolean} [options.forUpdate=false] - Lock the row until the
+ *   transaction ends
+ * @param {Object} [options.client] - Transaction client
+ * @returns {Promise<Object|null>} image_uploads record or null
+ */
+async function findByKey(key, { forUpdate = false, client = null } = {}) {
+  const [record] = await getFromDB(
+    UPLOADS_TABLE,
+    { s3_key: key },
+    { limit: 1, forUpdate, client }
+  );
+  return record || null;
+}
+
+/**
+ * List uploads by status
+ * @param {Array<string>} statuses - Statuses to list
+ * @param {Object} [options={}] - { client }
+ * @returns {Promise<Array<Object>>} image_uploads records
+ */
+async function findByStatus(statuses, { client = null } = {}) {
+  return getFromDB(UPLOADS_TABLE, { status: statuses }, { client });
+}
+
+/**
+ * Insert an upload
+ * @param {Object} record - Record keyed by column name
+ * @param {Object} [options={}] - { client }
+ * @returns {Promise<Object>} Inserted record
+ */
+async function insert(record, { client = null } = {}) {
+  return addToDB(UPLOADS_TABLE, record, "*", { client });
+}
+
+/**
+ * Update an upload
+ * @param {string} key - Object key
+ * @param {Object} changes - Columns to set
+ * @param {Object} [options={}] - Update options
+ * @param {string} [options.status] - Only update while the upload has this
+ *   status
+ * @param {Object} [options.client] - Transaction client
+ * @returns {Promise<Object|null>} Updated record, or null if no such upload
+ *   (in that status)
+ */
+async function update(key, changes, { status = null, client = null } = {}) {
+  const [record] = await updateInDB(
+    UPLOADS_TABLE,
+    changes,
+    status ? { s3_key: key, status } : { s3_key: key },
+    "*",
+    { required: false, client }
+  );
+  return record || null;
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  findByKey,
+  findByStatus,
+  insert,
+  update,
+};
@@ -0,0 +1,153 @@
+/**
+ * Usage Repository
+ *
+ * Reads and writes dress_usage: metres of fabric per dress type, size and
+ * fabric width.
+ *
+ * Every function takes an optional { client } from executeTransaction, so
+ * several calls can commit or roll back together.
+ * Usage:
+ *   const usage = require('./repositories/usage');
+ *   const records = await usage.findAll({ dressType: 'Gown' });
+ */
+
+const { addToDB, getFromDB, updateInDB, deleteFromDB } = require("../database");
+
+// =============================================================================
+// CONFIGURATION & CONSTANTS
+// =============================================================================
+
+const USAGE_TABLE = "dress_usage";
+
+// =============================================================================
+// MAIN REPOSITORY FUNCTIONS
+// =============================================================================
+
+/**
+ * List usage entries, optionally for one dress type and size
+ * @param {Object} [filters={}] - Filters
+ * @param {string} [filters.dressType] - Dress type
+ * @param {string} [filters.size] - Size
+ * @param {Object} [options={}] - { client }
+ * @returns {Promise<Array<Object>>} dress_usage records
+ */
+async function findAll({ dressType, size } = {}, { client = null } = {}) {
+  const conditions = {};
+  if (dressType) conditions.dress_type = dressType;
+  if (size) conditions.size = size;
+
+  return getFromDB(USAGE_TABLE, conditions, {
+    orderBy: [
+      { column: "dress_type" },
+      { column: "size" },
+      { column: "unit" },
+      { column: "fabric_width" },
+    ],
+    client,
+  });
+}
+
+/**
+ * List the dress types that have usage recorded
+ * @param {Object} [options={}] - { client }
+ * @returns {Promise<Array<string>>} Dress types, alphabetical
+ */
+async function findDressTypes({ client = null } = {}) {
+  const records = await getFromDB(
+    USAGE_TABLE,
+    {},
+    {
+      columns: ["dress_type"],
+      distinct: true,
+      orderBy: { column: "dress_type" },
+      client,
+    }
+  );
+  return records.map((record) => record.dress_type);
+}
+
+/**
+ * Get one usage entry by ID
+ * @param {number} id - Entry ID
+ * @param {Object} [options={}] - Query options
+ * @param {boolean} [options.forUpdate=false] - Lock the row until the
+ *   transaction ends
+ * @param {Object} [options.client] - Transaction client
+ * @returns {Promise<Object|null>} dress_usage record or null
+ */
+async function findById(id, { forUpdate = false, client = null } = {}) {
+  const [record] = await getFromDB(
+    USAGE_TABLE,
+    { id },
+    { limit: 1, forUpdate, client }
+  );
+  return record || null;
+}
+
+/**
+ * Find the entry recorded for a dress type, size and width
+ * @param {Object} key - { dress_type, size, fabric_width, unit }
+ * @param {Object} [options={}] - { client }
+ * @returns {Promise<Object|null>} dress_usage record or null
+ */
+async function findByKey(
+  { dress_type, size, fabric_width, unit },
+  { client = null } = {}
+) {
+  const [record] = await getFromDB(
+    USAGE_TABLE,
+    { dress_type, size, fabric_width, unit },
+    { limit: 1, client }
+  );
+  return record || null;
+}
+
+/**
+ * Insert a usage entry
+ * @param {Object} record - Record keyed by column name
+ * @param {Object} [options={}] - { client }
+ * @returns {Promise<Object>} Inserted record
+ */
+async function insert(record, { client = null } = {}) {
+  return addToDB(USAGE_TABLE, record, "*", { client });
+}
+
+/**
+ * Update a usage entry
+ * @param {number} id - Entry ID
+ * @param {Object} changes - Columns to set
+ * @param {Object} [options={}] - { client }
+ * @returns {Promise<Object|null>} Updated record, or null if no such entry
+ */
+async function update(id, changes, { client = null } = {}) {
+  const [record] = await updateInDB(USAGE_TABLE, changes, { id }, "*", {
+    required: false,
+    client,
+  });
+  return record || null;
+}
+
+/**
+ * Delete a usage entry
+ * @param {number} id - Entry ID
+ * @param {Object} [options={}] - { client }
+ * @returns {Promise<Object|null>} Deleted record, or null if no such entry
+ */
+async function remove(id, { client = null } = {}) {
+  const [record] = await deleteFromDB(USAGE_TABLE, { id }, "*", { client });
+  return record || null;
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  findAll,
+  findDressTypes,
+  findById,
+  findByKey,
+  insert,
+  update,
+  remove,
+};
@@ -0,0 +1,123 @@
+/**
+ * Saga Module
+ *
+ * Runs a multi-store operation as a series of steps, each with an optional
+ * compensation that undoes it. When a step fails, the compensations of the
+ * steps that already succeeded run in reverse order and a SagaError reports
+ * which step failed and how each compensation went.
+ * Usage:
+ *   const saga = new Saga('createDesign');
+ *   const upload = await saga.step('upload', () => storage.upload(...),
+ *     (result) => storage.delete(result.key));
+ */
+
+const Logger = require("./logger");
+
+// =============================================================================
+// ERRORS
+// =============================================================================
+
+/**
+ * Raised when a saga step fails, after compensation has run
+ */
+class SagaError extends Error {
+  /**
+   * @param {string} saga - Saga name
+   * @param {string} step - Name of the step that failed
+   * @param {Error} cause - Error thrown by the step
+   * @param {Array<Object>} compensations - [{ step, status, error? }] where
+   *   status is "compensated" or "failed"
+   */
+  constructor(saga, step, cause, compensations) {
+    super(`${saga} failed at step "${step}": ${cause.message}`);
+    this.name = "SagaError";
+    this.saga = saga;
+    this.step = step;
+    this.cause = cause;
+    this.compensations = compensations;
+  }
+
+  /**
+   * True when every completed step was undone
+   * @returns {boolean} Whether the stores were left consistent
+   */
+  get consistent() {
+    return this.compensations.every(({ status }) => status === "compensated");
+  }
+}
+
+// =============================================================================
+// SAGA
+// =============================================================================
+
+class Saga {
+  /**
+   * @param {string} name - Saga name, used in errors and logs
+   * @param {Object} [context={}] - Extra fields for log entries
+   */
+  constructor(name, context = {}) {
+    this.name = name;
+    this.context = context;
+    this.completed = [];
+  }
+
+  /**
+   * Run one step
+   * @param {string} name - Step name reported on failure
+   * @param {Function} action - Async function performing the step
+   * @param {Function} [compensate] - Async function undoing the step; it
+   *   receives the action's result
+   * @returns {Promise<*>} The action's result
+   * @throws {SagaError} If the action fails; earlier steps are compensated first
+   */
+  async step(name, action, compensate = null) {
+    let result;
+    try {
+      result = await action();
+    } catch (error) {
+      Logger.error(`${this.name}: step "${name}" failed`, error, this.context);
+      const compensations = await this.compensate();
+      throw new SagaError(this.name, name, error, compensations);
+    }
+
+    this.completed.push({ name, compensate, result });
+    return result;
+  }
+
+  /**
+   * Undo the completed steps, newest first
+   * A compensation that fails is logged and reported, and the rest still run.
+   * @returns {Promise<Array<Object>>} [{ step, status, error? }]
+   */
+  async compensate() {
+    const report = [];
+
+    for (const { name, compensate, result } of [...this.completed].reverse()) {
+      if (!compensate) continue;
+
+      try {
+        await compensate(result);
+        report.push({ step: name, status: "compensated" });
+      } catch (error) {
+        Logger.error(
+          `${this.name}: compensation for step "${name}" failed`,
+          error,
+          this.context
+        );
+        report.push({ step: name, status: "failed", error: error.message });
+      }
+    }
+
+    this.completed = [];
+    return report;
+  }
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  Saga,
+  SagaError,
+};
@@ -0,0 +1,140 @@
+/**
+ * Saga Module Tests
+ *
+ * Compensation order and reporting when a step fails.
+ * Usage: npm test
+ */
+
+const assert = require("assert");
+const Logger = require("./logger");
+const { Saga, SagaError } = require("./saga");
+
+// =============================================================================
+// TESTS
+// =============================================================================
+
+describe("Saga", () => {
+  let loggerError;
+
+  beforeEach(() => {
+    // Failures are logged on purpose here
+    loggerError = Logger.error;
+    Logger.error = () => {};
+  });
+
+  afterEach(() => {
+    Logger.error = loggerError;
+  });
+
+  it("returns each step's result when every step succeeds", async () => {
+    const saga = new Saga("test");
+    assert.strictEqual(await saga.step("one", async () => 1), 1);
+    assert.strictEqual(await saga.step("two", async () => 2), 2);
+  });
+
+  it("compensates completed steps newest first with their results", async () => {
+    const calls = [];
+    const saga = new Saga("test");
+
+    await saga.step(
+      "upload",
+      async () => "key-1",
+      async (result) => calls.push(["upload", result])
+    );
+    await saga.step("log", async () => "no undo");
+    await saga.step(
+      "insert",
+      async () => 42,
+      async (result) => calls.push(["insert", result])
+    );
+
+    const error = await saga
+      .step("sheet", async () => {
+        throw new Error("quota exceeded");
+      })
+      .catch((caught) => caught);
+
+    assert.ok(error instanceof SagaError);
+    assert.strictEqual(error.step, "sheet");
+    assert.strictEqual(error.cause.message, "quota exceeded");
+    assert.strictEqual(
+      error.message,
+      'test failed at step "sheet": quota exceeded'
+    );
+    assert.deepStrictEqual(calls, [
+      ["insert", 42],
+      ["upload", "key-1"],
+    ]);
+    assert.deepStrictEqual(error.compensations, [
+      { step: "insert", status: "compensated" },
+      { step: "upload", status: "compensated" },
+    ]);
+    assert.strictEqual(error.consistent, true);
+  });
+
+  it("keeps compensating after a compensation fails", async () => {
+    const calls = [];
+    const saga = new Saga("test");
+
+    await saga.step(
+      "upload",
+      async () => "key-1",
+      async () => calls.push("upload")
+    );
+    await saga.step(
+      "insert",
+      async () => 42,
+      async () => {
+        throw new Error("connection lost");
+      }
+    );
+
+    const error = await saga
+      .step("sheet", async () => {
+        throw new Error("quota exceeded");
+      })
+      .catch((caught) => caught);
+
+    assert.deepStrictEqual(calls, ["upload"]);
+    assert.deepStrictEqual(error.compensations, [
+      { step: "insert", status: "failed", error: "connection lost" },
+      { step: "upload", status: "compensated" },
+    ]);
+    assert.strictEqual(error.consistent, false);
+  });
+
+  it("does not compensate the failed step itself", async () => {
+    let undone = false;
+    const saga = new Saga("test");
+
+    const error = await saga
+      .step(
+        "upload",
+        async () => {
+          throw new Error("denied");
+        },
+        async () => {
+          undone = true;
+        }
+      )
+      .catch((caught) => caught);
+
+    assert.strictEqual(undone, false);
+    assert.deepStrictEqual(error.compensations, []);
+    assert.strictEqual(error.consistent, true);
+  });
+
+  it("clears the completed steps once compensated", async () => {
+    let undone = 0;
+    const saga = new Saga("test");
+    await saga.step(
+      "upload",
+      async () => "key-1",
+      async () => undone++
+    );
+
+    await saga.compensate();
+    assert.deepStrictEqual(await saga.compensate(), []);
+    assert.strictEqual(undone, 1);
+  });
+});
@@ -0,0 +1,311 @@
+/**
+ * Sheet Layout Module
+ *
+ * Maps record fields to spreadsheet columns by the header row each sheet has
+ * at runtime, rather than by fixed position, so inserting, moving or adding a
+ * column in the spreadsheet cannot shift data into the wrong field. A header
+ * matches a column when it equals the column's header, field name or one of
+ * its aliases, ignoring case, spaces and punctuation.
+ *
+ * Reads fail when a required column is missing, and writes fail rather than
+ * drop a value that has no column, unless the column is optional.
+ * checkLayout() reports missing, unrecognised and duplicated headers for the
+ * startup check, and which missing columns would make writes fail.
+ * Usage:
+ *   const layout = new SheetLayout('Fabric', headerRow);
+ *   layout.require();
+ *   const fabric = layout.rowToObject(row);
+ */
+
+const {
+  DESIGN_COLUMNS,
+  DESIGN_SHEET_NAME,
+  columnLetter,
+} = require("./designColumns");
+
+// =============================================================================
+// CONFIGURATION & CONSTANTS
+// =============================================================================
+
+const FABRIC_SHEET_NAME = "Fabric";
+const USAGE_SHEET_NAME = "Usage";
+
+// Sheets the API writes rows to; the others are only read
+const WRITTEN_SHEETS = [DESIGN_SHEET_NAME];
+
+// Columns of each sheet. Required columns must be present for reads; the
+// others read as "" when missing. Writes skip optional columns the sheet
+// lacks and fail on any other missing column they have a value for.
+const SHEET_COLUMNS = {
+  [DESIGN_SHEET_NAME]: DESIGN_COLUMNS.map(
+    ({ field, header, aliases, optional }) => ({
+      field,
+      header,
+      aliases,
+      required: field === "designId",
+      optional: Boolean(optional),
+    })
+  ),
+  [FABRIC_SHEET_NAME]: [
+    {
+      field: "fabricType",
+      header: "Fabric_Type",
+      aliases: ["Fabric", "Fabric Name"],
+      required: true,
+    },
+    {
+      field: "costPerMeter",
+      header: "Cost_Per_Meter",
+      aliases: ["Cost Per Metre", "Cost/Meter", "Cost/Metre", "Cost", "Price"],
+      required: true,
+    },
+    { field: "supplier", header: "Supplier" },
+    { field: "description", header: "Description" },
+  ],
+  [USAGE_SHEET_NAME]: [
+    {
+      field: "dressType",
+      header: "Dress_Type",
+      aliases: ["Dress", "Dress Name"],
+      required: true,
+    },
+    {
+      field: "metres",
+      header: "Metres",
+      aliases: ["Meters", "Metres Used", "Usage"],
+      required: true,
+    },
+  ],
+};
+
+// =============================================================================
+// ERRORS
+// =============================================================================
+
+/**
+ * Raised when a sheet's header row lacks columns an operation needs
+ */
+class SheetLayoutError extends Error {
+  /**
+   * @param {string} sheet - Sheet name
+   * @param {Array<Object>} missing - [{ field, header }] with no column
+   */
+  constructor(sheet, missing) {
+    super(
+      `${sheet} sheet has no column for ${missing
+        .map(({ field, header }) => `${field} (header "${header}")`)
+        .join(", ")}`
+    );
+    this.name = "SheetLayoutError";
+    this.sheet = sheet;
+    this.missing = missing;
+  }
+}
+
+// =============================================================================
+// UTILITY FUNCTIONS
+// =============================================================================
+
+/**
+ * Normalise a header for matching
+ * @param {*} text - Header cell value
+ * @returns {string} Lowercase letters and digits only
+ */
+const normalizeHeader = (text) =>
+  String(text === undefined || text === null ? "" : text)
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+
+/**
+ * Names a column may appear under in a header row
+ * @param {Object} column - SHEET_COLUMNS entry
+ * @returns {Array<string>} Normalised names
+ */
+const namesOf = (column) =>
+  [column.header, column.field, ...(column.aliases || [])].map(normalizeHeader);
+
+// =============================================================================
+// MAIN LAYOUT CLASS
+// =============================================================================
+
+class SheetLayout {
+  /**
+   * @param {string} sheet - Key of SHEET_COLUMNS
+   * @param {Array} [headerRow=[]] - Values of the sheet's first row
+   */
+  constructor(sheet, headerRow = []) {
+    if (!SHEET_COLUMNS[sheet]) {
+      throw new Error(`No column definitions for sheet "${sheet}"`);
+    }
+
+    this.sheet = sheet;
+    this.columns = SHEET_COLUMNS[sheet];
+    this.headers = headerRow.map((header) =>
+      header === undefined || header === null ? "" : String(header)
+    );
+    this.indexes = new Map();
+    this.duplicates = [];
+    this.unrecognised = [];
+
+    this.headers.forEach((header, index) => {
+      const name = normalizeHeader(header);
+      if (!name) return;
+
+      const column = this.columns.find((candidate) =>
+        namesOf(candidate).includes(name)
+      );
+      if (!column) {
+        this.unrecognised.push({ column: columnLetter(index), header });
+      } else if (this.indexes.has(column.field)) {
+        // The first matching column wins; later ones are left alone
+        this.duplicates.push({
+          field: column.field,
+          column: columnLetter(index),
+          header,
+        });
+      } else {
+        this.indexes.set(column.field, index);
+      }
+    });
+
+    this.missing = this.columns
+      .filter(({ field }) => !this.indexes.has(field))
+      .map(({ field, header, required, optional }) => ({
+        field,
+        header,
+        required: Boolean(required),
+        optional: Boolean(optional),
+      }));
+  }
+
+  /**
+   * Column letter of a field
+   * @param {string} field - Field name
+   * @returns {string} Column letter
+   * @throws {SheetLayoutError} If the sheet has no column for the field
+   */
+  columnOf(field) {
+    if (!this.indexes.has(field)) {
+      const column = this.columns.find(
+        (candidate) => candidate.field === field
+      );
+      if (!column) {
+        throw new Error(`Unknown ${this.sheet} field "${field}"`);
+      }
+      throw new SheetLayoutError(this.sheet, [column]);
+    }
+    return columnLetter(this.indexes.get(field));
+  }
+
+  /**
+   * Whether writes leave a field out: its column is optional and missing
+   * @param {string} field - Field name
+   * @returns {boolean} True if the field is not written
+   */
+  skipsField(field) {
+    return this.missing.some(
+      (column) => column.field === field && column.optional
+    );
+  }
+
+  /**
+   * Fail unless the given (by default the required) columns are present
+   * @param {Array<string>} [fields] - Field names
+   * @throws {SheetLayoutError} Listing the missing columns
+   */
+  require(fields) {
+    const missing = this.missing.filter(({ field, required }) =>
+      fields ? fields.includes(field) : required
+    );
+    if (missing.length > 0) {
+      throw new SheetLayoutError(this.sheet, missing);
+    }
+  }
+
+  /**
+   * A1 range of one row, across every column the header row has
+   * @param {number} rowNumber - One-based sheet row number
+   * @returns {string} Range, e.g. "Designs!A25:P25"
+   */
+  rowRange(rowNumber) {
+    const last = columnLetter(Math.max(this.headers.length, 1) - 1);
+    return `${this.sheet}!A${rowNumber}:${last}${rowNumber}`;
+  }
+
+  /**
+   * Convert a sheet row to an object
+   * @param {Array} row - Sheet row values
+   * @returns {Object} Values keyed by field name; "" for missing columns
+   */
+  rowToObject(row) {
+    const values = {};
+    for (const { field } of this.columns) {
+      const value = this.indexes.has(field)
+        ? row[this.indexes.get(field)]
+        : undefined;
+      values[field] = value === undefined ? "" : value;
+    }
+    return values;
+  }
+
+  /**
+   * Convert an object to a sheet row as wide as the header row
+   * Columns the layout does not know are left blank, and values of optional
+   * columns the sheet lacks are left out.
+   * @param {Object} values - Values keyed by field name
+   * @returns {Array} Sheet row values
+   * @throws {SheetLayoutError} If a field with a value has no column
+   */
+  objectToRow(values) {
+    this.require(
+      Object.keys(values).filter(
+        (field) =>
+          values[field] !== "" &&
+          values[field] !== undefined &&
+          !this.skipsField(field)
+      )
+    );
+
+    const row = new Array(this.headers.length).fill("");
+    for (const [field, index] of this.indexes) {
+      if (values[field] !== undefined) {
+        row[index] = values[field];
+      }
+    }
+    return row;
+  }
+
+  /**
+   * Describe header problems for the startup check
+   * @returns {Object} { sheet, ok, missing, missingForWrites, unrecognised,
+   *   duplicates }; ok is false when a column other than an optional one is
+   *   missing, or a column is duplicated, and missingForWrites lists the
+   *   missing columns row writes cannot skip
+   */
+  checkLayout() {
+    return {
+      sheet: this.sheet,
+      ok:
+        this.missing.every(({ optional }) => optional) &&
+        this.duplicates.length === 0,
+      missing: this.missing,
+      missingForWrites: WRITTEN_SHEETS.includes(this.sheet)
+        ? this.missing.filter(({ optional }) => !optional)
+        : [],
+      unrecognised: this.unrecognised,
+      duplicates: this.duplicates,
+    };
+  }
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  FABRIC_SHEET_NAME,
+  USAGE_SHEET_NAME,
+  SHEET_COLUMNS,
+  SheetLayoutError,
+  SheetLayout,
+};
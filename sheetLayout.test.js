@@ -0,0 +1,180 @@
+/**
+ * Sheet Layout Module Tests
+ *
+ * Header matching, row conversion both ways, and the startup layout report.
+ * Usage: npm test
+ */
+
+const assert = require("assert");
+const { DESIGN_COLUMNS, DESIGN_SHEET_NAME } = require("./designColumns");
+const {
+  FABRIC_SHEET_NAME,
+  SheetLayout,
+  SheetLayoutError,
+} = require("./sheetLayout");
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+// Designs header row in the usual order
+const DESIGN_HEADERS = DESIGN_COLUMNS.map(({ header }) => header);
+
+/**
+ * Designs header row without some columns
+ * @param {...string} fields - Fields to leave out
+ * @returns {Array<string>} Header row
+ */
+const designHeadersWithout = (...fields) =>
+  DESIGN_COLUMNS.filter(({ field }) => !fields.includes(field)).map(
+    ({ header }) => header
+  );
+
+// =============================================================================
+// TESTS
+// =============================================================================
+
+describe("SheetLayout", () => {
+  describe("header matching", () => {
+    it("finds columns by header, field name or alias in any order", () => {
+      const layout = new SheetLayout(FABRIC_SHEET_NAME, [
+        "Notes",
+        "cost / metre",
+        "FABRIC TYPE",
+        "supplier",
+      ]);
+
+      assert.strictEqual(layout.columnOf("fabricType"), "C");
+      assert.strictEqual(layout.columnOf("costPerMeter"), "B");
+      assert.strictEqual(layout.columnOf("supplier"), "D");
+      assert.deepStrictEqual(layout.unrecognised, [
+        { column: "A", header: "Notes" },
+      ]);
+    });
+
+    it("keeps the first of two columns for one field", () => {
+      const layout = new SheetLayout(FABRIC_SHEET_NAME, [
+        "Fabric_Type",
+        "Price",
+        "Cost",
+      ]);
+
+      assert.strictEqual(layout.columnOf("costPerMeter"), "B");
+      assert.deepStrictEqual(layout.duplicates, [
+        { field: "costPerMeter", column: "C", header: "Cost" },
+      ]);
+    });
+
+    it("fails when a required column is missing", () => {
+      const layout = new SheetLayout(FABRIC_SHEET_NAME, ["Fabric_Type"]);
+      assert.throws(
+        () => layout.require(),
+        (error) =>
+          error instanceof SheetLayoutError &&
+          error.missing.map(({ field }) => field).join() === "costPerMeter"
+      );
+      assert.throws(() => layout.columnOf("supplier"), SheetLayoutError);
+      assert.throws(() => layout.columnOf("colour"), /Unknown Fabric field/);
+    });
+  });
+
+  describe("rows", () => {
+    it("reads a row by header position, blank for missing columns", () => {
+      const layout = new SheetLayout(FABRIC_SHEET_NAME, [
+        "Cost_Per_Meter",
+        "Fabric_Type",
+      ]);
+
+      assert.deepStrictEqual(layout.rowToObject(["12.5", "Silk"]), {
+        fabricType: "Silk",
+        costPerMeter: "12.5",
+        supplier: "",
+        description: "",
+      });
+    });
+
+    it("writes a row as wide as the header row", () => {
+      const layout = new SheetLayout(FABRIC_SHEET_NAME, [
+        "Fabric_Type",
+        "Notes",
+        "Cost_Per_Meter",
+      ]);
+
+      assert.deepStrictEqual(
+        layout.objectToRow({ fabricType: "Silk", costPerMeter: 12.5 }),
+        ["Silk", "", 12.5]
+      );
+      assert.strictEqual(layout.rowRange(4), "Fabric!A4:C4");
+    });
+
+    it("refuses to drop a value that has no column", () => {
+      const layout = new SheetLayout(FABRIC_SHEET_NAME, [
+        "Fabric_Type",
+        "Cost_Per_Meter",
+      ]);
+
+      assert.throws(
+        () => layout.objectToRow({ fabricType: "Silk", supplier: "Acme" }),
+        SheetLayoutError
+      );
+      assert.deepStrictEqual(
+        layout.objectToRow({ fabricType: "Silk", supplier: "" }),
+        ["Silk", ""]
+      );
+    });
+
+    it("leaves out optional columns the sheet lacks", () => {
+      const layout = new SheetLayout(
+        DESIGN_SHEET_NAME,
+        designHeadersWithout("status")
+      );
+
+      assert.strictEqual(layout.skipsField("status"), true);
+      assert.strictEqual(layout.skipsField("client"), false);
+      const row = layout.objectToRow({ designId: "D-1", status: "review" });
+      assert.strictEqual(row.length, DESIGN_HEADERS.length - 1);
+      assert.strictEqual(row[0], "D-1");
+    });
+  });
+
+  describe("checkLayout", () => {
+    it("passes a complete sheet", () => {
+      const report = new SheetLayout(
+        DESIGN_SHEET_NAME,
+        DESIGN_HEADERS
+      ).checkLayout();
+      assert.strictEqual(report.ok, true);
+      assert.deepStrictEqual(report.missing, []);
+      assert.deepStrictEqual(report.missingForWrites, []);
+    });
+
+    it("passes a Designs sheet made before the Status column", () => {
+      const report = new SheetLayout(
+        DESIGN_SHEET_NAME,
+        designHeadersWithout("status")
+      ).checkLayout();
+      assert.strictEqual(report.ok, true);
+      assert.deepStrictEqual(report.missingForWrites, []);
+    });
+
+    it("lists the missing columns Designs writes need", () => {
+      const report = new SheetLayout(
+        DESIGN_SHEET_NAME,
+        designHeadersWithout("comments", "status")
+      ).checkLayout();
+      assert.strictEqual(report.ok, false);
+      assert.deepStrictEqual(
+        report.missingForWrites.map(({ field }) => field),
+        ["comments"]
+      );
+    });
+
+    it("never blocks writes for sheets the API only reads", () => {
+      const report = new SheetLayout(FABRIC_SHEET_NAME, [
+        "Fabric_Type",
+      ]).checkLayout();
+      assert.strictEqual(report.ok, false);
+      assert.deepStrictEqual(report.missingForWrites, []);
+    });
+  });
+});
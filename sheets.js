@@ -0,0 +1,580 @@
+/**
+ * Google Sheets Module
+ *
+ * ApparelSheetsManager wraps every read and write against the apparel
+ * spreadsheet: designs, fabric costs and dress usage. API calls go through a
+ * SheetsClient, which retries transient failures, limits concurrency and
+ * batches range reads. Given a SheetsCache, reads are served from it and
+ * writes invalidate the entries they touch. Columns are found by the header
+ * row of each sheet (see sheetLayout.js): reads take it from the rows they
+ * fetch, and writes read it afresh first.
+ * Usage: const ApparelSheetsManager = require('./sheets');
+ */
+
+const { google } = require("googleapis");
+const Logger = require("./logger");
+const {
+  DESIGN_SHEET_NAME,
+  columnLetter,
+  designRowRange,
+  rowNumberFromRange,
+  rowToDesign,
+  designToRow,
+} = require("./designColumns");
+const { METADATA_GROUP } = require("./sheetsCache");
+const { SheetsClient } = require("./sheetsClient");
+const {
+  FABRIC_SHEET_NAME,
+  USAGE_SHEET_NAME,
+  SHEET_COLUMNS,
+  SheetLayout,
+} = require("./sheetLayout");
+
+/**
+ * ApparelSheetsManager
+ *
+ * Main class for managing apparel design data with Google Sheets integration.
+ * Image storage is delegated to the configured storage driver.
+ * Uses Google Service Account for all sheet operations (both read and write).
+ */
+class ApparelSheetsManager {
+  /**
+   * Initialize the ApparelSheetsManager
+   *
+   * @param {string} spreadsheetId - Google Sheets spreadsheet ID
+   * @param {string|Object} serviceAccountCredentials - Service account credentials
+   * @param {BaseStorage} storage - Image storage driver used for signed URLs
+   * @param {SheetsCache} [cache=null] - Cache for reads; reads go straight to
+   *   the API without one
+   */
+  constructor(spreadsheetId, serviceAccountCredentials, storage, cache = null) {
+    this.spreadsheetId = spreadsheetId;
+    this.serviceAccountCredentials = serviceAccountCredentials;
+    this.auth = null;
+    this.sheets = null;
+    this.client = null;
+
+    this.storage = storage;
+    this.cache = cache;
+  }
+
+  /**
+   * Read through the cache when there is one
+   * @param {string} key - Cache key; an A1 range or a metadata key
+   * @param {Function} loader - async () => value read from the API
+   * @returns {Promise<*>} Value
+   */
+  async cached(key, loader) {
+    return this.cache ? this.cache.wrap(key, loader) : loader();
+  }
+
+  /**
+   * Read the values of a range
+   * @param {string} range - A1 range
+   * @returns {Promise<Array<Array>>} Rows of cell values
+   */
+  async readValues(range) {
+    return this.cached(range, async () => {
+      await this.initializeAuth();
+      return this.client.getValues(range);
+    });
+  }
+
+  /**
+   * Drop cached reads of the Designs sheet after a write, along with the
+   * spreadsheet metadata
+   */
+  invalidateDesigns() {
+    if (this.cache) {
+      this.cache.invalidate([DESIGN_SHEET_NAME, METADATA_GROUP]);
+    }
+  }
+
+  /**
+   * Read a sheet's header row, bypassing the cache
+   * @param {string} sheet - Sheet name, a key of SHEET_COLUMNS
+   * @returns {Promise<SheetLayout>} Layout of the sheet as it is now
+   */
+  async getLayout(sheet) {
+    await this.initializeAuth();
+    const [headerRow = []] = await this.client.getValues(`${sheet}!1:1`);
+    return new SheetLayout(sheet, headerRow);
+  }
+
+  /**
+   * Read a whole sheet and its layout
+   * @param {string} sheet - Sheet name, a key of SHEET_COLUMNS
+   * @returns {Promise<Object>} { layout, rows } with rows after the header
+   * @throws {SheetLayoutError} If a required column is missing
+   */
+  async readSheet(sheet) {
+    const [headerRow = [], ...rows] = await this.readValues(sheet);
+    const layout = new SheetLayout(sheet, headerRow);
+    layout.require();
+    return { layout, rows };
+  }
+
+  /**
+   * Check the header row of every sheet, for the startup check
+   * @returns {Promise<Array<Object>>} SheetLayout.checkLayout() per sheet
+   */
+  async checkLayouts() {
+    const layouts = await Promise.all(
+      Object.keys(SHEET_COLUMNS).map((sheet) => this.getLayout(sheet))
+    );
+    return layouts.map((layout) => layout.checkLayout());
+  }
+
+  /**
+   * Initialize Google Sheets authentication using service account
+   * Required for both read and write operations to Google Sheets
+   *
+   * @throws {Error} If service account credentials are invalid or missing
+   */
+  async initializeAuth() {
+    if (this.auth && this.client) {
+      return;
+    }
+
+    if (!this.serviceAccountCredentials) {
+      const error = new Error(
+        "Service account credentials are required for Sheets operations"
+      );
+      Logger.error("Missing service account credentials", error);
+      throw error;
+    }
+
+    try {
+      const credentials =
+        typeof this.serviceAccountCredentials === "string"
+          ? JSON.parse(this.serviceAccountCredentials)
+          : this.serviceAccountCredentials;
+
+      const googleAuth = new google.auth.GoogleAuth({
+        credentials,
+        scopes: ["https://www.googleapis.com/auth/spreadsheets"],
+      });
+
+      const authClient = await googleAuth.getClient();
+      this.auth = authClient;
+      this.sheets = google.sheets({ version: "v4", auth: this.auth });
+      this.client = new SheetsClient({
+        sheets: this.sheets,
+        spreadsheetId: this.spreadsheetId,
+      });
+    } catch (error) {
+      Logger.error("Failed to initialize Google Sheets API", error);
+      throw new Error(
+        `Failed to initialize Google Sheets API: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Append a design row to the Designs sheet
+   * @param {Object} design - Design keyed by DESIGN_COLUMNS field names
+   * @returns {Promise<Object>} Sheet update result
+   */
+  async addDesign(design) {
+    await this.initializeAuth();
+
+    try {
+      const layout = await this.getLayout(DESIGN_SHEET_NAME);
+      const values = [designToRow(design, layout)];
+
+      // A repeated append adds a second row, so only retry when the first
+      // attempt was certainly rejected
+      const response = await this.client.request(
+        "values.append",
+        () =>
+          this.sheets.spreadsheets.values.append({
+            spreadsheetId: this.spreadsheetId,
+            range: DESIGN_SHEET_NAME,
+            valueInputOption: "RAW",
+            resource: {
+              values: values,
+            },
+          }),
+        { idempotent: false }
+      );
+
+      // Report the canonical range, which is stored as the record's rowid,
+      // however wide the sheet is
+      return {
+        updatedRows: response.data.updates.updatedRows,
+        updatedRange: designRowRange(
+          rowNumberFromRange(response.data.updates.updatedRange)
+        ),
+      };
+    } catch (error) {
+      Logger.error("Failed to add design to sheet", error, design);
+      throw new Error(`Failed to add design to sheet: ${error.message}`);
+    } finally {
+      this.invalidateDesigns();
+    }
+  }
+
+  /**
+   * Overwrite one design row in the Designs sheet
+   * Only the design columns are written; other columns keep their values.
+   * @param {number} rowNumber - One-based sheet row number
+   * @param {Object} design - Design keyed by DESIGN_COLUMNS field names
+   * @returns {Promise<Object>} Sheet update result
+   */
+  async updateDesignRow(rowNumber, design) {
+    try {
+      const layout = await this.getLayout(DESIGN_SHEET_NAME);
+      const row = designToRow(design, layout);
+      const data = [...layout.indexes.values()].map((index) => ({
+        range: `${DESIGN_SHEET_NAME}!${columnLetter(index)}${rowNumber}`,
+        values: [[row[index]]],
+      }));
+
+      const response = await this.client.request("values.batchUpdate", () =>
+        this.sheets.spreadsheets.values.batchUpdate({
+          spreadsheetId: this.spreadsheetId,
+          resource: {
+            valueInputOption: "RAW",
+            data,
+          },
+        })
+      );
+
+      return {
+        updatedCells: response.data.totalUpdatedCells,
+        updatedRange: layout.rowRange(rowNumber),
+      };
+    } catch (error) {
+      Logger.error("Failed to update design row in sheet", error, {
+        rowNumber,
+        designId: design.designId,
+      });
+      throw new Error(`Failed to update design row: ${error.message}`);
+    } finally {
+      this.invalidateDesigns();
+    }
+  }
+
+  /**
+   * Read one design row
+   * Always read from the API: the update saga restores this snapshot if a
+   * later step fails, so it must not be stale.
+   * @param {number} rowNumber - One-based sheet row number
+   * @returns {Promise<Object>} Design keyed by DESIGN_COLUMNS field names
+   */
+  async getDesignRow(rowNumber) {
+    await this.initializeAuth();
+
+    try {
+      // Both reads go out in one batch
+      const [layout, [row = []]] = await Promise.all([
+        this.getLayout(DESIGN_SHEET_NAME),
+        this.client.getValues(`${DESIGN_SHEET_NAME}!${rowNumber}:${rowNumber}`),
+      ]);
+      return rowToDesign(row, layout);
+    } catch (error) {
+      Logger.error("Failed to read design row from sheet", error, {
+        rowNumber,
+      });
+      throw new Error(`Failed to read design row: ${error.message}`);
+    }
+  }
+
+  /**
+   * Blank out one design row, e.g. to undo an append
+   * The row is left in place so the rows below keep their numbers. Every
+   * column is cleared, including ones the layout does not know.
+   * @param {number} rowNumber - One-based sheet row number
+   * @returns {Promise<Object>} Sheet clear result
+   */
+  async clearDesignRow(rowNumber) {
+    await this.initializeAuth();
+
+    try {
+      const response = await this.client.request("values.clear", () =>
+        this.sheets.spreadsheets.values.clear({
+          spreadsheetId: this.spreadsheetId,
+          range: `${DESIGN_SHEET_NAME}!${rowNumber}:${rowNumber}`,
+        })
+      );
+
+      return { clearedRange: response.data.clearedRange };
+    } catch (error) {
+      Logger.error("Failed to clear design row in sheet", error, {
+        rowNumber,
+      });
+      throw new Error(`Failed to clear design row: ${error.message}`);
+    } finally {
+      this.invalidateDesigns();
+    }
+  }
+
+  /**
+   * Get the numeric ID of a sheet, which formatting requests address it by
+   * @param {string} sheet - Sheet name
+   * @returns {Promise<number>} Sheet ID
+   * @throws {Error} If the spreadsheet has no sheet of that name
+   */
+  async getSheetId(sheet) {
+    const sheetIds = await this.cached(
+      `${METADATA_GROUP}!sheetIds`,
+      async () => {
+        await this.initializeAuth();
+        const response = await this.client.request("spreadsheets.get", () =>
+          this.sheets.spreadsheets.get({
+            spreadsheetId: this.spreadsheetId,
+            fields: "sheets(properties(sheetId,title))",
+          })
+        );
+        return Object.fromEntries(
+          response.data.sheets.map(({ properties }) => [
+            properties.title,
+            properties.sheetId,
+          ])
+        );
+      }
+    );
+
+    if (sheetIds[sheet] === undefined) {
+      throw new Error(`Spreadsheet has no sheet named "${sheet}"`);
+    }
+    return sheetIds[sheet];
+  }
+
+  /**
+   * Strike one design row through, or take the strike-through off again, to
+   * mark a soft-deleted design without moving the rows below
+   * @param {number} rowNumber - One-based sheet row number
+   * @param {boolean} struck - True to strike the row through
+   * @returns {Promise<Object>} { rowNumber, struck }
+   */
+  async setDesignRowStruck(rowNumber, struck) {
+    await this.initializeAuth();
+
+    try {
+      const sheetId = await this.getSheetId(DESIGN_SHEET_NAME);
+      await this.client.request("spreadsheets.batchUpdate", () =>
+        this.sheets.spreadsheets.batchUpdate({
+          spreadsheetId: this.spreadsheetId,
+          resource: {
+            requests: [
+              {
+                repeatCell: {
+                  range: {
+                    sheetId,
+                    startRowIndex: rowNumber - 1,
+                    endRowIndex: rowNumber,
+                  },
+                  cell: {
+                    userEnteredFormat: {
+                      textFormat: { strikethrough: struck },
+                    },
+                  },
+                  fields: "userEnteredFormat.textFormat.strikethrough",
+                },
+              },
+            ],
+          },
+        })
+      );
+
+      return { rowNumber, struck };
+    } catch (error) {
+      Logger.error("Failed to format design row in sheet", error, {
+        rowNumber,
+        struck,
+      });
+      throw new Error(`Failed to format design row: ${error.message}`);
+    } finally {
+      this.invalidateDesigns();
+    }
+  }
+
+  /**
+   * Overwrite some cells of one design row, leaving the other columns as they are
+   * Fields of optional columns the sheet lacks are left out.
+   * @param {number} rowNumber - One-based sheet row number
+   * @param {Object} fields - Values keyed by DESIGN_COLUMNS field names
+   * @returns {Promise<Object>} Sheet update result
+   */
+  async updateDesignFields(rowNumber, fields) {
+    try {
+      const layout = await this.getLayout(DESIGN_SHEET_NAME);
+      const data = Object.entries(fields)
+        .filter(([field]) => !layout.skipsField(field))
+        .map(([field, value]) => {
+          const cell = `${DESIGN_SHEET_NAME}!${layout.columnOf(field)}${rowNumber}`;
+          return { range: cell, values: [[value === null ? "" : value]] };
+        });
+
+      const response = await this.client.request("values.batchUpdate", () =>
+        this.sheets.spreadsheets.values.batchUpdate({
+          spreadsheetId: this.spreadsheetId,
+          resource: {
+            valueInputOption: "RAW",
+            data,
+          },
+        })
+      );
+
+      return {
+        updatedCells: response.data.totalUpdatedCells,
+        updatedRanges: data.map(({ range }) => range),
+      };
+    } catch (error) {
+      Logger.error("Failed to update design fields in sheet", error, {
+        rowNumber,
+        fields: Object.keys(fields),
+      });
+      throw new Error(`Failed to update design fields: ${error.message}`);
+    } finally {
+      this.invalidateDesigns();
+    }
+  }
+
+  /**
+   * Get all designs from the Designs sheet
+   * @param {number} limit - Maximum number of designs to return
+   * @param {boolean} includeSignedUrls - Whether to generate signed URLs
+   * @returns {Promise<Array>} Designs keyed by DESIGN_COLUMNS field names,
+   *   each with the one-based sheet rowNumber it was read from
+   */
+  async getDesigns(limit = null, includeSignedUrls = false) {
+    try {
+      const { layout, rows } = await this.readSheet(DESIGN_SHEET_NAME);
+
+      // Rows follow the header row; sheet rows are one-based
+      let designs = rows
+        .map((row, index) => ({
+          rowNumber: index + 2,
+          ...rowToDesign(row, layout),
+        }))
+        .filter((design) => design.designId !== "" || design.client !== "");
+
+      // Generate signed URLs if requested
+      if (includeSignedUrls) {
+        for (let design of designs) {
+          if (design.referenceImages3Key) {
+            try {
+              design.signedUrl = await this.storage.getSignedUrl(
+                design.referenceImages3Key
+              );
+            } catch (error) {
+              Logger.error("Failed to generate signed URL", error, {
+                designId: design.designId,
+                s3Key: design.referenceImages3Key,
+              });
+              design.signedUrl = null;
+            }
+          }
+        }
+      }
+
+      // Apply limit if specified
+      if (limit && limit > 0) {
+        designs = designs.slice(0, limit);
+      }
+
+      return designs;
+    } catch (error) {
+      Logger.error("Error getting designs from sheet", error);
+      throw new Error(`Error getting designs: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get all fabric costs from Google Sheets using Service Account
+   * @returns {Promise<Object>} Fabric costs data
+   */
+  async getFabricCosts() {
+    try {
+      const { layout, rows } = await this.readSheet(FABRIC_SHEET_NAME);
+      const fabricCosts = {};
+
+      rows.forEach((row) => {
+        const fabric = layout.rowToObject(row);
+        if (fabric.fabricType) {
+          fabricCosts[fabric.fabricType] = {
+            costPerMeter: parseFloat(fabric.costPerMeter) || 0,
+            supplier: fabric.supplier,
+            description: fabric.description,
+          };
+        }
+      });
+
+      return fabricCosts;
+    } catch (error) {
+      Logger.error("Error getting fabric costs from sheet", error);
+      throw new Error(`Error getting fabric costs: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get fabric usage data from Google Sheets using Service Account
+   * @returns {Promise<Object>} Fabric usage data
+   */
+  async getFabricUsage() {
+    try {
+      const { layout, rows } = await this.readSheet(USAGE_SHEET_NAME);
+      const dressMetreUsage = {};
+
+      rows.forEach((row) => {
+        const usage = layout.rowToObject(row);
+        if (usage.dressType) {
+          dressMetreUsage[usage.dressType] = {
+            metres: parseFloat(usage.metres) || 0,
+          };
+        }
+      });
+
+      return dressMetreUsage;
+    } catch (error) {
+      Logger.error("Error getting fabric usage from sheet", error);
+      throw new Error(`Error getting fabric usage: ${error.message}`);
+    }
+  }
+
+  /**
+   * Test connection to Google Sheets
+   * @returns {Promise<Object>} Connection test result
+   */
+  async testConnection() {
+    try {
+      // Try to get spreadsheet metadata; a cached copy counts as connected.
+      // One retry at most, so a health probe answers promptly.
+      const metadata = await this.cached(
+        `${METADATA_GROUP}!spreadsheet`,
+        async () => {
+          await this.initializeAuth();
+          const response = await this.client.request(
+            "spreadsheets.get",
+            () =>
+              this.sheets.spreadsheets.get({
+                spreadsheetId: this.spreadsheetId,
+                fields: "properties(title,timeZone),sheets(properties(title))",
+              }),
+            { maxRetries: 1 }
+          );
+          return response.data;
+        }
+      );
+
+      return {
+        connected: true,
+        spreadsheetTitle: metadata.properties.title,
+        sheetCount: metadata.sheets.length,
+        lastModified: metadata.properties.timeZone,
+        requests: this.client ? this.client.stats() : null,
+      };
+    } catch (error) {
+      Logger.error("Google Sheets connection test failed", error);
+      return {
+        connected: false,
+        error: error.message,
+        requests: this.client ? this.client.stats() : null,
+      };
+    }
+  }
+}
+
+module.exports = ApparelSheetsManager;
@@ -0,0 +1,248 @@
+/**
+ * Sheets Cache Module
+ *
+ * In-memory cache in front of ApparelSheetsManager reads, so health probes,
+ * imports, the design sync and the image GC do not spend the Sheets API read
+ * quota. Header rows are read past it, so writes and the startup layout check
+ * always see the columns the sheet has now. Entries are keyed by A1 range;
+ * the part before "!" names the group that sets the entry's TTL and that
+ * invalidation works on. Spreadsheet metadata (title, sheet IDs) is kept in
+ * the "metadata" group.
+ *
+ * Each entry carries a hash of its value and the time the value last changed.
+ * A reload after expiry or invalidation that reads the same data keeps the
+ * earlier lastModified, so it only moves when the sheet's data does.
+ *
+ * TTLs are in seconds and configured by environment:
+ *   SHEETS_CACHE_TTL   default for every group (300)
+ *   SHEETS_CACHE_TTLS  per-group overrides, e.g. "Designs=30,Fabric=600"
+ * A TTL of 0 turns caching off for the group.
+ * Usage:
+ *   const cache = new SheetsCache();
+ *   const rows = await cache.wrap('Fabric!A:D', () => readFromSheets());
+ *   cache.invalidate(['Designs']);
+ */
+
+const crypto = require("crypto");
+const Logger = require("./logger");
+
+// =============================================================================
+// CONFIGURATION & CONSTANTS
+// =============================================================================
+
+const DEFAULT_TTL_SECONDS = 300;
+
+// Designs change through the API and by hand, so they expire sooner
+const DEFAULT_GROUP_TTLS = {
+  Designs: 30,
+  metadata: 60,
+};
+
+const METADATA_GROUP = "metadata";
+
+// POST /api/cache/invalidate body
+const CACHE_INVALIDATE_SCHEMA = {
+  sheets: {
+    type: "array",
+    items: { type: "string", maxLength: 100 },
+    description:
+      "Sheet names (or the metadata group) to drop; every entry when omitted",
+  },
+};
+
+// =============================================================================
+// UTILITY FUNCTIONS
+// =============================================================================
+
+/**
+ * Read the configured TTLs
+ * @returns {Object} { defaultTtl, groups } in seconds
+ */
+const getConfiguredTtls = () => {
+  const configured = parseFloat(process.env.SHEETS_CACHE_TTL);
+  const groups = { ...DEFAULT_GROUP_TTLS };
+
+  for (const pair of (process.env.SHEETS_CACHE_TTLS || "").split(",")) {
+    const [group, seconds] = pair.split("=").map((part) => part.trim());
+    if (!group) continue;
+    const ttl = parseFloat(seconds);
+    if (Number.isFinite(ttl) && ttl >= 0) {
+      groups[group] = ttl;
+    } else {
+      Logger.warn("Ignoring invalid SHEETS_CACHE_TTLS entry", { entry: pair });
+    }
+  }
+
+  return {
+    defaultTtl: configured >= 0 ? configured : DEFAULT_TTL_SECONDS,
+    groups,
+  };
+};
+
+/**
+ * Group of a cache key: the sheet name of an A1 range
+ * @param {string} key - Cache key
+ * @returns {string} Group name, without quotes
+ */
+const groupOf = (key) => key.split("!")[0].replace(/^'|'$/g, "");
+
+/**
+ * Fingerprint a cached value
+ * @param {*} value - JSON-serialisable value
+ * @returns {string} SHA-1 hex digest
+ */
+const hashValue = (value) =>
+  crypto
+    .createHash("sha1")
+    .update(JSON.stringify(value === undefined ? null : value))
+    .digest("hex");
+
+// =============================================================================
+// MAIN CACHE CLASS
+// =============================================================================
+
+class SheetsCache {
+  /**
+   * @param {Object} [ttls=getConfiguredTtls()] - { defaultTtl, groups } in seconds
+   */
+  constructor(ttls = getConfiguredTtls()) {
+    this.ttls = ttls;
+    this.entries = new Map();
+    // Key -> { hash, lastModified } of the last value loaded, kept past
+    // invalidation
+    this.versions = new Map();
+    this.pending = new Map();
+    // Bumped on every invalidation so reads already in flight are not stored
+    this.generation = 0;
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  /**
+   * TTL of a key's group
+   * @param {string} key - Cache key
+   * @returns {number} Seconds
+   */
+  ttlFor(key) {
+    const group = groupOf(key);
+    return group in this.ttls.groups
+      ? this.ttls.groups[group]
+      : this.ttls.defaultTtl;
+  }
+
+  /**
+   * Return a cached value, loading and storing it when missing or expired
+   * Concurrent misses for the same key share one load. Failed loads are not
+   * cached.
+   * @param {string} key - Cache key, usually an A1 range
+   * @param {Function} loader - async () => value
+   * @returns {Promise<*>} Value
+   */
+  async wrap(key, loader) {
+    const entry = this.entries.get(key);
+    if (entry && entry.expiresAt > Date.now()) {
+      this.hits++;
+      return entry.value;
+    }
+
+    if (this.pending.has(key)) {
+      return this.pending.get(key);
+    }
+
+    this.misses++;
+    const generation = this.generation;
+    const load = (async () => {
+      try {
+        const value = await loader();
+        const ttl = this.ttlFor(key);
+        if (ttl > 0 && generation === this.generation) {
+          this.store(key, value, ttl);
+        }
+        return value;
+      } finally {
+        this.pending.delete(key);
+      }
+    })();
+
+    this.pending.set(key, load);
+    return load;
+  }
+
+  /**
+   * Store a value, keeping its lastModified when the data did not change
+   * @param {string} key - Cache key
+   * @param {*} value - Loaded value
+   * @param {number} ttl - Seconds to keep it
+   */
+  store(key, value, ttl) {
+    const now = Date.now();
+    const hash = hashValue(value);
+    const previous = this.versions.get(key);
+    const lastModified =
+      previous && previous.hash === hash
+        ? previous.lastModified
+        : new Date(now);
+
+    this.versions.set(key, { hash, lastModified });
+    this.entries.set(key, {
+      value,
+      hash,
+      lastModified,
+      cachedAt: new Date(now),
+      expiresAt: now + ttl * 1000,
+    });
+  }
+
+  /**
+   * Drop cached entries
+   * @param {Array<string>} [groups] - Sheet names or groups; all when empty
+   * @returns {Array<string>} Keys that were dropped
+   */
+  invalidate(groups = []) {
+    this.generation++;
+    const names = new Set(groups.map((group) => groupOf(group)));
+    const dropped = [];
+
+    for (const key of this.entries.keys()) {
+      if (names.size === 0 || names.has(groupOf(key))) {
+        this.entries.delete(key);
+        dropped.push(key);
+      }
+    }
+
+    if (dropped.length > 0) {
+      Logger.info("Sheets cache invalidated", { groups, dropped });
+    }
+    return dropped;
+  }
+
+  /**
+   * Describe the cache for monitoring
+   * @returns {Object} { hits, misses, ttls, entries }
+   */
+  stats() {
+    const now = Date.now();
+    return {
+      hits: this.hits,
+      misses: this.misses,
+      ttls: { default: this.ttls.defaultTtl, ...this.ttls.groups },
+      entries: [...this.entries].map(([key, entry]) => ({
+        key,
+        hash: entry.hash,
+        lastModified: entry.lastModified.toISOString(),
+        cachedAt: entry.cachedAt.toISOString(),
+        expiresIn: Math.max(0, Math.round((entry.expiresAt - now) / 1000)),
+      })),
+    };
+  }
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  METADATA_GROUP,
+  CACHE_INVALIDATE_SCHEMA,
+  SheetsCache,
+};
@@ -0,0 +1,117 @@
+/**
+ * Sheets Cache Module Tests
+ *
+ * TTLs per sheet, invalidation, and the hash and lastModified each entry
+ * carries.
+ * Usage: npm test
+ */
+
+const assert = require("assert");
+const { SheetsCache } = require("./sheetsCache");
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Loader returning the values it is given in turn, counting its calls
+ * @param {...*} values - Values to return, the last one repeated
+ * @returns {Function} Loader whose calls property counts loads
+ */
+const loaderOf = (...values) => {
+  const loader = async () => {
+    loader.calls++;
+    return values[Math.min(loader.calls, values.length) - 1];
+  };
+  loader.calls = 0;
+  return loader;
+};
+
+/**
+ * Entry stats of one key
+ * @param {SheetsCache} cache - Cache
+ * @param {string} key - Cache key
+ * @returns {Object|undefined} Entry from stats()
+ */
+const entryOf = (cache, key) =>
+  cache.stats().entries.find((entry) => entry.key === key);
+
+// =============================================================================
+// TESTS
+// =============================================================================
+
+describe("SheetsCache", () => {
+  let cache;
+
+  beforeEach(() => {
+    cache = new SheetsCache({ defaultTtl: 300, groups: { Designs: 0 } });
+  });
+
+  it("serves repeated reads from the cache until invalidated", async () => {
+    const loader = loaderOf([["Cotton", 120]]);
+
+    await cache.wrap("Fabric!A:D", loader);
+    const value = await cache.wrap("Fabric!A:D", loader);
+
+    assert.deepStrictEqual(value, [["Cotton", 120]]);
+    assert.strictEqual(loader.calls, 1);
+    assert.deepStrictEqual(cache.invalidate(["'Fabric'"]), ["Fabric!A:D"]);
+
+    await cache.wrap("Fabric!A:D", loader);
+    assert.strictEqual(loader.calls, 2);
+  });
+
+  it("shares one load between concurrent misses and skips groups with a TTL of 0", async () => {
+    const fabric = loaderOf([]);
+    await Promise.all([
+      cache.wrap("Fabric!A:D", fabric),
+      cache.wrap("Fabric!A:D", fabric),
+    ]);
+    assert.strictEqual(fabric.calls, 1);
+
+    const designs = loaderOf([]);
+    await cache.wrap("Designs!A:O", designs);
+    await cache.wrap("Designs!A:O", designs);
+    assert.strictEqual(designs.calls, 2);
+    assert.strictEqual(entryOf(cache, "Designs!A:O"), undefined);
+  });
+
+  it("does not store a read that was in flight when the cache was invalidated", async () => {
+    let finish;
+    const pending = cache.wrap(
+      "Fabric!A:D",
+      () => new Promise((resolve) => (finish = resolve))
+    );
+
+    cache.invalidate();
+    finish([["Old", 1]]);
+    await pending;
+
+    assert.strictEqual(entryOf(cache, "Fabric!A:D"), undefined);
+  });
+
+  it("keeps lastModified across reloads of unchanged data", async () => {
+    const loader = loaderOf(
+      [["Cotton", 120]],
+      [["Cotton", 120]],
+      [["Cotton", 130]]
+    );
+
+    await cache.wrap("Fabric!A:D", loader);
+    const first = entryOf(cache, "Fabric!A:D");
+    await new Promise((resolve) => setTimeout(resolve, 5));
+
+    cache.invalidate(["Fabric"]);
+    await cache.wrap("Fabric!A:D", loader);
+    const unchanged = entryOf(cache, "Fabric!A:D");
+    assert.strictEqual(unchanged.hash, first.hash);
+    assert.strictEqual(unchanged.lastModified, first.lastModified);
+    assert.notStrictEqual(unchanged.cachedAt, first.cachedAt);
+
+    cache.invalidate(["Fabric"]);
+    await cache.wrap("Fabric!A:D", loader);
+    const changed = entryOf(cache, "Fabric!A:D");
+    assert.notStrictEqual(changed.hash, first.hash);
+    assert.notStrictEqual(changed.lastModified, first.lastModified);
+  });
+});
@@ -0,0 +1,383 @@
+/**
+ * Sheets Client Module
+ *
+ * Wraps calls to the Google Sheets and Drive APIs with:
+ *   - a limit on concurrent requests, so bursts queue instead of tripping
+ *     the per-minute quota
+ *   - retries of transient failures (429, 5xx, dropped connections) with
+ *     exponential backoff and full jitter, waiting at least as long as a
+ *     Retry-After header asks
+ *   - coalescing of range reads started close together into one
+ *     spreadsheets.values.batchGet
+ * Retries and requests that queued for a slot are logged as warnings.
+ *
+ * Configured by environment:
+ *   SHEETS_MAX_CONCURRENCY  concurrent requests (4)
+ *   SHEETS_MAX_RETRIES      retries after the first attempt (5)
+ *   SHEETS_RETRY_BASE_MS    first backoff ceiling (500), doubled per retry
+ *   SHEETS_RETRY_MAX_MS     largest backoff ceiling (30000)
+ *   SHEETS_BATCH_WINDOW_MS  how long reads wait for others to batch with (5)
+ * Usage:
+ *   const client = new SheetsClient({ sheets, spreadsheetId });
+ *   const rows = await client.getValues('Fabric!A:D');
+ *   await client.request('values.append', () => sheets.spreadsheets.values.append(...),
+ *     { idempotent: false });
+ */
+
+const Logger = require("./logger");
+
+// =============================================================================
+// CONFIGURATION & CONSTANTS
+// =============================================================================
+
+const DEFAULTS = {
+  maxConcurrency: 4,
+  maxRetries: 5,
+  baseDelayMs: 500,
+  maxDelayMs: 30000,
+  batchWindowMs: 5,
+};
+
+// A Retry-After longer than this fails the call rather than hold the request
+const MAX_RETRY_AFTER_MS = 60000;
+
+// Queue waits at least this long are logged as throttling
+const THROTTLE_LOG_MS = 1000;
+
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+const RETRYABLE_NETWORK_CODES = [
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ETIMEDOUT",
+  "ESOCKETTIMEDOUT",
+  "EAI_AGAIN",
+  "EPIPE",
+];
+
+// Failures after which a request that is not idempotent (an append) is known
+// not to have been applied, so it can be sent again without duplicating rows
+const UNAPPLIED_STATUSES = [429];
+const UNAPPLIED_NETWORK_CODES = ["ECONNREFUSED", "EAI_AGAIN"];
+
+// =============================================================================
+// UTILITY FUNCTIONS
+// =============================================================================
+
+/**
+ * Read a positive number from the environment
+ * @param {string} name - Variable name
+ * @param {number} fallback - Value when unset or invalid
+ * @returns {number} Configured value
+ */
+const envNumber = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return value >= 0 ? value : fallback;
+};
+
+/**
+ * Read the client options from the environment
+ * @returns {Object} Options for SheetsClient
+ */
+const getConfiguredOptions = () => ({
+  maxConcurrency: Math.max(
+    1,
+    envNumber("SHEETS_MAX_CONCURRENCY", DEFAULTS.maxConcurrency)
+  ),
+  maxRetries: envNumber("SHEETS_MAX_RETRIES", DEFAULTS.maxRetries),
+  baseDelayMs: envNumber("SHEETS_RETRY_BASE_MS", DEFAULTS.baseDelayMs),
+  maxDelayMs: envNumber("SHEETS_RETRY_MAX_MS", DEFAULTS.maxDelayMs),
+  batchWindowMs: envNumber("SHEETS_BATCH_WINDOW_MS", DEFAULTS.batchWindowMs),
+});
+
+/**
+ * HTTP status of a failed googleapis call
+ * @param {Error} error - Error thrown by googleapis (gaxios)
+ * @returns {number|null} Status code
+ */
+const statusOf = (error) =>
+  (error.response && error.response.status) ||
+  (typeof error.code === "number" ? error.code : null);
+
+/**
+ * Network error code of a failed call
+ * @param {Error} error - Error thrown by googleapis
+ * @returns {string|null} Code such as ECONNRESET
+ */
+const networkCodeOf = (error) =>
+  typeof error.code === "string" ? error.code : null;
+
+/**
+ * Decide whether a failed call may be retried
+ * @param {Error} error - Error thrown by the call
+ * @param {boolean} idempotent - Whether repeating the call is harmless
+ * @returns {boolean} True if retryable
+ */
+const isRetryable = (error, idempotent) => {
+  const status = statusOf(error);
+  const code = networkCodeOf(error);
+  if (idempotent) {
+    return (
+      RETRYABLE_STATUSES.includes(status) ||
+      RETRYABLE_NETWORK_CODES.includes(code)
+    );
+  }
+  return (
+    UNAPPLIED_STATUSES.includes(status) ||
+    UNAPPLIED_NETWORK_CODES.includes(code)
+  );
+};
+
+/**
+ * Delay a Retry-After header asks for
+ * @param {Error} error - Error thrown by the call
+ * @returns {number|null} Milliseconds, null without a usable header
+ */
+const retryAfterMs = (error) => {
+  const headers = (error.response && error.response.headers) || {};
+  const value =
+    typeof headers.get === "function"
+      ? headers.get("retry-after")
+      : headers["retry-after"];
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Delay
+ * @returns {Promise<void>}
+ */
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// =============================================================================
+// MAIN CLIENT CLASS
+// =============================================================================
+
+class SheetsClient {
+  /**
+   * @param {Object} config - Client configuration
+   * @param {Object} config.sheets - googleapis sheets_v4 client
+   * @param {string} config.spreadsheetId - Spreadsheet read by getValues()
+   * @param {Object} [config.options=getConfiguredOptions()] - Overrides of
+   *   maxConcurrency, maxRetries, baseDelayMs, maxDelayMs and batchWindowMs
+   */
+  constructor({ sheets, spreadsheetId, options = getConfiguredOptions() }) {
+    this.sheets = sheets;
+    this.spreadsheetId = spreadsheetId;
+    this.options = { ...DEFAULTS, ...options };
+
+    this.active = 0;
+    this.waiting = [];
+    this.pendingReads = [];
+    this.batchTimer = null;
+    this.counters = {
+      requests: 0,
+      retries: 0,
+      failures: 0,
+      throttled: 0,
+      batches: 0,
+      batchedRanges: 0,
+    };
+  }
+
+  /**
+   * Wait for a free request slot
+   * @returns {Promise<void>}
+   */
+  async acquire() {
+    if (this.active < this.options.maxConcurrency) {
+      this.active++;
+      return;
+    }
+
+    this.counters.throttled++;
+    const queuedAt = Date.now();
+    // release() hands its slot straight to the next waiter
+    await new Promise((resolve) => this.waiting.push(resolve));
+
+    const waitedMs = Date.now() - queuedAt;
+    if (waitedMs >= THROTTLE_LOG_MS) {
+      Logger.warn("Sheets request throttled", {
+        waitedMs,
+        queued: this.waiting.length,
+        maxConcurrency: this.options.maxConcurrency,
+      });
+    }
+  }
+
+  /**
+   * Give a request slot to the next waiter, or free it
+   */
+  release() {
+    const next = this.waiting.shift();
+    if (next) {
+      next();
+    } else {
+      this.active--;
+    }
+  }
+
+  /**
+   * Backoff before a retry: full jitter under an exponential ceiling, raised
+   * to any Retry-After the server sent
+   * @param {Error} error - Error that failed the attempt
+   * @param {number} retry - One-based retry number
+   * @returns {number} Milliseconds to wait
+   */
+  backoffMs(error, retry) {
+    const { baseDelayMs, maxDelayMs } = this.options;
+    const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** (retry - 1));
+    const jittered = Math.round(Math.random() * ceiling);
+    const requested = retryAfterMs(error);
+    return requested === null ? jittered : Math.max(jittered, requested);
+  }
+
+  /**
+   * Run an API call with the concurrency limit and retries
+   * @param {string} operation - Name for the logs, e.g. "values.append"
+   * @param {Function} call - async () => googleapis response
+   * @param {Object} [options={}] - Call options
+   * @param {boolean} [options.idempotent=true] - False for calls that must
+   *   only be repeated when the failed attempt was certainly not applied
+   * @param {number} [options.maxRetries] - Lower retry limit for this call
+   * @returns {Promise<Object>} googleapis response
+   * @throws {Error} The last error once retries run out or it is not retryable
+   */
+  async request(
+    operation,
+    call,
+    { idempotent = true, maxRetries = this.options.maxRetries } = {}
+  ) {
+    for (let attempt = 1; ; attempt++) {
+      await this.acquire();
+      this.counters.requests++;
+      let error;
+      try {
+        return await call();
+      } catch (caught) {
+        error = caught;
+      } finally {
+        this.release();
+      }
+
+      const delayMs = this.backoffMs(error, attempt);
+      const exhausted =
+        attempt > maxRetries ||
+        !isRetryable(error, idempotent) ||
+        delayMs > MAX_RETRY_AFTER_MS;
+
+      if (exhausted) {
+        this.counters.failures++;
+        if (attempt > 1) {
+          Logger.warn("Sheets request failed after retries", {
+            operation,
+            attempts: attempt,
+            status: statusOf(error),
+            code: networkCodeOf(error),
+            error: error.message,
+          });
+        }
+        throw error;
+      }
+
+      this.counters.retries++;
+      Logger.warn("Retrying Sheets request", {
+        operation,
+        attempt,
+        delayMs,
+        status: statusOf(error),
+        code: networkCodeOf(error),
+        retryAfterMs: retryAfterMs(error),
+        error: error.message,
+      });
+      await sleep(delayMs);
+    }
+  }
+
+  /**
+   * Read the values of a range, batched with other reads started within
+   * batchWindowMs into one values.batchGet
+   * @param {string} range - A1 range
+   * @returns {Promise<Array<Array>>} Rows of cell values
+   */
+  getValues(range) {
+    return new Promise((resolve, reject) => {
+      this.pendingReads.push({ range, resolve, reject });
+      if (!this.batchTimer) {
+        this.batchTimer = setTimeout(
+          () => this.flushReads(),
+          this.options.batchWindowMs
+        );
+      }
+    });
+  }
+
+  /**
+   * Send the queued range reads
+   * @returns {Promise<void>}
+   */
+  async flushReads() {
+    const reads = this.pendingReads;
+    this.pendingReads = [];
+    this.batchTimer = null;
+
+    const ranges = [...new Set(reads.map(({ range }) => range))];
+    try {
+      let valuesByRange;
+      if (ranges.length === 1) {
+        const response = await this.request("values.get", () =>
+          this.sheets.spreadsheets.values.get({
+            spreadsheetId: this.spreadsheetId,
+            range: ranges[0],
+          })
+        );
+        valuesByRange = [response.data.values || []];
+      } else {
+        this.counters.batches++;
+        this.counters.batchedRanges += ranges.length;
+        const response = await this.request("values.batchGet", () =>
+          this.sheets.spreadsheets.values.batchGet({
+            spreadsheetId: this.spreadsheetId,
+            ranges,
+          })
+        );
+        // valueRanges come back in request order, with normalized range names
+        valuesByRange = (response.data.valueRanges || []).map(
+          (valueRange) => valueRange.values || []
+        );
+      }
+
+      for (const { range, resolve } of reads) {
+        resolve(valuesByRange[ranges.indexOf(range)] || []);
+      }
+    } catch (error) {
+      for (const { reject } of reads) reject(error);
+    }
+  }
+
+  /**
+   * Describe the client for the health check
+   * @returns {Object} Counters plus current active and queued requests
+   */
+  stats() {
+    return {
+      ...this.counters,
+      active: this.active,
+      queued: this.waiting.length,
+      maxConcurrency: this.options.maxConcurrency,
+    };
+  }
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  SheetsClient,
+};
@@ -0,0 +1,202 @@
+/**
+ * Sheets Client Module Tests
+ *
+ * Concurrency limit, retries of transient failures and batching of range
+ * reads, against a fake googleapis client.
+ * Usage: npm test
+ */
+
+const assert = require("assert");
+const { SheetsClient } = require("./sheetsClient");
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+// No waiting between retries or for reads to batch with
+const FAST_OPTIONS = {
+  maxConcurrency: 2,
+  maxRetries: 3,
+  baseDelayMs: 0,
+  maxDelayMs: 0,
+  batchWindowMs: 0,
+};
+
+/**
+ * Error shaped like a failed googleapis (gaxios) call
+ * @param {number|string} status - HTTP status, or a network code such as ECONNRESET
+ * @param {Object} [headers={}] - Response headers
+ * @returns {Error} Error
+ */
+const apiError = (status, headers = {}) => {
+  const error = new Error(`Request failed with ${status}`);
+  if (typeof status === "number") {
+    error.response = { status, headers };
+  } else {
+    error.code = status;
+  }
+  return error;
+};
+
+/**
+ * Call that fails with the given errors before succeeding
+ * @param {Array<Error>} errors - Errors to throw, in order
+ * @returns {Function} Call whose calls property counts attempts
+ */
+const failingThen = (errors) => {
+  const call = async () => {
+    call.calls++;
+    if (call.calls <= errors.length) throw errors[call.calls - 1];
+    return { data: "ok" };
+  };
+  call.calls = 0;
+  return call;
+};
+
+/**
+ * Fake sheets_v4 client answering reads with the range name
+ * @returns {Object} Fake client whose gets and batchGets record requests
+ */
+const fakeSheets = () => {
+  const sheets = {
+    gets: [],
+    batchGets: [],
+    spreadsheets: {
+      values: {
+        get: async ({ range }) => {
+          sheets.gets.push(range);
+          return { data: { values: [[range]] } };
+        },
+        batchGet: async ({ ranges }) => {
+          sheets.batchGets.push(ranges);
+          return {
+            data: {
+              valueRanges: ranges.map((range) => ({ values: [[range]] })),
+            },
+          };
+        },
+      },
+    },
+  };
+  return sheets;
+};
+
+// =============================================================================
+// TESTS
+// =============================================================================
+
+describe("SheetsClient", () => {
+  let client;
+
+  beforeEach(() => {
+    client = new SheetsClient({
+      sheets: fakeSheets(),
+      spreadsheetId: "sheet-id",
+      options: FAST_OPTIONS,
+    });
+  });
+
+  describe("request", () => {
+    it("runs at most maxConcurrency calls at once", async () => {
+      let running = 0;
+      let peak = 0;
+      const call = async () => {
+        running++;
+        peak = Math.max(peak, running);
+        await new Promise((resolve) => setTimeout(resolve, 5));
+        running--;
+        return { data: null };
+      };
+
+      await Promise.all(
+        Array.from({ length: 5 }, () => client.request("values.get", call))
+      );
+
+      assert.strictEqual(peak, 2);
+      assert.strictEqual(client.stats().throttled, 3);
+      assert.strictEqual(client.stats().active, 0);
+    });
+
+    it("retries transient failures until the call succeeds", async () => {
+      const call = failingThen([apiError(503), apiError("ECONNRESET")]);
+
+      const response = await client.request("values.get", call);
+
+      assert.strictEqual(response.data, "ok");
+      assert.strictEqual(call.calls, 3);
+      assert.strictEqual(client.stats().retries, 2);
+    });
+
+    it("gives up after maxRetries and on errors that are not transient", async () => {
+      const busy = failingThen([503, 503, 503, 503, 503].map(apiError));
+      await assert.rejects(client.request("values.get", busy), /503/);
+      assert.strictEqual(busy.calls, 4);
+
+      const invalid = failingThen([apiError(400)]);
+      await assert.rejects(client.request("values.get", invalid), /400/);
+      assert.strictEqual(invalid.calls, 1);
+      assert.strictEqual(client.stats().failures, 2);
+    });
+
+    it("only repeats a non-idempotent call when it was certainly not applied", async () => {
+      const limited = failingThen([apiError(429)]);
+      await client.request("values.append", limited, { idempotent: false });
+      assert.strictEqual(limited.calls, 2);
+
+      const dropped = failingThen([apiError("ECONNRESET")]);
+      await assert.rejects(
+        client.request("values.append", dropped, { idempotent: false }),
+        /ECONNRESET/
+      );
+      assert.strictEqual(dropped.calls, 1);
+    });
+
+    it("fails at once when Retry-After asks for too long a wait", async () => {
+      const call = failingThen([apiError(429, { "retry-after": "120" })]);
+      await assert.rejects(client.request("values.get", call), /429/);
+      assert.strictEqual(call.calls, 1);
+    });
+  });
+
+  describe("getValues", () => {
+    it("reads a lone range with values.get", async () => {
+      assert.deepStrictEqual(await client.getValues("Fabric!A:D"), [
+        ["Fabric!A:D"],
+      ]);
+      assert.deepStrictEqual(client.sheets.gets, ["Fabric!A:D"]);
+      assert.deepStrictEqual(client.sheets.batchGets, []);
+    });
+
+    it("batches reads started together and answers each with its range", async () => {
+      const [designs, fabric, again] = await Promise.all([
+        client.getValues("Designs!A:L"),
+        client.getValues("Fabric!A:D"),
+        client.getValues("Designs!A:L"),
+      ]);
+
+      assert.deepStrictEqual(designs, [["Designs!A:L"]]);
+      assert.deepStrictEqual(fabric, [["Fabric!A:D"]]);
+      assert.deepStrictEqual(again, designs);
+      assert.deepStrictEqual(client.sheets.batchGets, [
+        ["Designs!A:L", "Fabric!A:D"],
+      ]);
+      assert.strictEqual(client.stats().batchedRanges, 2);
+    });
+
+    it("rejects every read of a failed batch", async () => {
+      client.sheets.spreadsheets.values.batchGet = async () => {
+        throw apiError(400);
+      };
+
+      const results = await Promise.allSettled([
+        client.getValues("Designs!A:L"),
+        client.getValues("Fabric!A:D"),
+      ]);
+
+      assert.deepStrictEqual(
+        results.map(({ status }) => status),
+        ["rejected", "rejected"]
+      );
+    });
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * Image Storage Base
+ *
+ * Shared behaviour for image storage drivers. A driver must implement:
+ *   upload(filePath, fileName, clientName) -> { key, url, etag, bucket, contentType }
+ *   objectUrl(key)                         -> URL upload() returns for a key
+ *   getSignedUrl(key, expiresIn)           -> signed URL string
+ *   getUploadUrl(key, { contentType, size, expiresIn })
+ *                                          -> signed PUT URL for that type and size
+ *   head(key)                              -> { key, size, contentType, etag,
+ *                                               lastModified }, or null if missing
+ *   delete(key)                            -> { success, message }
+ *   list(prefix)                           -> [{ key, size, lastModified }]
+ *   keyFromUrl(url)                        -> key of an uploaded URL, or null
+ *   describe()                             -> status for the health check
+ */
+
+const crypto = require("crypto");
+const path = require("path");
+
+const MIME_TYPES = {
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".png": "image/png",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+  ".bmp": "image/bmp",
+  ".tiff": "image/tiff",
+  ".svg": "image/svg+xml",
+};
+
+class BaseStorage {
+  /**
+   * @param {Object} options - Driver options
+   * @param {string} options.keyPrefix - Folder prefix for every object key
+   */
+  constructor({ keyPrefix }) {
+    this.keyPrefix = keyPrefix;
+  }
+
+  /**
+   * Build a unique object key for an uploaded image
+   * The random part keeps keys built for one client in the same millisecond
+   * apart; direct uploads use the key as their image_uploads primary key.
+   * @param {string} fileName - Original filename
+   * @param {string} clientName - Client name for organization
+   * @returns {string} Object key
+   */
+  buildKey(fileName, clientName) {
+    const fileExtension = path.extname(fileName);
+    const timestamp = Date.now();
+    return `${this.keyPrefix}/${String(clientName).replace(
+      /[^a-zA-Z0-9]/g,
+      "_"
+    )}_${timestamp}_${crypto.randomUUID()}${fileExtension}`;
+  }
+
+  /**
+   * Get content type based on file extension
+   * @param {string} extension - File extension
+   * @returns {string} MIME type
+   */
+  getContentType(extension) {
+    return MIME_TYPES[extension.toLowerCase()] || "application/octet-stream";
+  }
+
+  /**
+   * Find the object key in a URL that upload() returned
+   * Only keys under keyPrefix are recognised, so a URL pasted in from
+   * elsewhere never names an object to delete.
+   * @param {string} url - Image URL
+   * @param {string} urlBase - URL the driver puts in front of its keys
+   * @returns {string|null} Object key, or null if the URL is not one of ours
+   */
+  keyUnderUrlBase(url, urlBase) {
+    const prefix = `${urlBase}/`;
+    if (typeof url !== "string" || !url.startsWith(prefix)) return null;
+
+    const key = decodeURIComponent(url.slice(prefix.length).split("?")[0]);
+    return key.startsWith(`${this.keyPrefix}/`) ? key : null;
+  }
+
+  async upload() {
+    throw new Error(`${this.constructor.name} does not implement upload`);
+  }
+
+  objectUrl() {
+    throw new Error(`${this.constructor.name} does not implement objectUrl`);
+  }
+
+  async getSignedUrl() {
+    throw new Error(`${this.constructor.name} does not implement getSignedUrl`);
+  }
+
+  async getUploadUrl() {
+    throw new Error(`${this.constructor.name} does not implement getUploadUrl`);
+  }
+
+  async head() {
+    throw new Error(`${this.constructor.name} does not implement head`);
+  }
+
+  async delete() {
+    throw new Error(`${this.constructor.name} does not implement delete`);
+  }
+
+  async list() {
+    throw new Error(`${this.constructor.name} does not implement list`);
+  }
+
+  keyFromUrl() {
+    return null;
+  }
+
+  describe() {
+    return { driver: this.constructor.name };
+  }
+}
+
+module.exports = BaseStorage;
@@ -0,0 +1,69 @@
+/**
+ * Image Storage Module
+ *
+ * Picks the image storage driver from environment configuration.
+ *   STORAGE_DRIVER=s3    (default) AWS S3, configured by the AWS_* variables;
+ *                        AWS_S3_ENDPOINT points it at an S3-compatible server
+ *                        instead, with AWS_S3_FORCE_PATH_STYLE=true for
+ *                        servers such as MinIO that need path-style URLs
+ *   STORAGE_DRIVER=local local disk, configured by the LOCAL_STORAGE_* variables
+ * Usage: const { createStorage } = require('./storage');
+ */
+
+const S3Storage = require("./s3");
+const LocalStorage = require("./local");
+
+const STORAGE_DEFAULTS = {
+  KEY_PREFIX: "worldvastradesigns",
+  LOCAL_ROOT_DIR: "data/storage",
+  LOCAL_ROUTE_PREFIX: "/files",
+};
+
+/**
+ * Create the configured storage driver
+ * @param {Object} [options={}] - Overrides for environment configuration
+ * @param {string} [options.driver] - "s3" or "local"
+ * @param {string} [options.keyPrefix] - Folder prefix for every object key
+ * @returns {BaseStorage} Storage driver
+ * @throws {Error} If the driver name is unknown
+ */
+function createStorage(options = {}) {
+  const driver = (
+    options.driver ||
+    process.env.STORAGE_DRIVER ||
+    "s3"
+  ).toLowerCase();
+  const keyPrefix = options.keyPrefix || STORAGE_DEFAULTS.KEY_PREFIX;
+
+  switch (driver) {
+    case "s3":
+      return new S3Storage({
+        keyPrefix,
+        bucketName: process.env.AWS_S3_BUCKET_NAME,
+        region: process.env.AWS_REGION || "us-east-1",
+        accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+        secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+        endpoint: process.env.AWS_S3_ENDPOINT,
+        forcePathStyle: process.env.AWS_S3_FORCE_PATH_STYLE === "true",
+      });
+    case "local":
+      return new LocalStorage({
+        keyPrefix,
+        rootDir:
+          process.env.LOCAL_STORAGE_DIR || STORAGE_DEFAULTS.LOCAL_ROOT_DIR,
+        baseUrl:
+          process.env.LOCAL_STORAGE_BASE_URL ||
+          `http://localhost:${process.env.PORT || 3000}`,
+        routePrefix: STORAGE_DEFAULTS.LOCAL_ROUTE_PREFIX,
+        signingSecret: process.env.LOCAL_STORAGE_SIGNING_SECRET,
+      });
+    default:
+      throw new Error(
+        `Unknown STORAGE_DRIVER "${driver}". Expected "s3" or "local"`
+      );
+  }
+}
+
+module.exports = {
+  createStorage,
+};
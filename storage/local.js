@@ -0,0 +1,409 @@
+/**
+ * Local Filesystem Image Storage Driver
+ *
+ * Stores design images on local disk for development and CI. Files are served
+ * by an Express route and only through HMAC-signed, expiring URLs, so local
+ * links behave like S3 presigned URLs. Signed PUT URLs accept uploads the same
+ * way, for the content type and size they were signed for.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { pipeline } = require("stream/promises");
+const BaseStorage = require("./base");
+const Logger = require("../logger");
+
+class LocalStorage extends BaseStorage {
+  /**
+   * @param {Object} options - Driver options
+   * @param {string} options.keyPrefix - Folder prefix for every object key
+   * @param {string} options.rootDir - Directory the files are stored under
+   * @param {string} options.baseUrl - Public base URL of this server
+   * @param {string} options.routePrefix - Route the files are served from
+   * @param {string} [options.signingSecret] - HMAC secret for signed URLs
+   */
+  constructor({ keyPrefix, rootDir, baseUrl, routePrefix, signingSecret }) {
+    super({ keyPrefix });
+
+    this.rootDir = path.resolve(rootDir);
+    this.baseUrl = baseUrl.replace(/\/+$/, "");
+    this.routePrefix = routePrefix;
+
+    if (!signingSecret) {
+      Logger.warn(
+        "LOCAL_STORAGE_SIGNING_SECRET is not set, signed URLs will not survive a restart"
+      );
+    }
+    this.signingSecret =
+      signingSecret || crypto.randomBytes(32).toString("hex");
+  }
+
+  /**
+   * Resolve an object key to a path inside the storage root
+   * @param {string} key - Object key
+   * @returns {string} Absolute file path
+   * @throws {Error} If the key escapes the storage root
+   */
+  resolveKey(key) {
+    const filePath = path.resolve(this.rootDir, key);
+    if (!filePath.startsWith(this.rootDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  /**
+   * Sign an object key with an expiry timestamp
+   * @param {string} key - Object key
+   * @param {number} expires - Expiry as a Unix timestamp in seconds
+   * @param {Object} [upload=null] - { contentType, size } to sign an upload
+   *   URL for, instead of a download URL
+   * @returns {string} Hex HMAC signature
+   */
+  sign(key, expires, upload = null) {
+    const payload = upload
+      ? `PUT:${key}:${expires}:${upload.contentType}:${upload.size}`
+      : `${key}:${expires}`;
+    return crypto
+      .createHmac("sha256", this.signingSecret)
+      .update(payload)
+      .digest("hex");
+  }
+
+  /**
+   * Check a signature produced by sign()
+   * @param {string} key - Object key
+   * @param {string|number} expires - Expiry from the URL
+   * @param {string} signature - Signature from the URL
+   * @param {Object} [upload=null] - { contentType, size } from an upload URL
+   * @returns {boolean} True if the signature is valid and not expired
+   */
+  verify(key, expires, signature, upload = null) {
+    const expiresAt = parseInt(expires, 10);
+    if (!expiresAt || expiresAt < Math.floor(Date.now() / 1000)) {
+      return false;
+    }
+
+    const expected = Buffer.from(this.sign(key, expiresAt, upload), "hex");
+    const actual = Buffer.from(String(signature || ""), "hex");
+    return (
+      expected.length === actual.length &&
+      crypto.timingSafeEqual(expected, actual)
+    );
+  }
+
+  /**
+   * Move an uploaded image into local storage
+   *
+   * @param {string} filePath - Local file path of the image to store
+   * @param {string} fileName - Original filename
+   * @param {string} clientName - Client name for organization
+   * @returns {Promise<Object>} Upload result with URL and metadata
+   */
+  async upload(filePath, fileName, clientName) {
+    const key = this.buildKey(fileName, clientName);
+
+    try {
+      const destination = this.resolveKey(key);
+      await fs.promises.mkdir(path.dirname(destination), { recursive: true });
+      await fs.promises.copyFile(filePath, destination);
+      await fs.promises.unlink(filePath);
+
+      const content = await fs.promises.readFile(destination);
+      const etag = `"${crypto.createHash("md5").update(content).digest("hex")}"`;
+
+      return {
+        key,
+        url: this.objectUrl(key),
+        etag,
+        bucket: "local",
+        contentType: this.getContentType(path.extname(fileName)),
+      };
+    } catch (error) {
+      Logger.error("Local storage upload failed", error, {
+        filePath,
+        fileName,
+        clientName,
+      });
+      if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+      throw new Error(`Failed to store image locally: ${error.message}`);
+    }
+  }
+
+  /**
+   * Build the URL of a stored file, as stored on designs
+   * @param {string} key - Object key
+   * @returns {string} File URL, which needs signing before it can be fetched
+   */
+  objectUrl(key) {
+    return `${this.baseUrl}${this.routePrefix}/${key}`;
+  }
+
+  /**
+   * Generate an HMAC-signed URL for temporary access to a stored file
+   * @param {string} key - Object key
+   * @param {number} expiresIn - URL expiration time in seconds
+   * @returns {Promise<string>} Signed URL
+   */
+  async getSignedUrl(key, expiresIn = 3600) {
+    this.resolveKey(key);
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    const signature = this.sign(key, expires);
+    return `${this.objectUrl(key)}?expires=${expires}&signature=${signature}`;
+  }
+
+  /**
+   * Generate an HMAC-signed PUT URL for uploading a file
+   * @param {string} key - Object key to upload to
+   * @param {Object} options - Upload constraints
+   * @param {string} options.contentType - MIME type the upload must have
+   * @param {number} options.size - Size in bytes the upload must have
+   * @param {number} [options.expiresIn=900] - URL expiration time in seconds
+   * @returns {Promise<string>} Signed PUT URL
+   */
+  async getUploadUrl(key, { contentType, size, expiresIn = 900 }) {
+    this.resolveKey(key);
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    const signature = this.sign(key, expires, { contentType, size });
+    const query = new URLSearchParams({
+      expires,
+      contentType,
+      size,
+      signature,
+    });
+    return `${this.objectUrl(key)}?${query}`;
+  }
+
+  /**
+   * Read a stored file's size and type
+   * The type follows the file extension, as upload() and the PUT route only
+   * store files under keys whose extension matches their type.
+   * @param {string} key - Object key
+   * @returns {Promise<Object|null>} { key, size, contentType, etag,
+   *   lastModified }, or null if there is no such file
+   */
+  async head(key) {
+    const filePath = this.resolveKey(key);
+
+    let stats;
+    try {
+      stats = await fs.promises.stat(filePath);
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      throw error;
+    }
+
+    const content = await fs.promises.readFile(filePath);
+    return {
+      key,
+      size: stats.size,
+      contentType: this.getContentType(path.extname(key)),
+      etag: `"${crypto.createHash("md5").update(content).digest("hex")}"`,
+      lastModified: stats.mtime,
+    };
+  }
+
+  /**
+   * Store a request body at a path, requiring exactly the expected size
+   * The body is written to a temporary file first, so a failed upload never
+   * leaves a partial file under the key.
+   * @param {Object} req - Express request
+   * @param {string} filePath - Destination path
+   * @param {number} size - Expected size in bytes
+   * @returns {Promise<string>} ETag of the stored file
+   * @throws {Error} If the body is not the expected size
+   */
+  async receive(req, filePath, size) {
+    const partPath = `${filePath}.${crypto.randomUUID()}.part`;
+    const hash = crypto.createHash("md5");
+    let received = 0;
+
+    try {
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await pipeline(
+        req,
+        async function* (source) {
+          for await (const chunk of source) {
+            received += chunk.length;
+            if (received > size) {
+              throw new Error(`Upload is larger than ${size} bytes`);
+            }
+            hash.update(chunk);
+            yield chunk;
+          }
+        },
+        fs.createWriteStream(partPath)
+      );
+      if (received !== size) {
+        throw new Error(`Upload is ${received} bytes, expected ${size}`);
+      }
+      await fs.promises.rename(partPath, filePath);
+      return `"${hash.digest("hex")}"`;
+    } catch (error) {
+      await fs.promises.rm(partPath, { force: true });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a stored file
+   * @param {string} key - Object key to delete
+   * @returns {Promise<Object>} Deletion result
+   */
+  async delete(key) {
+    try {
+      await fs.promises.rm(this.resolveKey(key), { force: true });
+      return { success: true, message: `Deleted ${key} from local storage` };
+    } catch (error) {
+      Logger.error("Failed to delete image from local storage", error, { key });
+      throw new Error(
+        `Failed to delete image from local storage: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * List the stored files under a key prefix
+   * @param {string} [prefix=keyPrefix] - Key prefix to list
+   * @returns {Promise<Array<Object>>} [{ key, size, lastModified }]
+   */
+  async list(prefix = `${this.keyPrefix}/`) {
+    const objects = [];
+
+    // Walk the deepest directory the prefix names, then filter by full prefix
+    const walk = async (directory) => {
+      let entries;
+      try {
+        entries = await fs.promises.readdir(directory, { withFileTypes: true });
+      } catch (error) {
+        if (error.code === "ENOENT") return;
+        throw error;
+      }
+
+      for (const entry of entries) {
+        const entryPath = path.join(directory, entry.name);
+        if (entry.isDirectory()) {
+          await walk(entryPath);
+          continue;
+        }
+
+        const key = path
+          .relative(this.rootDir, entryPath)
+          .split(path.sep)
+          .join("/");
+        if (entry.isFile() && key.startsWith(prefix)) {
+          const stats = await fs.promises.stat(entryPath);
+          objects.push({ key, size: stats.size, lastModified: stats.mtime });
+        }
+      }
+    };
+
+    try {
+      const directory = prefix.includes("/")
+        ? prefix.slice(0, prefix.lastIndexOf("/"))
+        : "";
+      await walk(directory ? this.resolveKey(directory) : this.rootDir);
+      return objects;
+    } catch (error) {
+      Logger.error("Failed to list local storage", error, { prefix });
+      throw new Error(`Failed to list local storage: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find the object key of an uploaded image's URL
+   * @param {string} url - Image URL
+   * @returns {string|null} Key, or null if the URL is not served by this driver
+   */
+  keyFromUrl(url) {
+    return this.keyUnderUrlBase(url, `${this.baseUrl}${this.routePrefix}`);
+  }
+
+  /**
+   * Register the routes that serve and accept signed files
+   * @param {Object} app - Express application
+   */
+  registerRoutes(app) {
+    app.get(`${this.routePrefix}/*`, (req, res) => {
+      const key = req.params[0];
+      const { expires, signature } = req.query;
+
+      if (!this.verify(key, expires, signature)) {
+        return res.status(403).json({
+          success: false,
+          error: "Invalid or expired signature",
+        });
+      }
+
+      let filePath;
+      try {
+        filePath = this.resolveKey(key);
+      } catch (error) {
+        return res.status(400).json({ success: false, error: error.message });
+      }
+
+      res.sendFile(filePath, (error) => {
+        if (error && !res.headersSent) {
+          res.status(error.status || 404).json({
+            success: false,
+            error: "File not found",
+          });
+        }
+      });
+    });
+
+    // Uploads through URLs from getUploadUrl(); like S3, the request must
+    // carry the content type and size that were signed
+    app.put(`${this.routePrefix}/*`, async (req, res) => {
+      const key = req.params[0];
+      const { expires, contentType, size, signature } = req.query;
+
+      if (!this.verify(key, expires, signature, { contentType, size })) {
+        return res.status(403).json({
+          success: false,
+          error: "Invalid or expired signature",
+        });
+      }
+      if (
+        req.get("Content-Type") !== contentType ||
+        req.get("Content-Length") !== String(size)
+      ) {
+        return res.status(403).json({
+          success: false,
+          error: `Upload must be sent with Content-Type ${contentType} and Content-Length ${size}`,
+        });
+      }
+
+      let filePath;
+      try {
+        filePath = this.resolveKey(key);
+      } catch (error) {
+        return res.status(400).json({ success: false, error: error.message });
+      }
+
+      try {
+        const etag = await this.receive(req, filePath, parseInt(size, 10));
+        res.set("ETag", etag).status(200).end();
+      } catch (error) {
+        Logger.error("Local storage upload failed", error, { key });
+        res.status(400).json({ success: false, error: error.message });
+      }
+    });
+  }
+
+  /**
+   * Describe driver configuration for the health check
+   * @returns {Object} Driver status
+   */
+  describe() {
+    return {
+      driver: "local",
+      configured: true,
+      rootDir: this.rootDir,
+      routePrefix: this.routePrefix,
+    };
+  }
+}
+
+module.exports = LocalStorage;
@@ -0,0 +1,148 @@
+/**
+ * Local Storage Driver Tests
+ *
+ * HMAC-signed download URLs and the key checks that keep files inside the
+ * storage root.
+ * Usage: npm test
+ */
+
+const assert = require("assert");
+const os = require("os");
+const path = require("path");
+const LocalStorage = require("./local");
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Create a driver rooted in the system temp directory
+ * @param {string} [signingSecret="test-secret"] - HMAC secret
+ * @returns {LocalStorage} Driver
+ */
+const createStorage = (signingSecret = "test-secret") =>
+  new LocalStorage({
+    keyPrefix: "designs",
+    rootDir: path.join(os.tmpdir(), "local-storage-test"),
+    baseUrl: "http://localhost:3000/",
+    routePrefix: "/files",
+    signingSecret,
+  });
+
+/**
+ * Seconds since the epoch, offset from now
+ * @param {number} offset - Seconds to add
+ * @returns {number} Unix timestamp
+ */
+const unixTime = (offset) => Math.floor(Date.now() / 1000) + offset;
+
+// =============================================================================
+// TESTS
+// =============================================================================
+
+describe("LocalStorage", () => {
+  const key = "designs/Acme_1.jpg";
+
+  describe("signed URLs", () => {
+    it("signs download URLs that verify until they expire", async () => {
+      const storage = createStorage();
+      const url = new URL(await storage.getSignedUrl(key, 60));
+
+      assert.strictEqual(url.pathname, `/files/${key}`);
+      const { expires, signature } = Object.fromEntries(url.searchParams);
+      assert.ok(storage.verify(key, expires, signature));
+    });
+
+    it("rejects expired, altered and foreign signatures", () => {
+      const storage = createStorage();
+      const expires = unixTime(60);
+      const signature = storage.sign(key, expires);
+
+      assert.strictEqual(
+        storage.verify(key, unixTime(-1), storage.sign(key, unixTime(-1))),
+        false
+      );
+      assert.strictEqual(
+        storage.verify("designs/Other_1.jpg", expires, signature),
+        false
+      );
+      assert.strictEqual(storage.verify(key, expires + 1, signature), false);
+      assert.strictEqual(storage.verify(key, expires, "abc"), false);
+      assert.strictEqual(storage.verify(key, expires, undefined), false);
+      assert.strictEqual(
+        createStorage("other-secret").verify(key, expires, signature),
+        false
+      );
+    });
+
+    it("does not accept a download signature for an upload", () => {
+      const storage = createStorage();
+      const expires = unixTime(60);
+      const upload = { contentType: "image/jpeg", size: 10 };
+
+      assert.strictEqual(
+        storage.verify(key, expires, storage.sign(key, expires), upload),
+        false
+      );
+      assert.ok(
+        storage.verify(key, expires, storage.sign(key, expires, upload), upload)
+      );
+    });
+  });
+
+  describe("buildKey", () => {
+    it("builds distinct keys for one client in the same millisecond", () => {
+      const storage = createStorage();
+      const now = Date.now;
+      Date.now = () => 1700000000000;
+      try {
+        const first = storage.buildKey("dress.JPG", "Acme & Co");
+        const second = storage.buildKey("dress.JPG", "Acme & Co");
+
+        assert.notStrictEqual(first, second);
+        assert.match(
+          first,
+          /^designs\/Acme___Co_1700000000000_[0-9a-f-]{36}\.JPG$/
+        );
+      } finally {
+        Date.now = now;
+      }
+    });
+  });
+
+  describe("resolveKey", () => {
+    it("keeps keys inside the storage root", () => {
+      const storage = createStorage();
+      assert.strictEqual(
+        storage.resolveKey(key),
+        path.join(storage.rootDir, "designs", "Acme_1.jpg")
+      );
+      assert.throws(
+        () => storage.resolveKey("../outside.jpg"),
+        /Invalid storage key/
+      );
+      assert.throws(
+        () => storage.resolveKey("designs/../../outside.jpg"),
+        /Invalid storage key/
+      );
+    });
+  });
+
+  describe("keyFromUrl", () => {
+    it("only recognises URLs under its route and key prefix", () => {
+      const storage = createStorage();
+      assert.strictEqual(
+        storage.keyFromUrl(`http://localhost:3000/files/${key}?expires=1`),
+        key
+      );
+      assert.strictEqual(
+        storage.keyFromUrl("http://localhost:3000/files/other/Acme_1.jpg"),
+        null
+      );
+      assert.strictEqual(
+        storage.keyFromUrl(`https://example.com/files/${key}`),
+        null
+      );
+    });
+  });
+});
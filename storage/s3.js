@@ -0,0 +1,314 @@
+/**
+ * S3 Image Storage Driver
+ *
+ * Stores design images in an AWS S3 bucket and hands out presigned GET URLs.
+ * Given an endpoint, it talks to an S3-compatible server (e.g. MinIO) instead.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const {
+  S3Client,
+  PutObjectCommand,
+  DeleteObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  ListObjectsV2Command,
+} = require("@aws-sdk/client-s3");
+const { getSignedUrl } = require("@aws-sdk/s3-request-presigner");
+const BaseStorage = require("./base");
+const Logger = require("../logger");
+
+class S3Storage extends BaseStorage {
+  /**
+   * @param {Object} options - Driver options
+   * @param {string} options.keyPrefix - Folder prefix for every object key
+   * @param {string} options.bucketName - S3 bucket name
+   * @param {string} options.region - AWS region
+   * @param {string} options.accessKeyId - AWS access key ID
+   * @param {string} options.secretAccessKey - AWS secret access key
+   * @param {string} [options.endpoint] - URL of an S3-compatible server to use
+   *   instead of AWS
+   * @param {boolean} [options.forcePathStyle=false] - Address objects as
+   *   endpoint/bucket/key rather than bucket.endpoint/key
+   */
+  constructor({
+    keyPrefix,
+    bucketName,
+    region,
+    accessKeyId,
+    secretAccessKey,
+    endpoint,
+    forcePathStyle = false,
+  }) {
+    super({ keyPrefix });
+
+    this.bucketName = bucketName;
+    this.region = region;
+    this.endpoint = endpoint ? endpoint.replace(/\/+$/, "") : null;
+    this.hasCredentials = !!(accessKeyId && secretAccessKey);
+
+    this.s3Client = new S3Client({
+      region,
+      credentials: {
+        accessKeyId,
+        secretAccessKey,
+      },
+      ...(this.endpoint ? { endpoint: this.endpoint, forcePathStyle } : {}),
+    });
+
+    this.s3BaseUrl = this.buildBaseUrl(forcePathStyle);
+  }
+
+  /**
+   * Build the URL objects are addressed under
+   * @param {boolean} forcePathStyle - Whether the bucket goes in the path
+   * @returns {string} Base URL, without a trailing slash
+   */
+  buildBaseUrl(forcePathStyle) {
+    if (!this.endpoint) {
+      return `https://${this.bucketName}.s3.${this.region}.amazonaws.com`;
+    }
+    if (forcePathStyle) {
+      return `${this.endpoint}/${this.bucketName}`;
+    }
+
+    const { protocol, host } = new URL(this.endpoint);
+    return `${protocol}//${this.bucketName}.${host}`;
+  }
+
+  /**
+   * Upload image to AWS S3 with metadata and remove the local file
+   *
+   * @param {string} filePath - Local file path of the image to upload
+   * @param {string} fileName - Original filename
+   * @param {string} clientName - Client name for organization
+   * @returns {Promise<Object>} Upload result with URL and metadata
+   * @throws {Error} If upload fails or S3 configuration is invalid
+   */
+  async upload(filePath, fileName, clientName) {
+    if (!this.bucketName) {
+      throw new Error("AWS_S3_BUCKET_NAME is required");
+    }
+
+    const s3Key = this.buildKey(fileName, clientName);
+
+    try {
+      // Read file
+      const fileContent = fs.readFileSync(filePath);
+
+      // Determine content type
+      const contentType = this.getContentType(path.extname(fileName));
+
+      // Upload to S3
+      const uploadCommand = new PutObjectCommand({
+        Bucket: this.bucketName,
+        Key: s3Key,
+        Body: fileContent,
+        ContentType: contentType,
+        Metadata: {
+          "client-name": clientName,
+          "original-filename": fileName,
+          "upload-timestamp": Date.now().toString(),
+        },
+      });
+
+      const result = await this.s3Client.send(uploadCommand);
+
+      // Clean up local file
+      fs.unlinkSync(filePath);
+
+      return {
+        key: s3Key,
+        url: this.objectUrl(s3Key),
+        etag: result.ETag,
+        bucket: this.bucketName,
+        contentType: contentType,
+      };
+    } catch (error) {
+      Logger.error("S3 upload failed", error, {
+        filePath,
+        fileName,
+        clientName,
+      });
+      if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+      throw new Error(`Failed to upload image to S3: ${error.message}`);
+    }
+  }
+
+  /**
+   * Build the URL of an object, as stored on designs
+   * @param {string} s3Key - S3 object key
+   * @returns {string} Object URL
+   */
+  objectUrl(s3Key) {
+    return `${this.s3BaseUrl}/${s3Key}`;
+  }
+
+  /**
+   * Generate signed URL for temporary access to S3 object
+   * @param {string} s3Key - S3 object key
+   * @param {number} expiresIn - URL expiration time in seconds
+   * @returns {Promise<string>} Signed URL
+   */
+  async getSignedUrl(s3Key, expiresIn = 3600) {
+    try {
+      const command = new GetObjectCommand({
+        Bucket: this.bucketName,
+        Key: s3Key,
+      });
+
+      return await getSignedUrl(this.s3Client, command, { expiresIn });
+    } catch (error) {
+      Logger.error("Failed to generate signed URL", error, { s3Key });
+      throw new Error(`Failed to generate signed URL: ${error.message}`);
+    }
+  }
+
+  /**
+   * Generate a presigned PUT URL for uploading straight to S3
+   * Content-Type and Content-Length are signed, so the upload must send
+   * exactly the type and size given here.
+   * @param {string} s3Key - S3 object key to upload to
+   * @param {Object} options - Upload constraints
+   * @param {string} options.contentType - MIME type the upload must have
+   * @param {number} options.size - Size in bytes the upload must have
+   * @param {number} [options.expiresIn=900] - URL expiration time in seconds
+   * @returns {Promise<string>} Presigned PUT URL
+   */
+  async getUploadUrl(s3Key, { contentType, size, expiresIn = 900 }) {
+    if (!this.bucketName) {
+      throw new Error("AWS_S3_BUCKET_NAME is required");
+    }
+
+    try {
+      const command = new PutObjectCommand({
+        Bucket: this.bucketName,
+        Key: s3Key,
+        ContentType: contentType,
+        ContentLength: size,
+      });
+
+      return await getSignedUrl(this.s3Client, command, {
+        expiresIn,
+        signableHeaders: new Set(["content-type", "content-length"]),
+      });
+    } catch (error) {
+      Logger.error("Failed to generate upload URL", error, { s3Key });
+      throw new Error(`Failed to generate upload URL: ${error.message}`);
+    }
+  }
+
+  /**
+   * Read an object's size and type without downloading it
+   * @param {string} s3Key - S3 object key
+   * @returns {Promise<Object|null>} { key, size, contentType, etag,
+   *   lastModified }, or null if there is no such object
+   */
+  async head(s3Key) {
+    try {
+      const result = await this.s3Client.send(
+        new HeadObjectCommand({ Bucket: this.bucketName, Key: s3Key })
+      );
+      return {
+        key: s3Key,
+        size: result.ContentLength,
+        contentType: result.ContentType,
+        etag: result.ETag,
+        lastModified: result.LastModified,
+      };
+    } catch (error) {
+      if (
+        error.name === "NotFound" ||
+        (error.$metadata && error.$metadata.httpStatusCode === 404)
+      ) {
+        return null;
+      }
+      Logger.error("Failed to read S3 object metadata", error, { s3Key });
+      throw new Error(`Failed to read S3 object metadata: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete image from S3
+   * @param {string} s3Key - S3 object key to delete
+   * @returns {Promise<Object>} Deletion result
+   */
+  async delete(s3Key) {
+    try {
+      const deleteCommand = new DeleteObjectCommand({
+        Bucket: this.bucketName,
+        Key: s3Key,
+      });
+
+      await this.s3Client.send(deleteCommand);
+      return { success: true, message: `Deleted ${s3Key} from S3` };
+    } catch (error) {
+      Logger.error("Failed to delete image from S3", error, { s3Key });
+      throw new Error(`Failed to delete image from S3: ${error.message}`);
+    }
+  }
+
+  /**
+   * List the objects under a key prefix, following continuation tokens
+   * @param {string} [prefix=keyPrefix] - Key prefix to list
+   * @returns {Promise<Array<Object>>} [{ key, size, lastModified }]
+   */
+  async list(prefix = `${this.keyPrefix}/`) {
+    const objects = [];
+    let continuationToken;
+
+    try {
+      do {
+        const result = await this.s3Client.send(
+          new ListObjectsV2Command({
+            Bucket: this.bucketName,
+            Prefix: prefix,
+            ContinuationToken: continuationToken,
+          })
+        );
+
+        for (const object of result.Contents || []) {
+          objects.push({
+            key: object.Key,
+            size: object.Size,
+            lastModified: object.LastModified,
+          });
+        }
+        continuationToken = result.IsTruncated
+          ? result.NextContinuationToken
+          : undefined;
+      } while (continuationToken);
+
+      return objects;
+    } catch (error) {
+      Logger.error("Failed to list S3 objects", error, { prefix });
+      throw new Error(`Failed to list S3 objects: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find the object key of an uploaded image's URL
+   * @param {string} url - Image URL
+   * @returns {string|null} S3 key, or null if the URL is not in this bucket
+   */
+  keyFromUrl(url) {
+    return this.keyUnderUrlBase(url, this.s3BaseUrl);
+  }
+
+  /**
+   * Describe driver configuration for the health check
+   * @returns {Object} Driver status
+   */
+  describe() {
+    return {
+      driver: "s3",
+      configured: !!(this.bucketName && this.hasCredentials),
+      bucket: this.bucketName,
+      region: this.region,
+      endpoint: this.endpoint,
+    };
+  }
+}
+
+module.exports = S3Storage;
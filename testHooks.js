@@ -0,0 +1,31 @@
+/**
+ * Test Hooks Module
+ *
+ * Mocha root hooks for the *.test.js files next to each module. Tests that
+ * need PostgreSQL run only when DB_HOST is set (as for the server, from the
+ * environment or .env) and skip otherwise; the pool is closed once every file
+ * has run so the runner exits promptly.
+ * Usage: loaded by mocha through .mocharc.json
+ */
+
+const { closeConnection } = require("./database");
+
+/**
+ * Whether the tests can reach a database
+ * @returns {boolean} True when DB_HOST is configured
+ */
+const hasDatabase = () => Boolean(process.env.DB_HOST);
+
+const mochaHooks = {
+  /**
+   * Close the database pool after the last test file
+   */
+  async afterAll() {
+    if (hasDatabase()) await closeConnection();
+  },
+};
+
+module.exports = {
+  hasDatabase,
+  mochaHooks,
+};
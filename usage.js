@@ -0,0 +1,457 @@
+/**
+ * Dress Usage Module
+ *
+ * CRUD for the dress_usage table: metres of fabric a dress type consumes in a
+ * given size when cut from fabric of a given width. Also resolves the metres
+ * for any size/width combination from the recorded entries, and imports the
+ * legacy one-figure-per-dress-type Usage sheet.
+ *
+ * Width lookups work in inches. A width that was recorded is used as is, one
+ * between two recorded widths is interpolated linearly, and one outside the
+ * recorded range is converted from the nearest width assuming the cut area
+ * stays the same (metres x width is constant).
+ * Usage: const { listUsage, lookupUsage } = require('./usage');
+ */
+
+const { WIDTH_UNITS } = require("./fabrics");
+const usageRepository = require("./repositories/usage");
+
+// =============================================================================
+// CONFIGURATION & CONSTANTS
+// =============================================================================
+
+// API field -> dress_usage column
+const USAGE_FIELDS = {
+  dressType: "dress_type",
+  size: "size",
+  fabricWidth: "fabric_width",
+  unit: "unit",
+  metres: "metres",
+  notes: "notes",
+};
+
+// Size and width given to figures imported from the Usage sheet, and the size
+// used when a lookup does not name one
+const DEFAULT_SIZE = "Standard";
+const DEFAULT_FABRIC_WIDTH = 44;
+
+const CM_PER_INCH = 2.54;
+
+// Request body rules for a usage entry, see validation.js
+const USAGE_SCHEMA = {
+  dressType: { type: "string", required: true, maxLength: 100 },
+  size: { type: "string", required: true, maxLength: 50 },
+  fabricWidth: { type: "number", required: true, greaterThan: 0, max: 9999 },
+  unit: { type: "string", enum: WIDTH_UNITS },
+  metres: { type: "number", required: true, min: 0, max: 9999 },
+  notes: { type: "string", maxLength: 2000 },
+};
+
+// GET /api/usage query
+const USAGE_LIST_QUERY_SCHEMA = {
+  dressType: { ...USAGE_SCHEMA.dressType, required: false },
+  size: { ...USAGE_SCHEMA.size, required: false },
+};
+
+// Route parameter of the /api/usage/:id routes
+const USAGE_PARAMS_SCHEMA = {
+  id: { type: "integer", required: true, min: 1 },
+};
+
+// GET /api/usage/lookup query; fabric names a catalog fabric whose width is
+// used instead of fabricWidth
+const USAGE_LOOKUP_SCHEMA = {
+  dressType: { ...USAGE_SCHEMA.dressType },
+  size: { ...USAGE_SCHEMA.size, required: false },
+  fabricWidth: { ...USAGE_SCHEMA.fabricWidth, required: false },
+  unit: { ...USAGE_SCHEMA.unit, default: "in" },
+  fabric: { type: "string", maxLength: 100 },
+};
+
+// POST /api/usage/import body: the size and width the sheet figures were
+// measured for
+const USAGE_IMPORT_SCHEMA = {
+  overwrite: { type: "boolean", default: false },
+  size: { ...USAGE_SCHEMA.size, required: false },
+  fabricWidth: { ...USAGE_SCHEMA.fabricWidth, required: false },
+  unit: USAGE_SCHEMA.unit,
+};
+
+// =============================================================================
+// UTILITY FUNCTIONS
+// =============================================================================
+
+/**
+ * Convert a dress_usage record to its API shape
+ * @param {Object} record - Row from the dress_usage table
+ * @returns {Object} Usage entry
+ */
+const recordToUsage = (record) => ({
+  id: record.id,
+  dressType: record.dress_type,
+  size: record.size,
+  fabricWidth: parseFloat(record.fabric_width),
+  unit: record.unit,
+  metres: parseFloat(record.metres),
+  notes: record.notes || "",
+  updatedAt: record.updated_at,
+});
+
+/**
+ * Convert API fields to a dress_usage record, leaving out fields not given
+ * @param {Object} entry - Usage fields
+ * @returns {Object} Record keyed by column name
+ */
+const usageToRecord = (entry) => {
+  const record = {};
+  for (const [field, column] of Object.entries(USAGE_FIELDS)) {
+    if (entry[field] !== undefined) {
+      record[column] =
+        typeof entry[field] === "string" ? entry[field].trim() : entry[field];
+      if (record[column] === "") record[column] = null;
+    }
+  }
+  return record;
+};
+
+/**
+ * Convert a width to inches
+ * @param {number} width - Width value
+ * @param {string} [unit='in'] - "in" or "cm"
+ * @returns {number} Width in inches
+ */
+const toInches = (width, unit = "in") =>
+  unit === "cm" ? width / CM_PER_INCH : width;
+
+/**
+ * Round a metres value to two decimal places
+ * @param {number} value - Value to round
+ * @returns {number} Rounded value
+ */
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Compare two names the way hand-typed sheet values need: trimmed and
+ * case-insensitive
+ * @param {string} a - First name
+ * @param {string} b - Second name
+ * @returns {boolean} True if they match
+ */
+const sameName = (a, b) =>
+  String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+
+// =============================================================================
+// LOOKUP FUNCTIONS
+// =============================================================================
+
+/**
+ * Work out the metres a dress type needs from recorded usage entries
+ *
+ * Without a size the DEFAULT_SIZE entries are used, or the only size recorded.
+ * Without a width the narrowest recorded width is used, since that needs the
+ * most fabric.
+ *
+ * @param {Array<Object>} entries - Usage entries from listUsage()
+ * @param {Object} query - What to look up
+ * @param {string} query.dressType - Dress type
+ * @param {string} [query.size] - Size
+ * @param {number} [query.fabricWidth] - Width of the fabric being cut
+ * @param {string} [query.unit='in'] - Unit of fabricWidth
+ * @returns {Object} { metres, dressType, size, fabricWidth, unit, method,
+ *   basedOn } where method is exact, interpolated or converted; metres is
+ *   null and reason explains why when the entries cannot answer
+ */
+function lookupUsage(entries, { dressType, size, fabricWidth, unit = "in" }) {
+  const forDress = entries.filter((entry) =>
+    sameName(entry.dressType, dressType || "")
+  );
+  if (!dressType || forDress.length === 0) {
+    return {
+      metres: null,
+      reason: dressType
+        ? `Dress type "${dressType}" is not in the usage catalog`
+        : "No dress type given for the usage lookup",
+    };
+  }
+
+  const sizes = [...new Set(forDress.map((entry) => entry.size))];
+  let chosenSize = size ? sizes.find((s) => sameName(s, size)) : undefined;
+
+  if (!size) {
+    chosenSize =
+      sizes.find((s) => sameName(s, DEFAULT_SIZE)) ||
+      (sizes.length === 1 ? sizes[0] : undefined);
+  }
+
+  if (!chosenSize) {
+    return {
+      metres: null,
+      reason: size
+        ? `No usage recorded for "${dressType}" in size "${size}" (recorded: ${sizes.join(", ")})`
+        : `"${dressType}" has usage for several sizes (${sizes.join(", ")}); a size is required`,
+    };
+  }
+
+  // Recorded widths in inches, narrowest first
+  const points = forDress
+    .filter((entry) => entry.size === chosenSize)
+    .map((entry) => ({
+      id: entry.id,
+      width: toInches(entry.fabricWidth, entry.unit),
+      metres: entry.metres,
+    }))
+    .sort((a, b) => a.width - b.width);
+
+  const hasWidth = fabricWidth !== undefined && fabricWidth !== null;
+  const target = hasWidth
+    ? toInches(Number(fabricWidth), unit)
+    : points[0].width;
+
+  const result = {
+    dressType: forDress[0].dressType,
+    size: chosenSize,
+    fabricWidth: hasWidth ? Number(fabricWidth) : round2(points[0].width),
+    unit: hasWidth ? unit : "in",
+  };
+
+  const exact = points.find((point) => Math.abs(point.width - target) < 0.01);
+  if (exact) {
+    return {
+      ...result,
+      metres: exact.metres,
+      method: "exact",
+      basedOn: [exact.id],
+    };
+  }
+
+  const lower = points.filter((point) => point.width < target).pop();
+  const upper = points.find((point) => point.width > target);
+
+  if (lower && upper) {
+    const ratio = (target - lower.width) / (upper.width - lower.width);
+    return {
+      ...result,
+      metres: round2(lower.metres + (upper.metres - lower.metres) * ratio),
+      method: "interpolated",
+      basedOn: [lower.id, upper.id],
+    };
+  }
+
+  const nearest = lower || upper;
+  return {
+    ...result,
+    metres: round2((nearest.metres * nearest.width) / target),
+    method: "converted",
+    basedOn: [nearest.id],
+  };
+}
+
+/**
+ * Summarise usage entries per dress type
+ *
+ * metres keeps the shape of the old Usage sheet reader: the figure a lookup
+ * with no size or width gives, or null when the dress type needs a size.
+ *
+ * @param {Array<Object>} entries - Usage entries from listUsage()
+ * @returns {Object} { [dressType]: { metres, minMetres, maxMetres, sizes, widths, entries } }
+ */
+function summarizeUsage(entries) {
+  const summary = {};
+
+  for (const entry of entries) {
+    const item = summary[entry.dressType] || {
+      sizes: [],
+      widths: [],
+      minMetres: entry.metres,
+      maxMetres: entry.metres,
+      entries: 0,
+    };
+
+    if (!item.sizes.includes(entry.size)) item.sizes.push(entry.size);
+    if (
+      !item.widths.some(
+        (width) =>
+          width.fabricWidth === entry.fabricWidth && width.unit === entry.unit
+      )
+    ) {
+      item.widths.push({ fabricWidth: entry.fabricWidth, unit: entry.unit });
+    }
+    item.minMetres = Math.min(item.minMetres, entry.metres);
+    item.maxMetres = Math.max(item.maxMetres, entry.metres);
+    item.entries++;
+
+    summary[entry.dressType] = item;
+  }
+
+  for (const [dressType, item] of Object.entries(summary)) {
+    summary[dressType] = {
+      metres: lookupUsage(entries, { dressType }).metres,
+      ...item,
+    };
+  }
+
+  return summary;
+}
+
+// =============================================================================
+// MAIN USAGE FUNCTIONS
+// =============================================================================
+
+/**
+ * List usage entries, optionally for one dress type and size
+ * @param {Object} [filters={}] - Filters
+ * @param {string} [filters.dressType] - Dress type
+ * @param {string} [filters.size] - Size
+ * @param {Object} [options={}] - { client } to read inside a transaction
+ * @returns {Promise<Array<Object>>} Usage entries
+ */
+async function listUsage(filters = {}, { client = null } = {}) {
+  const records = await usageRepository.findAll(filters, { client });
+  return records.map(recordToUsage);
+}
+
+/**
+ * List the dress types that have usage recorded
+ * @returns {Promise<Array<string>>} Dress types, alphabetical
+ */
+async function listDressTypes() {
+  return usageRepository.findDressTypes();
+}
+
+/**
+ * Get one usage entry by ID
+ * @param {number} id - Entry ID
+ * @param {Object} [options={}] - Query options
+ * @param {boolean} [options.forUpdate=false] - Lock the entry until the
+ *   transaction ends
+ * @param {Object} [options.client] - Transaction client
+ * @returns {Promise<Object|null>} Usage entry or null if not found
+ */
+async function getUsage(id, { forUpdate = false, client = null } = {}) {
+  const record = await usageRepository.findById(id, { forUpdate, client });
+  return record ? recordToUsage(record) : null;
+}
+
+/**
+ * Find the entry recorded for a dress type, size and width
+ * @param {Object} entry - { dressType, size, fabricWidth, unit }
+ * @param {Object} [options={}] - { client } to read inside a transaction
+ * @returns {Promise<Object|null>} Usage entry or null if none is recorded
+ */
+async function findUsage(
+  { dressType, size, fabricWidth, unit = "in" },
+  { client = null } = {}
+) {
+  const record = await usageRepository.findByKey(
+    {
+      dress_type: String(dressType).trim(),
+      size: String(size).trim(),
+      fabric_width: fabricWidth,
+      unit,
+    },
+    { client }
+  );
+  return record ? recordToUsage(record) : null;
+}
+
+/**
+ * Record usage for a dress type, size and width
+ * @param {Object} entry - Usage fields
+ * @param {Object} [options={}] - { client } to write inside a transaction
+ * @returns {Promise<Object>} Created entry
+ */
+async function createUsage(entry, { client = null } = {}) {
+  return recordToUsage(
+    await usageRepository.insert(usageToRecord(entry), { client })
+  );
+}
+
+/**
+ * Update a usage entry
+ * @param {number} id - Entry ID
+ * @param {Object} changes - Fields to change
+ * @param {Object} [options={}] - { client } to write inside a transaction
+ * @returns {Promise<Object|null>} Updated entry, or null if not found
+ */
+async function updateUsage(id, changes, { client = null } = {}) {
+  const record = await usageRepository.update(id, usageToRecord(changes), {
+    client,
+  });
+  return record ? recordToUsage(record) : null;
+}
+
+/**
+ * Remove a usage entry
+ * @param {number} id - Entry ID
+ * @param {Object} [options={}] - { client } to write inside a transaction
+ * @returns {Promise<boolean>} True if an entry was deleted
+ */
+async function deleteUsage(id, { client = null } = {}) {
+  return (await usageRepository.remove(id, { client })) !== null;
+}
+
+/**
+ * Copy the Usage sheet into the dress_usage table
+ * The sheet has one figure per dress type, so each is recorded under one size
+ * and fabric width. Entries already recorded are skipped unless overwrite is set.
+ * @param {ApparelSheetsManager} sheetsManager - Sheets manager
+ * @param {Object} [options={}] - Import options
+ * @param {boolean} [options.overwrite=false] - Update entries that already exist
+ * @param {string} [options.size=DEFAULT_SIZE] - Size to record the figures under
+ * @param {number} [options.fabricWidth=DEFAULT_FABRIC_WIDTH] - Width the figures were measured at
+ * @param {string} [options.unit='in'] - Unit of fabricWidth
+ * @returns {Promise<Object>} { created, updated, skipped } lists of dress types
+ */
+async function importUsageFromSheet(
+  sheetsManager,
+  {
+    overwrite = false,
+    size = DEFAULT_SIZE,
+    fabricWidth = DEFAULT_FABRIC_WIDTH,
+    unit = "in",
+  } = {}
+) {
+  const sheetUsage = await sheetsManager.getFabricUsage();
+  const report = { created: [], updated: [], skipped: [] };
+
+  for (const [dressType, { metres }] of Object.entries(sheetUsage)) {
+    const entry = { dressType, size, fabricWidth, unit, metres };
+    const existing = await findUsage(entry);
+
+    if (!existing) {
+      await createUsage(entry);
+      report.created.push(dressType);
+    } else if (overwrite) {
+      await updateUsage(existing.id, { metres });
+      report.updated.push(dressType);
+    } else {
+      report.skipped.push(dressType);
+    }
+  }
+
+  return report;
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  USAGE_SCHEMA,
+  USAGE_LIST_QUERY_SCHEMA,
+  USAGE_PARAMS_SCHEMA,
+  USAGE_LOOKUP_SCHEMA,
+  USAGE_IMPORT_SCHEMA,
+  lookupUsage,
+  summarizeUsage,
+  listUsage,
+  listDressTypes,
+  getUsage,
+  findUsage,
+  createUsage,
+  updateUsage,
+  deleteUsage,
+  importUsageFromSheet,
+  DEFAULT_SIZE,
+  DEFAULT_FABRIC_WIDTH,
+};
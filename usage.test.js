@@ -0,0 +1,139 @@
+/**
+ * Usage Module Tests
+ *
+ * Usage lookup by dress type, size and fabric width, and the per dress type
+ * summary.
+ * Usage: npm test
+ */
+
+const assert = require("assert");
+const { lookupUsage, summarizeUsage } = require("./usage");
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+let nextId = 1;
+
+/**
+ * Usage entry in the shape listUsage() returns
+ * @param {string} dressType - Dress type
+ * @param {string} size - Size
+ * @param {number} fabricWidth - Fabric width
+ * @param {number} metres - Metres used
+ * @param {string} [unit='in'] - Unit of fabricWidth
+ * @returns {Object} Usage entry
+ */
+const entry = (dressType, size, fabricWidth, metres, unit = "in") => ({
+  id: nextId++,
+  dressType,
+  size,
+  fabricWidth,
+  unit,
+  metres,
+});
+
+const ENTRIES = [
+  entry("Kurta", "Standard", 44, 2.5),
+  entry("Kurta", "Standard", 58, 2),
+  entry("Kurta", "XL", 44, 3),
+  entry("Lehenga", "M", 110, 4, "cm"),
+  entry("Gown", "S", 44, 3),
+  entry("Gown", "L", 44, 3.5),
+];
+
+// =============================================================================
+// TESTS
+// =============================================================================
+
+describe("usage", () => {
+  describe("lookupUsage", () => {
+    it("returns the recorded figure for an exact width, in either unit", () => {
+      const inches = lookupUsage(ENTRIES, {
+        dressType: "kurta",
+        size: "standard",
+        fabricWidth: 58,
+      });
+      assert.strictEqual(inches.metres, 2);
+      assert.strictEqual(inches.method, "exact");
+      assert.strictEqual(inches.dressType, "Kurta");
+      assert.strictEqual(inches.size, "Standard");
+
+      const cm = lookupUsage(ENTRIES, {
+        dressType: "Kurta",
+        fabricWidth: 44 * 2.54,
+        unit: "cm",
+      });
+      assert.strictEqual(cm.metres, 2.5);
+      assert.strictEqual(cm.method, "exact");
+      assert.strictEqual(cm.unit, "cm");
+    });
+
+    it("interpolates between the recorded widths either side", () => {
+      const result = lookupUsage(ENTRIES, {
+        dressType: "Kurta",
+        fabricWidth: 51,
+      });
+      assert.strictEqual(result.metres, 2.25);
+      assert.strictEqual(result.method, "interpolated");
+      assert.strictEqual(result.basedOn.length, 2);
+    });
+
+    it("scales the nearest figure by width outside the recorded range", () => {
+      const result = lookupUsage(ENTRIES, {
+        dressType: "Kurta",
+        fabricWidth: 60,
+      });
+      assert.strictEqual(result.metres, 1.93);
+      assert.strictEqual(result.method, "converted");
+    });
+
+    it("uses the only size and the narrowest width when they are not given", () => {
+      const result = lookupUsage(ENTRIES, { dressType: "Lehenga" });
+      assert.strictEqual(result.size, "M");
+      assert.strictEqual(result.metres, 4);
+      assert.strictEqual(result.unit, "in");
+      assert.strictEqual(result.fabricWidth, 43.31);
+    });
+
+    it("explains why it cannot answer", () => {
+      assert.deepStrictEqual(lookupUsage(ENTRIES, { dressType: "Saree" }), {
+        metres: null,
+        reason: 'Dress type "Saree" is not in the usage catalog',
+      });
+      assert.match(
+        lookupUsage(ENTRIES, { dressType: "Gown" }).reason,
+        /several sizes \(S, L\); a size is required/
+      );
+      assert.match(
+        lookupUsage(ENTRIES, { dressType: "Gown", size: "XL" }).reason,
+        /No usage recorded for "Gown" in size "XL"/
+      );
+      assert.strictEqual(lookupUsage(ENTRIES, {}).metres, null);
+    });
+  });
+
+  describe("summarizeUsage", () => {
+    it("summarises sizes, widths and the default lookup per dress type", () => {
+      const summary = summarizeUsage(ENTRIES);
+
+      assert.deepStrictEqual(Object.keys(summary), [
+        "Kurta",
+        "Lehenga",
+        "Gown",
+      ]);
+      assert.deepStrictEqual(summary.Kurta, {
+        metres: 2.5,
+        sizes: ["Standard", "XL"],
+        widths: [
+          { fabricWidth: 44, unit: "in" },
+          { fabricWidth: 58, unit: "in" },
+        ],
+        minMetres: 2,
+        maxMetres: 3,
+        entries: 3,
+      });
+      assert.strictEqual(summary.Gown.metres, null);
+    });
+  });
+});
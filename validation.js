@@ -0,0 +1,472 @@
+/**
+ * Request Validation Module
+ *
+ * Declarative schemas for route params, query strings and bodies. A schema
+ * maps each field to a rule:
+ *   type        string (default), number, integer, boolean, date (YYYY-MM-DD),
+ *               json (an object, or a string holding one) or array (a list,
+ *               or a comma separated string)
+ *   required    the field must be present and not blank
+ *   default     value used when the field is missing
+ *   enum        allowed values, or a function (req) returning them (may be
+ *               async); an empty list from a function allows any value
+ *   ignoreCase  match enum values case-insensitively, keeping the enum spelling
+ *   min, max, greaterThan      numeric bounds
+ *   minLength, maxLength       string length bounds
+ *   pattern, patternMessage    regular expression a string must match
+ *   items       rule applied to each element of an array
+ *   schema      nested schema for a json field
+ *   description documentation only, copied into the OpenAPI spec
+ * Multipart form fields and query values arrive as strings, so they are
+ * coerced to the rule's type before the checks run. A blank string counts as
+ * missing; it is passed through unchanged when the field is optional, since
+ * updates use it to clear a value.
+ *
+ * Failures are answered with HTTP 422 and a list of field errors:
+ *   { success: false, error, errors: [{ field, location, code, message }] }
+ * Usage: app.post('/api/fabrics', validate({ body: FABRIC_SCHEMA }), handler);
+ */
+
+const fs = require("fs");
+const Logger = require("./logger");
+
+// =============================================================================
+// CONFIGURATION & CONSTANTS
+// =============================================================================
+
+const VALIDATION_STATUS = 422;
+
+// Request properties validated, in the order errors are reported
+const LOCATIONS = ["params", "query", "body"];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const NUMBER_PATTERN = /^[-+]?(\d+(\.\d*)?|\.\d+)$/;
+
+// Spellings accepted for booleans from forms and query strings
+const TRUE_VALUES = ["true", "1", "yes", "on"];
+const FALSE_VALUES = ["false", "0", "no", "off"];
+
+// =============================================================================
+// UTILITY FUNCTIONS
+// =============================================================================
+
+/**
+ * Check that a string is a real calendar date in YYYY-MM-DD form
+ * @param {string} value - Date string
+ * @returns {boolean} True if valid
+ */
+const isValidDate = (value) =>
+  DATE_PATTERN.test(value) &&
+  !Number.isNaN(Date.parse(value)) &&
+  new Date(value).toISOString().startsWith(value);
+
+/**
+ * Check whether a value counts as not given
+ * @param {*} value - Raw value
+ * @returns {boolean} True for undefined, null and blank strings
+ */
+const isMissing = (value) =>
+  value === undefined ||
+  value === null ||
+  (typeof value === "string" && value.trim() === "");
+
+/**
+ * List the files multer stored for a request, whichever of single(), array()
+ * or fields() was used
+ * @param {Object} req - Express request
+ * @returns {Array<Object>} Multer files
+ */
+const uploadedFiles = (req) => {
+  if (req.file) return [req.file];
+  if (Array.isArray(req.files)) return req.files;
+  return req.files ? Object.values(req.files).flat() : [];
+};
+
+/**
+ * Remove the multer temp files of a request
+ * Storage drivers remove the files they upload, so this is for files a route
+ * only reads, or for requests that will not reach their route.
+ * @param {Object} req - Express request
+ */
+const discardUploads = (req) => {
+  for (const file of uploadedFiles(req)) {
+    fs.promises.unlink(file.path).catch(() => {});
+  }
+};
+
+/**
+ * Build a field error
+ * @param {string} field - Field name, dotted for nested fields
+ * @param {string} message - Message shown next to the input
+ * @param {Object} [options={}] - Error options
+ * @param {string} [options.location='body'] - params, query, body, file or
+ *   row (of an import file)
+ * @param {string} [options.code='invalid'] - Machine-readable error code
+ * @returns {Object} { field, location, code, message }
+ */
+const fieldError = (
+  field,
+  message,
+  { location = "body", code = "invalid" } = {}
+) => ({ field, location, code, message });
+
+/**
+ * Send a 422 response listing field errors
+ * @param {Object} res - Express response
+ * @param {Array<Object>} errors - Errors from fieldError()
+ * @returns {Object} Express response
+ */
+const sendValidationErrors = (res, errors) =>
+  res.status(VALIDATION_STATUS).json({
+    success: false,
+    error: `Validation failed: ${[
+      ...new Set(errors.map(({ message }) => message)),
+    ].join("; ")}`,
+    errors,
+  });
+
+/**
+ * Copy a schema with no field required and no defaults, for partial updates
+ * @param {Object} schema - Field rules
+ * @returns {Object} Partial schema
+ */
+const partialSchema = (schema) =>
+  Object.fromEntries(
+    Object.entries(schema).map(([field, { default: _, ...rule }]) => [
+      field,
+      { ...rule, required: false },
+    ])
+  );
+
+/**
+ * Convert a raw value to the rule's type
+ * @param {*} value - Raw value, not missing
+ * @param {Object} rule - Field rule
+ * @param {string} field - Field name for messages
+ * @returns {Object} { value } or { code, message } if it cannot be converted
+ */
+const coerce = (value, rule, field) => {
+  switch (rule.type) {
+    case "number":
+    case "integer": {
+      const number =
+        typeof value === "number"
+          ? value
+          : typeof value === "string" && NUMBER_PATTERN.test(value.trim())
+            ? Number(value)
+            : NaN;
+      if (!Number.isFinite(number)) {
+        return { code: "type", message: `${field} must be a number` };
+      }
+      if (rule.type === "integer" && !Number.isInteger(number)) {
+        return { code: "type", message: `${field} must be an integer` };
+      }
+      return { value: number };
+    }
+
+    case "boolean": {
+      if (typeof value === "boolean") return { value };
+      const text = String(value).trim().toLowerCase();
+      if (TRUE_VALUES.includes(text)) return { value: true };
+      if (FALSE_VALUES.includes(text)) return { value: false };
+      return { code: "type", message: `${field} must be true or false` };
+    }
+
+    case "date": {
+      const text = typeof value === "string" ? value.trim() : "";
+      return isValidDate(text)
+        ? { value: text }
+        : {
+            code: "format",
+            message: `${field} must be a date in YYYY-MM-DD format`,
+          };
+    }
+
+    case "json": {
+      let parsed = value;
+      if (typeof value === "string") {
+        try {
+          parsed = JSON.parse(value);
+        } catch (error) {
+          return { code: "format", message: `${field} must be valid JSON` };
+        }
+      }
+      return parsed && typeof parsed === "object" && !Array.isArray(parsed)
+        ? { value: parsed }
+        : { code: "type", message: `${field} must be a JSON object` };
+    }
+
+    case "array": {
+      if (typeof value === "object" && !Array.isArray(value)) {
+        return { code: "type", message: `${field} must be a list` };
+      }
+      const list = Array.isArray(value)
+        ? value
+        : String(value)
+            .split(",")
+            .map((part) => part.trim())
+            .filter(Boolean);
+      return { value: list };
+    }
+
+    default: {
+      if (typeof value === "object") {
+        return { code: "type", message: `${field} must be a string` };
+      }
+      return { value: String(value).trim() };
+    }
+  }
+};
+
+/**
+ * Resolve a rule's allowed values
+ * @param {Object} rule - Field rule
+ * @param {Object} req - Express request, passed to enum functions
+ * @returns {Promise<Array|null>} Allowed values, null for any value
+ */
+const resolveEnum = async (rule, req) => {
+  if (!rule.enum) return null;
+  const values =
+    typeof rule.enum === "function" ? await rule.enum(req) : rule.enum;
+  return values && values.length > 0 ? values : null;
+};
+
+/**
+ * Check a coerced, non-missing value against a rule
+ * @param {*} value - Coerced value
+ * @param {Object} rule - Field rule
+ * @param {string} field - Field name for messages
+ * @param {Object} context - { location, req }
+ * @returns {Promise<Object>} { value, errors }
+ */
+async function checkValue(value, rule, field, context) {
+  const { location, req } = context;
+  const fail = (code, message) => ({
+    value,
+    errors: [fieldError(field, message, { location, code })],
+  });
+
+  if (typeof value === "number") {
+    if (rule.min !== undefined && value < rule.min) {
+      return fail("range", `${field} must be at least ${rule.min}`);
+    }
+    if (rule.greaterThan !== undefined && value <= rule.greaterThan) {
+      return fail("range", `${field} must be greater than ${rule.greaterThan}`);
+    }
+    if (rule.max !== undefined && value > rule.max) {
+      return fail("range", `${field} must be at most ${rule.max}`);
+    }
+  }
+
+  if (typeof value === "string") {
+    if (rule.minLength !== undefined && value.length < rule.minLength) {
+      return fail(
+        "length",
+        `${field} must be at least ${rule.minLength} characters`
+      );
+    }
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+      return fail(
+        "length",
+        `${field} must be at most ${rule.maxLength} characters`
+      );
+    }
+    if (rule.pattern && !rule.pattern.test(value)) {
+      return fail(
+        "format",
+        rule.patternMessage
+          ? `${field} ${rule.patternMessage}`
+          : `${field} is not in the expected format`
+      );
+    }
+  }
+
+  const allowed = await resolveEnum(rule, req);
+  if (allowed && !Array.isArray(value)) {
+    const match = allowed.find((option) =>
+      rule.ignoreCase
+        ? String(option).toLowerCase() === String(value).toLowerCase()
+        : option === value
+    );
+    if (match === undefined) {
+      return fail("enum", `${field} must be one of: ${allowed.join(", ")}`);
+    }
+    value = match;
+  }
+
+  if (rule.type === "array" && rule.items) {
+    const items = [];
+    for (const item of value) {
+      const result = await validateValue(item, rule.items, field, context);
+      if (result.errors.length > 0) return { value, errors: result.errors };
+      items.push(result.value);
+    }
+    value = items;
+  }
+
+  if (rule.type === "json" && rule.schema) {
+    const nested = await validateObject(value, rule.schema, {
+      ...context,
+      prefix: `${field}.`,
+    });
+    return { value: nested.values, errors: nested.errors };
+  }
+
+  return { value, errors: [] };
+}
+
+/**
+ * Validate one value against a rule
+ * @param {*} raw - Raw value
+ * @param {Object} rule - Field rule
+ * @param {string} field - Field name for messages
+ * @param {Object} context - { location, req }
+ * @returns {Promise<Object>} { value, errors }
+ */
+async function validateValue(raw, rule, field, context) {
+  if (isMissing(raw)) {
+    if (rule.required) {
+      return {
+        value: raw,
+        errors: [
+          fieldError(field, `${field} is required`, {
+            location: context.location,
+            code: "required",
+          }),
+        ],
+      };
+    }
+    return {
+      value: rule.default !== undefined ? rule.default : raw,
+      errors: [],
+    };
+  }
+
+  const coerced = coerce(raw, rule, field);
+  if (coerced.code) {
+    return {
+      value: raw,
+      errors: [
+        fieldError(field, coerced.message, {
+          location: context.location,
+          code: coerced.code,
+        }),
+      ],
+    };
+  }
+
+  return checkValue(coerced.value, rule, field, context);
+}
+
+// =============================================================================
+// MAIN VALIDATION FUNCTIONS
+// =============================================================================
+
+/**
+ * Validate an object against a schema
+ * Fields the schema does not name are passed through unchanged.
+ * @param {Object} data - Object to validate
+ * @param {Object} schema - Field rules
+ * @param {Object} [context={}] - Validation context
+ * @param {string} [context.location='body'] - Reported error location
+ * @param {string} [context.prefix=''] - Prefix for nested field names
+ * @param {Object} [context.req] - Express request, for enum functions
+ * @returns {Promise<Object>} { values, errors }
+ */
+async function validateObject(data, schema, context = {}) {
+  const { location = "body", prefix = "", req } = context;
+  const values = { ...(data || {}) };
+  const errors = [];
+
+  for (const [name, rule] of Object.entries(schema)) {
+    const result = await validateValue(values[name], rule, prefix + name, {
+      location,
+      req,
+    });
+    errors.push(...result.errors);
+    if (result.value !== undefined) {
+      values[name] = result.value;
+    }
+  }
+
+  return { values, errors };
+}
+
+/**
+ * Build middleware validating a request against schemas
+ *
+ * On success req.params, req.query and req.body hold the coerced values. A
+ * file option checks that multer stored the named upload.
+ *
+ * @param {Object} schemas - Schemas to apply
+ * @param {Object} [schemas.params] - Route parameter rules
+ * @param {Object} [schemas.query] - Query string rules
+ * @param {Object} [schemas.body] - Body rules
+ * @param {Object} [schemas.file] - { name, required } of a multer upload
+ * @returns {Function} Express middleware
+ */
+function validate(schemas) {
+  return async (req, res, next) => {
+    try {
+      const errors = [];
+      const results = {};
+
+      for (const location of LOCATIONS) {
+        if (!schemas[location]) continue;
+        const result = await validateObject(req[location], schemas[location], {
+          location,
+          req,
+        });
+        results[location] = result.values;
+        errors.push(...result.errors);
+      }
+
+      if (
+        schemas.file &&
+        schemas.file.required &&
+        !uploadedFiles(req).some((file) => file.fieldname === schemas.file.name)
+      ) {
+        errors.push(
+          fieldError(schemas.file.name, `${schemas.file.name} is required`, {
+            location: "file",
+            code: "required",
+          })
+        );
+      }
+
+      if (errors.length > 0) {
+        discardUploads(req);
+        return sendValidationErrors(res, errors);
+      }
+
+      Object.assign(req, results);
+      next();
+    } catch (error) {
+      Logger.error("Request validation failed", error, {
+        method: req.method,
+        url: req.url,
+      });
+      discardUploads(req);
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  };
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  VALIDATION_STATUS,
+  isValidDate,
+  uploadedFiles,
+  discardUploads,
+  fieldError,
+  sendValidationErrors,
+  partialSchema,
+  validateObject,
+  validate,
+};
@@ -0,0 +1,274 @@
+/**
+ * Validation Module Tests
+ *
+ * Coercion of form and query strings to each rule type, the checks that run
+ * after it, and the 422 response the middleware sends.
+ * Usage: npm test
+ */
+
+const assert = require("assert");
+const {
+  VALIDATION_STATUS,
+  validateObject,
+  validate,
+  partialSchema,
+} = require("./validation");
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Validate one body field
+ * @param {*} value - Raw value
+ * @param {Object} rule - Field rule
+ * @returns {Promise<Object>} { values, errors }
+ */
+const check = (value, rule) =>
+  validateObject({ field: value }, { field: rule });
+
+/**
+ * Run the validate() middleware against a fake request
+ * @param {Object} schemas - Schemas passed to validate()
+ * @param {Object} req - Request properties
+ * @returns {Promise<Object>} { req, status, body, nextCalled }
+ */
+const runMiddleware = async (schemas, req) => {
+  const outcome = { req, status: null, body: null, nextCalled: false };
+  const res = {
+    status(code) {
+      outcome.status = code;
+      return this;
+    },
+    json(body) {
+      outcome.body = body;
+      return this;
+    },
+  };
+  await validate(schemas)(req, res, () => {
+    outcome.nextCalled = true;
+  });
+  return outcome;
+};
+
+// =============================================================================
+// TESTS
+// =============================================================================
+
+describe("validation", () => {
+  describe("coercion", () => {
+    it("turns numeric strings into numbers", async () => {
+      const { values, errors } = await check(" 2.50 ", { type: "number" });
+      assert.deepStrictEqual(errors, []);
+      assert.strictEqual(values.field, 2.5);
+    });
+
+    it("rejects numbers written with units or thousands separators", async () => {
+      for (const value of ["12m", "1,200", "NaN", "Infinity"]) {
+        const { errors } = await check(value, { type: "number" });
+        assert.strictEqual(errors.length, 1, value);
+        assert.strictEqual(errors[0].code, "type");
+      }
+    });
+
+    it("requires whole numbers for integers", async () => {
+      assert.strictEqual(
+        (await check("3", { type: "integer" })).values.field,
+        3
+      );
+      const { errors } = await check("3.5", { type: "integer" });
+      assert.strictEqual(errors[0].message, "field must be an integer");
+    });
+
+    it("accepts the usual spellings of booleans", async () => {
+      for (const [raw, expected] of [
+        ["yes", true],
+        ["ON", true],
+        ["1", true],
+        ["false", false],
+        ["0", false],
+        [false, false],
+      ]) {
+        const { values } = await check(raw, { type: "boolean" });
+        assert.strictEqual(values.field, expected, String(raw));
+      }
+      const { errors } = await check("maybe", { type: "boolean" });
+      assert.strictEqual(errors[0].code, "type");
+    });
+
+    it("accepts only real calendar dates", async () => {
+      assert.strictEqual(
+        (await check("2024-02-29", { type: "date" })).values.field,
+        "2024-02-29"
+      );
+      for (const value of ["2023-02-29", "2024-13-01", "29/02/2024"]) {
+        const { errors } = await check(value, { type: "date" });
+        assert.strictEqual(errors[0].code, "format", value);
+      }
+    });
+
+    it("parses JSON objects sent as strings", async () => {
+      const { values } = await check('{"a":1}', { type: "json" });
+      assert.deepStrictEqual(values.field, { a: 1 });
+      assert.strictEqual(
+        (await check("{a:1}", { type: "json" })).errors[0].code,
+        "format"
+      );
+      assert.strictEqual(
+        (await check("[1]", { type: "json" })).errors[0].code,
+        "type"
+      );
+    });
+
+    it("splits comma separated lists and checks each item", async () => {
+      const rule = { type: "array", items: { type: "integer", min: 1 } };
+      assert.deepStrictEqual(
+        (await check("1, 2,,3", rule)).values.field,
+        [1, 2, 3]
+      );
+      assert.strictEqual((await check("1,0", rule)).errors[0].code, "range");
+      assert.strictEqual(
+        (await check({ a: 1 }, { type: "array" })).errors[0].code,
+        "type"
+      );
+    });
+
+    it("rejects objects where a string is expected", async () => {
+      const { errors } = await check({ $ne: "" }, { type: "string" });
+      assert.strictEqual(errors[0].code, "type");
+    });
+  });
+
+  describe("checks", () => {
+    it("reports missing required fields", async () => {
+      const { errors } = await check("  ", { required: true });
+      assert.deepStrictEqual(errors, [
+        {
+          field: "field",
+          location: "body",
+          code: "required",
+          message: "field is required",
+        },
+      ]);
+    });
+
+    it("passes blank optional fields through and applies defaults", async () => {
+      assert.strictEqual((await check("", {})).values.field, "");
+      assert.strictEqual(
+        (await check(undefined, { type: "boolean", default: false })).values
+          .field,
+        false
+      );
+    });
+
+    it("applies numeric bounds and string lengths", async () => {
+      const range = { type: "number", min: 0, max: 10 };
+      assert.strictEqual((await check("-1", range)).errors[0].code, "range");
+      assert.strictEqual((await check("11", range)).errors[0].code, "range");
+      assert.strictEqual(
+        (await check("0", { type: "number", greaterThan: 0 })).errors[0].code,
+        "range"
+      );
+      assert.strictEqual(
+        (await check("abcd", { maxLength: 3 })).errors[0].code,
+        "length"
+      );
+    });
+
+    it("matches enums case-insensitively and keeps the enum spelling", async () => {
+      const rule = { enum: ["Silk", "Cotton"], ignoreCase: true };
+      assert.strictEqual((await check("silk", rule)).values.field, "Silk");
+      const { errors } = await check("Wool", rule);
+      assert.strictEqual(errors[0].code, "enum");
+      assert.strictEqual(
+        errors[0].message,
+        "field must be one of: Silk, Cotton"
+      );
+    });
+
+    it("uses the pattern message", async () => {
+      const rule = { pattern: /^[A-Z]+$/, patternMessage: "must be capitals" };
+      const { errors } = await check("abc", rule);
+      assert.strictEqual(errors[0].message, "field must be capitals");
+    });
+
+    it("names nested json fields with a dotted path", async () => {
+      const { errors } = await validateObject(
+        { data: '{"size":"big"}' },
+        { data: { type: "json", schema: { size: { type: "integer" } } } },
+        { location: "query" }
+      );
+      assert.strictEqual(errors[0].field, "data.size");
+      assert.strictEqual(errors[0].location, "query");
+    });
+
+    it("drops required and defaults for partial updates", async () => {
+      const schema = partialSchema({
+        name: { required: true },
+        unit: { default: "in" },
+      });
+      const { values, errors } = await validateObject({}, schema);
+      assert.deepStrictEqual(errors, []);
+      assert.deepStrictEqual(values, {});
+    });
+  });
+
+  describe("validate middleware", () => {
+    it("answers 422 listing every field error", async () => {
+      const { status, body, nextCalled } = await runMiddleware(
+        {
+          params: { id: { type: "integer" } },
+          body: { name: { required: true }, metres: { type: "number" } },
+        },
+        { params: { id: "x" }, body: { metres: "lots" } }
+      );
+
+      assert.strictEqual(nextCalled, false);
+      assert.strictEqual(status, VALIDATION_STATUS);
+      assert.strictEqual(body.success, false);
+      assert.strictEqual(
+        body.error,
+        "Validation failed: id must be a number; name is required; metres must be a number"
+      );
+      assert.deepStrictEqual(
+        body.errors.map(({ field, location, code }) => [field, location, code]),
+        [
+          ["id", "params", "type"],
+          ["name", "body", "required"],
+          ["metres", "body", "type"],
+        ]
+      );
+    });
+
+    it("reports a missing required upload", async () => {
+      const { status, body } = await runMiddleware(
+        { file: { name: "designImage", required: true } },
+        { body: {} }
+      );
+      assert.strictEqual(status, VALIDATION_STATUS);
+      assert.deepStrictEqual(body.errors, [
+        {
+          field: "designImage",
+          location: "file",
+          code: "required",
+          message: "designImage is required",
+        },
+      ]);
+    });
+
+    it("replaces the request values with the coerced ones", async () => {
+      const { req, status, nextCalled } = await runMiddleware(
+        {
+          query: {
+            page: { type: "integer", default: 1 },
+            all: { type: "boolean" },
+          },
+        },
+        { query: { all: "yes" } }
+      );
+      assert.strictEqual(status, null);
+      assert.strictEqual(nextCalled, true);
+      assert.deepStrictEqual(req.query, { page: 1, all: true });
+    });
+  });
+});